@@ -2,6 +2,7 @@
  * Sololom - About Page Script
  * Handles tab switching and other functionality on the about page
  */
+import * as StorageService from "@/services/storage.js";
 
 // DOM Elements
 const tabButtons = document.querySelectorAll(".tab-btn");
@@ -13,8 +14,8 @@ const toast = document.getElementById("toast");
 // Initialize page
 document.addEventListener("DOMContentLoaded", async () => {
   // Load theme setting
-  const { globalSettings } = await chrome.storage.sync.get("globalSettings");
-  if (globalSettings && globalSettings.theme) {
+  const globalSettings = await StorageService.getGlobalSettings();
+  if (globalSettings.theme) {
     document.body.setAttribute("data-theme", globalSettings.theme);
   }
 
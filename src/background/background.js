@@ -2,42 +2,43 @@
  * Sololom - Background Service Worker
  * Handles extension lifecycle events and background operations
  */
+import * as ApiService from "../services/api.js";
+import * as BackupService from "../services/backup.js";
+import * as ModelCatalog from "../services/modelCatalog.js";
+import { runMigrations } from "../services/migrations.js";
+import * as JobsService from "../services/jobs.js";
+import * as RetentionService from "../services/retention.js";
+import * as SettingsService from "../services/settings.js";
+import * as StorageService from "../services/storage.js";
+import { truncateString } from "../utils/helpers.js";
+import { isAbortError, isVaultLockedError } from "../utils/errorHandler.js";
 
-// Initialize default settings when extension is installed
+// Abort controllers for in-flight requests, keyed by request ID
+const activeRequests = new Map();
+
+// Generation jobs running in this worker, keyed by job ID
+const runningJobs = new Map();
+
+// Jobs still marked as running belong to a worker that was shut down
+const jobsReady = JobsService.interruptRunningJobs()
+  .then(() => JobsService.pruneJobs())
+  .catch((error) => console.error("Error cleaning up jobs:", error));
+
+// Set up stored data when the extension is installed or updated
 chrome.runtime.onInstalled.addListener(async ({ reason }) => {
-  if (reason === "install") {
-    // Set default global settings
-    const defaultGlobalSettings = {
-      theme: "light",
-      defaultModel: "gpt-3.5-turbo",
-      apiKeys: {
-        openai: "",
-        anthropic: "",
-        mistral: "",
-      },
-      shortcuts: {
-        popup: "Alt+L",
-        fullpage: "Alt+Shift+L",
-      },
-    };
-
-    // Set default chat settings
-    const defaultChatSettings = {
-      model: "gpt-3.5-turbo",
-      temperature: 0.7,
-      maxTokens: 2048,
-      systemPrompt: "You are a helpful assistant.",
-      saveHistory: true,
-      maxHistoryItems: 100,
-    };
-
-    // Save default settings to storage
-    await chrome.storage.sync.set({
-      globalSettings: defaultGlobalSettings,
-      chatSettings: defaultChatSettings,
-      conversations: [],
-    });
+  // Upgrade data saved by older versions and fill in missing defaults.
+  // Settings synced from another browser are kept on install too.
+  await runMigrations().catch((error) =>
+    console.error("Error migrating stored data:", error)
+  );
+  await RetentionService.scheduleRetention().catch((error) =>
+    console.error("Error scheduling retention rules:", error)
+  );
+  await BackupService.scheduleBackups().catch((error) =>
+    console.error("Error scheduling backups:", error)
+  );
 
+  if (reason === "install") {
     // Open welcome page
     chrome.tabs.create({
       url: chrome.runtime.getURL("src/about/about.html"),
@@ -45,6 +46,45 @@ chrome.runtime.onInstalled.addListener(async ({ reason }) => {
   }
 });
 
+// Refresh stale model lists and empty old trash when the browser starts
+chrome.runtime.onStartup.addListener(() => {
+  ModelCatalog.refreshCatalog().catch((error) =>
+    console.error("Error refreshing model catalog:", error)
+  );
+  StorageService.purgeTrash().catch((error) =>
+    console.error("Error emptying trash:", error)
+  );
+  RetentionService.scheduleRetention().catch((error) =>
+    console.error("Error scheduling retention rules:", error)
+  );
+  BackupService.scheduleBackups().catch((error) =>
+    console.error("Error scheduling backups:", error)
+  );
+});
+
+// Apply the retention rules and empty old trash once a day
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== RetentionService.RETENTION_ALARM) return;
+
+  try {
+    await RetentionService.applyRetention();
+    await StorageService.purgeTrash();
+  } catch (error) {
+    console.error("Error applying retention rules:", error);
+  }
+});
+
+// Create the scheduled backups
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== BackupService.BACKUP_ALARM) return;
+
+  try {
+    await BackupService.createBackup();
+  } catch (error) {
+    console.error("Error creating backup:", error);
+  }
+});
+
 // Listen for keyboard shortcut commands
 chrome.commands.onCommand.addListener((command) => {
   if (command === "open_fullpage") {
@@ -60,13 +100,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.action) {
     case "getLLMResponse":
       // Process request to get LLM response
-      fetchLLMResponse(message.data)
+      fetchLLMResponse(message.data, message.requestId)
         .then((response) => sendResponse({ success: true, data: response }))
         .catch((error) =>
-          sendResponse({ success: false, error: error.message })
+          sendResponse({
+            success: false,
+            error: error.message,
+            aborted: error.name === "AbortError",
+            locked: isVaultLockedError(error),
+          })
         );
       return true; // Indicates async response
 
+    case "cancelJob":
+      // Stop a generation job started from the popup
+      sendResponse({ success: cancelJob(message.jobId) });
+      return false;
+
+    case "cancelLLMResponse":
+      // Abort an in-flight request started with getLLMResponse
+      sendResponse({ success: cancelLLMResponse(message.requestId) });
+      return false;
+
     case "saveConversation":
       // Save conversation to storage
       saveConversation(message.data)
@@ -77,232 +132,319 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case "openFullPage":
-      // Open full-page chat
+      // Open full-page chat, with the popup's conversation when handed over
       chrome.tabs.create({
-        url: chrome.runtime.getURL("src/fullpage/fullpage.html"),
+        url:
+          chrome.runtime.getURL("src/fullpage/fullpage.html") +
+          (message.hash ? `#${message.hash}` : ""),
       });
       sendResponse({ success: true });
       return false;
   }
 });
 
+// Handle streaming requests from the popup and full-page chat
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "llmStream") return;
+
+  const controller = new AbortController();
+
+  // Closing the port (e.g. the Stop button) cancels the request
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener((message) => {
+    if (message.action === "streamLLMResponse") {
+      streamLLMResponse(port, message.data, controller);
+    }
+  });
+});
+
+// Handle generation jobs, which keep running when the page that started
+// them closes
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "llmJob") return;
+
+  port.onMessage.addListener((message) => {
+    if (message.action === "startJob") {
+      startJob(port, message.data);
+    } else if (message.action === "attachJob") {
+      attachJob(port, message.jobId);
+    }
+  });
+});
+
+// Show the popup again when a completion notification is clicked. The
+// notifications permission is optional and can be granted while the worker
+// is running.
+listenForNotificationClicks();
+chrome.permissions?.onAdded.addListener((permissions) => {
+  if (permissions.permissions?.includes("notifications")) {
+    listenForNotificationClicks();
+  }
+});
+
+/**
+ * Listens for clicks on completion notifications, once the notifications
+ * permission is granted
+ */
+function listenForNotificationClicks() {
+  if (!chrome.notifications) return;
+  if (chrome.notifications.onClicked.hasListener(handleNotificationClick)) {
+    return;
+  }
+
+  chrome.notifications.onClicked.addListener(handleNotificationClick);
+}
+
+/**
+ * Shows the popup again when a completion notification is clicked
+ * @param {string} notificationId - The ID of the clicked notification
+ * @returns {Promise<void>}
+ */
+async function handleNotificationClick(notificationId) {
+  chrome.notifications.clear(notificationId);
+
+  try {
+    await chrome.action.openPopup();
+  } catch (error) {
+    // Older browsers can't open the popup without a user gesture
+    chrome.tabs.create({
+      url: chrome.runtime.getURL("src/fullpage/fullpage.html"),
+    });
+  }
+}
+
 /**
  * Fetches a response from the selected LLM API
  * @param {Object} data - Request data including messages, model, etc.
+ * @param {string} requestId - Optional ID used to cancel the request
  * @returns {Promise<Object>} - The LLM response
  */
-async function fetchLLMResponse(data) {
-  // Get API settings from storage
-  const { globalSettings } = await chrome.storage.sync.get("globalSettings");
-  const apiKey = globalSettings.apiKeys[getProviderFromModel(data.model)];
-
-  if (!apiKey) {
-    throw new Error(
-      "API key not configured for this model. Please check settings."
-    );
+async function fetchLLMResponse(data, requestId) {
+  const controller = new AbortController();
+  if (requestId) {
+    activeRequests.set(requestId, controller);
   }
 
-  // Determine which API to call based on the model
-  let response;
-  switch (getProviderFromModel(data.model)) {
-    case "openai":
-      response = await fetchFromOpenAI(data, apiKey);
-      break;
-    case "anthropic":
-      response = await fetchFromAnthropic(data, apiKey);
-      break;
-    case "mistral":
-      response = await fetchFromMistral(data, apiKey);
-      break;
-    case "openrouter":
-      response = await fetchFromOpenRouter(data, apiKey);
-      break;
-    default:
-      throw new Error("Unsupported model provider");
+  try {
+    return await ApiService.getLLMResponse({
+      ...data,
+      signal: controller.signal,
+    });
+  } finally {
+    if (requestId) {
+      activeRequests.delete(requestId);
+    }
   }
+}
+
+/**
+ * Cancels an in-flight request
+ * @param {string} requestId - The ID passed to getLLMResponse
+ * @returns {boolean} - True if a request was cancelled
+ */
+function cancelLLMResponse(requestId) {
+  const controller = activeRequests.get(requestId);
+  if (!controller) return false;
 
-  return response;
+  controller.abort();
+  activeRequests.delete(requestId);
+  return true;
 }
 
 /**
- * Determines the provider from the model name
- * @param {string} model - The model name
- * @returns {string} - The provider name (openai, anthropic, mistral)
+ * Streams a response from the selected LLM API over a port
+ * @param {chrome.runtime.Port} port - The port to post stream events to
+ * @param {Object} data - Request data including messages, model, etc.
+ * @param {AbortController} controller - Controller used to cancel the request
+ * @returns {Promise<void>}
  */
-function getProviderFromModel(model) {
-  if (model.startsWith("gpt")) return "openai";
-  if (model.startsWith("claude")) return "anthropic";
-  if (model.startsWith("mistral")) return "mistral";
-  // For OpenRouter models, you can use a prefix or specific model identifiers
-  if (
-    model.startsWith("openrouter/") ||
-    model.includes("llama") ||
-    model.includes("gemini") ||
-    model.includes("meta") ||
-    model.includes("cohere") ||
-    model.includes("palm")
-  )
-    return "openrouter";
-  return "unknown";
+async function streamLLMResponse(port, data, controller) {
+  try {
+    const stream = ApiService.streamLLMResponse({
+      ...data,
+      signal: controller.signal,
+    });
+
+    for await (const event of stream) {
+      port.postMessage(event);
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      port.postMessage({
+        type: "error",
+        error: error.message,
+        name: error.name,
+      });
+    }
+  }
 }
 
 /**
- * Fetch response from OpenAI API
- * @param {Object} data - Request data
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<Object>} - The OpenAI response
+ * Starts a generation job and streams its events to the port
+ * @param {chrome.runtime.Port} port - The port of the page starting the job
+ * @param {Object} data - Job options with conversation, request and saveHistory
+ * @returns {Promise<void>}
  */
-async function fetchFromOpenAI(data, apiKey) {
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: data.model,
-      messages: data.messages,
-      temperature: data.temperature || 0.7,
-      max_tokens: data.maxTokens || 2048,
-    }),
-  });
+async function startJob(port, data) {
+  let job;
+  try {
+    await jobsReady;
+    job = await JobsService.createJob(data);
+  } catch (error) {
+    port.postMessage({ type: "error", error: error.message });
+    return;
+  }
+
+  const entry = {
+    controller: new AbortController(),
+    ports: new Set(),
+    content: "",
+    result: null,
+  };
+  runningJobs.set(job.id, entry);
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(
-      `OpenAI API Error: ${errorData.error?.message || "Unknown error"}`
-    );
+  listenOnPort(entry, port);
+  port.postMessage({ type: "job", jobId: job.id });
+
+  try {
+    for await (const event of JobsService.runJob(
+      job,
+      entry.controller.signal
+    )) {
+      if (event.type === "delta") {
+        entry.content += event.content;
+      } else if (event.type === "done") {
+        entry.result = event;
+      }
+
+      entry.ports.forEach((listener) => listener.postMessage(event));
+    }
+  } catch (error) {
+    entry.result = isAbortError(error)
+      ? { type: "stopped" }
+      : { type: "error", error: error.message, name: error.name };
+    entry.ports.forEach((listener) => listener.postMessage(entry.result));
+  } finally {
+    runningJobs.delete(job.id);
   }
 
-  return response.json();
+  // Nobody saw the outcome if every page listening has been closed
+  try {
+    if (entry.ports.size > 0) {
+      await JobsService.updateJob(job.id, { seen: true });
+    } else if (entry.result?.type === "done") {
+      await notifyJobFinished(job, entry.content);
+    }
+  } catch (error) {
+    console.error("Error finishing job:", error);
+  }
 }
 
 /**
- * Fetch response from Anthropic API
- * @param {Object} data - Request data
- * @param {string} apiKey - Anthropic API key
- * @returns {Promise<Object>} - The Anthropic response
+ * Streams a job's progress and outcome to a page that reopened
+ * @param {chrome.runtime.Port} port - The port of the reopened page
+ * @param {string} jobId - The job ID
+ * @returns {Promise<void>}
  */
-async function fetchFromAnthropic(data, apiKey) {
-  // Transform messages to Anthropic format
-  const systemPrompt =
-    data.messages.find((m) => m.role === "system")?.content || "";
-  const userMessages = data.messages.filter((m) => m.role !== "system");
-
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify({
-      model: data.model,
-      messages: userMessages,
-      system: systemPrompt,
-      max_tokens: data.maxTokens || 2048,
-      temperature: data.temperature || 0.7,
-    }),
-  });
+async function attachJob(port, jobId) {
+  await jobsReady;
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(
-      `Anthropic API Error: ${errorData.error?.message || "Unknown error"}`
-    );
+  const entry = runningJobs.get(jobId);
+  if (entry) {
+    if (entry.content) {
+      port.postMessage({ type: "delta", content: entry.content });
+    }
+
+    if (entry.result) {
+      port.postMessage(entry.result);
+    } else {
+      listenOnPort(entry, port);
+    }
+    return;
+  }
+
+  const job = await JobsService.getJob(jobId);
+  if (!job || job.status === JobsService.JOB_STATUS.RUNNING) {
+    port.postMessage({
+      type: "error",
+      error: "The request was interrupted before it finished",
+    });
+    return;
+  }
+
+  if (job.content) {
+    port.postMessage({ type: "delta", content: job.content });
+  }
+
+  if (job.status === JobsService.JOB_STATUS.DONE) {
+    port.postMessage({ type: "done", ...job.response });
+  } else if (job.status === JobsService.JOB_STATUS.STOPPED) {
+    port.postMessage({ type: "stopped" });
+  } else {
+    port.postMessage({ type: "error", error: job.error });
   }
 
-  return response.json();
+  await JobsService.updateJob(jobId, { seen: true });
 }
 
 /**
- * Fetch response from Mistral API
- * @param {Object} data - Request data
- * @param {string} apiKey - Mistral API key
- * @returns {Promise<Object>} - The Mistral response
+ * Adds a port to the listeners of a running job until it disconnects
+ * @param {Object} entry - The running job
+ * @param {chrome.runtime.Port} port - The port to add
  */
-async function fetchFromMistral(data, apiKey) {
-  const response = await fetch("https://api.mistral.ai/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: data.model,
-      messages: data.messages,
-      temperature: data.temperature || 0.7,
-      max_tokens: data.maxTokens || 2048,
-    }),
-  });
+function listenOnPort(entry, port) {
+  entry.ports.add(port);
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(
-      `Mistral API Error: ${errorData.error?.message || "Unknown error"}`
-    );
-  }
+  // Closing the page no longer cancels the request
+  port.onDisconnect.addListener(() => entry.ports.delete(port));
+}
 
-  return response.json();
+/**
+ * Stops a running generation job
+ * @param {string} jobId - The job ID
+ * @returns {boolean} - True if a job was stopped
+ */
+function cancelJob(jobId) {
+  const entry = runningJobs.get(jobId);
+  if (!entry) return false;
+
+  entry.controller.abort();
+  return true;
 }
 
 /**
- * Fetch response from OpenRouter API
- * @param {Object} data - Request data
- * @param {string} apiKey - OpenRouter API key
- * @returns {Promise<Object>} - The OpenRouter response
+ * Announces a finished job with a notification, if enabled
+ * @param {Object} job - The job
+ * @param {string} content - The generated answer
+ * @returns {Promise<void>}
  */
-async function fetchFromOpenRouter(data, apiKey) {
-  const response = await fetch(
-    "https://openrouter.ai/api/v1/chat/completions",
-    {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: data.model,
-        messages: data.messages,
-        temperature: data.temperature || 0.7,
-        max_tokens: data.maxTokens || 2048,
-      }),
-    }
-  );
+async function notifyJobFinished(job, content) {
+  // The notifications permission is optional
+  if (!chrome.notifications) return;
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(
-      `OpenRouter API Error: ${errorData.error?.message || "Unknown error"}`
-    );
-  }
+  const enabled = await SettingsService.getGlobalSetting(
+    "notifyOnCompletion",
+    false
+  );
+  if (!enabled) return;
 
-  return response.json();
+  chrome.notifications.create(job.id, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("assets/icons/icon128.png"),
+    title: "Sololom answered",
+    message: truncateString(content, 120) || "The answer is ready.",
+  });
 }
+
 /**
  * Saves a conversation to storage
+ *
+ * A conversation that is already stored is updated in place, matched by ID.
+ *
  * @param {Object} conversation - The conversation to save
  * @returns {Promise<void>}
  */
 async function saveConversation(conversation) {
-  // Add timestamp if not present
-  if (!conversation.timestamp) {
-    conversation.timestamp = Date.now();
-  }
-
-  // Get existing conversations
-  const { conversations, chatSettings } = await chrome.storage.sync.get([
-    "conversations",
-    "chatSettings",
-  ]);
-  const maxHistory = chatSettings.maxHistoryItems || 100;
-
-  // Add new conversation and limit to max history size
-  const updatedConversations = [conversation, ...conversations].slice(
-    0,
-    maxHistory
-  );
-
-  // Save updated conversations
-  await chrome.storage.sync.set({ conversations: updatedConversations });
+  await StorageService.saveConversation(conversation);
 }
@@ -8,10 +8,15 @@
 import * as ApiService from "../services/api.js";
 import * as StorageService from "../services/storage.js";
 import * as SettingsService from "../services/settings.js";
+import MessageBubble from "./MessageBubble.js";
+import { isAbortError } from "../utils/errorHandler.js";
+import { DEFAULT_MODEL_REF } from "../services/providers/modelRef.js";
+import { createAssistantMessage } from "../services/usage.js";
 import {
-  getProviderFromModel,
-  renderMarkdown,
-  showToast,
+  handleStoppedResponse,
+  setStopMode,
+  showContextWarning,
+  showRetryStatus,
 } from "../utils/helpers.js";
 
 export default class Chat {
@@ -45,11 +50,13 @@ export default class Chat {
     this.conversation = [];
     this.conversationId = options.conversationId || Date.now().toString();
     this.isProcessing = false;
+    this.abortController = null;
     this.chatSettings = {};
     this.globalSettings = {};
 
     // Bind methods
     this.sendMessage = this.sendMessage.bind(this);
+    this.handleSendButtonClick = this.handleSendButtonClick.bind(this);
     this.handleInputKeydown = this.handleInputKeydown.bind(this);
 
     // Initialize
@@ -90,7 +97,7 @@ export default class Chat {
       }
 
       // Add event listeners
-      this.sendButton.addEventListener("click", this.sendMessage);
+      this.sendButton.addEventListener("click", this.handleSendButtonClick);
       this.input.addEventListener("keydown", this.handleInputKeydown);
 
       // Auto-resize textarea if available
@@ -127,6 +134,27 @@ export default class Chat {
     }
   }
 
+  /**
+   * Handles clicks on the send button, which acts as a Stop button while
+   * a response is being generated
+   */
+  handleSendButtonClick() {
+    if (this.isProcessing) {
+      this.stopGeneration();
+    } else {
+      this.sendMessage();
+    }
+  }
+
+  /**
+   * Cancels the in-flight generation, if any
+   */
+  stopGeneration() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
   /**
    * Sends a message to the LLM
    */
@@ -136,7 +164,8 @@ export default class Chat {
     if (!userMessage || this.isProcessing) return;
 
     this.isProcessing = true;
-    this.sendButton.disabled = true;
+    this.abortController = new AbortController();
+    setStopMode(this.sendButton, true);
 
     // Clear input
     this.input.value = "";
@@ -153,6 +182,9 @@ export default class Chat {
     // Show typing indicator
     this.showTypingIndicator();
 
+    let assistantMessage = "";
+    let assistantBubble = null;
+
     try {
       // Prepare messages array with system prompt
       let messages = [];
@@ -165,27 +197,9 @@ export default class Chat {
         });
       }
 
-      // Add conversation history, respecting context window limit
-      let historyMessages = [...this.conversation];
-      const contextLimit = this.globalSettings.contextWindow;
-
-      if (contextLimit > 0 && historyMessages.length > contextLimit) {
-        // Keep system message if present
-        const systemMessage = historyMessages.find((m) => m.role === "system");
-
-        // Get the most recent messages up to the limit
-        historyMessages = historyMessages
-          .filter((m) => m.role !== "system")
-          .slice(-contextLimit);
-
-        // Add back the system message if it existed
-        if (systemMessage) {
-          historyMessages.unshift(systemMessage);
-        }
-      }
-
-      // Add filtered history
-      historyMessages.forEach((msg) => {
+      // Add conversation history, the API service trims it to the model's
+      // token limit
+      this.conversation.forEach((msg) => {
         messages.push({
           role: msg.role,
           content: msg.content,
@@ -204,40 +218,57 @@ export default class Chat {
         content: userMessage,
       });
 
-      // Call LLM API
-      const response = await ApiService.getLLMResponse({
-        model: this.chatSettings.model || "gpt-3.5-turbo",
+      // Stream the response from the LLM API
+      const stream = ApiService.streamLLMResponse({
+        model: this.chatSettings.model || DEFAULT_MODEL_REF,
         messages: messages,
         temperature: this.chatSettings.temperature || 0.7,
         maxTokens: this.chatSettings.maxTokens || 2048,
+        signal: this.abortController.signal,
       });
 
+      let response = null;
+
+      for await (const event of stream) {
+        if (event.type === "delta") {
+          assistantMessage += event.content;
+
+          // Replace the typing indicator with the bubble on the first token
+          if (!assistantBubble) {
+            this.removeTypingIndicator();
+            assistantBubble = this.addMessageToUI("assistant", "");
+          }
+
+          assistantBubble.updateContent(assistantMessage);
+          this.scrollToBottom();
+        } else if (event.type === "context") {
+          showContextWarning(this.messagesContainer, event.dropped);
+        } else if (event.type === "retry") {
+          showRetryStatus(this.messagesContainer, event);
+        } else if (event.type === "done") {
+          response = event;
+        }
+      }
+
       // Remove typing indicator
       this.removeTypingIndicator();
 
-      // Extract content from response based on provider
-      const provider = getProviderFromModel(this.chatSettings.model);
-      const assistantMessage = ApiService.extractContentFromResponse(
-        response,
-        provider
-      );
-
       if (assistantMessage) {
-        // Add assistant message to UI
-        this.addMessageToUI("assistant", assistantMessage);
+        if (response?.truncated) {
+          assistantBubble.markTruncated();
+        }
 
-        // Store in conversation
-        this.conversation.push({
-          role: "assistant",
-          content: assistantMessage,
-        });
+        // Store in conversation, with the usage the API reported
+        this.conversation.push(
+          createAssistantMessage(assistantMessage, response)
+        );
 
         // Callback when message is received
         if (this.options.onReceiveMessage) {
           this.options.onReceiveMessage(assistantMessage, response);
         }
 
-        // Save conversation if enabled
+        // Save conversation once the stream has completed
         if (
           this.options.saveHistory &&
           this.globalSettings.saveConversations !== false
@@ -248,8 +279,27 @@ export default class Chat {
         throw new Error("Invalid response format from API");
       }
     } catch (error) {
-      console.error("Error sending message:", error);
       this.removeTypingIndicator();
+
+      if (isAbortError(error)) {
+        const stopped = handleStoppedResponse(
+          assistantMessage,
+          assistantBubble,
+          this.globalSettings.partialResponses
+        );
+        if (stopped) {
+          this.conversation.push(stopped);
+          if (
+            this.options.saveHistory &&
+            this.globalSettings.saveConversations !== false
+          ) {
+            this.saveConversation();
+          }
+        }
+        return;
+      }
+
+      console.error("Error sending message:", error);
       this.displayErrorMessage(error.message || "An error occurred");
 
       if (this.options.onError) {
@@ -257,7 +307,8 @@ export default class Chat {
       }
     } finally {
       this.isProcessing = false;
-      this.sendButton.disabled = false;
+      this.abortController = null;
+      setStopMode(this.sendButton, false);
       this.input.focus();
     }
   }
@@ -267,24 +318,12 @@ export default class Chat {
    *
    * @param {string} role - 'user' or 'assistant'
    * @param {string} content - Message content
+   * @param {Object} options - Extra MessageBubble options (e.g. stopped, truncated)
+   * @returns {MessageBubble} - The rendered message bubble
    */
-  addMessageToUI(role, content) {
-    const messageElement = document.createElement("div");
-    messageElement.className = `message message-${role}`;
-
-    const bubbleElement = document.createElement("div");
-    bubbleElement.className = "message-bubble";
-
-    // Format content
-    if (role === "assistant") {
-      bubbleElement.innerHTML = renderMarkdown(content);
-    } else {
-      // For user messages, just replace newlines with <br>
-      bubbleElement.innerHTML = `<p>${content.replace(/\n/g, "<br>")}</p>`;
-    }
-
-    messageElement.appendChild(bubbleElement);
-    this.messagesContainer.appendChild(messageElement);
+  addMessageToUI(role, content, options = {}) {
+    const bubble = new MessageBubble({ ...options, role, content });
+    this.messagesContainer.appendChild(bubble.getElement());
 
     // Scroll to bottom
     this.scrollToBottom();
@@ -293,6 +332,8 @@ export default class Chat {
     if (role === "user" && this.options.onSendMessage) {
       this.options.onSendMessage(content);
     }
+
+    return bubble;
   }
 
   /**
@@ -366,7 +407,10 @@ export default class Chat {
     // Add messages
     this.conversation.forEach((msg) => {
       if (msg.role !== "system") {
-        this.addMessageToUI(msg.role, msg.content);
+        this.addMessageToUI(msg.role, msg.content, {
+          stopped: msg.stopped,
+          truncated: msg.truncated,
+        });
       }
     });
   }
@@ -554,7 +598,7 @@ export default class Chat {
    */
   destroy() {
     // Remove event listeners
-    this.sendButton.removeEventListener("click", this.sendMessage);
+    this.sendButton.removeEventListener("click", this.handleSendButtonClick);
     this.input.removeEventListener("keydown", this.handleInputKeydown);
 
     // Clean up auto-resize if enabled
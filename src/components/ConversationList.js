@@ -9,6 +9,7 @@ import {
   formatDate,
   truncateString,
   getModelDisplayName,
+  showToast,
 } from "../utils/helpers.js";
 
 export default class ConversationList {
@@ -18,7 +19,8 @@ export default class ConversationList {
    * @param {Object} options - Configuration options
    * @param {string} options.containerId - ID of the container element
    * @param {Function} options.onSelect - Callback when a conversation is selected
-   * @param {Function} options.onDelete - Callback when a conversation is deleted
+   * @param {Function} options.onDelete - Callback when a conversation is moved to the trash
+   * @param {Function} options.onRestore - Callback when a conversation is restored from the trash
    * @param {string} options.activeConversationId - ID of the active conversation
    * @param {boolean} options.enableSearch - Whether to show search box
    */
@@ -35,12 +37,19 @@ export default class ConversationList {
 
     // State
     this.conversations = [];
+    this.trash = [];
+    this.showingTrash = false;
     this.activeConversationId = options.activeConversationId || null;
     this.searchQuery = "";
+    // IDs of conversations whose messages match the search
+    this.messageMatches = new Set();
 
     // Bind methods
     this.handleSelect = this.handleSelect.bind(this);
     this.handleDelete = this.handleDelete.bind(this);
+    this.handleRestore = this.handleRestore.bind(this);
+    this.handlePermanentDelete = this.handlePermanentDelete.bind(this);
+    this.handleEmptyTrash = this.handleEmptyTrash.bind(this);
     this.handleSearch = this.handleSearch.bind(this);
 
     // Initialize
@@ -63,11 +72,14 @@ export default class ConversationList {
   }
 
   /**
-   * Loads conversations from storage
+   * Loads the conversation index from storage
+   *
+   * Only titles, snippets and counts are loaded; messages are read when a
+   * conversation is selected.
    */
   async loadConversations() {
     try {
-      this.conversations = await StorageService.getConversations();
+      this.conversations = await StorageService.getConversationIndex();
 
       // Sort by timestamp descending (newest first)
       this.conversations.sort((a, b) => b.timestamp - a.timestamp);
@@ -77,6 +89,32 @@ export default class ConversationList {
     }
   }
 
+  /**
+   * Loads the conversations in the trash
+   *
+   * Conversations past the retention period are purged first.
+   */
+  async loadTrash() {
+    try {
+      await StorageService.purgeTrash();
+      this.trash = await StorageService.getTrash();
+    } catch (error) {
+      console.error("Error loading trash:", error);
+      this.trash = [];
+    }
+  }
+
+  /**
+   * Switches between the conversations and the trash
+   *
+   * @param {boolean} show - Whether to list the trash
+   */
+  async showTrash(show = true) {
+    this.showingTrash = show;
+    if (show) await this.loadTrash();
+    this.render();
+  }
+
   /**
    * Renders the conversation list
    */
@@ -93,7 +131,9 @@ export default class ConversationList {
 
       const searchInput = document.createElement("input");
       searchInput.type = "text";
-      searchInput.placeholder = "Search conversations...";
+      searchInput.placeholder = this.showingTrash
+        ? "Search trash..."
+        : "Search conversations...";
       searchInput.value = this.searchQuery;
       searchInput.addEventListener("input", this.handleSearch);
 
@@ -102,43 +142,48 @@ export default class ConversationList {
     }
 
     // Filter conversations if search query exists
-    let filteredConversations = this.conversations;
+    const conversations = this.showingTrash ? this.trash : this.conversations;
+    let filteredConversations = conversations;
     if (this.searchQuery) {
       const query = this.searchQuery.toLowerCase();
-      filteredConversations = this.conversations.filter((conv) => {
-        // Search in title
-        if (conv.title && conv.title.toLowerCase().includes(query)) {
-          return true;
-        }
-
-        // Search in messages
-        if (conv.messages && conv.messages.length > 0) {
-          return conv.messages.some(
-            (msg) => msg.content && msg.content.toLowerCase().includes(query)
-          );
-        }
-
-        return false;
-      });
+      filteredConversations = conversations.filter(
+        (conv) =>
+          this.matchesIndexEntry(conv, query) ||
+          this.messageMatches.has(conv.id)
+      );
     }
 
     // Create list
     const listElement = document.createElement("div");
     listElement.className = "conversations-list";
 
+    if (this.showingTrash && this.trash.length > 0) {
+      const emptyTrashBtn = document.createElement("button");
+      emptyTrashBtn.className = "empty-trash-btn";
+      emptyTrashBtn.textContent = "Empty Trash";
+      emptyTrashBtn.addEventListener("click", this.handleEmptyTrash);
+      listElement.appendChild(emptyTrashBtn);
+    }
+
     if (filteredConversations.length === 0) {
       // Show empty state
       const emptyState = document.createElement("div");
       emptyState.className = "conversations-empty";
-      emptyState.textContent = this.searchQuery
-        ? "No conversations match your search"
-        : "No saved conversations yet";
+      if (this.searchQuery) {
+        emptyState.textContent = "No conversations match your search";
+      } else {
+        emptyState.textContent = this.showingTrash
+          ? "The trash is empty"
+          : "No saved conversations yet";
+      }
 
       listElement.appendChild(emptyState);
     } else {
       // Add conversations
       filteredConversations.forEach((conversation) => {
-        const item = this.createConversationItem(conversation);
+        const item = this.showingTrash
+          ? this.createTrashItem(conversation)
+          : this.createConversationItem(conversation);
         listElement.appendChild(item);
       });
     }
@@ -164,14 +209,8 @@ export default class ConversationList {
     // Get conversation title
     const title = conversation.title || "Untitled Conversation";
 
-    // Get the first user message content for the snippet
-    let snippet = "";
-    if (conversation.messages && conversation.messages.length > 0) {
-      const userMessage = conversation.messages.find((m) => m.role === "user");
-      if (userMessage) {
-        snippet = truncateString(userMessage.content, 60);
-      }
-    }
+    // The index keeps the first user message as the snippet
+    const snippet = truncateString(conversation.snippet, 60);
 
     // Get model name
     const modelName = getModelDisplayName(conversation.model);
@@ -179,20 +218,20 @@ export default class ConversationList {
     // Format date
     const dateStr = formatDate(conversation.timestamp, { relative: true });
 
-    // Create item HTML
-    item.innerHTML = `
-      <div class="conversation-header">
-        <div class="conversation-title">${title}</div>
-        <div class="conversation-actions">
-          <button class="delete-btn" title="Delete conversation">🗑️</button>
-        </div>
-      </div>
-      ${snippet ? `<div class="conversation-snippet">${snippet}</div>` : ""}
-      <div class="conversation-meta">
-        <span class="conversation-model">${modelName}</span>
-        <span class="conversation-date">${dateStr}</span>
-      </div>
-    `;
+    // Titles and snippets come from imports and model output, so they're
+    // set as text
+    const deleteBtn = this.createElement("button", "delete-btn", "🗑️");
+    deleteBtn.title = "Move to trash";
+    item.append(
+      this.createHeader(title, [deleteBtn]),
+      ...(snippet
+        ? [this.createElement("div", "conversation-snippet", snippet)]
+        : []),
+      this.createMeta([
+        this.createElement("span", "conversation-model", modelName),
+        this.createElement("span", "conversation-date", dateStr),
+      ])
+    );
 
     // Add event listeners
     item.addEventListener("click", (e) => {
@@ -202,23 +241,104 @@ export default class ConversationList {
       this.handleSelect(conversation.id);
     });
 
-    const deleteBtn = item.querySelector(".delete-btn");
-    if (deleteBtn) {
-      deleteBtn.addEventListener("click", (e) => {
-        e.stopPropagation();
-        this.handleDelete(conversation.id);
-      });
-    }
+    deleteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      this.handleDelete(conversation.id);
+    });
+
+    return item;
+  }
+
+  /**
+   * Creates an item for a conversation in the trash
+   *
+   * @param {Object} entry - Trash entry
+   * @returns {HTMLElement} - The trash item element
+   */
+  createTrashItem(entry) {
+    const item = document.createElement("div");
+    item.className = "conversation-item trashed";
+    item.dataset.id = entry.id;
+
+    const title = entry.title || "Untitled Conversation";
+    const dateStr = formatDate(entry.deletedAt, { relative: true });
+
+    const restoreBtn = this.createElement("button", "restore-btn", "↩️");
+    restoreBtn.title = "Restore conversation";
+    const deleteBtn = this.createElement("button", "delete-btn", "✖");
+    deleteBtn.title = "Delete forever";
+    item.append(
+      this.createHeader(title, [restoreBtn, deleteBtn]),
+      this.createMeta([
+        this.createElement("span", "conversation-date", `Deleted ${dateStr}`),
+      ])
+    );
+
+    restoreBtn.addEventListener("click", () => {
+      this.handleRestore(entry.id);
+    });
+    deleteBtn.addEventListener("click", () => {
+      this.handlePermanentDelete(entry.id);
+    });
 
     return item;
   }
 
+  /**
+   * Creates an element with its text
+   *
+   * @param {string} tag - The element's tag name
+   * @param {string} className - The element's class
+   * @param {string} [text] - The element's text, never parsed as HTML
+   * @returns {HTMLElement} - The element
+   */
+  createElement(tag, className, text = "") {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Creates the header of an item, with its title and action buttons
+   *
+   * @param {string} title - The conversation's title
+   * @param {Array<HTMLElement>} buttons - The action buttons
+   * @returns {HTMLElement} - The header element
+   */
+  createHeader(title, buttons) {
+    const actions = this.createElement("div", "conversation-actions");
+    actions.append(...buttons);
+
+    const header = this.createElement("div", "conversation-header");
+    header.append(
+      this.createElement("div", "conversation-title", title),
+      actions
+    );
+    return header;
+  }
+
+  /**
+   * Creates the line of details under an item
+   *
+   * @param {Array<HTMLElement>} parts - The details
+   * @returns {HTMLElement} - The meta element
+   */
+  createMeta(parts) {
+    const meta = this.createElement("div", "conversation-meta");
+    meta.append(...parts);
+    return meta;
+  }
+
   /**
    * Handles conversation selection
    *
+   * The conversation's messages are loaded from storage before the onSelect
+   * callback gets the full conversation.
+   *
    * @param {string} id - Conversation ID
    */
-  handleSelect(id) {
+  async handleSelect(id) {
     this.activeConversationId = id;
 
     // Update active class
@@ -233,7 +353,11 @@ export default class ConversationList {
 
     // Call onSelect callback if provided
     if (this.options.onSelect) {
-      const conversation = this.conversations.find((c) => c.id === id);
+      const conversation = await StorageService.getConversationById(id);
+
+      // Another conversation may have been selected in the meantime
+      if (!conversation || this.activeConversationId !== id) return;
+
       this.options.onSelect(conversation);
     }
   }
@@ -241,38 +365,151 @@ export default class ConversationList {
   /**
    * Handles conversation deletion
    *
+   * The conversation goes to the trash, and the toast offers to undo it.
+   *
    * @param {string} id - Conversation ID
    */
   async handleDelete(id) {
-    if (confirm("Are you sure you want to delete this conversation?")) {
-      try {
-        // Delete from storage
-        await StorageService.deleteConversation(id);
+    try {
+      // Move to the trash
+      await StorageService.trashConversation(id);
 
-        // Remove from list
-        this.conversations = this.conversations.filter((c) => c.id !== id);
+      // Remove from list
+      this.conversations = this.conversations.filter((c) => c.id !== id);
 
-        // Re-render the list
-        this.render();
+      // Re-render the list
+      this.render();
+
+      // Call onDelete callback if provided
+      if (this.options.onDelete) {
+        this.options.onDelete(id);
+      }
+
+      showToast("Conversation moved to trash", "info", 5000, {
+        label: "Undo",
+        onClick: () => this.handleRestore(id),
+      });
+    } catch (error) {
+      console.error("Error deleting conversation:", error);
+    }
+  }
 
-        // Call onDelete callback if provided
-        if (this.options.onDelete) {
-          this.options.onDelete(id);
-        }
-      } catch (error) {
-        console.error("Error deleting conversation:", error);
+  /**
+   * Handles restoring a conversation from the trash
+   *
+   * @param {string} id - Conversation ID
+   */
+  async handleRestore(id) {
+    try {
+      await StorageService.restoreConversation(id);
+
+      await this.loadConversations();
+      this.trash = this.trash.filter((c) => c.id !== id);
+      this.render();
+
+      // Call onRestore callback if provided
+      if (this.options.onRestore) {
+        this.options.onRestore(id);
       }
+    } catch (error) {
+      console.error("Error restoring conversation:", error);
+    }
+  }
+
+  /**
+   * Handles deleting a conversation in the trash for good
+   *
+   * @param {string} id - Conversation ID
+   */
+  async handlePermanentDelete(id) {
+    try {
+      await StorageService.deleteConversation(id);
+
+      this.trash = this.trash.filter((c) => c.id !== id);
+      this.render();
+    } catch (error) {
+      console.error("Error deleting conversation:", error);
+    }
+  }
+
+  /**
+   * Handles emptying the trash
+   */
+  async handleEmptyTrash() {
+    if (!confirm("Permanently delete every conversation in the trash?")) {
+      return;
+    }
+
+    try {
+      await StorageService.emptyTrash();
+
+      this.trash = [];
+      this.render();
+    } catch (error) {
+      console.error("Error emptying trash:", error);
     }
   }
 
   /**
    * Handles search input
    *
+   * Titles and snippets are matched right away, messages as their
+   * conversations are read.
+   *
    * @param {Event} event - Input event
+   * @returns {Promise<void>} - Resolves when the messages have been searched
    */
   handleSearch(event) {
     this.searchQuery = event.target.value.trim();
+    this.messageMatches = new Set();
     this.render();
+
+    return this.searchQuery
+      ? this.searchMessages(this.searchQuery)
+      : Promise.resolve();
+  }
+
+  /**
+   * Tells whether a conversation's title or snippet matches the search
+   *
+   * @param {Object} entry - Index entry of the conversation
+   * @param {string} query - The search, in lower case
+   * @returns {boolean} - True if either contains the search
+   */
+  matchesIndexEntry(entry, query) {
+    return [entry.title, entry.snippet].some(
+      (text) => text && text.toLowerCase().includes(query)
+    );
+  }
+
+  /**
+   * Searches the messages of the conversations the index doesn't match
+   *
+   * Conversations are read one at a time and each match is shown as it is
+   * found. A newer search stops this one.
+   *
+   * @param {string} searchQuery - The search
+   */
+  async searchMessages(searchQuery) {
+    const query = searchQuery.toLowerCase();
+    const entries = this.showingTrash ? this.trash : this.conversations;
+
+    for (const entry of entries) {
+      if (this.matchesIndexEntry(entry, query)) continue;
+
+      const conversation = await StorageService.getConversationById(entry.id);
+      if (this.searchQuery !== searchQuery) return;
+
+      const matches = (conversation?.messages || []).some(
+        (msg) =>
+          typeof msg.content === "string" &&
+          msg.content.toLowerCase().includes(query)
+      );
+      if (matches) {
+        this.messageMatches.add(entry.id);
+        this.render();
+      }
+    }
   }
 
   /**
@@ -280,6 +517,7 @@ export default class ConversationList {
    */
   async refresh() {
     await this.loadConversations();
+    if (this.showingTrash) await this.loadTrash();
     this.render();
   }
 
@@ -305,17 +543,17 @@ export default class ConversationList {
   /**
    * Gets all loaded conversations
    *
-   * @returns {Array} - Array of conversations
+   * @returns {Array} - Index entries of the conversations, without messages
    */
   getConversations() {
     return [...this.conversations];
   }
 
   /**
-   * Gets a conversation by ID
+   * Gets a loaded conversation by ID
    *
    * @param {string} id - Conversation ID
-   * @returns {Object|null} - The conversation or null if not found
+   * @returns {Object|null} - The index entry or null if not found
    */
   getConversationById(id) {
     return this.conversations.find((c) => c.id === id) || null;
@@ -324,13 +562,13 @@ export default class ConversationList {
   /**
    * Updates a conversation in the list
    *
-   * @param {Object} conversation - Updated conversation data
+   * @param {Object} conversation - Updated conversation or index entry
    */
   updateConversation(conversation) {
     const index = this.conversations.findIndex((c) => c.id === conversation.id);
 
     if (index !== -1) {
-      this.conversations[index] = conversation;
+      this.conversations[index] = this.toIndexEntry(conversation);
       this.render();
     }
   }
@@ -338,20 +576,34 @@ export default class ConversationList {
   /**
    * Adds a new conversation to the list
    *
-   * @param {Object} conversation - Conversation data
+   * @param {Object} conversation - Conversation or index entry
    */
   addConversation(conversation) {
+    const entry = this.toIndexEntry(conversation);
+
     // Check if conversation already exists
-    const index = this.conversations.findIndex((c) => c.id === conversation.id);
+    const index = this.conversations.findIndex((c) => c.id === entry.id);
 
     if (index !== -1) {
       // Update existing conversation
-      this.conversations[index] = conversation;
+      this.conversations[index] = entry;
     } else {
       // Add new conversation
-      this.conversations.unshift(conversation);
+      this.conversations.unshift(entry);
     }
 
     this.render();
   }
+
+  /**
+   * Reduces a full conversation to the entry the list keeps
+   *
+   * @param {Object} conversation - Conversation or index entry
+   * @returns {Object} - The index entry
+   */
+  toIndexEntry(conversation) {
+    return conversation.messages
+      ? StorageService.createIndexEntry(conversation)
+      : conversation;
+  }
 }
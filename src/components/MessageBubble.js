@@ -6,6 +6,9 @@
 
 import { renderMarkdown } from "../utils/helpers.js";
 
+// Status shown under answers that ran out of tokens
+const TRUNCATED_STATUS = "Cut off at the token limit";
+
 export default class MessageBubble {
   /**
    * Creates a new MessageBubble instance
@@ -14,6 +17,8 @@ export default class MessageBubble {
    * @param {string} options.role - Message role ('user' or 'assistant')
    * @param {string} options.content - Message content
    * @param {boolean} options.enableCopy - Whether to show copy button
+   * @param {boolean} options.stopped - Whether generation was stopped early
+   * @param {boolean} options.truncated - Whether the answer hit the token limit
    * @param {Function} options.onCopy - Callback when message is copied
    */
   constructor(options) {
@@ -64,9 +69,34 @@ export default class MessageBubble {
     // Add bubble to message container
     messageElement.appendChild(bubbleElement);
 
+    // Flag answers that were cut short by the user
+    if (this.options.stopped) {
+      messageElement.classList.add("message-stopped");
+      messageElement.appendChild(this.createStatusElement("Stopped"));
+    }
+
+    // Flag answers that ran out of tokens
+    if (this.options.truncated) {
+      messageElement.classList.add("message-truncated");
+      messageElement.appendChild(this.createStatusElement(TRUNCATED_STATUS));
+    }
+
     return messageElement;
   }
 
+  /**
+   * Creates a small status label shown below the bubble
+   *
+   * @param {string} text - Status text
+   * @returns {HTMLElement} - The status element
+   */
+  createStatusElement(text) {
+    const statusElement = document.createElement("span");
+    statusElement.className = "message-status";
+    statusElement.textContent = text;
+    return statusElement;
+  }
+
   /**
    * Copies the message content to clipboard
    */
@@ -126,6 +156,28 @@ export default class MessageBubble {
     this.options.content = content;
   }
 
+  /**
+   * Marks the message as stopped before the answer was complete
+   */
+  markStopped() {
+    if (this.options.stopped) return;
+
+    this.options.stopped = true;
+    this.element.classList.add("message-stopped");
+    this.element.appendChild(this.createStatusElement("Stopped"));
+  }
+
+  /**
+   * Marks the message as cut off at the model's token limit
+   */
+  markTruncated() {
+    if (this.options.truncated) return;
+
+    this.options.truncated = true;
+    this.element.classList.add("message-truncated");
+    this.element.appendChild(this.createStatusElement(TRUNCATED_STATUS));
+  }
+
   /**
    * Adds a reaction to the message
    *
@@ -6,7 +6,12 @@
 
 import * as ApiService from "@/services/api.js";
 import * as SettingsService from "@/services/settings.js";
-import { getProviderFromModel } from "@/utils/helpers.js";
+import { getProvider, getProviders } from "@/services/providers/index.js";
+import {
+  DEFAULT_MODEL_REF,
+  createModelRef,
+  toModelRef,
+} from "@/services/providers/modelRef.js";
 
 export default class ModelSelector {
   /**
@@ -15,7 +20,7 @@ export default class ModelSelector {
    * @param {Object} options - Configuration options
    * @param {string} options.containerId - ID of the container element
    * @param {Function} options.onChange - Callback when model is changed
-   * @param {string} options.initialModel - Initial model selection
+   * @param {string} options.initialModel - Initial model reference
    * @param {boolean} options.showProviderIcons - Whether to show provider icons
    * @param {Array} options.groupByProvider - Whether to group models by provider
    */
@@ -27,7 +32,7 @@ export default class ModelSelector {
     };
 
     this.container = document.getElementById(options.containerId);
-    this.selectedModel = options.initialModel || "gpt-3.5-turbo";
+    this.selectedModel = toModelRef(options.initialModel) || DEFAULT_MODEL_REF;
 
     // State
     this.models = [];
@@ -49,8 +54,11 @@ export default class ModelSelector {
       const globalSettings = await SettingsService.getGlobalSettings();
       this.providerApiKeys = globalSettings.apiKeys || {};
 
-      // Get all available models
-      this.models = ApiService.getAllAvailableModels();
+      // Register custom endpoints so their models are listed too
+      await ApiService.loadCustomEndpoints();
+
+      // Get all available models from the cached catalog
+      this.models = await ApiService.getAllAvailableModels();
 
       // Render the selector
       this.render();
@@ -74,35 +82,33 @@ export default class ModelSelector {
     select.addEventListener("change", this.handleChange);
 
     if (this.options.groupByProvider) {
-      // Group models by provider
-      const providers = {
-        openai: { name: "OpenAI", models: [] },
-        anthropic: { name: "Anthropic", models: [] },
-        mistral: { name: "Mistral", models: [] },
-        openrouter: { name: "OpenRouter", models: [] }, // Add this line
-      };
+      // Group models by provider, in registry order
+      const providers = new Map(
+        getProviders().map((provider) => [
+          provider.id,
+          { name: provider.name, models: [] },
+        ])
+      );
 
       // Categorize models by provider
       this.models.forEach((model) => {
-        if (providers[model.provider]) {
-          providers[model.provider].models.push(model);
+        if (providers.has(model.provider)) {
+          providers.get(model.provider).models.push(model);
         }
       });
 
       // Create option groups
-      Object.entries(providers).forEach(([providerId, provider]) => {
+      providers.forEach((provider, providerId) => {
         if (provider.models.length > 0) {
           const group = document.createElement("optgroup");
           group.label = provider.name;
 
           // Check if provider has API key
-          const hasApiKey =
-            this.providerApiKeys[providerId] &&
-            this.providerApiKeys[providerId].trim() !== "";
+          const hasApiKey = this.hasApiKey(providerId);
 
           provider.models.forEach((model) => {
             const option = document.createElement("option");
-            option.value = model.id;
+            option.value = createModelRef(providerId, model.id);
             option.text = model.name;
             option.disabled = !hasApiKey;
 
@@ -110,7 +116,7 @@ export default class ModelSelector {
               option.text += " (API key required)";
             }
 
-            if (model.id === this.selectedModel) {
+            if (option.value === this.selectedModel) {
               option.selected = true;
             }
 
@@ -124,14 +130,11 @@ export default class ModelSelector {
       // Flat list of models
       this.models.forEach((model) => {
         const option = document.createElement("option");
-        option.value = model.id;
+        option.value = createModelRef(model.provider, model.id);
         option.text = model.name;
 
         // Check if provider has API key
-        const provider = getProviderFromModel(model.id);
-        const hasApiKey =
-          this.providerApiKeys[provider] &&
-          this.providerApiKeys[provider].trim() !== "";
+        const hasApiKey = this.hasApiKey(model.provider);
 
         option.disabled = !hasApiKey;
 
@@ -139,7 +142,7 @@ export default class ModelSelector {
           option.text += " (API key required)";
         }
 
-        if (model.id === this.selectedModel) {
+        if (option.value === this.selectedModel) {
           option.selected = true;
         }
 
@@ -156,6 +159,22 @@ export default class ModelSelector {
     }
   }
 
+  /**
+   * Checks whether a provider can be used with the configured API keys
+   *
+   * @param {string} providerId - Provider id
+   * @returns {boolean} - True if the provider has a key or doesn't need one
+   */
+  hasApiKey(providerId) {
+    const provider = getProvider(providerId);
+    if (provider && (provider.requiresApiKey === false || provider.apiKey)) {
+      return true;
+    }
+
+    const apiKey = this.providerApiKeys[providerId];
+    return Boolean(apiKey && apiKey.trim() !== "");
+  }
+
   /**
    * Adds CSS for provider icons
    */
@@ -165,21 +184,21 @@ export default class ModelSelector {
       const style = document.createElement("style");
       style.id = "model-selector-styles";
       style.textContent = `
-        .model-select option[value^="gpt"] {
+        .model-select option[value^="openai:"] {
           background-image: url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16"><path d="M8 0C3.6 0 0 3.6 0 8s3.6 8 8 8 8-3.6 8-8-3.6-8-8-8zm0 14c-3.3 0-6-2.7-6-6s2.7-6 6-6 6 2.7 6 6-2.7 6-6 6z" fill="%2310a37f"/></svg>');
           background-repeat: no-repeat;
           background-position: 5px center;
           padding-left: 25px;
         }
         
-        .model-select option[value^="claude"] {
+        .model-select option[value^="anthropic:"] {
           background-image: url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16"><path d="M8 0C3.6 0 0 3.6 0 8s3.6 8 8 8 8-3.6 8-8-3.6-8-8-8zm0 14c-3.3 0-6-2.7-6-6s2.7-6 6-6 6 2.7 6 6-2.7 6-6 6z" fill="%23a100ff"/></svg>');
           background-repeat: no-repeat;
           background-position: 5px center;
           padding-left: 25px;
         }
         
-        .model-select option[value^="mistral"] {
+        .model-select option[value^="mistral:"] {
           background-image: url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16"><path d="M8 0C3.6 0 0 3.6 0 8s3.6 8 8 8 8-3.6 8-8-3.6-8-8-8zm0 14c-3.3 0-6-2.7-6-6s2.7-6 6-6 6 2.7 6 6-2.7 6-6 6z" fill="%230056b3"/></svg>');
           background-repeat: no-repeat;
           background-position: 5px center;
@@ -208,7 +227,7 @@ export default class ModelSelector {
   /**
    * Gets the currently selected model
    *
-   * @returns {string} - Selected model ID
+   * @returns {string} - Selected model reference
    */
   getSelectedModel() {
     return this.selectedModel;
@@ -217,25 +236,26 @@ export default class ModelSelector {
   /**
    * Sets the selected model
    *
-   * @param {string} modelId - Model ID to select
+   * @param {string} model - Model reference to select
    */
-  setSelectedModel(modelId) {
-    this.selectedModel = modelId;
+  setSelectedModel(model) {
+    this.selectedModel = toModelRef(model);
 
     // Update the select element
     const select = this.container.querySelector("select");
     if (select) {
-      select.value = modelId;
+      select.value = this.selectedModel;
     }
   }
 
   /**
    * Updates the available models
    *
-   * @param {Array} models - New models array
+   * @param {Array} [models] - New models array, reloaded from the catalog if omitted
+   * @returns {Promise<void>}
    */
-  updateModels(models) {
-    this.models = models;
+  async updateModels(models) {
+    this.models = models || (await ApiService.getAllAvailableModels());
     this.render();
   }
 
@@ -6,6 +6,10 @@
 
 import * as SettingsService from "../services/settings.js";
 import { showToast } from "../utils/helpers.js";
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  createDefaultChatSettings,
+} from "../services/schema.js";
 
 export default class SettingsModal {
   /**
@@ -166,7 +170,7 @@ export default class SettingsModal {
     // Set system prompt textarea
     if (this.elements.systemPromptInput) {
       this.elements.systemPromptInput.value =
-        this.settings.systemPrompt || "You are a helpful assistant.";
+        this.settings.systemPrompt || DEFAULT_SYSTEM_PROMPT;
     }
   }
 
@@ -254,10 +258,7 @@ export default class SettingsModal {
   async handleReset() {
     // Get default chat settings
     const defaultSettings = {
-      model: "gpt-3.5-turbo",
-      temperature: 0.7,
-      maxTokens: 2048,
-      systemPrompt: "You are a helpful assistant.",
+      ...createDefaultChatSettings(),
       title: this.settings.title || "New Conversation",
     };
 
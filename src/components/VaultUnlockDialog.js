@@ -0,0 +1,134 @@
+/**
+ * Vault Unlock Dialog Component
+ *
+ * Asks for the passphrase of the encrypted API keys before a request needs
+ * them
+ */
+
+import * as KeyVault from "../services/vault.js";
+
+export default class VaultUnlockDialog {
+  /**
+   * Creates a new VaultUnlockDialog instance
+   *
+   * @param {Object} options - Configuration options
+   * @param {string} options.modalId - ID of the modal element
+   */
+  constructor(options) {
+    this.modal = document.getElementById(options.modalId);
+    if (!this.modal) {
+      throw new Error(`Modal element with ID "${options.modalId}" not found`);
+    }
+
+    // Resolves the pending prompt, if any
+    this.resolvePrompt = null;
+
+    // Cache DOM elements
+    this.passphraseInput = this.modal.querySelector("input[type='password']");
+    this.errorText = this.modal.querySelector(".vault-error");
+    this.unlockBtn = this.modal.querySelector(".unlock-btn");
+    this.cancelBtn = this.modal.querySelector(".cancel-btn");
+    this.closeBtn = this.modal.querySelector(".close-btn");
+
+    // Bind methods
+    this.handleUnlock = this.handleUnlock.bind(this);
+    this.handleCancel = this.handleCancel.bind(this);
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+
+    this.addEventListeners();
+  }
+
+  /**
+   * Adds event listeners
+   */
+  addEventListeners() {
+    this.unlockBtn.addEventListener("click", this.handleUnlock);
+    this.cancelBtn.addEventListener("click", this.handleCancel);
+    this.closeBtn?.addEventListener("click", this.handleCancel);
+    this.passphraseInput.addEventListener("keydown", this.handleKeyDown);
+  }
+
+  /**
+   * Asks for the passphrase if the API keys are locked
+   *
+   * @returns {Promise<boolean>} - True once the keys can be used
+   */
+  async ensureUnlocked() {
+    const { enabled, unlocked } = await KeyVault.getVaultStatus();
+    if (!enabled || unlocked) return true;
+
+    return this.prompt();
+  }
+
+  /**
+   * Shows the dialog
+   *
+   * @returns {Promise<boolean>} - True if the vault was unlocked, false if cancelled
+   */
+  prompt() {
+    // A second prompt replaces the first one
+    this.close(false);
+
+    this.passphraseInput.value = "";
+    this.errorText.textContent = "";
+    this.modal.style.display = "block";
+    this.passphraseInput.focus();
+
+    return new Promise((resolve) => {
+      this.resolvePrompt = resolve;
+    });
+  }
+
+  /**
+   * Hides the dialog and settles the pending prompt
+   *
+   * @param {boolean} unlocked - Whether the vault was unlocked
+   */
+  close(unlocked) {
+    this.modal.style.display = "none";
+    this.passphraseInput.value = "";
+
+    const resolve = this.resolvePrompt;
+    this.resolvePrompt = null;
+    resolve?.(unlocked);
+  }
+
+  /**
+   * Handles the unlock button
+   *
+   * @returns {Promise<void>}
+   */
+  async handleUnlock() {
+    this.unlockBtn.disabled = true;
+    this.errorText.textContent = "";
+
+    try {
+      await KeyVault.unlockVault(this.passphraseInput.value);
+      this.close(true);
+    } catch (error) {
+      this.errorText.textContent = error.message;
+      this.passphraseInput.select();
+    } finally {
+      this.unlockBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Handles the cancel and close buttons
+   */
+  handleCancel() {
+    this.close(false);
+  }
+
+  /**
+   * Unlocks when Enter is pressed in the passphrase field
+   *
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  handleKeyDown(e) {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      this.handleUnlock();
+    }
+  }
+}
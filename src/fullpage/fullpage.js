@@ -2,7 +2,45 @@
  * Sololom - Full Page Chat Script
  * Handles the full page chat UI and functionality
  */
-import { getModelDisplayName } from "@/utils/helpers.js";
+import * as ApiService from "@/services/api.js";
+import * as StorageService from "@/services/storage.js";
+import * as StorageUsage from "@/services/storageUsage.js";
+import { getConfiguredProviders } from "@/services/vault.js";
+import { DEFAULT_MODEL_REF } from "@/services/providers/modelRef.js";
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  createDefaultChatSettings,
+  validateChatSettings,
+  validateGlobalSettings,
+} from "@/services/schema.js";
+import {
+  createAssistantMessage,
+  getConversationUsage,
+  getModelPrices,
+} from "@/services/usage.js";
+import {
+  fillModelSelect,
+  formatCost,
+  formatTokenCount,
+  formatDate,
+  getModelDisplayName,
+  getProviderFromModel,
+  handleStoppedResponse,
+  parseHandoffHash,
+  setStopMode,
+  showContextWarning,
+  showRetryStatus,
+  showToast,
+  truncateString,
+} from "@/utils/helpers.js";
+import MessageBubble from "@/components/MessageBubble.js";
+import VaultUnlockDialog from "@/components/VaultUnlockDialog.js";
+import { streamFromBackground } from "@/utils/messaging.js";
+import {
+  isAbortError,
+  isStorageQuotaError,
+  isVaultLockedError,
+} from "@/utils/errorHandler.js";
 // DOM Elements
 const chatMessages = document.getElementById("chatMessages");
 const userInput = document.getElementById("userInput");
@@ -10,15 +48,20 @@ const sendBtn = document.getElementById("sendBtn");
 const modelSelect = document.getElementById("modelSelect");
 const chatTitle = document.getElementById("chatTitle");
 const modelLabel = document.getElementById("modelLabel");
+const usageTotal = document.getElementById("usageTotal");
 const clearChatBtn = document.getElementById("clearChatBtn");
 const exportChatBtn = document.getElementById("exportChatBtn");
 const chatSettingsBtn = document.getElementById("chatSettingsBtn");
 const toggleSidebarBtn = document.getElementById("toggleSidebarBtn");
 const settingsBtn = document.getElementById("settingsBtn");
+const usageBtn = document.getElementById("usageBtn");
 const aboutBtn = document.getElementById("aboutBtn");
 const donateBtn = document.getElementById("donateBtn");
 const newChatBtn = document.getElementById("newChatBtn");
 const conversationsList = document.getElementById("conversationsList");
+const conversationsHeading = document.getElementById("conversationsHeading");
+const trashBtn = document.getElementById("trashBtn");
+const archiveBtn = document.getElementById("archiveBtn");
 
 // Chat Settings Modal
 const chatSettingsModal = document.getElementById("chatSettingsModal");
@@ -31,13 +74,44 @@ const systemPromptInput = document.getElementById("systemPromptInput");
 const resetChatSettingsBtn = document.getElementById("resetChatSettingsBtn");
 const saveChatSettingsBtn = document.getElementById("saveChatSettingsBtn");
 
+// Asks for the passphrase of encrypted API keys
+const unlockDialog = new VaultUnlockDialog({ modalId: "unlockVaultModal" });
+
 // State
 let conversation = [];
+// Index entries of the saved conversations, without their messages
 let conversations = [];
+// The open conversation, with its messages
+let currentConversation = null;
 let currentConversationId = null;
 let isProcessing = false;
+let abortController = null;
 let chatSettings = {};
 let globalSettings = {};
+// Level of the last storage warning shown, see storeConversation
+let storageWarningLevel = null;
+// What the sidebar lists: "conversations", "trash" or "archive"
+let sidebarView = "conversations";
+
+// Conversations taken out of the list, shown instead of it in the sidebar
+const SIDEBAR_VIEWS = {
+  trash: {
+    title: "Trash",
+    empty: "The trash is empty",
+    label: "Deleted",
+    stamp: "deletedAt",
+    load: StorageService.getTrash,
+    restore: StorageService.restoreConversation,
+  },
+  archive: {
+    title: "Archive",
+    empty: "No archived conversations",
+    label: "Archived",
+    stamp: "archivedAt",
+    load: StorageService.getArchive,
+    restore: StorageService.unarchiveConversation,
+  },
+};
 
 // Auto-resize textarea
 userInput.addEventListener("input", function () {
@@ -50,6 +124,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Load settings
   await loadSettings();
 
+  // Fill the model dropdown from the model catalog
+  await renderModelOptions();
+
   // Apply theme and appearance settings
   document.body.setAttribute("data-theme", globalSettings.theme || "light");
   document.body.setAttribute(
@@ -64,27 +141,45 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Load conversations
   await loadConversations();
 
-  // Check if there are saved conversations
-  if (conversations.length > 0) {
+  // The popup can hand over its conversation and unsent text
+  const handoff = parseHandoffHash(window.location.hash);
+  if (window.location.hash) {
+    history.replaceState(null, "", window.location.pathname);
+  }
+
+  // An unsaved conversation comes through session storage
+  const unsaved =
+    handoff.conversationId &&
+    (await StorageService.takeHandoffConversation(handoff.conversationId));
+  if (unsaved) {
+    showConversation(unsaved);
+  } else if (conversations.some((conv) => conv.id === handoff.conversationId)) {
+    await loadConversation(handoff.conversationId);
+  } else if (conversations.length > 0) {
     // Load the most recent conversation
-    loadConversation(conversations[0].id);
+    await loadConversation(conversations[0].id);
   } else {
     // Start a new conversation
     startNewConversation();
   }
 
-  // Set model select value
-  modelSelect.value = chatSettings.model || "gpt-3.5-turbo";
+  // Select the current model
+  modelSelect.value = chatSettings.model || DEFAULT_MODEL_REF;
   modelLabel.textContent = getModelDisplayName(modelSelect.value);
 
   // Set chat settings form values
   populateChatSettingsForm();
 
+  if (handoff.draft) {
+    userInput.value = handoff.draft;
+    userInput.dispatchEvent(new Event("input"));
+    userInput.focus();
+  }
+
   // Check if API key is set
   const provider = getProviderFromModel(modelSelect.value);
-  const apiKey = globalSettings.apiKeys?.[provider];
 
-  if (!apiKey) {
+  if (!getConfiguredProviders(globalSettings).includes(provider)) {
     displayErrorMessage(
       "API key not set for the selected model. Please configure in settings."
     );
@@ -104,11 +199,21 @@ userInput.addEventListener("keydown", (e) => {
   }
 });
 
-sendBtn.addEventListener("click", sendMessage);
+sendBtn.addEventListener("click", () => {
+  // The send button doubles as a Stop button while generating
+  if (isProcessing) {
+    stopGeneration();
+  } else {
+    sendMessage();
+  }
+});
 clearChatBtn.addEventListener("click", clearChat);
 exportChatBtn.addEventListener("click", exportChat);
-newChatBtn.addEventListener("click", startNewConversation);
+newChatBtn.addEventListener("click", () => startNewConversation());
+trashBtn.addEventListener("click", () => toggleSidebarView("trash"));
+archiveBtn.addEventListener("click", () => toggleSidebarView("archive"));
 settingsBtn.addEventListener("click", openSettings);
+usageBtn.addEventListener("click", openUsagePage);
 aboutBtn.addEventListener("click", openAboutPage);
 donateBtn.addEventListener("click", openDonatePage);
 
@@ -128,9 +233,8 @@ toggleSidebarBtn.addEventListener("click", () => {
 modelSelect.addEventListener("change", () => {
   // Check if API key is set for selected model
   const provider = getProviderFromModel(modelSelect.value);
-  const apiKey = globalSettings.apiKeys?.[provider];
 
-  if (!apiKey) {
+  if (!getConfiguredProviders(globalSettings).includes(provider)) {
     displayErrorMessage(
       "API key not set for selected model. Please configure in settings."
     );
@@ -192,10 +296,7 @@ saveChatSettingsBtn.addEventListener("click", () => {
 // Reset chat settings to defaults
 resetChatSettingsBtn.addEventListener("click", () => {
   const defaultChatSettings = {
-    model: "gpt-3.5-turbo",
-    temperature: 0.7,
-    maxTokens: 2048,
-    systemPrompt: "You are a helpful assistant.",
+    ...createDefaultChatSettings(),
     title: chatSettings.title || "New Conversation",
   };
 
@@ -214,43 +315,33 @@ resetChatSettingsBtn.addEventListener("click", () => {
  * Loads settings from storage
  */
 async function loadSettings() {
-  const result = await chrome.storage.sync.get([
-    "globalSettings",
-    "chatSettings",
-  ]);
+  const result = await StorageService.getStoredSettings();
 
-  if (result.globalSettings) {
-    globalSettings = result.globalSettings;
-  } else {
-    globalSettings = {
-      theme: "light",
-      defaultModel: "gpt-3.5-turbo",
-      apiKeys: {},
-      fontSize: "medium",
-      compactMode: false,
-      contextWindow: 0,
-    };
-  }
+  // Missing settings fall back to their defaults, new chats start with
+  // the default model
+  globalSettings = validateGlobalSettings(result.globalSettings);
+  chatSettings = validateChatSettings(
+    result.chatSettings || { model: globalSettings.defaultModel }
+  );
+}
 
-  if (result.chatSettings) {
-    chatSettings = result.chatSettings;
-  } else {
-    chatSettings = {
-      model: globalSettings.defaultModel || "gpt-3.5-turbo",
-      temperature: 0.7,
-      maxTokens: 2048,
-      systemPrompt: "You are a helpful assistant.",
-      title: "New Conversation",
-    };
-  }
+/**
+ * Fills the model dropdown from the model catalog
+ */
+async function renderModelOptions() {
+  await ApiService.loadCustomEndpoints();
+  const models = await ApiService.getAllAvailableModels();
+
+  fillModelSelect(modelSelect, models, chatSettings.model || DEFAULT_MODEL_REF);
 }
 
 /**
- * Loads saved conversations from storage
+ * Loads the index of saved conversations from storage
+ *
+ * Messages are only read for the conversation that is opened.
  */
 async function loadConversations() {
-  const result = await chrome.storage.sync.get("conversations");
-  conversations = result.conversations || [];
+  conversations = await StorageService.getConversationIndex();
 
   // Update conversations list in sidebar
   updateConversationsList();
@@ -260,6 +351,8 @@ async function loadConversations() {
  * Updates the conversations list in the sidebar
  */
 function updateConversationsList() {
+  if (sidebarView !== "conversations") return;
+
   conversationsList.innerHTML = "";
 
   conversations.forEach((conv) => {
@@ -268,56 +361,264 @@ function updateConversationsList() {
     if (currentConversationId === conv.id) {
       item.classList.add("active");
     }
+    if (conv.pinned) {
+      item.classList.add("pinned");
+    }
 
     // Get conversation title
     const title = conv.title || "Untitled Conversation";
 
-    // Get the first message content for the snippet
-    let snippet = "";
-    if (conv.messages && conv.messages.length > 0) {
-      const userMessage = conv.messages.find((m) => m.role === "user");
-      if (userMessage) {
-        snippet =
-          userMessage.content.substring(0, 40) +
-          (userMessage.content.length > 40 ? "..." : "");
-      }
-    }
+    // The index keeps the first user message as the snippet
+    const snippet = truncateString(conv.snippet || "", 40);
 
     // Format date
     const date = new Date(conv.timestamp).toLocaleDateString();
 
-    item.innerHTML = `
-      <div class="conversation-title">${title}</div>
-      ${snippet ? `<div class="conversation-snippet">${snippet}</div>` : ""}
-      <div class="conversation-date">${date}</div>
-    `;
+    // Titles and snippets come from imports and model output, so they're
+    // set as text
+    const pinBtn = createSidebarElement("button", "pin-btn", "📌");
+    pinBtn.title = conv.pinned ? "Unpin" : "Pin, so retention rules keep it";
+    const deleteBtn = createSidebarElement("button", "delete-btn", "🗑️");
+    deleteBtn.title = "Move to trash";
+
+    const actions = createSidebarElement("div", "conversation-actions");
+    actions.append(pinBtn, deleteBtn);
+    const header = createSidebarElement("div", "conversation-header");
+    header.append(
+      createSidebarElement("div", "conversation-title", title),
+      actions
+    );
+
+    item.appendChild(header);
+    if (snippet) {
+      item.appendChild(
+        createSidebarElement("div", "conversation-snippet", snippet)
+      );
+    }
+    item.appendChild(createSidebarElement("div", "conversation-date", date));
 
     item.addEventListener("click", () => {
       loadConversation(conv.id);
     });
 
+    pinBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      togglePinned(conv);
+    });
+
+    deleteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      deleteConversation(conv.id);
+    });
+
+    conversationsList.appendChild(item);
+  });
+}
+
+/**
+ * Creates an element of the sidebar with its text
+ *
+ * @param {string} tag - The element's tag name
+ * @param {string} className - The element's class
+ * @param {string} [text] - The element's text, never parsed as HTML
+ * @returns {HTMLElement} - The element
+ */
+function createSidebarElement(tag, className, text = "") {
+  const element = document.createElement(tag);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Switches the sidebar between the conversations and the trash or archive
+ *
+ * @param {string} view - "trash" or "archive"; showing it again goes back to the conversations
+ */
+async function toggleSidebarView(view) {
+  sidebarView = sidebarView === view ? "conversations" : view;
+  trashBtn.classList.toggle("active", sidebarView === "trash");
+  archiveBtn.classList.toggle("active", sidebarView === "archive");
+  conversationsHeading.textContent =
+    SIDEBAR_VIEWS[sidebarView]?.title || "Conversations";
+
+  if (sidebarView === "conversations") {
+    updateConversationsList();
+  } else {
+    await renderSetAsideList();
+  }
+}
+
+/**
+ * Lists the deleted or archived conversations in the sidebar
+ */
+async function renderSetAsideList() {
+  const view = SIDEBAR_VIEWS[sidebarView];
+
+  // Don't show conversations that are already due to be purged
+  if (sidebarView === "trash") await StorageService.purgeTrash();
+  const entries = await view.load();
+
+  conversationsList.innerHTML = "";
+
+  if (entries.length === 0) {
+    conversationsList.appendChild(
+      createSidebarElement("div", "conversations-empty", view.empty)
+    );
+    return;
+  }
+
+  if (sidebarView === "trash") {
+    const emptyBtn = document.createElement("button");
+    emptyBtn.className = "empty-trash-btn";
+    emptyBtn.textContent = "Empty Trash";
+    emptyBtn.addEventListener("click", async () => {
+      if (!confirm("Permanently delete every conversation in the trash?")) {
+        return;
+      }
+      await StorageService.emptyTrash();
+      await renderSetAsideList();
+    });
+    conversationsList.appendChild(emptyBtn);
+  }
+
+  entries.forEach((entry) => {
+    const item = document.createElement("div");
+    item.className = "conversation-item trashed";
+
+    const title = entry.title || "Untitled Conversation";
+    const movedAt = formatDate(entry[view.stamp], { relative: true });
+
+    const restoreBtn = createSidebarElement("button", "restore-btn", "Restore");
+    const deleteForeverBtn = createSidebarElement(
+      "button",
+      "delete-forever-btn",
+      "Delete Forever"
+    );
+    const actions = createSidebarElement("div", "trash-actions");
+    actions.append(restoreBtn, deleteForeverBtn);
+
+    item.append(
+      createSidebarElement("div", "conversation-title", title),
+      createSidebarElement(
+        "div",
+        "conversation-date",
+        `${view.label} ${movedAt}`
+      ),
+      actions
+    );
+
+    restoreBtn.addEventListener("click", async () => {
+      await view.restore(entry.id);
+      await loadConversations();
+      await renderSetAsideList();
+    });
+    deleteForeverBtn.addEventListener("click", async () => {
+      await StorageService.deleteConversation(entry.id);
+      await renderSetAsideList();
+    });
+
     conversationsList.appendChild(item);
   });
 }
 
+/**
+ * Pins or unpins a conversation
+ *
+ * Pinned conversations are never removed by the retention rules or the
+ * conversation limit.
+ *
+ * @param {Object} entry - The conversation's index entry
+ */
+async function togglePinned(entry) {
+  const conv =
+    entry.id === currentConversationId
+      ? currentConversation
+      : await StorageService.getConversationById(entry.id);
+  if (!conv) return;
+
+  conv.pinned = !conv.pinned;
+  entry.pinned = conv.pinned;
+  storeConversation(conv);
+  updateConversationsList();
+}
+
+/**
+ * Moves a conversation to the trash, with an Undo in the toast
+ *
+ * Deleting the open conversation opens the next one, or a new one.
+ *
+ * @param {string} id - Conversation ID
+ * @param {Object} [nextSettings] - Chat settings for the new conversation, if one is started
+ */
+async function deleteConversation(id, nextSettings) {
+  try {
+    await StorageService.trashConversation(id);
+  } catch (error) {
+    showToast("Error deleting conversation: " + error.message, "error");
+    return;
+  }
+
+  conversations = conversations.filter((c) => c.id !== id);
+
+  if (currentConversationId === id) {
+    if (conversations.length > 0 && !nextSettings) {
+      loadConversation(conversations[0].id);
+    } else {
+      startNewConversation(nextSettings);
+    }
+  }
+  updateConversationsList();
+
+  showToast("Conversation moved to trash", "info", 5000, {
+    label: "Undo",
+    onClick: async () => {
+      await restoreConversation(id);
+      loadConversation(id);
+    },
+  });
+}
+
+/**
+ * Restores a conversation from the trash into the sidebar
+ *
+ * @param {string} id - Conversation ID
+ */
+async function restoreConversation(id) {
+  await StorageService.restoreConversation(id);
+  await loadConversations();
+}
+
 /**
  * Loads a conversation from the saved list
+ *
+ * Its messages are read from storage, the list only holds index entries.
+ *
  * @param {string} id - Conversation ID
+ * @returns {Promise<void>}
  */
-function loadConversation(id) {
-  const conv = conversations.find((c) => c.id === id);
-  if (!conv) return;
+async function loadConversation(id) {
+  const conv = await StorageService.getConversationById(id);
+  if (conv) showConversation(conv);
+}
 
-  // Set current conversation ID
-  currentConversationId = id;
+/**
+ * Shows a conversation in the chat
+ *
+ * @param {Object} conv - The conversation
+ */
+function showConversation(conv) {
+  // Set current conversation
+  currentConversation = conv;
+  currentConversationId = conv.id;
 
   // Load conversation data
   conversation = conv.messages || [];
   chatSettings = {
-    model: conv.model || globalSettings.defaultModel || "gpt-3.5-turbo",
+    model: conv.model || globalSettings.defaultModel || DEFAULT_MODEL_REF,
     temperature: conv.temperature || 0.7,
     maxTokens: conv.maxTokens || 2048,
-    systemPrompt: conv.systemPrompt || "You are a helpful assistant.",
+    systemPrompt: conv.systemPrompt || DEFAULT_SYSTEM_PROMPT,
     title: conv.title || "Untitled Conversation",
   };
 
@@ -330,12 +631,16 @@ function loadConversation(id) {
   chatMessages.innerHTML = "";
   conversation.forEach((msg) => {
     if (msg.role !== "system") {
-      addMessageToUI(msg.role, msg.content);
+      addMessageToUI(msg.role, msg.content, {
+        stopped: msg.stopped,
+        truncated: msg.truncated,
+      });
     }
   });
 
   // Update conversations list
   updateConversationsList();
+  updateUsageTotal();
 
   // If no messages, show empty state
   if (conversation.filter((msg) => msg.role !== "system").length === 0) {
@@ -345,8 +650,10 @@ function loadConversation(id) {
 
 /**
  * Starts a new conversation
+ *
+ * @param {Object} [settings] - Chat settings to start with instead of the defaults
  */
-function startNewConversation() {
+function startNewConversation(settings = {}) {
   // Generate unique ID
   const id = Date.now().toString();
 
@@ -358,11 +665,9 @@ function startNewConversation() {
 
   // Set default settings
   chatSettings = {
-    model: globalSettings.defaultModel || "gpt-3.5-turbo",
-    temperature: 0.7,
-    maxTokens: 2048,
-    systemPrompt: "You are a helpful assistant.",
-    title: "New Conversation",
+    ...createDefaultChatSettings(),
+    model: globalSettings.defaultModel || DEFAULT_MODEL_REF,
+    ...settings,
   };
 
   // Update UI
@@ -370,6 +675,7 @@ function startNewConversation() {
   modelSelect.value = chatSettings.model;
   modelLabel.textContent = getModelDisplayName(chatSettings.model);
   chatMessages.innerHTML = "";
+  updateUsageTotal();
 
   // Show empty state
   showEmptyState();
@@ -387,16 +693,21 @@ function startNewConversation() {
   };
 
   // Add to conversations list
-  conversations.unshift(newConversation);
+  currentConversation = newConversation;
+  conversations.unshift(StorageService.createIndexEntry(newConversation));
 
-  // Limit the number of saved conversations
+  // Limit the number of saved conversations, keeping pinned ones like the
+  // storage service does
   const maxConversations = globalSettings.maxConversations || 100;
   if (conversations.length > maxConversations) {
-    conversations = conversations.slice(0, maxConversations);
+    const dropped = conversations
+      .filter((c) => !c.pinned && c.id !== id)
+      .slice(maxConversations - conversations.length);
+    conversations = conversations.filter((c) => !dropped.includes(c));
   }
 
   // Save to storage
-  chrome.storage.sync.set({ conversations });
+  storeConversation(newConversation);
 
   // Update conversations list in sidebar
   updateConversationsList();
@@ -408,9 +719,9 @@ function startNewConversation() {
 function saveChatSettings() {
   // Update the current conversation in the list
   const index = conversations.findIndex((c) => c.id === currentConversationId);
-  if (index !== -1) {
-    conversations[index] = {
-      ...conversations[index],
+  if (index !== -1 && currentConversation) {
+    currentConversation = {
+      ...currentConversation,
       title: chatSettings.title,
       model: chatSettings.model,
       systemPrompt: chatSettings.systemPrompt,
@@ -419,13 +730,56 @@ function saveChatSettings() {
       messages: conversation,
       timestamp: Date.now(),
     };
+    conversations[index] = StorageService.createIndexEntry(currentConversation);
 
     // Save to storage
-    chrome.storage.sync.set({ conversations });
+    storeConversation(currentConversation);
   }
 
   // Also save current chat settings for new chats
-  chrome.storage.sync.set({ chatSettings });
+  StorageService.saveChatSettings(chatSettings);
+}
+
+/**
+ * Saves a conversation, warning when storage is running out
+ *
+ * A failed save is shown instead of thrown, the chat stays on screen.
+ *
+ * @param {Object} conv - The conversation
+ * @returns {Promise<void>}
+ */
+async function storeConversation(conv) {
+  const warning = await StorageUsage.getSaveWarning(conv);
+  // Warn once per level, not on every message
+  if (warning && warning.level !== storageWarningLevel) {
+    showStorageWarning(warning.message);
+  }
+  storageWarningLevel = warning?.level || null;
+
+  try {
+    await StorageService.saveConversation(conv);
+  } catch (error) {
+    showStorageWarning(
+      isStorageQuotaError(error)
+        ? error.message
+        : "Couldn't save the conversation: " + error.message
+    );
+  }
+}
+
+/**
+ * Shows a storage problem with a link to free up space
+ *
+ * @param {string} message - The message to show
+ */
+function showStorageWarning(message) {
+  showToast(message, "error", 10000, {
+    label: "Free Up Space",
+    onClick: () =>
+      chrome.tabs.create({
+        url: chrome.runtime.getURL("src/settings/settings.html#storage"),
+      }),
+  });
 }
 
 /**
@@ -436,8 +790,7 @@ function populateChatSettingsForm() {
   temperatureSlider.value = chatSettings.temperature || 0.7;
   temperatureValue.textContent = chatSettings.temperature || 0.7;
   maxTokensInput.value = chatSettings.maxTokens || 2048;
-  systemPromptInput.value =
-    chatSettings.systemPrompt || "You are a helpful assistant.";
+  systemPromptInput.value = chatSettings.systemPrompt || DEFAULT_SYSTEM_PROMPT;
 }
 
 /**
@@ -448,8 +801,12 @@ async function sendMessage() {
 
   if (!userMessage || isProcessing) return;
 
+  // Encrypted API keys have to be unlocked before the request can use them
+  if (!(await unlockDialog.ensureUnlocked())) return;
+
   isProcessing = true;
-  sendBtn.disabled = true;
+  abortController = new AbortController();
+  setStopMode(sendBtn, true);
 
   // Clear input and reset height
   userInput.value = "";
@@ -467,6 +824,9 @@ async function sendMessage() {
   // Show typing indicator
   showTypingIndicator();
 
+  let assistantMessage = "";
+  let assistantBubble = null;
+
   try {
     // Prepare messages array with system prompt
     let messages = [];
@@ -479,27 +839,9 @@ async function sendMessage() {
       });
     }
 
-    // Add conversation history, respecting context window limit
-    let historyMessages = [...conversation];
-    const contextLimit = globalSettings.contextWindow;
-
-    if (contextLimit > 0 && historyMessages.length > contextLimit) {
-      // Keep system message if present
-      const systemMessage = historyMessages.find((m) => m.role === "system");
-
-      // Get the most recent messages up to the limit
-      historyMessages = historyMessages
-        .filter((m) => m.role !== "system")
-        .slice(-contextLimit);
-
-      // Add back the system message if it existed
-      if (systemMessage) {
-        historyMessages.unshift(systemMessage);
-      }
-    }
-
-    // Add filtered history
-    historyMessages.forEach((msg) => {
+    // Add conversation history, the API service trims it to the model's
+    // token limit
+    conversation.forEach((msg) => {
       messages.push({
         role: msg.role,
         content: msg.content,
@@ -518,42 +860,60 @@ async function sendMessage() {
       content: userMessage,
     });
 
-    // Call LLM API
-    const response = await chrome.runtime.sendMessage({
-      action: "getLLMResponse",
-      data: {
-        model: chatSettings.model || "gpt-3.5-turbo",
-        messages: messages,
-        temperature: chatSettings.temperature || 0.7,
-        maxTokens: chatSettings.maxTokens || 2048,
+    // Stream the response through the background script
+    const stream = streamFromBackground(
+      {
+        action: "streamLLMResponse",
+        data: {
+          model: chatSettings.model || DEFAULT_MODEL_REF,
+          messages: messages,
+          temperature: chatSettings.temperature || 0.7,
+          maxTokens: chatSettings.maxTokens || 2048,
+        },
       },
-    });
+      { signal: abortController.signal }
+    );
+
+    let response = null;
+
+    for await (const event of stream) {
+      if (event.type === "context") {
+        showContextWarning(chatMessages, event.dropped);
+        continue;
+      }
+      if (event.type === "done") {
+        response = event;
+        continue;
+      }
+      if (event.type === "retry") {
+        showRetryStatus(chatMessages, event);
+        continue;
+      }
+      if (event.type !== "delta") continue;
+
+      assistantMessage += event.content;
+
+      // Replace the typing indicator with the bubble on the first token
+      if (!assistantBubble) {
+        removeTypingIndicator();
+        assistantBubble = addMessageToUI("assistant", "");
+      }
+
+      assistantBubble.updateContent(assistantMessage);
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
 
     // Remove typing indicator
     removeTypingIndicator();
 
-    if (response.success) {
-      // Handle different API response formats
-      let assistantMessage;
-
-      if (response.data.choices && response.data.choices[0]) {
-        // OpenAI format
-        assistantMessage = response.data.choices[0].message.content;
-      } else if (response.data.content) {
-        // Anthropic format
-        assistantMessage = response.data.content[0].text;
-      } else {
-        assistantMessage = "Received response in unknown format.";
+    if (assistantMessage) {
+      if (response?.truncated) {
+        assistantBubble.markTruncated();
       }
 
-      // Add assistant message to UI
-      addMessageToUI("assistant", assistantMessage);
-
-      // Store in conversation
-      conversation.push({
-        role: "assistant",
-        content: assistantMessage,
-      });
+      // Store in conversation, with the usage the API reported
+      conversation.push(createAssistantMessage(assistantMessage, response));
+      updateUsageTotal();
 
       // Update conversation title if it's still the default
       if (chatSettings.title === "New Conversation") {
@@ -564,74 +924,66 @@ async function sendMessage() {
         chatTitle.textContent = title;
       }
 
-      // Save conversation
+      // Save conversation once the stream has completed
       saveChatSettings();
       updateConversationsList();
     } else {
-      // Handle error
-      displayErrorMessage(response.error || "Error getting response");
+      displayErrorMessage("Received an empty response from the model");
     }
   } catch (error) {
     removeTypingIndicator();
-    displayErrorMessage(error.message || "An error occurred");
+
+    if (isAbortError(error)) {
+      const stopped = handleStoppedResponse(
+        assistantMessage,
+        assistantBubble,
+        globalSettings.partialResponses
+      );
+      if (stopped) {
+        conversation.push(stopped);
+        saveChatSettings();
+        updateConversationsList();
+      }
+    } else {
+      displayErrorMessage(error.message || "An error occurred");
+
+      // The keys were locked after the check before sending
+      if (isVaultLockedError(error)) {
+        unlockDialog.prompt();
+      }
+    }
   } finally {
     isProcessing = false;
-    sendBtn.disabled = false;
+    abortController = null;
+    setStopMode(sendBtn, false);
     userInput.focus();
   }
 }
 
+/**
+ * Cancels the in-flight generation, if any
+ */
+function stopGeneration() {
+  if (abortController) {
+    abortController.abort();
+  }
+}
+
 /**
  * Adds a message to the UI
  * @param {string} role - 'user' or 'assistant'
  * @param {string} content - Message content
+ * @param {Object} options - Extra MessageBubble options (e.g. stopped, truncated)
+ * @returns {MessageBubble} - The rendered message bubble
  */
-function addMessageToUI(role, content) {
-  const messageElement = document.createElement("div");
-  messageElement.className = `message message-${role}`;
-
-  const bubbleElement = document.createElement("div");
-  bubbleElement.className = "message-bubble";
-
-  // Simple markdown-like formatting for assistant messages
-  if (role === "assistant") {
-    // Replace code blocks
-    content = content.replace(
-      /```([\s\S]*?)```/g,
-      "<pre><code>$1</code></pre>"
-    );
-
-    // Replace inline code
-    content = content.replace(/`([^`]+)`/g, "<code>$1</code>");
-
-    // Replace bold
-    content = content.replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
-
-    // Replace italic
-    content = content.replace(/\*(.*?)\*/g, "<em>$1</em>");
-
-    // Replace links
-    content = content.replace(
-      /\[(.*?)\]\((.*?)\)/g,
-      '<a href="$2" target="_blank">$1</a>'
-    );
-
-    // Replace line breaks with paragraphs
-    const paragraphs = content.split("\n\n");
-    content = paragraphs
-      .map((p) => `<p>${p.replace(/\n/g, "<br>")}</p>`)
-      .join("");
-  } else {
-    // For user messages, just replace newlines with <br>
-    content = `<p>${content.replace(/\n/g, "<br>")}</p>`;
-  }
-
-  bubbleElement.innerHTML = content;
-  messageElement.appendChild(bubbleElement);
-  chatMessages.appendChild(messageElement);
+function addMessageToUI(role, content, options = {}) {
+  const bubble = new MessageBubble({ ...options, role, content });
+  chatMessages.appendChild(bubble.getElement());
 
   // Scroll to bottom
   chatMessages.scrollTop = chatMessages.scrollHeight;
+
+  return bubble;
 }
 
 /**
@@ -684,29 +1036,34 @@ function showEmptyState() {
 }
 
 /**
- * Clears the chat
+ * Shows the tokens and cost of the current conversation in the header
  */
-function clearChat() {
-  if (
-    confirm(
-      "Are you sure you want to clear this conversation? This cannot be undone."
-    )
-  ) {
-    // Keep system message if present
-    const systemMessage = conversation.find((msg) => msg.role === "system");
+async function updateUsageTotal() {
+  const prices = await getModelPrices();
+  const total = getConversationUsage({ messages: conversation }, prices);
 
-    // Reset conversation to only system message (if it exists)
-    conversation = systemMessage ? [systemMessage] : [];
+  if (total.requests === 0) {
+    usageTotal.textContent = "";
+    return;
+  }
 
-    // Clear UI
-    chatMessages.innerHTML = "";
+  const tokens = formatTokenCount(total.promptTokens + total.completionTokens);
+  usageTotal.textContent = `${tokens} tokens · ${formatCost(total.cost)}`;
+}
 
-    // Show empty state
-    showEmptyState();
+/**
+ * Clears the chat
+ *
+ * The conversation goes to the trash and a new one starts with the same
+ * chat settings, so clearing can be undone.
+ */
+function clearChat() {
+  if (conversation.every((msg) => msg.role === "system")) return;
 
-    // Save changes
-    saveChatSettings();
-  }
+  // The new conversation gets its own title
+  const settings = { ...chatSettings };
+  delete settings.title;
+  deleteConversation(currentConversationId, settings);
 }
 
 /**
@@ -808,6 +1165,13 @@ function openSettings() {
   chrome.runtime.openOptionsPage();
 }
 
+/**
+ * Opens the usage dashboard
+ */
+function openUsagePage() {
+  chrome.tabs.create({ url: chrome.runtime.getURL("src/usage/usage.html") });
+}
+
 /**
  * Opens the about page
  */
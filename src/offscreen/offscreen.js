@@ -0,0 +1,15 @@
+/**
+ * Sololom - Offscreen Document Script
+ * Creates object URLs for the files the background worker downloads, which
+ * service workers can't do themselves
+ */
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== "offscreen") return false;
+
+  if (message.action === "createObjectUrl") {
+    const blob = new Blob([message.content], { type: message.type });
+    sendResponse({ url: URL.createObjectURL(blob) });
+  }
+  return false;
+});
@@ -2,12 +2,41 @@
  * Sololom - Popup Script
  * Handles popup UI and chat functionality
  */
+import MessageBubble from "@/components/MessageBubble.js";
+import VaultUnlockDialog from "@/components/VaultUnlockDialog.js";
+import * as ApiService from "@/services/api.js";
+import { DEFAULT_MODEL_REF } from "@/services/providers/modelRef.js";
+import {
+  DEFAULT_SYSTEM_PROMPT,
+  createDefaultChatSettings,
+  validateChatSettings,
+  validateGlobalSettings,
+} from "@/services/schema.js";
+import { createAssistantMessage } from "@/services/usage.js";
+import * as JobsService from "@/services/jobs.js";
+import * as StorageService from "@/services/storage.js";
+import * as StorageUsage from "@/services/storageUsage.js";
+import { getConfiguredProviders } from "@/services/vault.js";
+import {
+  createHandoffHash,
+  fillModelSelect,
+  generateUUID,
+  getProviderFromModel,
+  handleStoppedResponse,
+  setStopMode,
+  showContextWarning,
+  showRetryStatus,
+  truncateString,
+} from "@/utils/helpers.js";
+import { streamFromBackground } from "@/utils/messaging.js";
+import { isAbortError, isVaultLockedError } from "@/utils/errorHandler.js";
 
 // DOM Elements
 const chatMessages = document.getElementById("chatMessages");
 const userInput = document.getElementById("userInput");
 const sendBtn = document.getElementById("sendBtn");
 const modelSelect = document.getElementById("modelSelect");
+const conversationSelect = document.getElementById("conversationSelect");
 const clearChatBtn = document.getElementById("clearChatBtn");
 const settingsBtn = document.getElementById("settingsBtn");
 const fullPageBtn = document.getElementById("fullPageBtn");
@@ -23,9 +52,18 @@ const systemPromptInput = document.getElementById("systemPromptInput");
 const resetChatSettingsBtn = document.getElementById("resetChatSettingsBtn");
 const saveChatSettingsBtn = document.getElementById("saveChatSettingsBtn");
 
+// Asks for the passphrase of encrypted API keys
+const unlockDialog = new VaultUnlockDialog({ modalId: "unlockVaultModal" });
+
+// Number of conversations offered in the picker
+const RECENT_CONVERSATIONS = 10;
+
 // State
 let conversation = [];
+let conversationId = null;
+let conversationTitle = "";
 let isProcessing = false;
+let activeJobId = null;
 let chatSettings = {};
 let globalSettings = {};
 
@@ -37,24 +75,30 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Apply theme
   document.body.setAttribute("data-theme", globalSettings.theme || "light");
 
-  // Set model select value
-  modelSelect.value = chatSettings.model || "gpt-3.5-turbo";
+  // Fill the model dropdown and select the current model
+  await renderModelOptions();
 
   // Set chat settings form values
   temperatureSlider.value = chatSettings.temperature || 0.7;
   temperatureValue.textContent = chatSettings.temperature || 0.7;
   maxTokensInput.value = chatSettings.maxTokens || 2048;
-  systemPromptInput.value =
-    chatSettings.systemPrompt || "You are a helpful assistant.";
+  systemPromptInput.value = chatSettings.systemPrompt || DEFAULT_SYSTEM_PROMPT;
 
   // Check if API key is set
   const provider = getProviderFromModel(modelSelect.value);
-  const apiKey = globalSettings.apiKeys?.[provider];
 
-  if (!apiKey) {
+  if (!getConfiguredProviders(globalSettings).includes(provider)) {
     displayErrorMessage("API key not set. Please configure in settings.");
   }
 
+  // Pick up an answer that was generated while the popup was closed,
+  // otherwise continue the conversation shown last time
+  await resumeUnseenJob();
+  if (!conversationId) {
+    await resumeLastConversation();
+  }
+  await renderConversationPicker();
+
   // Initialize empty state
   if (conversation.length === 0) {
     showEmptyState();
@@ -69,8 +113,18 @@ userInput.addEventListener("keydown", (e) => {
   }
 });
 
-sendBtn.addEventListener("click", sendMessage);
+sendBtn.addEventListener("click", () => {
+  // The send button doubles as a Stop button while generating
+  if (isProcessing) {
+    stopGeneration();
+  } else {
+    sendMessage();
+  }
+});
 clearChatBtn.addEventListener("click", clearChat);
+conversationSelect.addEventListener("change", () =>
+  switchConversation(conversationSelect.value)
+);
 fullPageBtn.addEventListener("click", openFullPage);
 settingsBtn.addEventListener("click", openSettings);
 aboutBtn.addEventListener("click", openAboutPage);
@@ -105,7 +159,7 @@ saveChatSettingsBtn.addEventListener("click", async () => {
   chatSettings.systemPrompt = systemPromptInput.value;
 
   // Save to storage
-  await chrome.storage.sync.set({ chatSettings });
+  await StorageService.saveChatSettings(chatSettings);
 
   // Close modal
   chatSettingsModal.style.display = "none";
@@ -113,14 +167,7 @@ saveChatSettingsBtn.addEventListener("click", async () => {
 
 // Reset chat settings to defaults
 resetChatSettingsBtn.addEventListener("click", async () => {
-  const defaultChatSettings = {
-    model: "gpt-3.5-turbo",
-    temperature: 0.7,
-    maxTokens: 2048,
-    systemPrompt: "You are a helpful assistant.",
-    saveHistory: true,
-    maxHistoryItems: 100,
-  };
+  const defaultChatSettings = createDefaultChatSettings();
 
   // Update form values
   temperatureSlider.value = defaultChatSettings.temperature;
@@ -132,16 +179,15 @@ resetChatSettingsBtn.addEventListener("click", async () => {
   chatSettings = defaultChatSettings;
 
   // Save to storage
-  await chrome.storage.sync.set({ chatSettings });
+  await StorageService.saveChatSettings(chatSettings);
 });
 
 // Handle model change
 modelSelect.addEventListener("change", () => {
   // Check if API key is set for selected model
   const provider = getProviderFromModel(modelSelect.value);
-  const apiKey = globalSettings.apiKeys?.[provider];
 
-  if (!apiKey) {
+  if (!getConfiguredProviders(globalSettings).includes(provider)) {
     displayErrorMessage(
       "API key not set for selected model. Please configure in settings."
     );
@@ -149,62 +195,55 @@ modelSelect.addEventListener("change", () => {
 
   // Update chat settings
   chatSettings.model = modelSelect.value;
-  chrome.storage.sync.set({ chatSettings });
+  StorageService.saveChatSettings(chatSettings);
 });
 
 /**
  * Loads settings from storage
  */
 async function loadSettings() {
-  const result = await chrome.storage.sync.get([
-    "globalSettings",
-    "chatSettings",
-  ]);
+  const result = await StorageService.getStoredSettings();
 
-  if (result.globalSettings) {
-    globalSettings = result.globalSettings;
-  } else {
-    globalSettings = {
-      theme: "light",
-      defaultModel: "gpt-3.5-turbo",
-      apiKeys: {},
-    };
-  }
+  // Missing settings fall back to their defaults
+  globalSettings = validateGlobalSettings(result.globalSettings);
+  chatSettings = validateChatSettings(result.chatSettings);
+}
 
-  if (result.chatSettings) {
-    chatSettings = result.chatSettings;
-  } else {
-    chatSettings = {
-      model: "gpt-3.5-turbo",
-      temperature: 0.7,
-      maxTokens: 2048,
-      systemPrompt: "You are a helpful assistant.",
-      saveHistory: true,
-      maxHistoryItems: 100,
-    };
-  }
+/**
+ * Fills the model dropdown from the model catalog
+ */
+async function renderModelOptions() {
+  await ApiService.loadCustomEndpoints();
+  const models = await ApiService.getAllAvailableModels();
+
+  fillModelSelect(modelSelect, models, chatSettings.model || DEFAULT_MODEL_REF);
 }
 
 /**
  * Send a message to the LLM
+ *
+ * The request runs as a job in the background script, which stores the
+ * answer even if the popup is closed before it arrives.
  */
 async function sendMessage() {
   const userMessage = userInput.value.trim();
 
   if (!userMessage || isProcessing) return;
 
+  // Block another send while the checks below run
   isProcessing = true;
+  userInput.disabled = true;
 
-  // Clear input
-  userInput.value = "";
+  try {
+    // Encrypted API keys have to be unlocked before the job can use them
+    if (!(await unlockDialog.ensureUnlocked())) return;
 
-  // Add user message to UI
-  addMessageToUI("user", userMessage);
+    // Clear input
+    userInput.value = "";
 
-  // Show typing indicator
-  showTypingIndicator();
+    // Add user message to UI
+    addMessageToUI("user", userMessage);
 
-  try {
     // Prepare messages array with system prompt
     let messages = [];
 
@@ -236,63 +275,276 @@ async function sendMessage() {
       content: userMessage,
     });
 
-    // Call LLM API
-    const response = await chrome.runtime.sendMessage({
-      action: "getLLMResponse",
-      data: {
-        model: chatSettings.model || "gpt-3.5-turbo",
-        messages: messages,
-        temperature: chatSettings.temperature || 0.7,
-        maxTokens: chatSettings.maxTokens || 2048,
+    if (!conversationId) {
+      setActiveConversation(generateUUID());
+      conversationTitle = truncateString(userMessage, 50);
+    }
+
+    const model = chatSettings.model || DEFAULT_MODEL_REF;
+
+    // Warn before the answer can't be saved
+    if (globalSettings.saveConversations) {
+      const warning = await StorageUsage.getSaveWarning({
+        id: conversationId,
+        messages: conversation,
+      });
+      if (warning) showStorageWarning(warning.message);
+    }
+
+    // Start the job and stream its events back
+    const stream = streamFromBackground(
+      {
+        action: "startJob",
+        data: {
+          conversation: {
+            id: conversationId,
+            title: conversationTitle,
+            model,
+            messages: [...conversation],
+          },
+          request: {
+            model,
+            messages: messages,
+            temperature: chatSettings.temperature || 0.7,
+            maxTokens: chatSettings.maxTokens || 2048,
+          },
+          saveHistory: globalSettings.saveConversations,
+        },
       },
+      { portName: "llmJob" }
+    );
+
+    await receiveAnswer(stream);
+  } finally {
+    isProcessing = false;
+    userInput.disabled = false;
+  }
+}
+
+/**
+ * Shows the newest job whose outcome the popup hasn't displayed yet
+ *
+ * A job that is still running is reattached, so its answer keeps
+ * streaming in; a finished one is replayed from storage.
+ */
+async function resumeUnseenJob() {
+  const job = await JobsService.getLatestUnseenJob();
+  if (!job) return;
+
+  showConversation(job.conversation);
+
+  activeJobId = job.id;
+  receiveAnswer(
+    streamFromBackground(
+      { action: "attachJob", jobId: job.id },
+      { portName: "llmJob" }
+    )
+  );
+}
+
+/**
+ * Shows the conversation the popup was showing when it was last closed
+ */
+async function resumeLastConversation() {
+  const id = await StorageService.getActiveConversationId();
+  if (!id) return;
+
+  // Conversations moved to the trash since aren't reopened
+  const trash = await StorageService.getTrash();
+  if (trash.some((entry) => entry.id === id)) return;
+
+  const saved = await StorageService.getConversationById(id);
+  if (saved) {
+    showConversation(saved);
+  }
+}
+
+/**
+ * Fills the picker with the most recently updated conversations
+ */
+async function renderConversationPicker() {
+  const conversations = await StorageService.getConversationIndex();
+  const recent = [...conversations]
+    .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, RECENT_CONVERSATIONS);
+
+  // The current conversation stays selectable even if it's older
+  if (conversationId && !recent.some((conv) => conv.id === conversationId)) {
+    const current = conversations.find((conv) => conv.id === conversationId);
+    if (current) recent.push(current);
+  }
+
+  conversationSelect.innerHTML = "";
+  conversationSelect.appendChild(new Option("New conversation", ""));
+  recent.forEach((conv) => {
+    const option = new Option(
+      truncateString(conv.title || "Untitled Conversation", 40),
+      conv.id
+    );
+    option.title = conv.title || "";
+    conversationSelect.appendChild(option);
+  });
+
+  conversationSelect.value = conversationId || "";
+}
+
+/**
+ * Switches to a conversation picked from the list
+ * @param {string} id - The conversation ID, empty for a new conversation
+ */
+async function switchConversation(id) {
+  if (!id) {
+    clearChat();
+    return;
+  }
+
+  const saved = await StorageService.getConversationById(id);
+  if (saved) {
+    showConversation(saved);
+  } else {
+    displayErrorMessage("That conversation could not be found");
+    await renderConversationPicker();
+  }
+}
+
+/**
+ * Shows a stored conversation and makes it the active one
+ * @param {Object} saved - The conversation with id, title and messages
+ */
+function showConversation(saved) {
+  setActiveConversation(saved.id);
+  conversationTitle = saved.title || "";
+  conversation = [...(saved.messages || [])];
+
+  chatMessages.innerHTML = "";
+  conversation.forEach((msg) => {
+    if (msg.role === "system") return;
+
+    addMessageToUI(msg.role, msg.content, {
+      stopped: msg.stopped,
+      truncated: msg.truncated,
     });
+  });
 
-    // Remove typing indicator
-    removeTypingIndicator();
+  if (conversation.length === 0) {
+    showEmptyState();
+  }
+}
 
-    if (response.success) {
-      // Handle different API response formats
-      let assistantMessage;
-
-      if (response.data.choices && response.data.choices[0]) {
-        // OpenAI format
-        assistantMessage = response.data.choices[0].message.content;
-      } else if (response.data.content) {
-        // Anthropic format
-        assistantMessage = response.data.content[0].text;
-      } else {
-        assistantMessage = "Received response in unknown format.";
+/**
+ * Sets the conversation new messages are added to
+ *
+ * The ID is remembered so the next popup opens on the same conversation.
+ *
+ * @param {string|null} id - The conversation ID, or null for a new one
+ */
+function setActiveConversation(id) {
+  conversationId = id;
+  // Failures are logged by the storage service
+  StorageService.saveActiveConversationId(id).catch(() => {});
+}
+
+/**
+ * Shows the answer of a generation job as it streams in
+ * @param {AsyncGenerator<Object>} stream - Events posted by the background
+ */
+async function receiveAnswer(stream) {
+  isProcessing = true;
+  setStopMode(sendBtn, true);
+  // Switching conversations mid-answer would mix them up
+  conversationSelect.disabled = true;
+
+  // Show typing indicator
+  showTypingIndicator();
+
+  let assistantMessage = "";
+  let assistantBubble = null;
+
+  try {
+    let response = null;
+
+    for await (const event of stream) {
+      if (event.type === "job") {
+        activeJobId = event.jobId;
+        continue;
+      }
+      if (event.type === "context") {
+        showContextWarning(chatMessages, event.dropped);
+        continue;
       }
+      if (event.type === "done") {
+        response = event;
+        continue;
+      }
+      if (event.type === "retry") {
+        showRetryStatus(chatMessages, event);
+        continue;
+      }
+      if (event.type !== "delta") continue;
 
-      // Add assistant message to UI
-      addMessageToUI("assistant", assistantMessage);
+      assistantMessage += event.content;
 
-      // Store in conversation
-      conversation.push({
-        role: "assistant",
-        content: assistantMessage,
-      });
+      // Replace the typing indicator with the bubble on the first token
+      if (!assistantBubble) {
+        removeTypingIndicator();
+        assistantBubble = addMessageToUI("assistant", "");
+      }
 
-      // Save conversation if enabled
-      if (chatSettings.saveHistory) {
-        chrome.runtime.sendMessage({
-          action: "saveConversation",
-          data: {
-            model: chatSettings.model,
-            messages: conversation,
-            timestamp: Date.now(),
-          },
-        });
+      assistantBubble.updateContent(assistantMessage);
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    // Remove typing indicator
+    removeTypingIndicator();
+
+    if (assistantMessage) {
+      if (response?.truncated) {
+        assistantBubble.markTruncated();
       }
+
+      // The background script has already saved the answer
+      conversation.push(createAssistantMessage(assistantMessage, response));
     } else {
-      // Handle error
-      displayErrorMessage(response.error || "Error getting response");
+      displayErrorMessage("Received an empty response from the model");
     }
   } catch (error) {
     removeTypingIndicator();
-    displayErrorMessage(error.message || "An error occurred");
+
+    if (isAbortError(error)) {
+      const stopped = handleStoppedResponse(
+        assistantMessage,
+        assistantBubble,
+        globalSettings.partialResponses
+      );
+      // The background script has saved the partial answer the same way
+      if (stopped) {
+        conversation.push(stopped);
+      }
+    } else {
+      displayErrorMessage(error.message || "An error occurred");
+
+      // The keys were locked after the check before sending
+      if (isVaultLockedError(error)) {
+        unlockDialog.prompt();
+      }
+    }
   } finally {
     isProcessing = false;
+    activeJobId = null;
+    setStopMode(sendBtn, false);
+    conversationSelect.disabled = false;
+
+    // A new conversation shows up in the picker once its first answer is in
+    await renderConversationPicker();
+  }
+}
+
+/**
+ * Cancels the running generation job, if any
+ */
+function stopGeneration() {
+  if (activeJobId) {
+    chrome.runtime.sendMessage({ action: "cancelJob", jobId: activeJobId });
   }
 }
 
@@ -300,55 +552,23 @@ async function sendMessage() {
  * Adds a message to the UI
  * @param {string} role - 'user' or 'assistant'
  * @param {string} content - Message content
+ * @param {Object} options - Extra MessageBubble options (e.g. stopped, truncated)
+ * @returns {MessageBubble} - The rendered message bubble
  */
-function addMessageToUI(role, content) {
+function addMessageToUI(role, content, options = {}) {
   // Remove empty state if present
   const emptyState = document.querySelector(".empty-state");
   if (emptyState) {
     emptyState.remove();
   }
 
-  const messageElement = document.createElement("div");
-  messageElement.className = `message message-${role}`;
-
-  // Simple markdown-like formatting for assistant messages
-  if (role === "assistant") {
-    // Replace code blocks
-    content = content.replace(
-      /```([\s\S]*?)```/g,
-      "<pre><code>$1</code></pre>"
-    );
-
-    // Replace inline code
-    content = content.replace(/`([^`]+)`/g, "<code>$1</code>");
-
-    // Replace bold
-    content = content.replace(/\*\*(.*?)\*\*/g, "<strong>$1</strong>");
-
-    // Replace italic
-    content = content.replace(/\*(.*?)\*/g, "<em>$1</em>");
-
-    // Replace links
-    content = content.replace(
-      /\[(.*?)\]\((.*?)\)/g,
-      '<a href="$2" target="_blank">$1</a>'
-    );
-
-    // Replace line breaks with paragraphs
-    const paragraphs = content.split("\n\n");
-    content = paragraphs
-      .map((p) => `<p>${p.replace(/\n/g, "<br>")}</p>`)
-      .join("");
-  } else {
-    // For user messages, just replace newlines with <br>
-    content = `<p>${content.replace(/\n/g, "<br>")}</p>`;
-  }
-
-  messageElement.innerHTML = content;
-  chatMessages.appendChild(messageElement);
+  const bubble = new MessageBubble({ ...options, role, content });
+  chatMessages.appendChild(bubble.getElement());
 
   // Scroll to bottom
   chatMessages.scrollTop = chatMessages.scrollHeight;
+
+  return bubble;
 }
 
 /**
@@ -363,6 +583,32 @@ function showTypingIndicator() {
   chatMessages.scrollTop = chatMessages.scrollHeight;
 }
 
+/**
+ * Shows that storage is running out, with a link to free up space
+ *
+ * @param {string} message - The warning
+ */
+function showStorageWarning(message) {
+  chatMessages.querySelector(".storage-warning")?.remove();
+
+  const warning = document.createElement("div");
+  warning.className = "context-warning storage-warning";
+  warning.textContent = message;
+
+  const link = document.createElement("button");
+  link.className = "storage-warning-link";
+  link.textContent = "Free up space";
+  link.addEventListener("click", () => {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL("src/settings/settings.html#storage"),
+    });
+  });
+  warning.appendChild(link);
+
+  chatMessages.appendChild(warning);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
 /**
  * Removes typing indicator
  */
@@ -407,8 +653,11 @@ function clearChat() {
   // Clear UI
   chatMessages.innerHTML = "";
 
-  // Reset conversation
+  // Reset conversation, the next message starts a new one
   conversation = [];
+  conversationTitle = "";
+  setActiveConversation(null);
+  conversationSelect.value = "";
 
   // Show empty state
   showEmptyState();
@@ -416,9 +665,63 @@ function clearChat() {
 
 /**
  * Opens the full page chat
+ *
+ * The current conversation is selected in the new tab, with the popup's
+ * chat settings, along with any unsent text.
  */
-function openFullPage() {
-  chrome.runtime.sendMessage({ action: "openFullPage" });
+async function openFullPage() {
+  const draft = userInput.value.trim() ? userInput.value : "";
+  const handOver = conversation.length > 0;
+
+  if (handOver) {
+    try {
+      await handOverConversation();
+    } catch (error) {
+      displayErrorMessage("Could not hand the conversation to the full page");
+      return;
+    }
+  }
+
+  chrome.runtime.sendMessage({
+    action: "openFullPage",
+    hash: createHandoffHash({
+      conversationId: handOver ? conversationId : null,
+      draft,
+    }),
+  });
+}
+
+/**
+ * Passes the current conversation to the full page chat
+ *
+ * It is saved when history saving is on. Otherwise it is kept in session
+ * storage for the full page to pick up, and stays unsaved.
+ */
+async function handOverConversation() {
+  if (!conversationId) {
+    setActiveConversation(generateUUID());
+  }
+
+  const saved = globalSettings.saveConversations
+    ? await StorageService.getConversationById(conversationId)
+    : null;
+  const record = {
+    ...saved,
+    id: conversationId,
+    title: conversationTitle || saved?.title || "New Conversation",
+    model: chatSettings.model || DEFAULT_MODEL_REF,
+    temperature: chatSettings.temperature || 0.7,
+    maxTokens: chatSettings.maxTokens || 2048,
+    systemPrompt: chatSettings.systemPrompt,
+    messages: conversation,
+    timestamp: Date.now(),
+  };
+
+  if (globalSettings.saveConversations) {
+    await StorageService.saveConversation(record);
+  } else {
+    await StorageService.saveHandoffConversation(record);
+  }
 }
 
 /**
@@ -443,15 +746,3 @@ function openDonatePage() {
     url: chrome.runtime.getURL("src/about/about.html#donate"),
   });
 }
-
-/**
- * Gets the provider from the model name
- * @param {string} model - Model name
- * @returns {string} - Provider name
- */
-function getProviderFromModel(model) {
-  if (model.startsWith("gpt")) return "openai";
-  if (model.startsWith("claude")) return "anthropic";
-  if (model.startsWith("mistral")) return "mistral";
-  return "unknown";
-}
@@ -5,358 +5,394 @@
  */
 
 import * as SettingsService from "./settings.js";
-import { getProviderFromModel } from "../utils/helpers.js";
+import * as KeyVault from "./vault.js";
+import * as ModelCatalog from "./modelCatalog.js";
+import { getProvider } from "./providers/index.js";
+import { registerCustomEndpoints } from "./providers/custom.js";
+import { parseModelRef, toModelRef } from "./providers/modelRef.js";
+import { readEventStream } from "../utils/sse.js";
+import {
+  estimateMessagesTokens,
+  estimateTokens,
+  fitMessagesToContext,
+} from "../utils/tokens.js";
+import { createVaultLockedError, isAbortError } from "../utils/errorHandler.js";
+import {
+  DEFAULT_RETRY_POLICY,
+  fetchWithRetry,
+  fetchWithRetryEvents,
+} from "./retry.js";
 
 /**
- * Gets a response from the appropriate LLM API
+ * Looks up the provider serving a model
  *
- * @param {Object} params - The request parameters
- * @param {string} params.model - The model to use
- * @param {Array} params.messages - The conversation messages
- * @param {number} params.temperature - The sampling temperature
- * @param {number} params.maxTokens - The maximum number of tokens to generate
- * @returns {Promise<Object>} - The API response
+ * @param {string} model - The model reference (legacy model ids are accepted)
+ * @returns {Object} - Object with the provider module and the provider's model id
  */
-export async function getLLMResponse(params) {
-  // Determine the provider based on the model
-  const provider = getProviderFromModel(params.model);
+function resolveProvider(model) {
+  const { provider: providerId, modelId } = parseModelRef(toModelRef(model));
+  const provider = providerId && getProvider(providerId);
 
-  // Get the API key from settings
-  const apiKey = await SettingsService.getGlobalSetting(
-    `apiKeys.${provider}`,
-    ""
-  );
+  if (!provider) {
+    throw new Error(`Unsupported model provider: ${providerId || "unknown"}`);
+  }
 
-  if (!apiKey) {
+  return { provider, modelId };
+}
+
+/**
+ * Gets the configured API key for a provider
+ *
+ * @param {Object} provider - The provider module
+ * @returns {Promise<string>} - The API key, empty for keyless providers
+ * @throws {Error} - If the key is missing or locked
+ */
+async function getApiKey(provider) {
+  // Throws a VaultLockedError while encrypted keys are locked
+  if (provider.locked) {
+    throw createVaultLockedError();
+  }
+  const apiKey = provider.apiKey || (await KeyVault.getApiKey(provider.id));
+
+  if (!apiKey && provider.requiresApiKey !== false) {
     throw new Error(
-      `API key not configured for ${provider}. Please check settings.`
+      `API key not configured for ${provider.id}. Please check settings.`
     );
   }
 
-  // Call the appropriate API based on the provider
-  switch (provider) {
-    case "openai":
-      return callOpenAI(params, apiKey);
-    case "anthropic":
-      return callAnthropic(params, apiKey);
-    case "mistral":
-      return callMistral(params, apiKey);
-    case "openrouter":
-      return callOpenRouter(params, apiKey);
-    default:
-      throw new Error(`Unsupported model provider: ${provider}`);
-  }
+  return apiKey;
 }
 
 /**
- * Calls the OpenAI API
+ * Drops the oldest messages that don't fit the model's context window
+ *
+ * The reply's `maxTokens` are reserved up front.
  *
  * @param {Object} params - The request parameters
- * @param {string} apiKey - The OpenAI API key
- * @returns {Promise<Object>} - The API response
+ * @param {Object} provider - The provider module
+ * @param {string} modelId - The provider's model id
+ * @returns {Promise<Object>} - Object with the messages to send and the number dropped
  */
-async function callOpenAI(params, apiKey) {
-  const url = "https://api.openai.com/v1/chat/completions";
-
-  const requestOptions = {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: params.model,
-      messages: params.messages,
-      temperature: params.temperature || 0.7,
-      max_tokens: params.maxTokens || 2048,
-    }),
-  };
-
-  try {
-    const response = await fetch(url, requestOptions);
+async function fitToContext(params, provider, modelId) {
+  const contextLength = await ModelCatalog.getContextLength(
+    provider.id,
+    modelId
+  );
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(
-        `OpenAI API Error: ${errorData.error?.message || "Unknown error"}`
-      );
-    }
+  return fitMessagesToContext(params.messages, {
+    modelId,
+    contextLength,
+    maxTokens: params.maxTokens || 2048,
+  });
+}
 
-    return await response.json();
-  } catch (error) {
-    if (error.message.includes("API Error")) {
-      throw error;
-    }
-    throw new Error(`Failed to call OpenAI API: ${error.message}`);
-  }
+/**
+ * Estimates token usage locally for APIs that don't report it
+ *
+ * @param {Array<Object>} messages - The messages sent
+ * @param {string} content - The generated text
+ * @param {string} modelId - The provider's model id
+ * @returns {Object} - Usage flagged as estimated
+ */
+function estimateUsage(messages, content, modelId) {
+  return {
+    promptTokens: estimateMessagesTokens(messages, modelId),
+    completionTokens: estimateTokens(content, modelId),
+    estimated: true,
+  };
 }
 
 /**
- * Calls the Anthropic API
+ * @typedef {Object} LLMResponse
+ * @property {string} text - The generated text, all text blocks joined
+ * @property {string|null} finishReason - "stop", "length", "tool_calls", "content_filter" or null if not reported
+ * @property {boolean} truncated - True if the answer hit the token limit
+ * @property {Object} usage - Token usage ({ promptTokens, completionTokens }), flagged `estimated` if counted locally
+ * @property {string} provider - The provider id
+ * @property {string} model - The requested model reference
+ * @property {string} resolvedModel - The model id that answered, as reported by the API
+ * @property {Array<Object>} toolCalls - Tool calls ({ id, name, arguments })
+ * @property {Object|null} raw - The provider's response payload, null for streams
+ * @property {number} latency - Milliseconds from sending the request to the end of the answer
+ */
+
+/**
+ * Creates the response object returned for every provider
  *
- * @param {Object} params - The request parameters
- * @param {string} apiKey - The Anthropic API key
- * @returns {Promise<Object>} - The API response
+ * @param {Object} provider - The provider module
+ * @param {Object} request - The request that produced the response
+ * @param {string} request.model - The requested model reference
+ * @param {string} request.modelId - The provider's model id
+ * @param {Array<Object>} request.messages - The messages sent
+ * @param {number} request.startedAt - When the request was sent
+ * @param {Object} result - What the provider returned
+ * @param {string} result.text - The generated text
+ * @param {string|null} result.finishReason - Normalized finish reason
+ * @param {Object|null} result.usage - Reported token usage
+ * @param {string|null} result.resolvedModel - Reported model id
+ * @param {Array<Object>} [result.toolCalls] - Reported tool calls
+ * @param {Object|null} [result.raw] - The response payload
+ * @returns {LLMResponse} - The normalized response
  */
-async function callAnthropic(params, apiKey) {
-  const url = "https://api.anthropic.com/v1/messages";
-
-  // Transform messages to Anthropic format
-  const systemPrompt =
-    params.messages.find((m) => m.role === "system")?.content || "";
-  const userMessages = params.messages.filter((m) => m.role !== "system");
-
-  const requestOptions = {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-    },
-    body: JSON.stringify({
-      model: params.model,
-      messages: userMessages,
-      system: systemPrompt,
-      max_tokens: params.maxTokens || 2048,
-      temperature: params.temperature || 0.7,
-    }),
+function createResponse(provider, request, result) {
+  return {
+    text: result.text,
+    finishReason: result.finishReason || null,
+    truncated: result.finishReason === "length",
+    usage:
+      result.usage ||
+      estimateUsage(request.messages, result.text, request.modelId),
+    provider: provider.id,
+    model: request.model,
+    resolvedModel: result.resolvedModel || request.modelId,
+    toolCalls: result.toolCalls || [],
+    raw: result.raw || null,
+    latency: Date.now() - request.startedAt,
   };
+}
 
-  try {
-    const response = await fetch(url, requestOptions);
+/**
+ * Gets the retry policy for provider requests
+ *
+ * @returns {Promise<Object>} - Retry policy with the configured attempt count
+ */
+async function getRetryPolicy() {
+  const maxAttempts = parseInt(
+    await SettingsService.getGlobalSetting(
+      "maxRetryAttempts",
+      DEFAULT_RETRY_POLICY.maxAttempts
+    )
+  );
 
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(
-        `Anthropic API Error: ${errorData.error?.message || "Unknown error"}`
-      );
-    }
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    maxAttempts: maxAttempts || DEFAULT_RETRY_POLICY.maxAttempts,
+  };
+}
 
-    return await response.json();
-  } catch (error) {
-    if (error.message.includes("API Error")) {
-      throw error;
-    }
-    throw new Error(`Failed to call Anthropic API: ${error.message}`);
-  }
+/**
+ * Registers the custom endpoints saved in settings as providers
+ *
+ * @returns {Promise<Array<Object>>} - The registered custom providers
+ */
+export async function loadCustomEndpoints() {
+  return registerCustomEndpoints(await KeyVault.getCustomEndpoints());
 }
 
 /**
- * Calls the Mistral API
+ * Gets a response from the appropriate LLM API
  *
  * @param {Object} params - The request parameters
- * @param {string} apiKey - The Mistral API key
- * @returns {Promise<Object>} - The API response
+ * @param {string} params.model - The model reference to use
+ * @param {Array} params.messages - The conversation messages
+ * @param {number} params.temperature - The sampling temperature
+ * @param {number} params.maxTokens - The maximum number of tokens to generate
+ * @param {AbortSignal} [params.signal] - Signal used to cancel the request
+ * @param {Function} [params.onRetry] - Called with { attempt, maxAttempts, delay } before a retry
+ * @returns {Promise<LLMResponse>} - The normalized response
  */
-async function callMistral(params, apiKey) {
-  const url = "https://api.mistral.ai/v1/chat/completions";
-
-  const requestOptions = {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: params.model,
-      messages: params.messages,
-      temperature: params.temperature || 0.7,
-      max_tokens: params.maxTokens || 2048,
-    }),
-  };
+export async function getLLMResponse(params) {
+  await loadCustomEndpoints();
+  const { provider, modelId } = resolveProvider(params.model);
+  const apiKey = await getApiKey(provider);
+  const { messages } = await fitToContext(params, provider, modelId);
+  const request = provider.buildRequest(
+    { ...params, model: modelId, messages },
+    apiKey
+  );
+  const policy = await getRetryPolicy();
+  const startedAt = Date.now();
 
+  let data;
   try {
-    const response = await fetch(url, requestOptions);
+    const response = await fetchWithRetry(
+      request.url,
+      { ...request.options, signal: params.signal },
+      { policy, onRetry: params.onRetry }
+    );
 
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(
-        `Mistral API Error: ${errorData.error?.message || "Unknown error"}`
+        `${provider.name} API Error: ${
+          errorData.error?.message || "Unknown error"
+        }`
       );
     }
 
-    return await response.json();
+    data = await response.json();
   } catch (error) {
-    if (error.message.includes("API Error")) {
+    if (error.message.includes("API Error") || isAbortError(error)) {
       throw error;
     }
-    throw new Error(`Failed to call Mistral API: ${error.message}`);
+    throw new Error(`Failed to call ${provider.name} API: ${error.message}`);
   }
+
+  return createResponse(
+    provider,
+    { model: params.model, modelId, messages, startedAt },
+    {
+      text: provider.parseResponse(data),
+      finishReason: provider.parseFinishReason?.(data),
+      usage: provider.parseUsage?.(data),
+      resolvedModel: provider.parseModel?.(data),
+      toolCalls: provider.parseToolCalls?.(data),
+      raw: data,
+    }
+  );
 }
+
 /**
- * Calls the OpenRouter API
+ * Streams a response from the appropriate LLM API
+ *
+ * Yields `{ type: "delta", content }` events as text arrives and a final
+ * `{ type: "done", ...response }` event carrying the same normalized
+ * response as `getLLMResponse`, without the raw payload.
+ * A `{ type: "context", dropped }` event comes first when older messages
+ * were left out to fit the model's context window. Rate-limited or failing
+ * requests are retried before any text arrives, with a
+ * `{ type: "retry", attempt, maxAttempts, delay }` event per retry.
  *
  * @param {Object} params - The request parameters
- * @param {string} apiKey - The OpenRouter API key
- * @returns {Promise<Object>} - The API response
+ * @param {string} params.model - The model reference to use
+ * @param {Array} params.messages - The conversation messages
+ * @param {number} params.temperature - The sampling temperature
+ * @param {number} params.maxTokens - The maximum number of tokens to generate
+ * @param {AbortSignal} [params.signal] - Signal used to cancel the stream
+ * @returns {AsyncGenerator<Object>} - Stream events
  */
-async function callOpenRouter(params, apiKey) {
-  const url = "https://openrouter.ai/api/v1/chat/completions";
-
-  // Extract the actual model name if it has the openrouter/ prefix
-  const modelName = params.model.startsWith("openrouter/")
-    ? params.model.substring("openrouter/".length)
-    : params.model;
-  console.log("openrouterModelName", modelName);
-  const requestOptions = {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-      "HTTP-Referer": "https://github.com/solamente0/sololom", // Your app's website
-      "X-Title": "Sololom Extension", // Your app's name
-    },
-    body: JSON.stringify({
-      model: modelName,
-      messages: params.messages,
-      temperature: params.temperature || 0.7,
-      max_tokens: params.maxTokens || 2048,
-    }),
-  };
+export async function* streamLLMResponse(params) {
+  await loadCustomEndpoints();
+  const { provider, modelId } = resolveProvider(params.model);
+  const apiKey = await getApiKey(provider);
+  const { messages, dropped } = await fitToContext(params, provider, modelId);
+  const request = provider.buildRequest(
+    { ...params, model: modelId, messages },
+    apiKey,
+    { stream: true }
+  );
+
+  if (dropped > 0) {
+    yield { type: "context", dropped };
+  }
+
+  const policy = await getRetryPolicy();
+  const startedAt = Date.now();
 
+  let response;
   try {
-    const response = await fetch(url, requestOptions);
+    for await (const event of fetchWithRetryEvents(
+      request.url,
+      { ...request.options, signal: params.signal },
+      policy
+    )) {
+      if (event.type === "retry") {
+        yield event;
+      } else {
+        response = event.response;
+      }
+    }
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    throw new Error(`Failed to call ${provider.name} API: ${error.message}`);
+  }
 
-    if (!response.ok) {
-      const errorData = await response.json();
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `${provider.name} API Error: ${
+        errorData.error?.message || "Unknown error"
+      }`
+    );
+  }
+
+  let content = "";
+  let usage = null;
+  let resolvedModel = null;
+  let finishReason = null;
+
+  for await (const { event, data } of readEventStream(response)) {
+    // OpenAI-compatible APIs terminate the stream with a sentinel
+    if (data === "[DONE]") break;
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      continue;
+    }
+
+    if (event === "error" || payload.type === "error" || payload.error) {
       throw new Error(
-        `OpenRouter API Error: ${errorData.error?.message || "Unknown error"}`
+        `${provider.name} API Error: ${
+          payload.error?.message || "Stream interrupted"
+        }`
       );
     }
 
-    return await response.json();
-  } catch (error) {
-    if (error.message.includes("API Error")) {
-      throw error;
+    const reportedUsage = provider.parseUsage?.(payload);
+    if (reportedUsage) {
+      usage = { ...usage, ...reportedUsage };
+    }
+    resolvedModel = resolvedModel || provider.parseModel?.(payload) || null;
+    finishReason = provider.parseFinishReason?.(payload) || finishReason;
+
+    const delta = provider.parseStreamEvent(payload);
+    if (delta) {
+      content += delta;
+      yield { type: "delta", content: delta };
     }
-    throw new Error(`Failed to call OpenRouter API: ${error.message}`);
   }
+
+  yield {
+    type: "done",
+    ...createResponse(
+      provider,
+      { model: params.model, modelId, messages, startedAt },
+      { text: content, finishReason, usage, resolvedModel }
+    ),
+  };
 }
+
 /**
- * Extracts the content from an API response
+ * Extracts the content from a raw API response
+ *
+ * `getLLMResponse` already returns the text, this is for payloads stored
+ * or received elsewhere.
  *
  * @param {Object} response - The API response
- * @param {string} provider - The provider name
+ * @param {string} provider - The provider id
  * @returns {string} - The extracted content
  */
 export function extractContentFromResponse(response, provider) {
   if (!response) return "";
 
-  switch (provider) {
-    case "openai":
-      return response.choices?.[0]?.message?.content || "";
-    case "anthropic":
-      return response.content?.[0]?.text || "";
-    case "mistral":
-      return response.choices?.[0]?.message?.content || "";
-    case "openrouter":
-      return response.choices?.[0]?.message?.content || "";
-    default:
-      return "";
-  }
+  return getProvider(provider)?.parseResponse(response) || "";
 }
 
 /**
- * Gets the available models for a provider
+ * Gets the curated fallback models for a provider
  *
- * @param {string} provider - The provider name
+ * @param {string} provider - The provider id
  * @returns {Array<Object>} - Array of model objects with id and name
  */
 export function getAvailableModels(provider) {
-  switch (provider) {
-    case "openai":
-      return [
-        { id: "gpt-3.5-turbo", name: "GPT-3.5 Turbo" },
-        { id: "gpt-4", name: "GPT-4" },
-        { id: "gpt-4-turbo", name: "GPT-4 Turbo" },
-      ];
-    case "anthropic":
-      return [
-        { id: "claude-2.1", name: "Claude 2.1" },
-        { id: "claude-3-opus", name: "Claude 3 Opus" },
-        { id: "claude-3-sonnet", name: "Claude 3 Sonnet" },
-      ];
-    case "mistral":
-      return [
-        { id: "mistral-small", name: "Mistral Small" },
-        { id: "mistral-medium", name: "Mistral Medium" },
-        { id: "mistral-large", name: "Mistral Large" },
-      ];
-    case "openrouter":
-      return [
-        // Latest OpenRouter models (as of March 2025)
-        {
-          id: "openrouter/meta-llama/llama-3-70b",
-          name: "Meta Llama 3 70B",
-        },
-        {
-          // id: "openrouter/meta-llama/llama-3-8b-instruct",
-          id: "meta-llama/llama-3-8b-instruct",
-          name: "Meta Llama 3 8B",
-        },
-        { id: "openrouter/google/gemini-pro", name: "Google Gemini Pro" },
-        {
-          id: "openrouter/google/gemini-1.5-pro",
-          name: "Google Gemini 1.5 Pro",
-        },
-        {
-          id: "openrouter/anthropic/claude-3-opus",
-          name: "Claude 3 Opus (via OpenRouter)",
-        },
-        {
-          id: "openrouter/anthropic/claude-3-sonnet",
-          name: "Claude 3 Sonnet (via OpenRouter)",
-        },
-        {
-          id: "openrouter/anthropic/claude-3-haiku",
-          name: "Claude 3 Haiku (via OpenRouter)",
-        },
-        { id: "openrouter/cohere/command-r", name: "Cohere Command R" },
-        {
-          id: "openrouter/mistral/mistral-large",
-          name: "Mistral Large (via OpenRouter)",
-        },
-        {
-          id: "openrouter/mistral/mistral-small",
-          name: "Mistral Small (via OpenRouter)",
-        },
-      ];
-    default:
-      return [];
-  }
+  return getProvider(provider)?.models || [];
 }
 
 /**
- * Gets all available models across providers
+ * Gets all available models across providers from the cached catalog
  *
- * @returns {Array<Object>} - Array of model objects with id, name, and provider
+ * @returns {Promise<Array<Object>>} - Array of model objects with id, name, and provider
  */
-export function getAllAvailableModels() {
-  return [
-    ...getAvailableModels("openai").map((model) => ({
-      ...model,
-      provider: "openai",
-    })),
-    ...getAvailableModels("anthropic").map((model) => ({
-      ...model,
-      provider: "anthropic",
-    })),
-    ...getAvailableModels("mistral").map((model) => ({
-      ...model,
-      provider: "mistral",
-    })),
-    ...getAvailableModels("openrouter").map((model) => ({
-      // Add this block
-      ...model,
-      provider: "openrouter",
-    })),
-  ];
+export async function getAllAvailableModels() {
+  return ModelCatalog.getAllModels();
 }
 
 /**
  * Checks if an API key is valid by making a test request
  *
- * @param {string} provider - The provider name
+ * @param {string} provider - The provider id
  * @param {string} apiKey - The API key to test
  * @returns {Promise<Object>} - Result object with success boolean and message
  */
@@ -365,61 +401,13 @@ export async function testApiKey(provider, apiKey) {
     return { success: false, message: "API key is empty" };
   }
 
+  const providerModule = getProvider(provider);
+  if (!providerModule) {
+    return { success: false, message: `Unsupported provider: ${provider}` };
+  }
+
   try {
-    let response;
-
-    switch (provider) {
-      case "openai":
-        // Use a simple models list request to test the key
-        response = await fetch("https://api.openai.com/v1/models", {
-          method: "GET",
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-          },
-        });
-        break;
-
-      case "anthropic":
-        // Anthropic doesn't have a simple endpoint for testing keys
-        // Use a minimal completion request instead
-        response = await fetch("https://api.anthropic.com/v1/messages", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-api-key": apiKey,
-            "anthropic-version": "2023-06-01",
-          },
-          body: JSON.stringify({
-            model: "claude-3-sonnet",
-            messages: [{ role: "user", content: "Hello" }],
-            max_tokens: 1,
-          }),
-        });
-        break;
-
-      case "mistral":
-        // Use a models list request to test the key
-        response = await fetch("https://api.mistral.ai/v1/models", {
-          method: "GET",
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-          },
-        });
-        break;
-      case "openrouter":
-        // Use models list endpoint to test key
-        response = await fetch("https://openrouter.ai/api/v1/models", {
-          method: "GET",
-          headers: {
-            Authorization: `Bearer ${apiKey}`,
-            "HTTP-Referer": "https://github.com/solamente0/sololom",
-            "X-Title": "Sololom Extension",
-          },
-        });
-        break;
-      default:
-        return { success: false, message: `Unsupported provider: ${provider}` };
-    }
+    const response = await providerModule.testKey(apiKey);
 
     if (response.ok) {
       return { success: true, message: "API key is valid" };
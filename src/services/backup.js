@@ -0,0 +1,260 @@
+/**
+ * Sololom Backup Service
+ *
+ * Backs up settings and conversations on a daily or weekly schedule. Each
+ * backup is an export file downloaded to a Sololom folder in the user's
+ * downloads, with a copy kept in local storage so the settings page can
+ * restore it without access to the file. Only the newest backups are
+ * kept; older ones are removed along with their downloaded file.
+ */
+
+import * as StorageService from "./storage.js";
+import { getRedactedSecrets } from "./secrets.js";
+import { generateUUID } from "../utils/helpers.js";
+
+/**
+ * Name of the alarm that creates backups
+ */
+export const BACKUP_ALARM = "createBackup";
+
+/**
+ * Folder in the downloads directory backups are written to
+ */
+export const BACKUP_FOLDER = "Sololom Backups";
+
+/**
+ * Minutes between backups, by schedule
+ */
+export const BACKUP_SCHEDULES = {
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60,
+};
+
+const OFFSCREEN_URL = "src/offscreen/offscreen.html";
+
+/**
+ * Gets the backup options from the global settings
+ *
+ * @param {Object} settings - The global settings
+ * @returns {Object} - Options with schedule ("off", "daily" or "weekly"), keep and includeKeys
+ */
+export function getBackupOptions(settings) {
+  return {
+    schedule: BACKUP_SCHEDULES[settings?.backupSchedule]
+      ? settings.backupSchedule
+      : "off",
+    keep: Math.max(1, settings?.backupKeep || 5),
+    includeKeys: settings?.backupIncludeKeys === true,
+  };
+}
+
+/**
+ * Creates an object URL for an export file
+ *
+ * Service workers can't create object URLs, so the background worker has
+ * an offscreen document create it.
+ *
+ * @param {string} json - The export file's text
+ * @returns {Promise<Object>} - Object with the url and a revoke function that frees it
+ */
+async function createFileUrl(json) {
+  if (typeof URL.createObjectURL === "function") {
+    const url = URL.createObjectURL(
+      new Blob([json], { type: "application/json" })
+    );
+    return { url, revoke: async () => URL.revokeObjectURL(url) };
+  }
+
+  const documents = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+  });
+  if (documents.length === 0) {
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ["BLOBS"],
+      justification: "Create the file URL for a backup download",
+    });
+  }
+
+  const { url } = await chrome.runtime.sendMessage({
+    target: "offscreen",
+    action: "createObjectUrl",
+    content: json,
+    type: "application/json",
+  });
+  // Closing the document frees every URL it created
+  return { url, revoke: () => chrome.offscreen.closeDocument() };
+}
+
+/**
+ * Waits for a download to finish
+ *
+ * @param {number} downloadId - The download's ID
+ * @returns {Promise<string|undefined>} - The final state, "complete" or "interrupted"
+ */
+function waitForDownload(downloadId) {
+  return new Promise((resolve) => {
+    const finish = (state) => {
+      chrome.downloads.onChanged.removeListener(onChanged);
+      resolve(state);
+    };
+    const onChanged = ({ id, state }) => {
+      if (id === downloadId && state && state.current !== "in_progress") {
+        finish(state.current);
+      }
+    };
+
+    chrome.downloads.onChanged.addListener(onChanged);
+    // It may have finished before the listener was added
+    chrome.downloads
+      .search({ id: downloadId })
+      .then(([item]) => {
+        if (item?.state !== "in_progress") finish(item?.state);
+      })
+      .catch(() => {
+        // Left to the listener
+      });
+  });
+}
+
+/**
+ * Writes a backup to the downloads folder
+ *
+ * The downloads permission is optional, without it backups are only kept
+ * in the extension. The file's URL is freed once the download is over.
+ *
+ * @param {string} json - The export file's text
+ * @param {string} filename - Path relative to the downloads folder
+ * @returns {Promise<number|null>} - The download's ID, or null if it wasn't downloaded
+ */
+async function downloadBackup(json, filename) {
+  if (!chrome.downloads) return null;
+
+  const file = await createFileUrl(json);
+  try {
+    const downloadId = await chrome.downloads.download({
+      url: file.url,
+      filename,
+      conflictAction: "uniquify",
+      saveAs: false,
+    });
+    const state = await waitForDownload(downloadId);
+    return state === "complete" ? downloadId : null;
+  } finally {
+    await file.revoke();
+  }
+}
+
+/**
+ * Removes a backup's downloaded file
+ *
+ * Files the user moved or deleted are skipped. Failures are logged, so
+ * one file can't stop the others from being removed.
+ *
+ * @param {number|null} downloadId - The download's ID
+ * @returns {Promise<void>}
+ */
+async function removeDownload(downloadId) {
+  if (downloadId == null || !chrome.downloads) return;
+
+  try {
+    await chrome.downloads.removeFile(downloadId).catch(() => {
+      // The file is already gone
+    });
+    await chrome.downloads.erase({ id: downloadId });
+  } catch (error) {
+    console.error("Error removing backup file:", error);
+  }
+}
+
+/**
+ * Removes all but the newest backups
+ *
+ * @param {number} keep - Number of backups to keep
+ * @returns {Promise<Array<Object>>} - The backups removed
+ */
+export async function pruneBackups(keep) {
+  const backups = await StorageService.getBackups();
+  const removed = await StorageService.deleteBackups(
+    backups.slice(keep).map((backup) => backup.id)
+  );
+  for (const backup of removed) {
+    await removeDownload(backup.downloadId);
+  }
+  return removed;
+}
+
+/**
+ * Creates a backup of the settings and every conversation in the list
+ * and the archive
+ *
+ * API keys and other secrets are left out, except encrypted API keys when
+ * the settings ask for them: they can only be read with their passphrase.
+ *
+ * @param {Object} [settings] - Global settings to take the options from, the stored ones by default
+ * @returns {Promise<Object>} - The new backup
+ */
+export async function createBackup(settings) {
+  const options = getBackupOptions(
+    settings || (await StorageService.getGlobalSettings())
+  );
+
+  const json = await StorageService.exportData({
+    includeApiKeys: false,
+    includeArchived: true,
+    keepSecrets: options.includeKeys ? ["apiKeyVault"] : [],
+  });
+  const data = JSON.parse(json);
+
+  const createdAt = data.exportDate;
+  const stamp = new Date(createdAt)
+    .toISOString()
+    .slice(0, 19)
+    .replace(/:/g, "-");
+  const filename = `${BACKUP_FOLDER}/sololom-backup-${stamp}.json`;
+
+  const backup = {
+    id: generateUUID(),
+    filename,
+    downloadId: await downloadBackup(json, filename),
+    createdAt,
+    bytes: new Blob([json]).size,
+    conversations: data.conversations.length,
+    includesKeys: Boolean(data.globalSettings.apiKeyVault),
+    redactedSecrets: getRedactedSecrets(data),
+  };
+
+  await StorageService.saveBackup(backup, json);
+  await pruneBackups(options.keep);
+
+  return backup;
+}
+
+/**
+ * Schedules the alarm that creates backups, or clears it
+ *
+ * An alarm already running on the chosen schedule is kept, so restarting
+ * the browser doesn't push the next backup back.
+ *
+ * @param {Object} [settings] - Global settings to take the schedule from, the stored ones by default
+ * @returns {Promise<void>}
+ */
+export async function scheduleBackups(settings) {
+  const { schedule } = getBackupOptions(
+    settings || (await StorageService.getGlobalSettings())
+  );
+
+  if (schedule === "off") {
+    await chrome.alarms.clear(BACKUP_ALARM);
+    return;
+  }
+
+  const period = BACKUP_SCHEDULES[schedule];
+  const alarm = await chrome.alarms.get(BACKUP_ALARM);
+  if (alarm?.periodInMinutes === period) return;
+
+  await chrome.alarms.create(BACKUP_ALARM, {
+    delayInMinutes: period,
+    periodInMinutes: period,
+  });
+}
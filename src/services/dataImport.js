@@ -0,0 +1,383 @@
+/**
+ * Sololom Data Import Service
+ *
+ * Imports Sololom backups and settings files in two steps. previewImport
+ * checks the file against the schema and lists what it would change:
+ * settings that differ, conversations that are new and conversations whose
+ * ID is already taken. applyImport then writes only what the user chose.
+ */
+
+import * as StorageService from "./storage.js";
+import { detectImporter } from "./importers/index.js";
+import {
+  migrateData,
+  validateChatSettings,
+  validateGlobalSettings,
+  validateImportData,
+} from "./schema.js";
+import { createDefaultApiKeys } from "./providers/index.js";
+import { isSecretPlaceholder, restoreSecrets } from "./secrets.js";
+import { generateUUID } from "../utils/helpers.js";
+
+/**
+ * What to do with an item of an import
+ */
+export const IMPORT_ACTIONS = {
+  // Leave the stored value or conversation as it is
+  KEEP_MINE: "mine",
+  // Use the one from the file
+  TAKE_THEIRS: "theirs",
+  // Store the file's conversation as a copy next to the stored one
+  KEEP_BOTH: "both",
+};
+
+const SCOPES = ["globalSettings", "chatSettings"];
+
+/**
+ * Reads an import file into the backup layout
+ *
+ * Settings exports hold the global settings on their own, backups hold
+ * globalSettings, chatSettings and conversations.
+ *
+ * @param {string} jsonData - The file's text
+ * @returns {Object} - The data, in the backup layout
+ * @throws {Error} - If the file isn't JSON or is another app's export
+ */
+function readImportFile(jsonData) {
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonData);
+  } catch (error) {
+    throw new Error("The file isn't valid JSON");
+  }
+
+  const importer = detectImporter(parsed);
+  if (importer) {
+    throw new Error(
+      `This is a ${importer.name} export, use Import ChatGPT or Claude History for it`
+    );
+  }
+
+  const isSettingsFile =
+    parsed &&
+    typeof parsed === "object" &&
+    !Array.isArray(parsed) &&
+    ![...SCOPES, "conversations"].some((key) => key in parsed);
+  return isSettingsFile ? { globalSettings: parsed } : parsed;
+}
+
+/**
+ * Describes a set of API keys without showing them
+ *
+ * @param {Object} apiKeys - Keys by provider
+ * @param {Object|null} apiKeyVault - The encrypted keys, if any
+ * @returns {string} - Description for the preview
+ */
+function describeApiKeys(apiKeys, apiKeyVault) {
+  if (apiKeyVault) return "Encrypted";
+
+  const count = Object.values(apiKeys || {}).filter(
+    (key) => key && !isSecretPlaceholder(key)
+  ).length;
+  return count === 0 ? "None" : `${count} key(s)`;
+}
+
+/**
+ * Lists the settings a file would change
+ *
+ * Incoming values are kept as they are in the file, with placeholders for
+ * the secrets it left out.
+ *
+ * @param {Object} data - The validated and upgraded file
+ * @param {Object} current - Stored settings by scope
+ * @returns {Array<Object>} - Changes with id, scope, key, current and incoming value and defaultAction; the API keys change has the file's keys in keys
+ */
+function diffSettings(data, current) {
+  const changes = [];
+
+  SCOPES.forEach((scope) => {
+    if (!data[scope]) return;
+    const incoming = { ...data[scope] };
+    // Secrets the file left out are taken as unchanged
+    const compared =
+      scope === "globalSettings"
+        ? restoreSecrets(incoming, current[scope])
+        : incoming;
+
+    if (scope === "globalSettings") {
+      const { apiKeys, apiKeyVault } = incoming;
+      delete incoming.apiKeys;
+      delete incoming.apiKeyVault;
+
+      // Keys are only offered when the file has other ones, and never shown
+      const currentKeys = current[scope].apiKeys;
+      if (
+        (apiKeyVault &&
+          JSON.stringify(apiKeyVault) !==
+            JSON.stringify(current[scope].apiKeyVault)) ||
+        Object.entries(compared.apiKeys || {}).some(
+          ([provider, key]) => key && key !== currentKeys[provider]
+        )
+      ) {
+        changes.push({
+          id: `${scope}.apiKeys`,
+          scope,
+          key: "apiKeys",
+          current: describeApiKeys(
+            current[scope].apiKeys,
+            current[scope].apiKeyVault
+          ),
+          incoming: describeApiKeys(apiKeys, apiKeyVault),
+          keys: { apiKeys, apiKeyVault },
+          secret: true,
+          defaultAction: IMPORT_ACTIONS.KEEP_MINE,
+        });
+      }
+    }
+
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (
+        JSON.stringify(compared[key]) === JSON.stringify(current[scope][key])
+      ) {
+        return;
+      }
+      changes.push({
+        id: `${scope}.${key}`,
+        scope,
+        key,
+        current: current[scope][key],
+        incoming: value,
+        defaultAction: IMPORT_ACTIONS.TAKE_THEIRS,
+      });
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Sorts a file's conversations into new ones and ID collisions
+ *
+ * Conversations identical to the stored one with their ID are left out,
+ * as are repeats within the file.
+ *
+ * @param {Array<Object>} conversations - Conversations from the file
+ * @returns {Promise<Object>} - Object with added and conflicts lists, of items with id, current and incoming conversation and defaultAction, and the number unchanged
+ */
+async function diffConversations(conversations) {
+  const stored = await StorageService.getConversationIds();
+  const seen = new Set();
+  const added = [];
+  const conflicts = [];
+  let unchanged = 0;
+
+  for (const conversation of conversations) {
+    const incoming = { ...conversation, id: String(conversation.id) };
+    if (seen.has(incoming.id)) continue;
+    seen.add(incoming.id);
+
+    if (!stored.has(incoming.id)) {
+      added.push({
+        id: incoming.id,
+        incoming,
+        defaultAction: IMPORT_ACTIONS.TAKE_THEIRS,
+      });
+      continue;
+    }
+
+    const current = await StorageService.getConversationById(incoming.id);
+    if (current && JSON.stringify(current) === JSON.stringify(incoming)) {
+      unchanged++;
+      continue;
+    }
+
+    conflicts.push({
+      id: incoming.id,
+      current: StorageService.createIndexEntry(current || { id: incoming.id }),
+      incoming,
+      defaultAction: IMPORT_ACTIONS.KEEP_MINE,
+    });
+  }
+
+  return { added, conflicts, unchanged };
+}
+
+/**
+ * Checks an import file and lists what importing it would change
+ *
+ * Nothing is written. Secret settings are described rather than shown.
+ *
+ * @param {string} jsonData - The file's text
+ * @returns {Promise<Object>} - Preview with warnings, settings changes and conversations
+ * @throws {Error} - If the file can't be imported, naming every problem
+ */
+export async function previewImport(jsonData) {
+  const { data, errors, warnings } = validateImportData(
+    readImportFile(jsonData)
+  );
+  if (errors.length > 0) {
+    throw new Error(errors.join(". "));
+  }
+
+  // Upgrade files from older versions, which may not record a version
+  const upgraded = migrateData(data, data.schemaVersion || 0);
+
+  const current = {
+    globalSettings: validateGlobalSettings(
+      await StorageService.getGlobalSettings()
+    ),
+    chatSettings: validateChatSettings(await StorageService.getChatSettings()),
+  };
+
+  return {
+    warnings,
+    settings: diffSettings(upgraded, current),
+    conversations: await diffConversations(upgraded.conversations || []),
+  };
+}
+
+/**
+ * Picks the API keys to store when taking the file's
+ *
+ * Encrypted keys can't be merged without their passphrase, so encrypted
+ * keys from the file, or plain keys imported over encrypted ones, replace
+ * all stored keys.
+ *
+ * @param {Object} incoming - The file's apiKeys and apiKeyVault
+ * @param {Object} current - Stored global settings
+ * @returns {Object} - Object with apiKeys and apiKeyVault
+ */
+function mergeApiKeys(incoming, current) {
+  if (incoming.apiKeyVault) {
+    return {
+      apiKeys: createDefaultApiKeys(),
+      apiKeyVault: incoming.apiKeyVault,
+    };
+  }
+
+  const imported = Object.fromEntries(
+    Object.entries(incoming.apiKeys || {}).filter(([, key]) => key)
+  );
+  return {
+    apiKeys: {
+      ...(current.apiKeyVault ? createDefaultApiKeys() : current.apiKeys),
+      ...imported,
+    },
+    apiKeyVault: null,
+  };
+}
+
+/**
+ * Gets the action chosen for an item of an import preview
+ *
+ * @param {Object} choices - Actions keyed by group and item id
+ * @param {string} group - "settings" or "conversations"
+ * @param {Object} item - The preview item
+ * @returns {string} - One of IMPORT_ACTIONS
+ */
+function chooseAction(choices, group, item) {
+  return choices[group]?.[item.id] || item.defaultAction;
+}
+
+/**
+ * Counts the conversations an import would add to the list
+ *
+ * New conversations and kept copies are added, replaced ones take the
+ * place of the stored ones.
+ *
+ * @param {Object} preview - The preview from previewImport
+ * @param {Object} [choices] - Actions keyed by group and item id, as for applyImport
+ * @returns {number} - The number of conversations added
+ */
+export function countAddedConversations(preview, choices = {}) {
+  const { added, conflicts } = preview.conversations;
+  const chosen = (items, action) =>
+    items.filter(
+      (item) => chooseAction(choices, "conversations", item) === action
+    ).length;
+
+  return (
+    chosen(added, IMPORT_ACTIONS.TAKE_THEIRS) +
+    chosen(conflicts, IMPORT_ACTIONS.KEEP_BOTH)
+  );
+}
+
+/**
+ * Writes the parts of an import the user chose
+ *
+ * Items without a choice get their defaultAction: settings changes are
+ * taken except API keys, new conversations are added and conversations
+ * whose ID is taken keep the stored version. Secrets the file left out keep
+ * their stored values.
+ *
+ * @param {Object} preview - The preview from previewImport
+ * @param {Object} [choices] - Actions by item ID, in settings and conversations maps
+ * @returns {Promise<Object>} - The numbers of settings changed and conversations added, replaced, copied and kept
+ */
+export async function applyImport(preview, choices = {}) {
+  const choose = (group, item) => chooseAction(choices, group, item);
+
+  const changes = preview.settings.filter(
+    (item) => choose("settings", item) === IMPORT_ACTIONS.TAKE_THEIRS
+  );
+  if (changes.length > 0) {
+    const stored = validateGlobalSettings(
+      await StorageService.getGlobalSettings()
+    );
+    const settings = {
+      globalSettings: { ...stored },
+      chatSettings: validateChatSettings(
+        await StorageService.getChatSettings()
+      ),
+    };
+
+    changes.forEach(({ scope, key, incoming, keys }) => {
+      Object.assign(
+        settings[scope],
+        key === "apiKeys"
+          ? mergeApiKeys(keys, settings[scope])
+          : { [key]: incoming }
+      );
+    });
+    settings.globalSettings = restoreSecrets(settings.globalSettings, stored);
+
+    const scopes = new Set(changes.map((item) => item.scope));
+    if (scopes.has("globalSettings")) {
+      await StorageService.saveGlobalSettings(settings.globalSettings);
+    }
+    if (scopes.has("chatSettings")) {
+      await StorageService.saveChatSettings(settings.chatSettings);
+    }
+  }
+
+  const { added, conflicts } = preview.conversations;
+  const withAction = (items, action) =>
+    items.filter((item) => choose("conversations", item) === action);
+
+  const newConversations = withAction(added, IMPORT_ACTIONS.TAKE_THEIRS).map(
+    (item) => item.incoming
+  );
+  const copies = withAction(conflicts, IMPORT_ACTIONS.KEEP_BOTH).map(
+    ({ incoming }) => ({
+      ...incoming,
+      id: generateUUID(),
+      title: `${incoming.title || "Imported Conversation"} (imported)`,
+    })
+  );
+  const replaced = withAction(conflicts, IMPORT_ACTIONS.TAKE_THEIRS);
+
+  if (newConversations.length + copies.length > 0) {
+    await StorageService.addConversations([...newConversations, ...copies]);
+  }
+  for (const { incoming } of replaced) {
+    await StorageService.saveConversation(incoming);
+  }
+
+  return {
+    settings: changes.length,
+    added: newConversations.length,
+    replaced: replaced.length,
+    copied: copies.length,
+    kept: conflicts.length - replaced.length - copies.length,
+  };
+}
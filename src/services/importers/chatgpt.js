@@ -0,0 +1,142 @@
+/**
+ * Sololom ChatGPT Importer
+ *
+ * Reads the conversations.json file of a ChatGPT data export. Each
+ * conversation stores its messages as a tree in `mapping`, with a node per
+ * message and a branch for every edit or regenerated answer; the branch the
+ * user last saw ends at `current_node`.
+ */
+
+import { getProvider } from "../providers/index.js";
+import { createModelRef } from "../providers/modelRef.js";
+import { getText, toMilliseconds } from "./utils.js";
+
+// Model used when the export doesn't name one the API serves
+const DEFAULT_MODEL = "gpt-4o";
+
+// ChatGPT's own names for models the API serves under another id
+const MODEL_SLUGS = {
+  "text-davinci-002-render": "gpt-3.5-turbo",
+  "text-davinci-002-render-sha": "gpt-3.5-turbo",
+  "text-davinci-002-render-paid": "gpt-3.5-turbo",
+};
+
+/**
+ * Finds the OpenAI model for a ChatGPT model slug
+ *
+ * Slugs of ChatGPT variants, such as "gpt-4o-canmore" or "gpt-4-browsing",
+ * map to the model they are based on.
+ *
+ * @param {string} slug - The model_slug from the export
+ * @returns {string|null} - Reference to a known OpenAI model, or null if there is none
+ */
+export function getModelForSlug(slug) {
+  if (!slug) return null;
+  if (MODEL_SLUGS[slug]) return createModelRef("openai", MODEL_SLUGS[slug]);
+
+  // The longest known id the slug extends with a "-name" suffix, so that
+  // "gpt-4o-mini-x" maps to gpt-4o-mini but "gpt-4-5" isn't gpt-4
+  const match = (getProvider("openai")?.models || [])
+    .map((model) => model.id)
+    .filter(
+      (id) =>
+        slug === id ||
+        (slug.startsWith(`${id}-`) && /[a-z]/.test(slug[id.length + 1]))
+    )
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? createModelRef("openai", match) : null;
+}
+
+/**
+ * Follows the current branch of a conversation tree from its root
+ *
+ * @param {Object} mapping - Nodes keyed by id, with parent and message
+ * @param {string} currentNode - Id of the last node of the branch
+ * @returns {Array<Object>} - The nodes of the branch, oldest first
+ */
+export function getCurrentBranch(mapping, currentNode) {
+  const branch = [];
+  const visited = new Set();
+
+  let id = currentNode;
+  // Guard against cycles in damaged exports
+  while (id && mapping[id] && !visited.has(id)) {
+    visited.add(id);
+    branch.push(mapping[id]);
+    id = mapping[id].parent;
+  }
+
+  return branch.reverse();
+}
+
+/**
+ * Converts a message node to a Sololom message
+ *
+ * Tool calls, tool output, reasoning and messages ChatGPT hides, such as
+ * custom instructions, are left out.
+ *
+ * @param {Object} message - The node's message
+ * @returns {Object|null} - The message, or null if it isn't shown in the chat
+ */
+function toMessage(message) {
+  const role = message?.author?.role;
+  if (role !== "user" && role !== "assistant") return null;
+  if (message.metadata?.is_visually_hidden_from_conversation) return null;
+  if (message.recipient && message.recipient !== "all") return null;
+
+  const { content_type: type, parts } = message.content || {};
+  if (type !== "text" && type !== "multimodal_text") return null;
+
+  // Image parts are objects, only the text is kept
+  const content = getText(parts);
+  if (!content) return null;
+
+  const converted = { role, content };
+  const model = getModelForSlug(message.metadata?.model_slug);
+  if (role === "assistant" && model) {
+    converted.model = model;
+  }
+  if (message.create_time) {
+    converted.timestamp = toMilliseconds(message.create_time);
+  }
+  return converted;
+}
+
+/**
+ * Converts a ChatGPT conversation
+ *
+ * @param {Object} conversation - A conversation from the export
+ * @returns {Object} - Conversation with id, title, model, messages and timestamp
+ */
+function toConversation(conversation) {
+  const mapping = conversation.mapping || {};
+  const messages = getCurrentBranch(mapping, conversation.current_node)
+    .map((node) => toMessage(node.message))
+    .filter(Boolean);
+
+  const lastModel = [...messages].reverse().find((m) => m.model)?.model;
+
+  return {
+    id: conversation.conversation_id || conversation.id,
+    title: conversation.title,
+    model:
+      lastModel ||
+      getModelForSlug(conversation.default_model_slug) ||
+      createModelRef("openai", DEFAULT_MODEL),
+    messages,
+    timestamp: toMilliseconds(
+      conversation.update_time || conversation.create_time
+    ),
+  };
+}
+
+export default {
+  id: "chatgpt",
+  name: "ChatGPT",
+  detect: (data) =>
+    Array.isArray(data) &&
+    data.length > 0 &&
+    data.every((item) => item && typeof item.mapping === "object"),
+  parse: (data) => data.map(toConversation),
+};
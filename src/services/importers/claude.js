@@ -0,0 +1,70 @@
+/**
+ * Sololom Claude Importer
+ *
+ * Reads the conversations.json file of a Claude data export. Messages are
+ * stored in order in `chat_messages`; the export doesn't say which model
+ * answered.
+ */
+
+import { createModelRef } from "../providers/modelRef.js";
+import { getText, toMilliseconds } from "./utils.js";
+
+// Claude exports don't name the model, imported chats continue with this one
+const DEFAULT_MODEL = createModelRef("anthropic", "claude-3-5-sonnet-latest");
+
+const ROLES = {
+  human: "user",
+  assistant: "assistant",
+};
+
+/**
+ * Converts a Claude message to a Sololom message
+ *
+ * @param {Object} message - A message from the export
+ * @returns {Object|null} - The message, or null if it has no text
+ */
+function toMessage(message) {
+  const role = ROLES[message.sender];
+  if (!role) return null;
+
+  // Newer exports split the text into content blocks, tool use included
+  const blocks = (message.content || []).filter(
+    (block) => block.type === "text"
+  );
+  const content = blocks.length > 0 ? getText(blocks) : getText(message.text);
+  if (!content) return null;
+
+  const converted = { role, content };
+  if (message.created_at) {
+    converted.timestamp = toMilliseconds(message.created_at);
+  }
+  return converted;
+}
+
+/**
+ * Converts a Claude conversation
+ *
+ * @param {Object} conversation - A conversation from the export
+ * @returns {Object} - Conversation with id, title, model, messages and timestamp
+ */
+function toConversation(conversation) {
+  return {
+    id: conversation.uuid,
+    title: conversation.name,
+    model: DEFAULT_MODEL,
+    messages: (conversation.chat_messages || []).map(toMessage).filter(Boolean),
+    timestamp: toMilliseconds(
+      conversation.updated_at || conversation.created_at
+    ),
+  };
+}
+
+export default {
+  id: "claude",
+  name: "Claude",
+  detect: (data) =>
+    Array.isArray(data) &&
+    data.length > 0 &&
+    data.every((item) => item && Array.isArray(item.chat_messages)),
+  parse: (data) => data.map(toConversation),
+};
@@ -0,0 +1,158 @@
+/**
+ * Sololom Conversation Importers
+ *
+ * Brings in history from the data exports of other chat apps. Each importer
+ * is a module with an id, a display name, detect(data) telling whether it
+ * reads a parsed export and parse(data) returning plain conversations.
+ * Imported conversations get ids derived from the source app's, so
+ * importing the same export again skips what is already stored.
+ */
+
+import chatgpt from "./chatgpt.js";
+import claude from "./claude.js";
+import * as StorageService from "../storage.js";
+import { createDefaultChatSettings } from "../schema.js";
+import { truncateString } from "../../utils/helpers.js";
+
+// Importers, in detection order
+const IMPORTERS = [chatgpt, claude];
+
+/**
+ * Finds the importer that reads an export
+ *
+ * @param {any} data - The parsed export file
+ * @returns {Object|null} - The importer, or null if no importer knows the format
+ */
+export function detectImporter(data) {
+  return IMPORTERS.find((importer) => importer.detect(data)) || null;
+}
+
+/**
+ * Turns a parsed conversation into a Sololom conversation record
+ *
+ * @param {Object} importer - The importer that parsed it
+ * @param {Object} parsed - Conversation with id, title, model, messages and timestamp
+ * @param {Object} defaults - Default chat settings
+ * @returns {Object} - The conversation record
+ */
+function toRecord(importer, parsed, defaults) {
+  const firstUserMessage = parsed.messages.find((m) => m.role === "user");
+  const lastMessage = parsed.messages[parsed.messages.length - 1];
+
+  return {
+    systemPrompt: defaults.systemPrompt,
+    temperature: defaults.temperature,
+    maxTokens: defaults.maxTokens,
+    ...parsed,
+    id: `${importer.id}-${parsed.id}`,
+    title:
+      parsed.title ||
+      truncateString(firstUserMessage?.content || "", 50) ||
+      "Imported Conversation",
+    timestamp: parsed.timestamp || lastMessage.timestamp || Date.now(),
+    source: { app: importer.id, id: parsed.id },
+  };
+}
+
+/**
+ * Reads the conversations in another app's export
+ *
+ * Conversations without an id or without any messages are skipped, as are
+ * repeats within the file.
+ *
+ * @param {string} jsonData - The export file's text
+ * @returns {Object} - Object with the importer, the conversation records and the number skipped
+ * @throws {Error} - If the file isn't an export an importer knows
+ */
+export function parseExport(jsonData) {
+  let data;
+  try {
+    data = JSON.parse(jsonData);
+  } catch (error) {
+    throw new Error("The file isn't valid JSON");
+  }
+
+  const importer = detectImporter(data);
+  if (!importer) {
+    throw new Error(
+      "This file isn't a ChatGPT or Claude export. Choose the conversations.json file from the export."
+    );
+  }
+
+  const defaults = createDefaultChatSettings();
+  const ids = new Set();
+  const conversations = [];
+  let skipped = 0;
+
+  importer.parse(data).forEach((parsed) => {
+    if (!parsed.id || parsed.messages.length === 0) {
+      skipped++;
+      return;
+    }
+
+    const record = toRecord(importer, parsed, defaults);
+    if (ids.has(record.id)) {
+      skipped++;
+      return;
+    }
+
+    ids.add(record.id);
+    conversations.push(record);
+  });
+
+  return { importer, conversations, skipped };
+}
+
+/**
+ * Finds the conversations in another app's export that aren't stored yet
+ *
+ * Conversations imported before are left out, also when they have been
+ * deleted or archived since.
+ *
+ * @param {string} jsonData - The export file's text
+ * @returns {Promise<Object>} - Object with the source app's name, the new conversation records and the numbers already there and skipped
+ * @throws {Error} - If the file isn't an export an importer knows
+ */
+export async function prepareImport(jsonData) {
+  const { importer, conversations, skipped } = parseExport(jsonData);
+
+  const stored = await StorageService.getConversationIds();
+  const added = conversations.filter((c) => !stored.has(c.id));
+
+  return {
+    source: importer.name,
+    conversations: added,
+    duplicates: conversations.length - added.length,
+    skipped,
+  };
+}
+
+/**
+ * Stores the conversations found by prepareImport
+ *
+ * @param {Object} prepared - Result of prepareImport
+ * @returns {Promise<Object>} - Object with the source app's name and the numbers imported, already there and skipped
+ */
+export async function saveImport({
+  source,
+  conversations,
+  duplicates,
+  skipped,
+}) {
+  if (conversations.length > 0) {
+    await StorageService.addConversations(conversations);
+  }
+
+  return { source, imported: conversations.length, duplicates, skipped };
+}
+
+/**
+ * Imports the conversations in another app's export
+ *
+ * @param {string} jsonData - The export file's text
+ * @returns {Promise<Object>} - Object with the source app's name and the numbers imported, already there and skipped
+ * @throws {Error} - If the file isn't an export an importer knows
+ */
+export async function importConversations(jsonData) {
+  return saveImport(await prepareImport(jsonData));
+}
@@ -0,0 +1,34 @@
+/**
+ * Sololom Importer Utilities
+ *
+ * Helpers shared by the conversation importers
+ */
+
+/**
+ * Joins the text of a message
+ *
+ * @param {string|Array} value - Text, or parts that are strings or blocks with a text field
+ * @returns {string} - The text, trimmed; empty if there is none
+ */
+export function getText(value) {
+  if (typeof value === "string") return value.trim();
+  if (!Array.isArray(value)) return "";
+
+  return value
+    .map((part) => (typeof part === "string" ? part : part?.text))
+    .filter((text) => typeof text === "string" && text)
+    .join("\n")
+    .trim();
+}
+
+/**
+ * Converts an export's timestamp to milliseconds
+ *
+ * @param {number|string} value - Seconds since the epoch, or an ISO date
+ * @returns {number|null} - Milliseconds since the epoch, or null if unreadable
+ */
+export function toMilliseconds(value) {
+  const time =
+    typeof value === "number" ? Math.round(value * 1000) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
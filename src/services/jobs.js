@@ -0,0 +1,318 @@
+/**
+ * Sololom Generation Jobs Service
+ *
+ * Requests started from the popup run as jobs owned by the background
+ * worker, so closing the popup doesn't lose the answer. Jobs are persisted
+ * in local storage and finished answers are written straight into the
+ * conversation they belong to. Only the worker changes stored jobs, other
+ * pages read them or ask the worker.
+ */
+
+import * as ApiService from "./api.js";
+import * as StorageService from "./storage.js";
+import * as SettingsService from "./settings.js";
+import { createAssistantMessage } from "./usage.js";
+import { generateUUID } from "../utils/helpers.js";
+import { isAbortError } from "../utils/errorHandler.js";
+
+/**
+ * Job states
+ */
+export const JOB_STATUS = {
+  RUNNING: "running",
+  DONE: "done",
+  ERROR: "error",
+  STOPPED: "stopped",
+};
+
+/**
+ * How long finished jobs are kept (24 hours)
+ */
+export const JOB_RETENTION = 24 * 60 * 60 * 1000;
+
+// How often the text received so far is written to storage
+const PROGRESS_INTERVAL = 2000;
+
+const JOBS_KEY = "generationJobs";
+
+// Last queued change to the stored jobs. Jobs are stored together, so each
+// change waits for the one before it instead of overwriting it.
+let pendingChange = Promise.resolve();
+
+/**
+ * Reads the stored jobs
+ *
+ * @returns {Promise<Object>} - Jobs keyed by id
+ */
+async function readJobs() {
+  const result = await chrome.storage.local.get(JOBS_KEY);
+  return result[JOBS_KEY] || {};
+}
+
+/**
+ * Changes the stored jobs once earlier changes are written
+ *
+ * @param {Function} change - (jobs) => the jobs to write, or null to leave them as they are
+ * @returns {Promise<void>}
+ */
+function changeJobs(change) {
+  const run = pendingChange.then(async () => {
+    const jobs = change(await readJobs());
+    if (jobs) {
+      await chrome.storage.local.set({ [JOBS_KEY]: jobs });
+    }
+  });
+  // A failed change is reported to its caller and doesn't block the next
+  pendingChange = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Gets all jobs
+ *
+ * @returns {Promise<Array<Object>>} - Jobs, newest first
+ */
+export async function getJobs() {
+  const jobs = await readJobs();
+  return Object.values(jobs).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Gets a job by ID
+ *
+ * @param {string} id - The job ID
+ * @returns {Promise<Object|null>} - The job or null if not found
+ */
+export async function getJob(id) {
+  const jobs = await readJobs();
+  return jobs[id] || null;
+}
+
+/**
+ * Creates and stores a running job
+ *
+ * The conversation is saved right away when history is enabled, so the
+ * question is kept even if the answer never arrives. A conversation that is
+ * already stored keeps the fields the job doesn't set, such as its title.
+ *
+ * @param {Object} options - Job options
+ * @param {Object} options.conversation - The conversation, ending with the user's message
+ * @param {Object} options.request - Parameters for streamLLMResponse, without the signal
+ * @param {boolean} options.saveHistory - Whether to write the answer into saved conversations
+ * @returns {Promise<Object>} - The created job
+ */
+export async function createJob({ conversation, request, saveHistory }) {
+  const now = Date.now();
+  const job = {
+    id: generateUUID(),
+    conversationId: conversation.id,
+    conversation,
+    request,
+    saveHistory: Boolean(saveHistory),
+    status: JOB_STATUS.RUNNING,
+    content: "",
+    response: null,
+    error: null,
+    seen: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await changeJobs((jobs) => ({ ...jobs, [job.id]: job }));
+
+  if (job.saveHistory) {
+    const saved = await StorageService.getConversationById(conversation.id);
+    await StorageService.saveConversation({
+      ...saved,
+      ...conversation,
+      timestamp: now,
+    });
+  }
+
+  return job;
+}
+
+/**
+ * Updates a stored job
+ *
+ * @param {string} id - The job ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} - The updated job or null if not found
+ */
+export async function updateJob(id, changes) {
+  let job = null;
+  await changeJobs((jobs) => {
+    if (!jobs[id]) return null;
+
+    job = { ...jobs[id], ...changes, updatedAt: Date.now() };
+    return { ...jobs, [id]: job };
+  });
+  return job;
+}
+
+/**
+ * Deletes a job
+ *
+ * @param {string} id - The job ID
+ * @returns {Promise<void>}
+ */
+export async function deleteJob(id) {
+  await changeJobs((jobs) => {
+    delete jobs[id];
+    return jobs;
+  });
+}
+
+/**
+ * Gets the newest job whose outcome no page has shown yet
+ *
+ * @returns {Promise<Object|null>} - The job or null if there is none
+ */
+export async function getLatestUnseenJob() {
+  const jobs = await getJobs();
+  return jobs.find((job) => !job.seen) || null;
+}
+
+/**
+ * Marks jobs left running by a previous worker as failed
+ *
+ * Jobs only run inside the worker that started them, so any job still
+ * marked as running when a worker starts was cut off.
+ *
+ * @returns {Promise<number>} - Number of jobs marked as failed
+ */
+export async function interruptRunningJobs() {
+  let count = 0;
+  await changeJobs((jobs) => {
+    const running = Object.values(jobs).filter(
+      (job) => job.status === JOB_STATUS.RUNNING
+    );
+    count = running.length;
+    if (count === 0) return null;
+
+    const now = Date.now();
+    running.forEach((job) => {
+      jobs[job.id] = {
+        ...job,
+        status: JOB_STATUS.ERROR,
+        error: "The request was interrupted before it finished",
+        updatedAt: now,
+      };
+    });
+    return jobs;
+  });
+  return count;
+}
+
+/**
+ * Deletes finished jobs older than the retention period
+ *
+ * @param {number} now - Current timestamp
+ * @returns {Promise<number>} - Number of jobs deleted
+ */
+export async function pruneJobs(now = Date.now()) {
+  let count = 0;
+  await changeJobs((jobs) => {
+    const expired = Object.values(jobs).filter(
+      (job) =>
+        job.status !== JOB_STATUS.RUNNING && now - job.updatedAt > JOB_RETENTION
+    );
+    count = expired.length;
+    if (count === 0) return null;
+
+    expired.forEach((job) => delete jobs[job.id]);
+    return jobs;
+  });
+  return count;
+}
+
+/**
+ * Appends an assistant message to the job's conversation in storage
+ *
+ * @param {Object} job - The job
+ * @param {Object} message - The assistant message
+ * @returns {Promise<void>}
+ */
+async function saveJobMessage(job, message) {
+  if (!job.saveHistory) return;
+
+  const conversation =
+    (await StorageService.getConversationById(job.conversationId)) ||
+    job.conversation;
+
+  await StorageService.saveConversation({
+    ...conversation,
+    messages: [...(conversation.messages || []), message],
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * Runs a job, yielding the same events as streamLLMResponse
+ *
+ * The outcome is stored on the job and, when history is enabled, the answer
+ * is added to the conversation. A stopped job keeps its partial answer
+ * unless settings say to discard it. Errors, including the AbortError of a
+ * stopped job, are rethrown once recorded.
+ *
+ * @param {Object} job - The job to run
+ * @param {AbortSignal} signal - Signal used to stop the job
+ * @returns {AsyncGenerator<Object>} - Stream events
+ */
+export async function* runJob(job, signal) {
+  let content = "";
+  let response = null;
+  let savedAt = Date.now();
+
+  try {
+    for await (const event of ApiService.streamLLMResponse({
+      ...job.request,
+      signal,
+    })) {
+      if (event.type === "delta") {
+        content += event.content;
+      } else if (event.type === "done") {
+        response = event;
+      }
+
+      yield event;
+
+      // Regular writes keep the progress and, as extension API calls, stop
+      // Chrome from shutting the worker down mid-answer
+      if (Date.now() - savedAt >= PROGRESS_INTERVAL) {
+        savedAt = Date.now();
+        await updateJob(job.id, { content });
+      }
+    }
+  } catch (error) {
+    if (isAbortError(error)) {
+      await updateJob(job.id, { status: JOB_STATUS.STOPPED, content });
+
+      const partialResponses = await SettingsService.getGlobalSetting(
+        "partialResponses",
+        "keep"
+      );
+      if (content && partialResponses !== "discard") {
+        await saveJobMessage(job, {
+          role: "assistant",
+          content,
+          stopped: true,
+        });
+      }
+    } else {
+      await updateJob(job.id, {
+        status: JOB_STATUS.ERROR,
+        content,
+        error: error.message || "An error occurred",
+      });
+    }
+
+    throw error;
+  }
+
+  await updateJob(job.id, { status: JOB_STATUS.DONE, content, response });
+
+  if (content) {
+    await saveJobMessage(job, createAssistantMessage(content, response));
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Sololom Migrations Service
+ *
+ * Upgrades data saved by older versions of the extension
+ */
+
+import * as StorageService from "./storage.js";
+import {
+  SCHEMA_VERSION,
+  migrateData,
+  validateChatSettings,
+  validateGlobalSettings,
+} from "./schema.js";
+
+/**
+ * Upgrades stored data to the current schema
+ *
+ * Runs on install and update. Data saved with an older schema version, or
+ * none at all, goes through the remaining migration steps and has missing
+ * settings filled with their defaults. Running it again changes nothing.
+ *
+ * @returns {Promise<boolean>} - True if any data was migrated
+ */
+export async function runMigrations() {
+  // Conversations have to be in their current layout before they're read
+  await moveConversationsToLocal();
+
+  const stored = await StorageService.getStoredSettings();
+  const fromVersion = stored.schemaVersion || 0;
+  if (fromVersion >= SCHEMA_VERSION) return false;
+
+  const conversations = await StorageService.getConversations();
+  const migrated = migrateData(
+    {
+      globalSettings: stored.globalSettings,
+      chatSettings: stored.chatSettings,
+      conversations,
+    },
+    fromVersion
+  );
+
+  if (migrated.conversations.some((c, i) => c !== conversations[i])) {
+    await StorageService.saveConversations(migrated.conversations);
+  }
+
+  await StorageService.saveGlobalSettings(
+    validateGlobalSettings(migrated.globalSettings)
+  );
+  await StorageService.saveChatSettings(
+    validateChatSettings(migrated.chatSettings)
+  );
+
+  // The version is written last, so an interrupted run is repeated
+  await StorageService.saveSchemaVersion(SCHEMA_VERSION);
+  return true;
+}
+
+/**
+ * Moves conversations saved by older versions into per-conversation records
+ *
+ * Older versions kept every conversation in one "conversations" array, first
+ * in sync storage, which allows about 100KB in total and 8KB per item, and
+ * then in local storage. Conversations already stored as records win over
+ * older copies with the same ID. Running it again after the move changes
+ * nothing.
+ *
+ * @returns {Promise<boolean>} - True if any conversations were moved
+ */
+export async function moveConversationsToLocal() {
+  const [{ conversations: syncConversations }, { conversations: local }] =
+    await Promise.all([
+      chrome.storage.sync.get("conversations"),
+      chrome.storage.local.get("conversations"),
+    ]);
+  if (syncConversations === undefined && local === undefined) return false;
+
+  const current = await StorageService.getConversations();
+  const ids = new Set(current.map((c) => c.id));
+  const moved = [];
+
+  // The local copy is newer than the sync one
+  [...(local || []), ...(syncConversations || [])].forEach((conversation) => {
+    if (!conversation?.id || ids.has(conversation.id)) return;
+
+    ids.add(conversation.id);
+    moved.push(conversation);
+  });
+
+  if (moved.length > 0) {
+    await StorageService.saveConversations([...current, ...moved]);
+  }
+
+  // Only drop the old copies once the records have been written
+  if (syncConversations !== undefined) {
+    await chrome.storage.sync.remove("conversations");
+  }
+  if (local !== undefined) {
+    await chrome.storage.local.remove("conversations");
+  }
+  return moved.length > 0;
+}
@@ -0,0 +1,209 @@
+/**
+ * Sololom Model Catalog Service
+ *
+ * Fetches the live model list of each configured provider, caches it in
+ * storage with a TTL and merges it with the curated list each provider
+ * declares as a fallback
+ */
+
+import * as StorageService from "./storage.js";
+import * as SettingsService from "./settings.js";
+import * as KeyVault from "./vault.js";
+import { getProvider, getProviders } from "./providers/index.js";
+import { isCustomProvider } from "./providers/custom.js";
+import { DEFAULT_CONTEXT_LENGTH } from "../utils/tokens.js";
+import { isVaultLockedError } from "../utils/errorHandler.js";
+
+/**
+ * How long a fetched model list stays fresh (24 hours)
+ */
+export const MODEL_CATALOG_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Context length assumed for unknown models of the built-in providers
+ *
+ * Their current chat models all have at least this much.
+ */
+export const PROVIDER_CONTEXT_LENGTH = 32000;
+
+// Refresh started by getCatalog, shared so callers don't fetch twice
+let pendingRefresh = null;
+
+/**
+ * Checks whether a cached catalog entry is still fresh
+ *
+ * @param {Object} entry - Catalog entry with models and fetchedAt
+ * @param {number} now - Current timestamp
+ * @returns {boolean} - True if the entry is younger than the TTL
+ */
+export function isCatalogEntryFresh(entry, now = Date.now()) {
+  return Boolean(entry?.fetchedAt && now - entry.fetchedAt < MODEL_CATALOG_TTL);
+}
+
+/**
+ * Merges a provider's curated models with its fetched models
+ *
+ * Once a live list exists it is authoritative: curated models the API no
+ * longer offers are dropped, while the ones it still offers keep their
+ * curated name and position ahead of the remaining fetched models.
+ *
+ * @param {Array<Object>} curated - Curated models ({ id, name })
+ * @param {Array<Object>} fetched - Models returned by the provider
+ * @returns {Array<Object>} - Merged models
+ */
+export function mergeModels(curated, fetched) {
+  if (!fetched || fetched.length === 0) {
+    return curated;
+  }
+
+  const fetchedIds = new Set(fetched.map((model) => model.id));
+  const curatedIds = new Set(curated.map((model) => model.id));
+
+  const known = curated.filter((model) => fetchedIds.has(model.id));
+  const discovered = fetched
+    .filter((model) => !curatedIds.has(model.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return [...known, ...discovered];
+}
+
+/**
+ * Gets the providers whose model list can be fetched
+ *
+ * Custom endpoints are skipped because their model list is entered by the
+ * user.
+ *
+ * @param {Array<string>} configured - Ids of the providers with an API key
+ * @returns {Array<Object>} - Providers to include in the catalog
+ */
+function getCatalogProviders(configured) {
+  return getProviders().filter(
+    (provider) =>
+      provider.listModels &&
+      !isCustomProvider(provider.id) &&
+      configured.includes(provider.id)
+  );
+}
+
+/**
+ * Fetches the model lists of all configured providers
+ *
+ * Entries that are still fresh are kept unless `force` is set. A provider
+ * that fails to respond keeps its previous entry, and so does every
+ * provider while the API keys are locked.
+ *
+ * @param {Object} options - Refresh options
+ * @param {boolean} options.force - Refetch even if the cached entry is fresh
+ * @returns {Promise<Object>} - Object with the catalog and errors keyed by provider id
+ */
+export async function refreshCatalog(options = {}) {
+  const { force = false } = options;
+
+  const catalog = await StorageService.getModelCatalog();
+  const errors = {};
+
+  let apiKeys;
+  try {
+    apiKeys = await KeyVault.getApiKeys();
+  } catch (error) {
+    if (!isVaultLockedError(error)) throw error;
+    return { catalog, errors };
+  }
+
+  const configured = Object.keys(apiKeys).filter((id) => apiKeys[id]);
+
+  await Promise.all(
+    getCatalogProviders(configured).map(async (provider) => {
+      if (!force && isCatalogEntryFresh(catalog[provider.id])) return;
+
+      try {
+        const models = await provider.listModels(apiKeys[provider.id]);
+        catalog[provider.id] = { models, fetchedAt: Date.now() };
+      } catch (error) {
+        console.error(`Error fetching ${provider.name} models:`, error);
+        errors[provider.id] = error.message;
+      }
+    })
+  );
+
+  await StorageService.saveModelCatalog(catalog);
+
+  return { catalog, errors };
+}
+
+/**
+ * Gets the cached catalog
+ *
+ * Stale entries are served as-is while a refresh runs in the background.
+ *
+ * @returns {Promise<Object>} - Catalog entries keyed by provider id
+ */
+export async function getCatalog() {
+  const [catalog, settings] = await Promise.all([
+    StorageService.getModelCatalog(),
+    SettingsService.getGlobalSettings(),
+  ]);
+
+  const hasStaleEntries = getCatalogProviders(
+    KeyVault.getConfiguredProviders(settings)
+  ).some((provider) => !isCatalogEntryFresh(catalog[provider.id]));
+
+  if (hasStaleEntries && !pendingRefresh) {
+    pendingRefresh = refreshCatalog()
+      .catch((error) => console.error("Error refreshing models:", error))
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return catalog;
+}
+
+/**
+ * Gets the models of every registered provider
+ *
+ * @returns {Promise<Array<Object>>} - Models with id, name and provider
+ */
+export async function getAllModels() {
+  const catalog = await getCatalog();
+
+  return getProviders().flatMap((provider) =>
+    mergeModels(provider.models, catalog[provider.id]?.models).map((model) => ({
+      ...model,
+      provider: provider.id,
+    }))
+  );
+}
+
+/**
+ * Gets the context length of a model in tokens
+ *
+ * Reads the provider's curated metadata first, then the cached live list,
+ * without starting a refresh. Dated versions of a curated model, such as
+ * gpt-4o-2024-08-06, use the curated model's length.
+ *
+ * @param {string} providerId - The provider id
+ * @param {string} modelId - The provider's model id
+ * @returns {Promise<number>} - Context length, or a default for unknown models
+ */
+export async function getContextLength(providerId, modelId) {
+  const provider = getProvider(providerId);
+  const curated = (provider?.models || []).filter((m) => m.contextLength);
+  const catalog = await StorageService.getModelCatalog();
+  const models = [
+    ...curated,
+    ...(catalog[providerId]?.models || []).filter((m) => m.contextLength),
+  ];
+
+  const model =
+    models.find((m) => m.id === modelId) ||
+    curated
+      .filter((m) => modelId.startsWith(`${m.id}-`))
+      .sort((a, b) => b.id.length - a.id.length)[0];
+  if (model) return model.contextLength;
+
+  // Custom endpoints often serve small local models
+  return provider && !isCustomProvider(providerId)
+    ? PROVIDER_CONTEXT_LENGTH
+    : DEFAULT_CONTEXT_LENGTH;
+}
@@ -0,0 +1,179 @@
+/**
+ * Sololom Anthropic Provider
+ */
+
+import { createAuthHeaders, createErrorMapper } from "./utils.js";
+
+const API_URL = "https://api.anthropic.com/v1/messages";
+const MODELS_URL = "https://api.anthropic.com/v1/models";
+const API_VERSION = "2023-06-01";
+
+const auth = { type: "header", header: "x-api-key" };
+
+// Anthropic stop reasons mapped to the OpenAI-style finish reasons
+const FINISH_REASONS = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+  refusal: "content_filter",
+};
+
+/**
+ * Creates the headers sent with every Anthropic request
+ *
+ * @param {string} apiKey - The Anthropic API key
+ * @returns {Object} - Request headers
+ */
+function createHeaders(apiKey) {
+  return {
+    "Content-Type": "application/json",
+    ...createAuthHeaders(auth, apiKey),
+    "anthropic-version": API_VERSION,
+  };
+}
+
+export default {
+  id: "anthropic",
+  name: "Anthropic",
+  auth,
+  keyHelp: {
+    placeholder: "sk-ant-...",
+    url: "https://console.anthropic.com/account/keys",
+  },
+  models: [
+    {
+      id: "claude-3-5-sonnet-latest",
+      name: "Claude 3.5 Sonnet",
+      contextLength: 200000,
+    },
+    {
+      id: "claude-3-5-haiku-latest",
+      name: "Claude 3.5 Haiku",
+      contextLength: 200000,
+    },
+    {
+      id: "claude-3-opus-latest",
+      name: "Claude 3 Opus",
+      contextLength: 200000,
+    },
+  ],
+
+  matchesModel(model) {
+    return model.startsWith("claude");
+  },
+
+  buildRequest(params, apiKey, options = {}) {
+    // Anthropic takes the system prompt separately from the messages
+    const systemPrompt =
+      params.messages.find((m) => m.role === "system")?.content || "";
+    const body = {
+      model: params.model,
+      messages: params.messages.filter((m) => m.role !== "system"),
+      system: systemPrompt,
+      max_tokens: params.maxTokens || 2048,
+      temperature: params.temperature || 0.7,
+    };
+
+    if (options.stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: API_URL,
+      options: {
+        method: "POST",
+        headers: createHeaders(apiKey),
+        body: JSON.stringify(body),
+      },
+    };
+  },
+
+  parseResponse(data) {
+    // Text can be split across several blocks, e.g. around tool use
+    return (data?.content || [])
+      .filter((block) => typeof block.text === "string")
+      .map((block) => block.text)
+      .join("");
+  },
+
+  parseFinishReason(payload) {
+    // Streams report the stop reason in message_delta
+    const reason = payload?.stop_reason || payload?.delta?.stop_reason;
+    return reason ? FINISH_REASONS[reason] || reason : null;
+  },
+
+  parseToolCalls(data) {
+    return (data?.content || [])
+      .filter((block) => block.type === "tool_use")
+      .map((block) => ({
+        id: block.id,
+        name: block.name,
+        arguments: JSON.stringify(block.input ?? {}),
+      }));
+  },
+
+  parseStreamEvent(payload) {
+    if (payload?.type === "content_block_delta") {
+      return payload.delta?.text || "";
+    }
+    return "";
+  },
+
+  parseUsage(payload) {
+    // Streams report input tokens in message_start and the output total in
+    // message_delta
+    const usage = payload?.message?.usage || payload?.usage;
+    if (!usage) return null;
+
+    const result = {};
+    if (usage.input_tokens !== undefined) {
+      result.promptTokens = usage.input_tokens;
+    }
+    if (usage.output_tokens !== undefined) {
+      result.completionTokens = usage.output_tokens;
+    }
+    return result;
+  },
+
+  parseModel(payload) {
+    return payload?.model || payload?.message?.model || null;
+  },
+
+  mapError: createErrorMapper({
+    invalid_api_key: "Invalid Anthropic API key. Please check your settings.",
+    permission_error:
+      "Your Anthropic API key does not have permission to use this model.",
+  }),
+
+  async listModels(apiKey) {
+    const response = await fetch(`${MODELS_URL}?limit=100`, {
+      method: "GET",
+      headers: createHeaders(apiKey),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Anthropic API Error: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map((model) => ({
+      id: model.id,
+      name: model.display_name || model.id,
+    }));
+  },
+
+  testKey(apiKey) {
+    // Anthropic doesn't have a simple endpoint for testing keys
+    // Use a minimal completion request instead
+    return fetch(API_URL, {
+      method: "POST",
+      headers: createHeaders(apiKey),
+      body: JSON.stringify({
+        model: "claude-3-5-haiku-latest",
+        messages: [{ role: "user", content: "Hello" }],
+        max_tokens: 1,
+      }),
+    });
+  },
+};
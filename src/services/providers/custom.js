@@ -0,0 +1,145 @@
+/**
+ * Sololom Custom Endpoint Providers
+ *
+ * Turns user-defined OpenAI-compatible endpoints (Ollama, LM Studio, vLLM,
+ * llama.cpp, in-house gateways, ...) into registered providers
+ */
+
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+import { getProviders, registerProvider, unregisterProvider } from "./index.js";
+
+const CUSTOM_PROVIDER_PREFIX = "custom-";
+
+/**
+ * Gets the provider id used for a custom endpoint
+ *
+ * @param {string} endpointId - The endpoint id
+ * @returns {string} - The provider id
+ */
+export function getCustomProviderId(endpointId) {
+  return `${CUSTOM_PROVIDER_PREFIX}${endpointId}`;
+}
+
+/**
+ * Checks whether a provider id belongs to a custom endpoint
+ *
+ * @param {string} providerId - The provider id
+ * @returns {boolean} - True for custom endpoint providers
+ */
+export function isCustomProvider(providerId) {
+  return Boolean(providerId && providerId.startsWith(CUSTOM_PROVIDER_PREFIX));
+}
+
+/**
+ * Removes trailing slashes from an endpoint base URL
+ *
+ * @param {string} baseUrl - The base URL entered by the user
+ * @returns {string} - The normalized base URL
+ */
+export function normalizeBaseUrl(baseUrl) {
+  return (baseUrl || "").trim().replace(/\/+$/, "");
+}
+
+/**
+ * Gets the host permission pattern needed to call an endpoint
+ *
+ * @param {string} baseUrl - The endpoint base URL
+ * @returns {string} - Match pattern such as "http://localhost/*"
+ */
+export function getEndpointOriginPattern(baseUrl) {
+  const url = new URL(normalizeBaseUrl(baseUrl));
+  // Match patterns cover every port of a host
+  return `${url.protocol}//${url.hostname}/*`;
+}
+
+/**
+ * Validates a custom endpoint definition
+ *
+ * @param {Object} endpoint - The endpoint definition
+ * @returns {string|null} - Error message, or null if valid
+ */
+export function validateCustomEndpoint(endpoint) {
+  if (!endpoint?.id) {
+    return "Endpoint is missing an id";
+  }
+  if (!endpoint.name?.trim()) {
+    return "Endpoint name is required";
+  }
+
+  let url;
+  try {
+    url = new URL(normalizeBaseUrl(endpoint.baseUrl));
+  } catch (error) {
+    return `Invalid base URL for ${endpoint.name}`;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return `Base URL for ${endpoint.name} must use http or https`;
+  }
+
+  if (!Array.isArray(endpoint.models) || endpoint.models.length === 0) {
+    return `Add at least one model to ${endpoint.name}`;
+  }
+
+  return null;
+}
+
+/**
+ * Creates a provider for a custom endpoint
+ *
+ * @param {Object} endpoint - The endpoint definition
+ * @param {string} endpoint.id - Unique endpoint id
+ * @param {string} endpoint.name - Display name
+ * @param {string} endpoint.baseUrl - Base URL, e.g. "http://localhost:11434/v1"
+ * @param {string} [endpoint.apiKey] - Optional API key
+ * @param {Object} [endpoint.headers] - Extra headers sent with every request
+ * @param {boolean} [endpoint.locked] - True if the key and headers are in the locked vault
+ * @param {Array<Object>} endpoint.models - Models served by the endpoint ({ id, name, contextLength })
+ * @returns {Object} - The provider module
+ */
+export function createCustomEndpointProvider(endpoint) {
+  const models = endpoint.models.map((model) => ({
+    id: model.id,
+    name: model.name || model.id,
+    ...(model.contextLength > 0 && { contextLength: model.contextLength }),
+  }));
+
+  const provider = createOpenAICompatibleProvider({
+    id: getCustomProviderId(endpoint.id),
+    name: endpoint.name.trim(),
+    baseUrl: normalizeBaseUrl(endpoint.baseUrl),
+    headers: endpoint.headers || {},
+    apiKey: endpoint.apiKey || "",
+    requiresApiKey: false,
+    models,
+    // Custom endpoints only serve the models they list
+    matchesModel: (model) => models.some((m) => m.id === model),
+  });
+
+  return { ...provider, locked: endpoint.locked === true };
+}
+
+/**
+ * Replaces the registered custom endpoint providers
+ *
+ * Invalid endpoints are skipped so one broken entry doesn't hide the rest.
+ *
+ * @param {Array<Object>} endpoints - The endpoint definitions from settings
+ * @returns {Array<Object>} - The registered providers
+ */
+export function registerCustomEndpoints(endpoints = []) {
+  getProviders()
+    .filter((provider) => isCustomProvider(provider.id))
+    .forEach((provider) => unregisterProvider(provider.id));
+
+  return endpoints
+    .filter((endpoint) => {
+      const error = validateCustomEndpoint(endpoint);
+      if (error) {
+        console.warn(`Skipping custom endpoint: ${error}`);
+      }
+      return !error;
+    })
+    .map((endpoint) =>
+      registerProvider(createCustomEndpointProvider(endpoint))
+    );
+}
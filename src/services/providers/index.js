@@ -0,0 +1,131 @@
+/**
+ * Sololom Provider Registry
+ *
+ * Keeps track of the LLM providers the extension can talk to. Each provider
+ * is a self-contained module; everything that needs provider-specific
+ * behaviour looks it up here instead of switching on provider ids.
+ */
+
+import openai from "./openai.js";
+import anthropic from "./anthropic.js";
+import mistral from "./mistral.js";
+import openrouter from "./openrouter.js";
+
+/**
+ * @typedef {Object} Provider
+ * @property {string} id - Provider id used in settings and model lookup
+ * @property {string} name - Display name, also used in API error messages
+ * @property {Object} auth - Auth scheme ({ type: "bearer" } or { type: "header", header })
+ * @property {Object} keyHelp - Placeholder and URL shown next to the key input
+ * @property {boolean} [requiresApiKey] - False if requests work without a key
+ * @property {string} [apiKey] - Key bundled with the provider (custom endpoints)
+ * @property {Array<Object>} models - Models offered by the provider ({ id, name, contextLength })
+ * @property {Function} matchesModel - (modelId) => whether the provider serves an unqualified legacy model id
+ * @property {Function} buildRequest - (params, apiKey, { stream }) => { url, options }
+ * @property {Function} parseResponse - (data) => generated text, all text blocks joined
+ * @property {Function} parseStreamEvent - (payload) => text delta
+ * @property {Function} [parseUsage] - (payload) => { promptTokens, completionTokens } or null; may be partial for stream events
+ * @property {Function} [parseModel] - (payload) => model id reported by the API, or null
+ * @property {Function} [parseFinishReason] - (payload) => "stop", "length", "tool_calls", "content_filter" or null
+ * @property {Function} [parseToolCalls] - (data) => tool calls as [{ id, name, arguments }], arguments as a JSON string
+ * @property {Function} mapError - (errorMessage) => user-friendly message or null
+ * @property {Function} testKey - (apiKey) => Promise resolving to a fetch Response
+ * @property {Function} [listModels] - (apiKey) => Promise resolving to the live model list
+ */
+
+const REQUIRED_FIELDS = [
+  "id",
+  "name",
+  "auth",
+  "models",
+  "matchesModel",
+  "buildRequest",
+  "parseResponse",
+  "parseStreamEvent",
+  "mapError",
+  "testKey",
+];
+
+// Registered providers, in lookup order
+const providers = new Map();
+
+/**
+ * Registers a provider, replacing any provider with the same id
+ *
+ * @param {Provider} provider - The provider module
+ * @returns {Provider} - The registered provider
+ */
+export function registerProvider(provider) {
+  const missing = REQUIRED_FIELDS.filter((field) => !provider?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid provider: missing ${missing.join(", ")}`);
+  }
+
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+/**
+ * Removes a provider from the registry
+ *
+ * @param {string} id - The provider id
+ * @returns {boolean} - True if a provider was removed
+ */
+export function unregisterProvider(id) {
+  return providers.delete(id);
+}
+
+/**
+ * Gets a provider by id
+ *
+ * @param {string} id - The provider id
+ * @returns {Provider|null} - The provider, or null if not registered
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Gets all registered providers
+ *
+ * @returns {Array<Provider>} - Providers in registration order
+ */
+export function getProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Finds the provider serving an unqualified model id
+ *
+ * Only needed for model ids saved before models were stored as
+ * provider-qualified references (see modelRef.js). Providers that list the
+ * model explicitly win over pattern matches.
+ *
+ * @param {string} modelId - The model id
+ * @returns {Provider|null} - The provider, or null if none matches
+ */
+export function findProviderForModel(modelId) {
+  if (!modelId) return null;
+
+  const all = getProviders();
+  return (
+    all.find((provider) =>
+      provider.models.some((model) => model.id === modelId)
+    ) ||
+    all.find((provider) => provider.matchesModel(modelId)) ||
+    null
+  );
+}
+
+/**
+ * Creates an empty API key entry for every registered provider
+ *
+ * @returns {Object} - Map of provider id to empty string
+ */
+export function createDefaultApiKeys() {
+  return Object.fromEntries(
+    getProviders().map((provider) => [provider.id, ""])
+  );
+}
+
+[openai, anthropic, mistral, openrouter].forEach(registerProvider);
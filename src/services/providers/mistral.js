@@ -0,0 +1,45 @@
+/**
+ * Sololom Mistral Provider
+ */
+
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+
+// Mistral's families, some with the open- prefix of the open-weight models
+const MODEL_PATTERN = /^(open-)?(mistral|mixtral|codestral|ministral|pixtral)/;
+
+export default createOpenAICompatibleProvider({
+  id: "mistral",
+  name: "Mistral",
+  baseUrl: "https://api.mistral.ai/v1",
+  keyHelp: {
+    placeholder: "...",
+    url: "https://console.mistral.ai/api-keys/",
+  },
+  models: [
+    { id: "mistral-small-latest", name: "Mistral Small", contextLength: 32000 },
+    {
+      id: "mistral-medium-latest",
+      name: "Mistral Medium",
+      contextLength: 32000,
+    },
+    {
+      id: "mistral-large-latest",
+      name: "Mistral Large",
+      contextLength: 128000,
+    },
+  ],
+  // Skip embedding and moderation models
+  mapModel: (model) =>
+    model.capabilities?.completion_chat === false
+      ? null
+      : {
+          id: model.id,
+          name: model.name || model.id,
+          contextLength: model.max_context_length,
+        },
+  matchesModel: (model) => MODEL_PATTERN.test(model),
+  errors: {
+    invalid_api_key: "Invalid Mistral API key. Please check your settings.",
+    rate_limit_exceeded: "Mistral rate limit exceeded. Please try again later.",
+  },
+});
@@ -0,0 +1,86 @@
+/**
+ * Sololom Model References
+ *
+ * Models are stored as provider-qualified references such as
+ * "openrouter:meta-llama/llama-3-8b-instruct" so the provider never has to
+ * be guessed from the model name
+ */
+
+import { getProvider, findProviderForModel } from "./index.js";
+import { isCustomProvider } from "./custom.js";
+
+/**
+ * Model used when nothing has been selected yet
+ */
+export const DEFAULT_MODEL_REF = "openai:gpt-3.5-turbo";
+
+// Older versions routed OpenRouter models with this id prefix
+const LEGACY_OPENROUTER_PREFIX = "openrouter/";
+
+/**
+ * Creates a model reference
+ *
+ * @param {string} provider - The provider id
+ * @param {string} modelId - The model id used by the provider's API
+ * @returns {string} - The model reference
+ */
+export function createModelRef(provider, modelId) {
+  return `${provider}:${modelId}`;
+}
+
+/**
+ * Splits a model reference into provider and model id
+ *
+ * Only the first colon separates the two, model ids may contain colons
+ * themselves (e.g. Ollama's "llama3:8b"). Values without a known provider
+ * prefix are returned with a null provider.
+ *
+ * @param {string} ref - The model reference
+ * @returns {Object} - Object with provider and modelId
+ */
+export function parseModelRef(ref) {
+  if (!ref) return { provider: null, modelId: "" };
+
+  const separatorIndex = ref.indexOf(":");
+  if (separatorIndex > 0) {
+    const provider = ref.slice(0, separatorIndex);
+    if (getProvider(provider) || isCustomProvider(provider)) {
+      return { provider, modelId: ref.slice(separatorIndex + 1) };
+    }
+  }
+
+  return { provider: null, modelId: ref };
+}
+
+/**
+ * Checks whether a value is a provider-qualified model reference
+ *
+ * @param {string} value - The value to check
+ * @returns {boolean} - True for model references
+ */
+export function isModelRef(value) {
+  return Boolean(parseModelRef(value).provider);
+}
+
+/**
+ * Converts a model string saved by an older version to a model reference
+ *
+ * Model references are returned unchanged, as are strings no provider
+ * recognises.
+ *
+ * @param {string} model - The stored model string
+ * @returns {string} - The model reference
+ */
+export function toModelRef(model) {
+  if (!model || isModelRef(model)) return model;
+
+  if (model.startsWith(LEGACY_OPENROUTER_PREFIX)) {
+    return createModelRef(
+      "openrouter",
+      model.slice(LEGACY_OPENROUTER_PREFIX.length)
+    );
+  }
+
+  const provider = findProviderForModel(model);
+  return provider ? createModelRef(provider.id, model) : model;
+}
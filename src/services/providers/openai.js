@@ -0,0 +1,38 @@
+/**
+ * Sololom OpenAI Provider
+ */
+
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+
+const CHAT_MODEL_PATTERN = /^(gpt|chatgpt|o\d)/;
+const NON_CHAT_PATTERN = /(audio|realtime|tts|transcribe|image|search)/;
+
+export default createOpenAICompatibleProvider({
+  id: "openai",
+  name: "OpenAI",
+  baseUrl: "https://api.openai.com/v1",
+  keyHelp: {
+    placeholder: "sk-...",
+    url: "https://platform.openai.com/api-keys",
+  },
+  models: [
+    { id: "gpt-4o", name: "GPT-4o", contextLength: 128000 },
+    { id: "gpt-4o-mini", name: "GPT-4o mini", contextLength: 128000 },
+    { id: "gpt-4-turbo", name: "GPT-4 Turbo", contextLength: 128000 },
+    { id: "gpt-4", name: "GPT-4", contextLength: 8192 },
+    { id: "gpt-3.5-turbo", name: "GPT-3.5 Turbo", contextLength: 16385 },
+  ],
+  streamBody: { stream_options: { include_usage: true } },
+  matchesModel: (model) => CHAT_MODEL_PATTERN.test(model),
+  // The models endpoint also lists embedding, audio and image models
+  mapModel: (model) =>
+    CHAT_MODEL_PATTERN.test(model.id) && !NON_CHAT_PATTERN.test(model.id)
+      ? { id: model.id, name: model.id }
+      : null,
+  errors: {
+    insufficient_quota:
+      "Your OpenAI API key has insufficient quota. Please check your billing status.",
+    invalid_api_key: "Invalid OpenAI API key. Please check your settings.",
+    rate_limit_exceeded: "OpenAI rate limit exceeded. Please try again later.",
+  },
+});
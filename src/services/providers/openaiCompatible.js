@@ -0,0 +1,151 @@
+/**
+ * Sololom OpenAI-Compatible Provider Factory
+ *
+ * Builds provider modules for APIs that follow the OpenAI chat completions
+ * format (OpenAI itself, Mistral, OpenRouter, ...)
+ */
+
+import { createAuthHeaders, createErrorMapper } from "./utils.js";
+
+/**
+ * Creates a provider for an OpenAI-compatible API
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string} config.id - Provider id used in settings and model lookup
+ * @param {string} config.name - Display name
+ * @param {string} config.baseUrl - API base URL without a trailing slash
+ * @param {Array<Object>} config.models - Models offered by the provider
+ * @param {Function} config.matchesModel - Returns true for model ids the provider serves
+ * @param {Object} [config.headers] - Extra headers sent with every request
+ * @param {Object} [config.errors] - Map of error code to user-friendly message
+ * @param {Function} [config.mapModel] - Maps an entry of the /models response to { id, name, contextLength }, or null to skip it
+ * @param {Object} [config.streamBody] - Extra body fields sent with streaming requests, e.g. to ask for usage
+ * @param {Object} [config.keyHelp] - Placeholder and URL shown on the settings page
+ * @param {boolean} [config.requiresApiKey] - False if the API accepts unauthenticated requests
+ * @param {string} [config.apiKey] - Key bundled with the provider instead of stored in apiKeys
+ * @returns {Object} - The provider module
+ */
+export function createOpenAICompatibleProvider(config) {
+  const auth = { type: "bearer" };
+  const extraHeaders = config.headers || {};
+  const mapModel =
+    config.mapModel ||
+    ((model) => ({ id: model.id, name: model.name || model.id }));
+
+  /**
+   * Creates the headers sent with every request
+   *
+   * @param {string} apiKey - The API key, may be empty for keyless APIs
+   * @returns {Object} - Request headers
+   */
+  const createHeaders = (apiKey) => ({
+    ...(apiKey ? createAuthHeaders(auth, apiKey) : {}),
+    ...extraHeaders,
+  });
+
+  return {
+    id: config.id,
+    name: config.name,
+    auth,
+    keyHelp: config.keyHelp || {},
+    requiresApiKey: config.requiresApiKey !== false,
+    apiKey: config.apiKey || "",
+    models: config.models,
+    matchesModel: config.matchesModel,
+
+    buildRequest(params, apiKey, options = {}) {
+      const body = {
+        model: params.model,
+        messages: params.messages,
+        temperature: params.temperature || 0.7,
+        max_tokens: params.maxTokens || 2048,
+      };
+
+      if (options.stream) {
+        Object.assign(body, { stream: true }, config.streamBody);
+      }
+
+      return {
+        url: `${config.baseUrl}/chat/completions`,
+        options: {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...createHeaders(apiKey),
+          },
+          body: JSON.stringify(body),
+        },
+      };
+    },
+
+    parseResponse(data) {
+      const content = data?.choices?.[0]?.message?.content;
+
+      // Some compatible APIs (e.g. Mistral) return content as typed parts
+      if (Array.isArray(content)) {
+        return content
+          .filter((part) => typeof part.text === "string")
+          .map((part) => part.text)
+          .join("");
+      }
+
+      return content || "";
+    },
+
+    parseFinishReason(payload) {
+      // Already in the normalized vocabulary
+      return payload?.choices?.[0]?.finish_reason || null;
+    },
+
+    parseToolCalls(data) {
+      return (data?.choices?.[0]?.message?.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: call.function?.arguments,
+      }));
+    },
+
+    parseStreamEvent(payload) {
+      return payload?.choices?.[0]?.delta?.content || "";
+    },
+
+    parseUsage(payload) {
+      // Streams carry usage on the final chunk only
+      const usage = payload?.usage;
+      if (!usage) return null;
+
+      return {
+        promptTokens: usage.prompt_tokens,
+        completionTokens: usage.completion_tokens,
+      };
+    },
+
+    parseModel(payload) {
+      return payload?.model || null;
+    },
+
+    mapError: createErrorMapper(config.errors || {}),
+
+    async listModels(apiKey) {
+      const response = await fetch(`${config.baseUrl}/models`, {
+        method: "GET",
+        headers: createHeaders(apiKey),
+      });
+
+      if (!response.ok) {
+        throw new Error(`${config.name} API Error: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return (data.data || []).map(mapModel).filter(Boolean);
+    },
+
+    testKey(apiKey) {
+      // A models list request is the cheapest authenticated call
+      return fetch(`${config.baseUrl}/models`, {
+        method: "GET",
+        headers: createHeaders(apiKey),
+      });
+    },
+  };
+}
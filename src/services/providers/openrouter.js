@@ -0,0 +1,83 @@
+/**
+ * Sololom OpenRouter Provider
+ */
+
+import { createOpenAICompatibleProvider } from "./openaiCompatible.js";
+
+export default createOpenAICompatibleProvider({
+  id: "openrouter",
+  name: "OpenRouter",
+  baseUrl: "https://openrouter.ai/api/v1",
+  headers: {
+    "HTTP-Referer": "https://github.com/solamente0/sololom",
+    "X-Title": "Sololom Extension",
+  },
+  streamBody: { usage: { include: true } },
+  keyHelp: {
+    placeholder: "sk-or-...",
+    url: "https://openrouter.ai/keys",
+  },
+  models: [
+    // Latest OpenRouter models (as of March 2025)
+    {
+      id: "meta-llama/llama-3-70b",
+      name: "Meta Llama 3 70B",
+      contextLength: 8192,
+    },
+    {
+      id: "meta-llama/llama-3-8b-instruct",
+      name: "Meta Llama 3 8B",
+      contextLength: 8192,
+    },
+    {
+      id: "google/gemini-pro",
+      name: "Google Gemini Pro",
+      contextLength: 32768,
+    },
+    {
+      id: "google/gemini-1.5-pro",
+      name: "Google Gemini 1.5 Pro",
+      contextLength: 1000000,
+    },
+    {
+      id: "anthropic/claude-3-opus",
+      name: "Claude 3 Opus (via OpenRouter)",
+      contextLength: 200000,
+    },
+    {
+      id: "anthropic/claude-3-sonnet",
+      name: "Claude 3 Sonnet (via OpenRouter)",
+      contextLength: 200000,
+    },
+    {
+      id: "anthropic/claude-3-haiku",
+      name: "Claude 3 Haiku (via OpenRouter)",
+      contextLength: 200000,
+    },
+    { id: "cohere/command-r", name: "Cohere Command R", contextLength: 128000 },
+    {
+      id: "mistral/mistral-large",
+      name: "Mistral Large (via OpenRouter)",
+      contextLength: 32000,
+    },
+    {
+      id: "mistral/mistral-small",
+      name: "Mistral Small (via OpenRouter)",
+      contextLength: 32000,
+    },
+  ],
+  matchesModel: (model) =>
+    ["llama", "gemini", "meta", "cohere", "palm"].some((family) =>
+      model.includes(family)
+    ),
+  mapModel: (model) => ({
+    id: model.id,
+    name: model.name || model.id,
+    contextLength: model.context_length,
+  }),
+  errors: {
+    invalid_api_key: "Invalid OpenRouter API key. Please check your settings.",
+    insufficient_quota:
+      "Your OpenRouter account has insufficient quota. Please check your billing status.",
+  },
+});
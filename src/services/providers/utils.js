@@ -0,0 +1,43 @@
+/**
+ * Sololom Provider Utilities
+ *
+ * Helpers shared by the provider modules
+ */
+
+/**
+ * Creates the authentication headers for a provider's auth scheme
+ *
+ * @param {Object} auth - The auth scheme declared by the provider
+ * @param {string} auth.type - "bearer" or "header"
+ * @param {string} [auth.header] - Header name used by the "header" scheme
+ * @param {string} apiKey - The API key
+ * @returns {Object} - Headers to add to the request
+ */
+export function createAuthHeaders(auth, apiKey) {
+  switch (auth?.type) {
+    case "bearer":
+      return { Authorization: `Bearer ${apiKey}` };
+    case "header":
+      return { [auth.header]: apiKey };
+    default:
+      throw new Error(`Unsupported auth scheme: ${auth?.type}`);
+  }
+}
+
+/**
+ * Creates an error mapper from a table of error codes
+ *
+ * The returned function looks for each code in an API error message and
+ * returns the matching user-friendly message.
+ *
+ * @param {Object} messages - Map of error code to user-friendly message
+ * @returns {Function} - Mapper returning a message, or null if none match
+ */
+export function createErrorMapper(messages) {
+  return (errorMessage) => {
+    const code = Object.keys(messages).find((key) =>
+      errorMessage.includes(key)
+    );
+    return code ? messages[code] : null;
+  };
+}
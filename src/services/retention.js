@@ -0,0 +1,143 @@
+/**
+ * Sololom Retention Service
+ *
+ * Applies the user's retention rules to the conversation history: old
+ * conversations are moved to the trash or the archive, and the oldest ones
+ * go to the trash while the history is bigger than its size cap. Pinned
+ * conversations are never touched. The background worker applies the
+ * rules once a day with an alarm.
+ */
+
+import * as StorageService from "./storage.js";
+import * as SettingsService from "./settings.js";
+
+/**
+ * Name of the alarm that applies the rules
+ */
+export const RETENTION_ALARM = "applyRetention";
+
+// How often the rules are applied, in minutes
+const RETENTION_PERIOD = 24 * 60;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the retention rules from the global settings
+ *
+ * @param {Object} settings - The global settings
+ * @returns {Object} - Rules with maxAgeDays, action ("trash" or "archive") and maxBytes; 0 turns a limit off
+ */
+export function getRetentionRules(settings) {
+  return {
+    maxAgeDays: settings?.retentionDays || 0,
+    action: settings?.retentionAction === "archive" ? "archive" : "trash",
+    maxBytes: settings?.retentionMaxBytes || 0,
+  };
+}
+
+/**
+ * Gets the size a conversation takes in storage
+ *
+ * @param {Object} conversation - The conversation
+ * @returns {number} - Size in bytes
+ */
+export function getConversationSize(conversation) {
+  return new Blob([JSON.stringify(conversation)]).size;
+}
+
+/**
+ * Picks the conversations the rules would remove
+ *
+ * Conversations older than the age limit get the rule's action. Then, while
+ * the rest is bigger than the size cap, the oldest go to the trash.
+ *
+ * @param {Object} rules - Rules from getRetentionRules
+ * @param {Array<Object>} conversations - The conversations, with their messages
+ * @param {number} [now] - Current time
+ * @returns {Object} - Conversations to move, in trash and archive arrays
+ */
+export function selectExpired(rules, conversations, now = Date.now()) {
+  const selected = { trash: [], archive: [] };
+  const removable = conversations
+    .filter((c) => !c.pinned)
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  if (rules.maxAgeDays > 0) {
+    const cutoff = now - rules.maxAgeDays * DAY;
+    selected[rules.action] = removable.filter(
+      (c) => (c.timestamp || 0) < cutoff
+    );
+  }
+
+  if (rules.maxBytes > 0) {
+    const expired = new Set(selected[rules.action]);
+    let total = conversations
+      .filter((c) => !expired.has(c))
+      .reduce((sum, c) => sum + getConversationSize(c), 0);
+
+    for (const conversation of removable) {
+      if (total <= rules.maxBytes) break;
+      if (expired.has(conversation)) continue;
+
+      selected.trash.push(conversation);
+      total -= getConversationSize(conversation);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Shows what rules would remove, without changing anything
+ *
+ * @param {Object} rules - Rules from getRetentionRules
+ * @returns {Promise<Object>} - Conversations that would move, in trash and archive arrays
+ */
+export async function previewRetention(rules) {
+  const conversations = await StorageService.getConversations();
+  return selectExpired(rules, conversations);
+}
+
+/**
+ * Applies the retention rules
+ *
+ * @param {Object} [rules] - Rules from getRetentionRules, from the global settings if omitted
+ * @returns {Promise<Object>} - Numbers of conversations trashed and archived
+ */
+export async function applyRetention(rules) {
+  const activeRules =
+    rules || getRetentionRules(await SettingsService.getGlobalSettings());
+  if (!activeRules.maxAgeDays && !activeRules.maxBytes) {
+    return { trashed: 0, archived: 0 };
+  }
+
+  const { trash, archive } = await previewRetention(activeRules);
+  const ids = (list) => list.map((c) => c.id);
+
+  if (trash.length > 0) {
+    await StorageService.trashConversations(ids(trash));
+  }
+  if (archive.length > 0) {
+    await StorageService.archiveConversations(ids(archive));
+  }
+
+  return { trashed: trash.length, archived: archive.length };
+}
+
+/**
+ * Schedules the daily alarm that applies the rules
+ *
+ * An existing alarm is kept, so restarting the browser doesn't push the
+ * next run back.
+ *
+ * @returns {Promise<void>}
+ */
+export async function scheduleRetention() {
+  const alarm = await chrome.alarms.get(RETENTION_ALARM);
+  if (alarm) return;
+
+  await chrome.alarms.create(RETENTION_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: RETENTION_PERIOD,
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * Sololom Retry Service
+ *
+ * Retries provider requests that fail with rate-limit or transient server
+ * errors, backing off exponentially and honouring the delay the provider
+ * asks for
+ */
+
+import { createAbortError } from "../utils/errorHandler.js";
+
+/**
+ * Retry policy used when settings don't override it
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+};
+
+// Rate limits, timeouts, server errors and Anthropic's "overloaded"
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
+
+// Headers carrying the time until the rate limit resets
+const RATE_LIMIT_RESET_HEADERS = [
+  "x-ratelimit-reset",
+  "x-ratelimit-reset-requests",
+  "x-ratelimit-reset-tokens",
+];
+
+/**
+ * Checks whether a response status is worth retrying
+ *
+ * Auth and other client errors fail the same way on every attempt.
+ *
+ * @param {number} status - HTTP status code
+ * @returns {boolean} - True for rate-limit and transient server errors
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Parses a Retry-After header, given in seconds or as an HTTP date
+ *
+ * @param {string} value - Header value
+ * @param {number} now - Current timestamp
+ * @returns {number|null} - Delay in milliseconds, or null if unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Parses a rate-limit reset header
+ *
+ * Providers disagree on the format: OpenAI sends durations such as "1s" or
+ * "6m0s", others send seconds or an epoch timestamp in seconds or
+ * milliseconds.
+ *
+ * @param {string} value - Header value
+ * @param {number} now - Current timestamp
+ * @returns {number|null} - Delay in milliseconds, or null if unparseable
+ */
+export function parseRateLimitReset(value, now = Date.now()) {
+  if (!value) return null;
+
+  const number = Number(value);
+  if (!Number.isNaN(number)) {
+    if (number > 1e12) return Math.max(0, number - now);
+    if (number > 1e9) return Math.max(0, number * 1000 - now);
+    return Math.max(0, number * 1000);
+  }
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  const parts = [...value.matchAll(/([\d.]+)(ms|h|m|s)/g)];
+  if (parts.length === 0) return null;
+
+  return parts.reduce(
+    (total, [, amount, unit]) => total + parseFloat(amount) * units[unit],
+    0
+  );
+}
+
+/**
+ * Gets the delay a response asks for before the next attempt
+ *
+ * @param {Response} response - The failed response
+ * @param {number} now - Current timestamp
+ * @returns {number|null} - Delay in milliseconds, or null if the response doesn't say
+ */
+export function getRequestedDelay(response, now = Date.now()) {
+  const headers = response?.headers;
+  if (!headers?.get) return null;
+
+  const retryAfter = parseRetryAfter(headers.get("retry-after"), now);
+  if (retryAfter !== null) return retryAfter;
+
+  const resets = RATE_LIMIT_RESET_HEADERS.map((name) =>
+    parseRateLimitReset(headers.get(name), now)
+  ).filter((delay) => delay !== null);
+
+  return resets.length > 0 ? Math.max(...resets) : null;
+}
+
+/**
+ * Computes the exponential backoff delay for an attempt, with jitter
+ *
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Random number source, for tests
+ * @returns {number} - Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, policy, random = Math.random) {
+  const delay = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * 2 ** (attempt - 1)
+  );
+
+  // Spread retries from several tabs so they don't hit the API in lockstep
+  return Math.round(delay / 2 + (random() * delay) / 2);
+}
+
+/**
+ * Waits for a delay, rejecting early if the signal is aborted
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal used to cancel the wait
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const handleAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", handleAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", handleAbort, { once: true });
+  });
+}
+
+/**
+ * Calls fetch, retrying rate-limit and transient errors
+ *
+ * Yields a `{ type: "retry", attempt, maxAttempts, delay }` event before
+ * each wait and finishes with `{ type: "response", response }`. The last
+ * response is passed on as-is once attempts run out, or when the provider
+ * asks to wait longer than `maxDelay`, so callers report the error as
+ * before.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options, including the abort signal
+ * @param {Object} [policy] - Retry policy overriding the defaults
+ * @returns {AsyncGenerator<Object>} - Retry events and the final response
+ */
+export async function* fetchWithRetryEvents(url, options = {}, policy = {}) {
+  const { maxAttempts, ...delays } = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const attempts = Math.max(1, maxAttempts);
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await fetch(url, options);
+
+    if (attempt >= attempts || !isRetryableStatus(response.status)) {
+      yield { type: "response", response };
+      return;
+    }
+
+    // Waiting longer than the policy allows would look like a hang
+    const requested = getRequestedDelay(response);
+    if (requested !== null && requested > delays.maxDelay) {
+      yield { type: "response", response };
+      return;
+    }
+
+    const delay = requested ?? getBackoffDelay(attempt, delays);
+
+    yield { type: "retry", attempt: attempt + 1, maxAttempts: attempts, delay };
+    await wait(delay, options.signal);
+  }
+}
+
+/**
+ * Calls fetch, retrying rate-limit and transient errors
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options, including the abort signal
+ * @param {Object} retryOptions - Retry options
+ * @param {Object} [retryOptions.policy] - Retry policy overriding the defaults
+ * @param {Function} [retryOptions.onRetry] - Called with each retry event before waiting
+ * @returns {Promise<Response>} - The fetch response
+ */
+export async function fetchWithRetry(url, options = {}, retryOptions = {}) {
+  for await (const event of fetchWithRetryEvents(
+    url,
+    options,
+    retryOptions.policy
+  )) {
+    if (event.type === "retry") {
+      retryOptions.onRetry?.(event);
+    } else {
+      return event.response;
+    }
+  }
+}
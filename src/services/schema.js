@@ -0,0 +1,391 @@
+/**
+ * Sololom Storage Schema
+ *
+ * The single definition of the settings the extension stores, their
+ * defaults, the schema version and the steps that upgrade data saved by
+ * older versions. The steps work on plain data, so they apply both to
+ * stored data (see the migrations service) and to imported files.
+ */
+
+import { createDefaultApiKeys } from "./providers/index.js";
+import { registerCustomEndpoints } from "./providers/custom.js";
+import { DEFAULT_MODEL_REF, toModelRef } from "./providers/modelRef.js";
+
+/**
+ * Version of the stored data layout
+ *
+ * Bump it together with a new step in MIGRATIONS.
+ */
+export const SCHEMA_VERSION = 4;
+
+/**
+ * Default system prompt for new chats
+ */
+export const DEFAULT_SYSTEM_PROMPT = "You are a helpful assistant.";
+
+/**
+ * Creates the default global settings
+ *
+ * A new object is returned each time, so callers can change it freely.
+ *
+ * @returns {Object} - The default global settings
+ */
+export function createDefaultGlobalSettings() {
+  return {
+    theme: "light",
+    defaultModel: DEFAULT_MODEL_REF,
+    apiKeys: createDefaultApiKeys(),
+    // Encrypted API keys, see the key vault service
+    apiKeyVault: null,
+    saveConversations: true,
+    maxConversations: 100,
+    // Days deleted conversations stay in the trash, 0 keeps them
+    trashRetentionDays: 30,
+    // Retention rules, see the retention service; 0 turns a limit off
+    retentionDays: 0,
+    retentionAction: "trash",
+    retentionMaxBytes: 0,
+    // Automatic backups, see the backup service
+    backupSchedule: "off",
+    backupKeep: 5,
+    backupIncludeKeys: false,
+    notifyOnCompletion: false,
+    fontSize: "medium",
+    compactMode: false,
+    partialResponses: "keep",
+    maxRetryAttempts: 3,
+    modelPrices: {},
+    customEndpoints: [],
+  };
+}
+
+/**
+ * Global settings that hold secrets
+ *
+ * Paths are dotted, with * standing for every key of an object or every
+ * item of a list. Exports leave secrets out unless asked to keep them, see
+ * the secrets service; omitted ones are dropped rather than replaced by a
+ * placeholder. New secret settings only need an entry here.
+ */
+export const SECRET_SETTINGS = [
+  { path: "apiKeys.*", label: "provider API key" },
+  { path: "apiKeyVault", label: "encrypted key store", omit: true },
+  { path: "customEndpoints.*.apiKey", label: "custom endpoint API key" },
+  { path: "customEndpoints.*.headers.*", label: "custom endpoint header" },
+];
+
+/**
+ * Creates the default chat settings
+ *
+ * @returns {Object} - The default chat settings
+ */
+export function createDefaultChatSettings() {
+  return {
+    model: DEFAULT_MODEL_REF,
+    temperature: 0.7,
+    maxTokens: 2048,
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    title: "New Conversation",
+  };
+}
+
+/**
+ * Tells whether a stored value has the same type as its default
+ *
+ * @param {any} value - The stored value
+ * @param {any} defaultValue - The default value
+ * @returns {boolean} - True if the value can be kept
+ */
+function matchesType(value, defaultValue) {
+  if (Array.isArray(defaultValue)) return Array.isArray(value);
+  if (typeof defaultValue === "number") return Number.isFinite(value);
+  if (typeof defaultValue === "object") {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+  }
+  return typeof value === typeof defaultValue;
+}
+
+/**
+ * Fills missing or mistyped settings with their defaults
+ *
+ * Settings the schema doesn't know are kept as they are.
+ *
+ * @param {Object} settings - Stored settings
+ * @param {Object} defaults - Default settings
+ * @returns {Object} - The validated settings
+ */
+function fillDefaults(settings, defaults) {
+  const stored = matchesType(settings, {}) ? settings : {};
+  const validated = { ...stored };
+
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    if (!matchesType(stored[key], defaultValue)) {
+      validated[key] = defaultValue;
+    }
+  });
+
+  return validated;
+}
+
+/**
+ * Validates global settings against the schema
+ *
+ * API keys are merged with an empty key for every provider, so providers
+ * added since the settings were saved get one too.
+ *
+ * @param {Object} settings - Stored global settings
+ * @returns {Object} - The validated global settings
+ */
+export function validateGlobalSettings(settings) {
+  const defaults = createDefaultGlobalSettings();
+  const validated = fillDefaults(settings, defaults);
+
+  validated.apiKeys = { ...defaults.apiKeys, ...validated.apiKeys };
+  return validated;
+}
+
+/**
+ * Validates chat settings against the schema
+ *
+ * @param {Object} settings - Stored chat settings
+ * @returns {Object} - The validated chat settings
+ */
+export function validateChatSettings(settings) {
+  return fillDefaults(settings, createDefaultChatSettings());
+}
+
+/**
+ * Qualifies the model of a stored record with its provider
+ *
+ * @param {Object} record - Object with a model field
+ * @param {string} field - Name of the model field
+ * @returns {Object} - The record, copied only if the model changed
+ */
+function migrateModelField(record, field) {
+  if (!record?.[field]) return record;
+
+  const model = toModelRef(record[field]);
+  return model === record[field] ? record : { ...record, [field]: model };
+}
+
+/**
+ * Converts bare model ids to model references
+ *
+ * Covers the default model, the chat settings and every conversation.
+ *
+ * @param {Object} data - Data with globalSettings, chatSettings and conversations
+ * @returns {Object} - The migrated data
+ */
+function qualifyModelRefs(data) {
+  // Custom endpoint models can only be matched once they are registered
+  registerCustomEndpoints(data.globalSettings?.customEndpoints || []);
+
+  return {
+    ...data,
+    globalSettings: migrateModelField(data.globalSettings, "defaultModel"),
+    chatSettings: migrateModelField(data.chatSettings, "model"),
+    conversations: data.conversations?.map((conversation) =>
+      migrateModelField(conversation, "model")
+    ),
+  };
+}
+
+/**
+ * Moves the history options older versions kept in the chat settings
+ *
+ * The popup used saveHistory and maxHistoryItems while the rest of the
+ * extension used the global saveConversations and maxConversations. The
+ * global settings win when both were saved.
+ *
+ * @param {Object} data - Data with globalSettings and chatSettings
+ * @returns {Object} - The migrated data
+ */
+function moveHistorySettings(data) {
+  if (!data.chatSettings) return data;
+
+  const { saveHistory, maxHistoryItems, ...chatSettings } = data.chatSettings;
+  if (saveHistory === undefined && maxHistoryItems === undefined) return data;
+
+  const globalSettings = { ...data.globalSettings };
+  if (
+    globalSettings.saveConversations === undefined &&
+    saveHistory !== undefined
+  ) {
+    globalSettings.saveConversations = saveHistory;
+  }
+  if (globalSettings.maxConversations === undefined && maxHistoryItems) {
+    globalSettings.maxConversations = maxHistoryItems;
+  }
+
+  return { ...data, globalSettings, chatSettings };
+}
+
+/**
+ * Drops the message-count context window older versions trimmed
+ * conversations to
+ *
+ * Conversations are trimmed to the model's token limit instead.
+ *
+ * @param {Object} data - Data with globalSettings
+ * @returns {Object} - The migrated data
+ */
+function dropContextWindow(data) {
+  if (data.globalSettings?.contextWindow === undefined) return data;
+
+  const globalSettings = { ...data.globalSettings };
+  delete globalSettings.contextWindow;
+  return { ...data, globalSettings };
+}
+
+/**
+ * Upgrade steps, in order
+ *
+ * Each step upgrades data from the previous version to its own. Steps must
+ * accept data that is already upgraded, since imported files don't always
+ * say which version wrote them, and missing parts of the data.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Qualify model ids with their provider",
+    migrate: qualifyModelRefs,
+  },
+  {
+    version: 2,
+    description: "Move the popup's history options to the global settings",
+    migrate: moveHistorySettings,
+  },
+  {
+    version: 3,
+    description: "Drop the message-count context window",
+    migrate: dropContextWindow,
+  },
+  {
+    version: 4,
+    // The data keeps its layout, saving the upgraded settings moves custom
+    // endpoint secrets out of the synced settings
+    description: "Store custom endpoint secrets with the API keys",
+    migrate: (data) => data,
+  },
+];
+
+/**
+ * Upgrades data saved by an older version to the current schema
+ *
+ * Defaults aren't filled in, so imported data can still be merged over
+ * the current settings; validate the result before using it on its own.
+ *
+ * @param {Object} data - Data with globalSettings, chatSettings and conversations
+ * @param {number} fromVersion - Schema version the data was saved with, 0 if unknown
+ * @returns {Object} - The upgraded data
+ */
+export function migrateData(data, fromVersion = 0) {
+  return MIGRATIONS.filter((step) => step.version > fromVersion).reduce(
+    (current, step) => step.migrate(current),
+    data
+  );
+}
+
+/**
+ * Checks the settings of one scope of an import file
+ *
+ * @param {Object} settings - Settings from the file
+ * @param {Object} defaults - Default settings of the scope
+ * @param {Array<string>} warnings - Receives a warning per skipped setting
+ * @returns {Object} - The settings without values of the wrong type
+ */
+function checkImportedSettings(settings, defaults, warnings) {
+  return Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) => {
+      const valid =
+        !(key in defaults) ||
+        value === defaults[key] ||
+        matchesType(value, defaults[key]);
+      if (!valid) {
+        warnings.push(`Setting "${key}" has an invalid value and is skipped`);
+      }
+      return valid;
+    })
+  );
+}
+
+/**
+ * Tells whether a conversation from an import file can be stored
+ *
+ * @param {any} conversation - Conversation from the file
+ * @returns {boolean} - True if it has an ID and readable messages
+ */
+function isValidConversation(conversation) {
+  return (
+    matchesType(conversation, {}) &&
+    ["string", "number"].includes(typeof conversation.id) &&
+    conversation.id !== "" &&
+    Array.isArray(conversation.messages) &&
+    conversation.messages.every(
+      (message) =>
+        matchesType(message, {}) &&
+        typeof message.role === "string" &&
+        typeof message.content === "string"
+    )
+  );
+}
+
+/**
+ * Checks an import file against the schema
+ *
+ * Errors mean the file can't be imported at all. Settings of the wrong
+ * type and unreadable conversations are left out of the returned data,
+ * with a warning. Run it before migrateData, whose steps expect this
+ * layout.
+ *
+ * @param {any} data - The parsed file, with globalSettings, chatSettings and conversations
+ * @returns {Object} - Object with the usable data, errors and warnings
+ */
+export function validateImportData(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!matchesType(data, {})) {
+    errors.push("The file doesn't contain Sololom data");
+    return { data: null, errors, warnings };
+  }
+
+  const scopes = [
+    ["globalSettings", "global settings", createDefaultGlobalSettings()],
+    ["chatSettings", "chat settings", createDefaultChatSettings()],
+  ];
+  if (
+    ![...scopes.map(([key]) => key), "conversations"].some(
+      (key) => data[key] !== undefined
+    )
+  ) {
+    errors.push("The file doesn't contain settings or conversations");
+  }
+
+  const validated = { ...data };
+  scopes.forEach(([key, label, defaults]) => {
+    if (data[key] === undefined) return;
+    if (!matchesType(data[key], {})) {
+      errors.push(`The ${label} in the file aren't readable`);
+      return;
+    }
+    validated[key] = checkImportedSettings(data[key], defaults, warnings);
+  });
+
+  if (data.conversations !== undefined) {
+    if (!Array.isArray(data.conversations)) {
+      errors.push("The conversations in the file aren't a list");
+    } else {
+      validated.conversations = data.conversations.filter(isValidConversation);
+      const invalid =
+        data.conversations.length - validated.conversations.length;
+      if (invalid > 0) {
+        warnings.push(
+          `${invalid} conversation(s) without an ID or readable messages are skipped`
+        );
+      }
+    }
+  }
+
+  return { data: errors.length > 0 ? null : validated, errors, warnings };
+}
@@ -0,0 +1,216 @@
+/**
+ * Sololom Secrets Service
+ *
+ * Takes secrets out of settings before they leave the extension and puts
+ * them back when a file is imported. Which settings are secret is declared
+ * once in SECRET_SETTINGS, so every provider key, custom endpoint header
+ * and future secret setting is handled the same way.
+ */
+
+import { SECRET_SETTINGS } from "./schema.js";
+
+/**
+ * Value exports put in place of a secret they leave out
+ *
+ * Older versions wrote it for API keys only and look for it on import, so
+ * files stay readable by them.
+ */
+export const SECRET_PLACEHOLDER = "[API_KEY]";
+
+/**
+ * Tells whether a value is a secret left out of an export
+ *
+ * @param {any} value - The value
+ * @returns {boolean} - True for the placeholder
+ */
+export function isSecretPlaceholder(value) {
+  return value === SECRET_PLACEHOLDER;
+}
+
+/**
+ * Finds the values at a secret setting's path
+ *
+ * Steps into lists remember the item's ID, so a value can be found again
+ * in settings whose list is in another order.
+ *
+ * @param {any} value - Settings, or the part of them reached so far
+ * @param {Array<string>} segments - The rest of the path
+ * @param {Array<Object>} [trail] - Steps taken so far, with key and id
+ * @returns {Array<Object>} - Matches with the parent object, the key and the trail
+ */
+function findSecrets(value, segments, trail = []) {
+  if (!value || typeof value !== "object") return [];
+
+  const [segment, ...rest] = segments;
+  const keys =
+    segment === "*" ? Object.keys(value) : segment in value ? [segment] : [];
+
+  return keys.flatMap((key) => {
+    const step = Array.isArray(value) ? { key, id: value[key]?.id } : { key };
+    const next = [...trail, step];
+    return rest.length === 0
+      ? [{ parent: value, key, trail: next }]
+      : findSecrets(value[key], rest, next);
+  });
+}
+
+/**
+ * Looks up the value a trail leads to
+ *
+ * @param {Object} settings - The settings to look in
+ * @param {Array<Object>} trail - Steps from findSecrets
+ * @returns {any} - The value, undefined if there is none
+ */
+function getAtTrail(settings, trail) {
+  return trail.reduce((value, { key, id }) => {
+    if (Array.isArray(value) && id !== undefined) {
+      return value.find((item) => item?.id === id);
+    }
+    return value?.[key];
+  }, settings);
+}
+
+/**
+ * Names a secret by its path, using IDs for list items
+ *
+ * @param {Array<Object>} trail - Steps from findSecrets
+ * @returns {string} - Path such as customEndpoints.local.apiKey
+ */
+function formatTrail(trail) {
+  return trail.map(({ key, id }) => id ?? key).join(".");
+}
+
+/**
+ * Takes the secrets out of global settings
+ *
+ * Empty secrets are left as they are, so an import can tell a missing key
+ * from one that was left out.
+ *
+ * @param {Object} settings - Global settings
+ * @param {Array<string>} [keep] - Paths from SECRET_SETTINGS to leave in
+ * @returns {Object} - Object with a copy of the settings without secrets and the list of secrets redacted, each with path and label
+ */
+export function redactSecrets(settings, keep = []) {
+  const redacted = [];
+  const copy = JSON.parse(JSON.stringify(settings || {}));
+
+  SECRET_SETTINGS.forEach(({ path, label, omit }) => {
+    if (keep.includes(path)) return;
+
+    findSecrets(copy, path.split(".")).forEach(({ parent, key, trail }) => {
+      if (parent[key] === "" || parent[key] == null) return;
+
+      parent[key] = omit ? null : SECRET_PLACEHOLDER;
+      redacted.push({ path: formatTrail(trail), label });
+    });
+  });
+
+  return { settings: copy, redacted };
+}
+
+/**
+ * Puts stored secrets back in place of an import's placeholders
+ *
+ * A placeholder gets the value stored at the same path, matching list
+ * items by ID, or an empty value if nothing is stored there.
+ *
+ * @param {Object} settings - Global settings from an imported file
+ * @param {Object} current - Stored global settings
+ * @returns {Object} - A copy of the imported settings with the secrets restored
+ */
+export function restoreSecrets(settings, current) {
+  const copy = JSON.parse(JSON.stringify(settings || {}));
+
+  SECRET_SETTINGS.forEach(({ path }) => {
+    findSecrets(copy, path.split(".")).forEach(({ parent, key, trail }) => {
+      if (!isSecretPlaceholder(parent[key])) return;
+      parent[key] = getAtTrail(current, trail) ?? "";
+    });
+  });
+
+  return copy;
+}
+
+/**
+ * Splits global settings into the secrets and everything else
+ *
+ * Secrets are blanked rather than removed in the settings, so their keys,
+ * such as custom endpoint header names, stay with the other settings.
+ *
+ * @param {Object} settings - Global settings
+ * @returns {Object} - Object with a copy of the settings without secrets and the secrets keyed by path, such as customEndpoints.local.apiKey
+ */
+export function splitSecrets(settings) {
+  const secrets = {};
+  const copy = JSON.parse(JSON.stringify(settings || {}));
+
+  SECRET_SETTINGS.forEach(({ path, omit }) => {
+    findSecrets(copy, path.split(".")).forEach(({ parent, key, trail }) => {
+      if (parent[key] === "" || parent[key] == null) return;
+
+      secrets[formatTrail(trail)] = parent[key];
+      parent[key] = omit ? null : "";
+    });
+  });
+
+  return { settings: copy, secrets };
+}
+
+/**
+ * Puts secrets from splitSecrets back into the settings
+ *
+ * Secrets whose setting is gone, such as the key of a deleted endpoint,
+ * are dropped.
+ *
+ * @param {Object} settings - Global settings without secrets
+ * @param {Object} secrets - Secrets keyed by path
+ * @returns {Object} - A copy of the settings with the secrets
+ */
+export function joinSecrets(settings, secrets) {
+  const copy = JSON.parse(JSON.stringify(settings || {}));
+
+  SECRET_SETTINGS.forEach(({ path }) => {
+    findSecrets(copy, path.split(".")).forEach(({ parent, key, trail }) => {
+      const secret = secrets?.[formatTrail(trail)];
+      if (secret !== undefined) parent[key] = secret;
+    });
+  });
+
+  return copy;
+}
+
+/**
+ * Lists the secrets an export file says it left out
+ *
+ * @param {Object} data - The parsed export file
+ * @returns {Array<Object>} - The secrets left out, each with path and label, as from redactSecrets
+ */
+export function getRedactedSecrets(data) {
+  const paths = new Set(data?.redactedSecrets || []);
+
+  return SECRET_SETTINGS.flatMap(({ path, label }) =>
+    findSecrets(data?.globalSettings, path.split("."))
+      .map(({ trail }) => ({ path: formatTrail(trail), label }))
+      .filter((secret) => paths.has(secret.path))
+  );
+}
+
+/**
+ * Summarises which secrets were left out
+ *
+ * @param {Array<Object>} redacted - Secrets from redactSecrets
+ * @returns {string} - Counts by kind, such as "2 provider API keys and 1 custom endpoint header"; empty if none
+ */
+export function describeRedactedSecrets(redacted) {
+  const counts = new Map();
+  redacted.forEach(({ label }) => {
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+
+  const parts = [...counts].map(
+    ([label, count]) => `${count} ${label}${count === 1 ? "" : "s"}`
+  );
+  return parts.length > 1
+    ? `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`
+    : parts.join("");
+}
@@ -5,6 +5,10 @@
  */
 
 import * as StorageService from "./storage.js";
+import {
+  createDefaultChatSettings,
+  createDefaultGlobalSettings,
+} from "./schema.js";
 
 // Event bus for settings changes
 const settingsEventHandlers = {
@@ -91,20 +95,7 @@ export async function updateChatSettings(settings) {
  * @returns {Promise<Object>} - The default settings
  */
 export async function resetGlobalSettings() {
-  const defaultSettings = {
-    theme: "light",
-    defaultModel: "gpt-3.5-turbo",
-    apiKeys: {
-      openai: "",
-      anthropic: "",
-      mistral: "",
-    },
-    saveConversations: true,
-    maxConversations: 100,
-    fontSize: "medium",
-    compactMode: false,
-    contextWindow: 0,
-  };
+  const defaultSettings = createDefaultGlobalSettings();
 
   // Save default settings
   await StorageService.saveGlobalSettings(defaultSettings);
@@ -121,13 +112,7 @@ export async function resetGlobalSettings() {
  * @returns {Promise<Object>} - The default settings
  */
 export async function resetChatSettings() {
-  const defaultSettings = {
-    model: "gpt-3.5-turbo",
-    temperature: 0.7,
-    maxTokens: 2048,
-    systemPrompt: "You are a helpful assistant.",
-    title: "New Conversation",
-  };
+  const defaultSettings = createDefaultChatSettings();
 
   // Save default settings
   await StorageService.saveChatSettings(defaultSettings);
@@ -4,36 +4,99 @@
  * Provides an abstraction layer over browser storage APIs
  */
 
+import {
+  SCHEMA_VERSION,
+  createDefaultChatSettings,
+  createDefaultGlobalSettings,
+  validateChatSettings,
+  validateGlobalSettings,
+} from "./schema.js";
+import { joinSecrets, redactSecrets, splitSecrets } from "./secrets.js";
+import { truncateString } from "../utils/helpers.js";
+import {
+  createStorageQuotaError,
+  isStorageQuotaError,
+} from "../utils/errorHandler.js";
+
 /**
- * Default global settings
- */
-const DEFAULT_GLOBAL_SETTINGS = {
-  theme: "light",
-  defaultModel: "gpt-3.5-turbo",
-  apiKeys: {
-    openai: "",
-    anthropic: "",
-    mistral: "",
-    openrouter: "",
-  },
-  saveConversations: true,
-  maxConversations: 100,
-  fontSize: "medium",
-  compactMode: false,
-  contextWindow: 0,
+ * Storage areas a category of data can be kept in
+ */
+export const STORAGE_AREAS = {
+  SYNC: "sync",
+  LOCAL: "local",
 };
 
 /**
- * Default chat settings
+ * Where each category of data is kept unless the user chose otherwise
+ *
+ * Sync storage follows the user to every browser they're signed in to but
+ * holds about 100KB in total and 8KB per item. Caches and popup state such
+ * as the model catalog, jobs and the active conversation always stay local.
  */
-const DEFAULT_CHAT_SETTINGS = {
-  model: "gpt-3.5-turbo",
-  temperature: 0.7,
-  maxTokens: 2048,
-  systemPrompt: "You are a helpful assistant.",
-  title: "New Conversation",
+export const DEFAULT_STORAGE_POLICY = {
+  settings: STORAGE_AREAS.SYNC,
+  apiKeys: STORAGE_AREAS.SYNC,
+  conversations: STORAGE_AREAS.LOCAL,
+  promptLibrary: STORAGE_AREAS.SYNC,
 };
 
+// The policy itself is per device, so it always lives in local storage
+const POLICY_KEY = "storagePolicy";
+
+// API keys and the other secret settings are kept apart from the rest of
+// the global settings, so they can be stored in a different area
+const CREDENTIALS_KEY = "credentials";
+
+// Saved prompts, kept as one list
+const PROMPT_LIBRARY_KEY = "promptLibrary";
+
+/**
+ * Gets the storage policy
+ *
+ * @returns {Promise<Object>} - Storage area ("sync" or "local") keyed by category
+ */
+export async function getStoragePolicy() {
+  const result = await chrome.storage.local.get(POLICY_KEY);
+  return { ...DEFAULT_STORAGE_POLICY, ...result[POLICY_KEY] };
+}
+
+/**
+ * Gets the storage area a category of data is kept in
+ *
+ * @param {string} category - "settings", "apiKeys", "conversations" or "promptLibrary"
+ * @param {Object} [policy] - The storage policy, read from storage if omitted
+ * @returns {Promise<chrome.storage.StorageArea>} - The storage area
+ */
+async function getArea(category, policy) {
+  const { [category]: area } = policy || (await getStoragePolicy());
+  return chrome.storage[area];
+}
+
+/**
+ * Reads the global settings as stored, with their API keys
+ *
+ * @returns {Promise<Object|undefined>} - The settings, undefined if none are stored
+ */
+async function readGlobalSettings() {
+  const policy = await getStoragePolicy();
+  const settingsArea = await getArea("settings", policy);
+  const keysArea = await getArea("apiKeys", policy);
+
+  const { globalSettings } = await settingsArea.get("globalSettings");
+  const { [CREDENTIALS_KEY]: credentials } = await keysArea.get(
+    CREDENTIALS_KEY
+  );
+
+  // Settings saved by older versions still hold their API keys
+  if (!credentials) return globalSettings;
+
+  const settings = globalSettings || createDefaultGlobalSettings();
+  // Older versions kept only the provider keys and the vault apart
+  if (!credentials.secrets) return { ...settings, ...credentials };
+
+  return joinSecrets(settings, credentials.secrets);
+}
+
 /**
  * Gets global settings
  *
@@ -41,34 +104,36 @@ const DEFAULT_CHAT_SETTINGS = {
  */
 export async function getGlobalSettings() {
   try {
-    const result = await chrome.storage.sync.get("globalSettings");
-    return result.globalSettings || DEFAULT_GLOBAL_SETTINGS;
+    return (await readGlobalSettings()) || createDefaultGlobalSettings();
   } catch (error) {
     console.error("Error getting global settings:", error);
-    return DEFAULT_GLOBAL_SETTINGS;
+    return createDefaultGlobalSettings();
   }
 }
 
 /**
  * Saves global settings
  *
+ * Every secret setting, API keys, the encrypted key vault and custom
+ * endpoint keys and headers, is written to the area the storage policy
+ * picks for API keys, the rest to the one for settings.
+ *
  * @param {Object} settings - The settings to save
  * @returns {Promise<void>}
  */
 export async function saveGlobalSettings(settings) {
   try {
-    // Merge with defaults to ensure all properties exist
-    const mergedSettings = {
-      ...DEFAULT_GLOBAL_SETTINGS,
-      ...settings,
-      // Ensure nested objects are merged properly
-      apiKeys: {
-        ...DEFAULT_GLOBAL_SETTINGS.apiKeys,
-        ...(settings.apiKeys || {}),
-      },
-    };
+    // Fill in defaults to ensure all properties exist
+    const { settings: globalSettings, secrets } = splitSecrets(
+      validateGlobalSettings(settings)
+    );
 
-    await chrome.storage.sync.set({ globalSettings: mergedSettings });
+    const policy = await getStoragePolicy();
+    const settingsArea = await getArea("settings", policy);
+    const keysArea = await getArea("apiKeys", policy);
+
+    await keysArea.set({ [CREDENTIALS_KEY]: { secrets } });
+    await settingsArea.set({ globalSettings });
     return true;
   } catch (error) {
     console.error("Error saving global settings:", error);
@@ -83,11 +148,12 @@ export async function saveGlobalSettings(settings) {
  */
 export async function getChatSettings() {
   try {
-    const result = await chrome.storage.sync.get("chatSettings");
-    return result.chatSettings || DEFAULT_CHAT_SETTINGS;
+    const area = await getArea("settings");
+    const result = await area.get("chatSettings");
+    return result.chatSettings || createDefaultChatSettings();
   } catch (error) {
     console.error("Error getting chat settings:", error);
-    return DEFAULT_CHAT_SETTINGS;
+    return createDefaultChatSettings();
   }
 }
 
@@ -99,13 +165,11 @@ export async function getChatSettings() {
  */
 export async function saveChatSettings(settings) {
   try {
-    // Merge with defaults to ensure all properties exist
-    const mergedSettings = {
-      ...DEFAULT_CHAT_SETTINGS,
-      ...settings,
-    };
+    // Fill in defaults to ensure all properties exist
+    const mergedSettings = validateChatSettings(settings);
 
-    await chrome.storage.sync.set({ chatSettings: mergedSettings });
+    const area = await getArea("settings");
+    await area.set({ chatSettings: mergedSettings });
     return true;
   } catch (error) {
     console.error("Error saving chat settings:", error);
@@ -114,14 +178,140 @@ export async function saveChatSettings(settings) {
 }
 
 /**
- * Gets all conversations
+ * Gets the stored settings exactly as saved, for upgrading them
+ *
+ * @returns {Promise<Object>} - Object with globalSettings, chatSettings and schemaVersion, each undefined if not stored
+ */
+export async function getStoredSettings() {
+  const area = await getArea("settings");
+  const { chatSettings, schemaVersion } = await area.get([
+    "chatSettings",
+    "schemaVersion",
+  ]);
+
+  return {
+    globalSettings: await readGlobalSettings(),
+    chatSettings,
+    schemaVersion,
+  };
+}
+
+/**
+ * Saves the schema version of the stored data
+ *
+ * @param {number} version - The schema version
+ * @returns {Promise<void>}
+ */
+export async function saveSchemaVersion(version) {
+  const area = await getArea("settings");
+  await area.set({ schemaVersion: version });
+}
+
+/**
+ * Gets the saved prompts
+ *
+ * @returns {Promise<Array<Object>>} - The prompts, empty if none are saved
+ */
+export async function getPromptLibrary() {
+  try {
+    const area = await getArea("promptLibrary");
+    const result = await area.get(PROMPT_LIBRARY_KEY);
+    return result[PROMPT_LIBRARY_KEY] || [];
+  } catch (error) {
+    console.error("Error getting prompt library:", error);
+    return [];
+  }
+}
+
+/**
+ * Saves the prompt library
+ *
+ * @param {Array<Object>} prompts - The prompts to save
+ * @returns {Promise<void>}
+ */
+export async function savePromptLibrary(prompts) {
+  try {
+    const area = await getArea("promptLibrary");
+    await area.set({ [PROMPT_LIBRARY_KEY]: prompts });
+  } catch (error) {
+    console.error("Error saving prompt library:", error);
+    throw error;
+  }
+}
+
+// Conversations live in local storage by default, which has no per-item
+// quota and is unlimited with the unlimitedStorage permission. Each
+// conversation is its own record, listed in a compact index so lists
+// can be drawn without loading any messages.
+const INDEX_KEY = "conversationIndex";
+const RECORD_PREFIX = "conversation:";
+
+/**
+ * Gets the storage key of a conversation record
+ *
+ * @param {string} id - The conversation ID
+ * @returns {string} - The storage key
+ */
+function getRecordKey(id) {
+  return `${RECORD_PREFIX}${id}`;
+}
+
+/**
+ * Creates the index entry of a conversation
+ *
+ * @param {Object} conversation - The conversation
+ * @returns {Object} - Entry with id, title, model, timestamp, messageCount, snippet and pinned
+ */
+export function createIndexEntry(conversation) {
+  const messages = conversation.messages || [];
+  const firstUserMessage = messages.find((m) => m.role === "user");
+
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    model: conversation.model,
+    timestamp: conversation.timestamp,
+    messageCount: messages.filter((m) => m.role !== "system").length,
+    snippet: truncateString(firstUserMessage?.content || "", 100),
+    pinned: Boolean(conversation.pinned),
+  };
+}
+
+/**
+ * Gets the conversation index
+ *
+ * @returns {Promise<Array<Object>>} - Index entries, in list order
+ */
+export async function getConversationIndex() {
+  try {
+    const area = await getArea("conversations");
+    const result = await area.get(INDEX_KEY);
+    return result[INDEX_KEY] || [];
+  } catch (error) {
+    console.error("Error getting conversation index:", error);
+    return [];
+  }
+}
+
+/**
+ * Gets all conversations, with their messages
+ *
+ * Prefer getConversationIndex when the messages aren't needed.
  *
  * @returns {Promise<Array>} - The conversations
  */
 export async function getConversations() {
   try {
-    const result = await chrome.storage.sync.get("conversations");
-    return result.conversations || [];
+    const index = await getConversationIndex();
+    if (index.length === 0) return [];
+
+    const area = await getArea("conversations");
+    const records = await area.get(
+      index.map((entry) => getRecordKey(entry.id))
+    );
+    return index
+      .map((entry) => records[getRecordKey(entry.id)])
+      .filter(Boolean);
   } catch (error) {
     console.error("Error getting conversations:", error);
     return [];
@@ -131,8 +321,11 @@ export async function getConversations() {
 /**
  * Saves a conversation
  *
+ * Only the conversation's record and the index are written.
+ *
  * @param {Object} conversation - The conversation to save
  * @returns {Promise<void>}
+ * @throws {Error} - A StorageQuotaError if the conversation doesn't fit
  */
 export async function saveConversation(conversation) {
   try {
@@ -145,63 +338,210 @@ export async function saveConversation(conversation) {
       conversation.timestamp = Date.now();
     }
 
-    // Get existing conversations
-    const conversations = await getConversations();
+    // A conversation deleted or archived while it was still being
+    // answered stays where it is
+    const area = await getArea("conversations");
+    const lists = await area.get([TRASH_KEY, ARCHIVE_KEY]);
+    const listKey = Object.keys(LIST_STAMPS).find((key) =>
+      (lists[key] || []).some((entry) => entry.id === conversation.id)
+    );
+    if (listKey) {
+      const stamp = LIST_STAMPS[listKey];
+      await area.set({
+        [getRecordKey(conversation.id)]: conversation,
+        [listKey]: lists[listKey].map((e) =>
+          e.id === conversation.id
+            ? { ...createIndexEntry(conversation), [stamp]: e[stamp] }
+            : e
+        ),
+      });
+      return true;
+    }
+
+    // Get the existing index
+    const index = await getConversationIndex();
 
     // Check if this conversation already exists
-    const index = conversations.findIndex((c) => c.id === conversation.id);
+    const position = index.findIndex((entry) => entry.id === conversation.id);
 
     // Get global settings for max conversations
     const globalSettings = await getGlobalSettings();
     const maxConversations = globalSettings.maxConversations || 100;
 
-    let updatedConversations;
+    const entry = createIndexEntry(conversation);
+    let updatedIndex;
 
-    if (index !== -1) {
+    if (position !== -1) {
       // Update existing conversation
-      updatedConversations = [
-        ...conversations.slice(0, index),
-        conversation,
-        ...conversations.slice(index + 1),
+      updatedIndex = [
+        ...index.slice(0, position),
+        entry,
+        ...index.slice(position + 1),
       ];
     } else {
       // Add new conversation at the beginning
-      updatedConversations = [conversation, ...conversations];
+      updatedIndex = [entry, ...index];
     }
 
-    // Limit to max conversations
-    updatedConversations = updatedConversations.slice(0, maxConversations);
+    // Past the limit, the oldest conversations that aren't pinned go to
+    // the trash
+    const overflow = updatedIndex.length - maxConversations;
+    const dropped =
+      overflow > 0
+        ? updatedIndex
+            .filter((e) => !e.pinned && e.id !== conversation.id)
+            .slice(-overflow)
+        : [];
+    updatedIndex = updatedIndex.filter((e) => !dropped.includes(e));
 
-    // Save updated conversations
-    await chrome.storage.sync.set({ conversations: updatedConversations });
+    // Save the record and the updated index
+    const deletedAt = Date.now();
+    await area.set({
+      [getRecordKey(conversation.id)]: conversation,
+      [INDEX_KEY]: updatedIndex,
+      ...(dropped.length > 0 && {
+        [TRASH_KEY]: [
+          ...dropped.map((e) => ({ ...e, deletedAt })),
+          ...(lists[TRASH_KEY] || []),
+        ],
+      }),
+    });
     return true;
   } catch (error) {
     console.error("Error saving conversation:", error);
+    if (/PER_ITEM/.test(error.message)) {
+      throw createStorageQuotaError(
+        "This conversation is too long for synced storage, so it couldn't be saved. Keep conversations on this device only in Settings."
+      );
+    }
+    throw isStorageQuotaError(error) ? createStorageQuotaError() : error;
+  }
+}
+
+/**
+ * Replaces all stored conversations
+ *
+ * @param {Array<Object>} conversations - The conversations, in list order
+ * @returns {Promise<void>}
+ */
+export async function saveConversations(conversations) {
+  try {
+    const index = await getConversationIndex();
+    const ids = new Set(conversations.map((c) => c.id));
+    const removed = index.filter((entry) => !ids.has(entry.id));
+
+    const records = Object.fromEntries(
+      conversations.map((c) => [getRecordKey(c.id), c])
+    );
+    const area = await getArea("conversations");
+    await area.set({
+      ...records,
+      [INDEX_KEY]: conversations.map(createIndexEntry),
+    });
+
+    // Conversations saved again are no longer in the trash or the archive
+    const lists = await area.get([TRASH_KEY, ARCHIVE_KEY]);
+    const updatedLists = {};
+    [TRASH_KEY, ARCHIVE_KEY].forEach((key) => {
+      const list = lists[key] || [];
+      if (list.some((entry) => ids.has(entry.id))) {
+        updatedLists[key] = list.filter((entry) => !ids.has(entry.id));
+      }
+    });
+    if (Object.keys(updatedLists).length > 0) {
+      await area.set(updatedLists);
+    }
+
+    if (removed.length > 0) {
+      await area.remove(removed.map((entry) => getRecordKey(entry.id)));
+    }
+    return true;
+  } catch (error) {
+    console.error("Error saving conversations:", error);
     throw error;
   }
 }
 
 /**
- * Deletes a conversation
+ * Adds conversations without rewriting the stored ones
+ *
+ * Each goes to its place in the list by timestamp. Callers make sure the
+ * IDs aren't stored yet, see getConversationIds.
+ *
+ * @param {Array<Object>} conversations - The conversations to add
+ * @returns {Promise<void>}
+ */
+export async function addConversations(conversations) {
+  try {
+    const index = await getConversationIndex();
+    const updatedIndex = [...index];
+
+    conversations.forEach((conversation) => {
+      const position = updatedIndex.findIndex(
+        (e) => e.timestamp < conversation.timestamp
+      );
+      updatedIndex.splice(
+        position === -1 ? updatedIndex.length : position,
+        0,
+        createIndexEntry(conversation)
+      );
+    });
+
+    const area = await getArea("conversations");
+    await area.set({
+      ...Object.fromEntries(conversations.map((c) => [getRecordKey(c.id), c])),
+      [INDEX_KEY]: updatedIndex,
+    });
+  } catch (error) {
+    console.error("Error adding conversations:", error);
+    throw isStorageQuotaError(error) ? createStorageQuotaError() : error;
+  }
+}
+
+/**
+ * Gets the IDs of every stored conversation
+ *
+ * @returns {Promise<Set<string>>} - IDs of the conversations in the list, the trash and the archive
+ */
+export async function getConversationIds() {
+  const lists = await Promise.all([
+    getConversationIndex(),
+    getList(TRASH_KEY),
+    getList(ARCHIVE_KEY),
+  ]);
+  return new Set(lists.flat().map((entry) => entry.id));
+}
+
+/**
+ * Permanently deletes a conversation
+ *
+ * Works for conversations in the list, the trash and the archive. Use
+ * trashConversation for deletes the user can undo.
  *
  * @param {string} id - The ID of the conversation to delete
  * @returns {Promise<boolean>} - True if deleted successfully
  */
 export async function deleteConversation(id) {
   try {
-    // Get existing conversations
-    const conversations = await getConversations();
+    // Get the existing index
+    const index = await getConversationIndex();
 
     // Filter out the conversation to delete
-    const updatedConversations = conversations.filter((c) => c.id !== id);
+    const updatedIndex = index.filter((entry) => entry.id !== id);
 
-    // If the length is the same, the conversation wasn't found
-    if (updatedConversations.length === conversations.length) {
-      return false;
+    // If the length is the same, the conversation may have been moved
+    if (updatedIndex.length === index.length) {
+      const matches = (entry) => entry.id === id;
+      const removed =
+        (await removeFromList(TRASH_KEY, matches)) +
+        (await removeFromList(ARCHIVE_KEY, matches));
+      return removed > 0;
     }
 
-    // Save updated conversations
-    await chrome.storage.sync.set({ conversations: updatedConversations });
+    // Save the updated index, then drop the record
+    const area = await getArea("conversations");
+    await area.set({ [INDEX_KEY]: updatedIndex });
+    await area.remove(getRecordKey(id));
     return true;
   } catch (error) {
     console.error("Error deleting conversation:", error);
@@ -217,22 +557,557 @@ export async function deleteConversation(id) {
  */
 export async function getConversationById(id) {
   try {
-    const conversations = await getConversations();
-    return conversations.find((c) => c.id === id) || null;
+    const key = getRecordKey(id);
+    const area = await getArea("conversations");
+    const result = await area.get(key);
+    return result[key] || null;
   } catch (error) {
     console.error("Error getting conversation by ID:", error);
     return null;
   }
 }
 
+/**
+ * Gets conversations by ID, wherever they are kept
+ *
+ * @param {Array<string>} ids - The IDs of the conversations
+ * @returns {Promise<Array<Object>>} - The conversations found, in the same order
+ */
+async function getConversationsById(ids) {
+  const found = await Promise.all(ids.map(getConversationById));
+  return found.filter(Boolean);
+}
+
+// Conversations taken out of the list keep their records. Deleted ones are
+// listed in the trash, with the time they were deleted, until they're
+// purged; archived ones stay in the archive until they're restored.
+const TRASH_KEY = "conversationTrash";
+const ARCHIVE_KEY = "conversationArchive";
+
+// The time each list stamps its entries with
+const LIST_STAMPS = {
+  [TRASH_KEY]: "deletedAt",
+  [ARCHIVE_KEY]: "archivedAt",
+};
+
+/**
+ * Gets the entries of the trash or the archive
+ *
+ * @param {string} key - TRASH_KEY or ARCHIVE_KEY
+ * @returns {Promise<Array<Object>>} - Index entries, most recently moved first
+ */
+async function getList(key) {
+  try {
+    const area = await getArea("conversations");
+    const result = await area.get(key);
+    return result[key] || [];
+  } catch (error) {
+    console.error(`Error getting ${key}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Moves conversations from the list to the trash or the archive
+ *
+ * @param {string} key - TRASH_KEY or ARCHIVE_KEY
+ * @param {Array<string>} ids - The IDs of the conversations to move
+ * @returns {Promise<Array<Object>>} - The moved entries
+ */
+async function moveOutOfIndex(key, ids) {
+  const area = await getArea("conversations");
+  const { [INDEX_KEY]: index = [], [key]: list = [] } = await area.get([
+    INDEX_KEY,
+    key,
+  ]);
+
+  const stamp = Date.now();
+  const moved = index
+    .filter((entry) => ids.includes(entry.id))
+    .map((entry) => ({ ...entry, [LIST_STAMPS[key]]: stamp }));
+  if (moved.length === 0) return [];
+
+  await area.set({
+    [INDEX_KEY]: index.filter((entry) => !ids.includes(entry.id)),
+    [key]: [...moved, ...list],
+  });
+  return moved;
+}
+
+/**
+ * Moves a conversation from the trash or the archive back to the list
+ *
+ * It goes back to its place in the list by timestamp.
+ *
+ * @param {string} key - TRASH_KEY or ARCHIVE_KEY
+ * @param {string} id - The ID of the conversation to move
+ * @returns {Promise<boolean>} - True if the conversation was in the list
+ */
+async function moveIntoIndex(key, id) {
+  const area = await getArea("conversations");
+  const { [INDEX_KEY]: index = [], [key]: list = [] } = await area.get([
+    INDEX_KEY,
+    key,
+  ]);
+
+  const found = list.find((e) => e.id === id);
+  if (!found) return false;
+
+  const entry = { ...found };
+  delete entry[LIST_STAMPS[key]];
+  const position = index.findIndex((e) => e.timestamp < entry.timestamp);
+  const updatedIndex = [...index];
+  updatedIndex.splice(position === -1 ? index.length : position, 0, entry);
+
+  await area.set({
+    [INDEX_KEY]: updatedIndex,
+    [key]: list.filter((e) => e.id !== id),
+  });
+  return true;
+}
+
+/**
+ * Permanently deletes conversations in the trash or the archive
+ *
+ * @param {string} key - TRASH_KEY or ARCHIVE_KEY
+ * @param {Function} [predicate] - Picks the entries to delete, all if omitted
+ * @returns {Promise<number>} - Number of conversations deleted
+ */
+async function removeFromList(key, predicate = () => true) {
+  const area = await getArea("conversations");
+  const list = await getList(key);
+  const removed = list.filter(predicate);
+  if (removed.length === 0) return 0;
+
+  await area.set({ [key]: list.filter((e) => !removed.includes(e)) });
+  await area.remove(removed.map((e) => getRecordKey(e.id)));
+  return removed.length;
+}
+
+/**
+ * Gets the conversations in the trash
+ *
+ * @returns {Promise<Array<Object>>} - Index entries with a deletedAt time, most recently deleted first
+ */
+export async function getTrash() {
+  return getList(TRASH_KEY);
+}
+
+/**
+ * Moves a conversation to the trash
+ *
+ * @param {string} id - The ID of the conversation to delete
+ * @returns {Promise<Object|null>} - The trash entry, or null if the conversation wasn't found
+ */
+export async function trashConversation(id) {
+  const [entry] = await trashConversations([id]);
+  return entry || null;
+}
+
+/**
+ * Moves conversations to the trash
+ *
+ * @param {Array<string>} ids - The IDs of the conversations to delete
+ * @returns {Promise<Array<Object>>} - The trash entries
+ */
+export async function trashConversations(ids) {
+  try {
+    return await moveOutOfIndex(TRASH_KEY, ids);
+  } catch (error) {
+    console.error("Error moving conversations to trash:", error);
+    throw error;
+  }
+}
+
+/**
+ * Restores a conversation from the trash
+ *
+ * It goes back to its place in the list by timestamp.
+ *
+ * @param {string} id - The ID of the conversation to restore
+ * @returns {Promise<boolean>} - True if the conversation was in the trash
+ */
+export async function restoreConversation(id) {
+  try {
+    return await moveIntoIndex(TRASH_KEY, id);
+  } catch (error) {
+    console.error("Error restoring conversation:", error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently deletes every conversation in the trash
+ *
+ * @returns {Promise<number>} - Number of conversations deleted
+ */
+export async function emptyTrash() {
+  try {
+    return await removeFromList(TRASH_KEY);
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently deletes conversations that have been in the trash too long
+ *
+ * @param {number} [retentionDays] - Days to keep deleted conversations, from the global settings if omitted; 0 keeps them until the trash is emptied
+ * @returns {Promise<number>} - Number of conversations deleted
+ */
+export async function purgeTrash(retentionDays) {
+  try {
+    const days =
+      retentionDays ?? (await getGlobalSettings()).trashRetentionDays;
+    if (!days) return 0;
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    return await removeFromList(TRASH_KEY, (entry) => entry.deletedAt < cutoff);
+  } catch (error) {
+    console.error("Error purging trash:", error);
+    return 0;
+  }
+}
+
+/**
+ * Gets the archived conversations
+ *
+ * @returns {Promise<Array<Object>>} - Index entries with an archivedAt time, most recently archived first
+ */
+export async function getArchive() {
+  return getList(ARCHIVE_KEY);
+}
+
+/**
+ * Moves conversations out of the list into the archive
+ *
+ * @param {Array<string>} ids - The IDs of the conversations to archive
+ * @returns {Promise<Array<Object>>} - The archive entries
+ */
+export async function archiveConversations(ids) {
+  try {
+    return await moveOutOfIndex(ARCHIVE_KEY, ids);
+  } catch (error) {
+    console.error("Error archiving conversations:", error);
+    throw error;
+  }
+}
+
+/**
+ * Moves an archived conversation back to the list
+ *
+ * @param {string} id - The ID of the conversation to restore
+ * @returns {Promise<boolean>} - True if the conversation was archived
+ */
+export async function unarchiveConversation(id) {
+  try {
+    return await moveIntoIndex(ARCHIVE_KEY, id);
+  } catch (error) {
+    console.error("Error restoring archived conversation:", error);
+    throw error;
+  }
+}
+
+/**
+ * Gets the keys a category of data is stored under
+ *
+ * @param {string} category - "settings", "apiKeys", "conversations" or "promptLibrary"
+ * @param {chrome.storage.StorageArea} area - The area the category is kept in
+ * @returns {Promise<Array<string>>} - The storage keys
+ */
+export async function getCategoryKeys(category, area) {
+  if (category === "settings") {
+    return ["globalSettings", "chatSettings", "schemaVersion"];
+  }
+  if (category === "apiKeys") return [CREDENTIALS_KEY];
+  if (category === "promptLibrary") return [PROMPT_LIBRARY_KEY];
+
+  const listKeys = [INDEX_KEY, TRASH_KEY, ARCHIVE_KEY];
+  const lists = await area.get(listKeys);
+  return [
+    ...listKeys,
+    ...Object.values(lists)
+      .flat()
+      .map((entry) => getRecordKey(entry.id)),
+  ];
+}
+
+/**
+ * Changes where categories of data are kept and moves the stored data
+ *
+ * The data is copied to its new area before the policy is saved and only
+ * removed from the old one afterwards. If a copy fails, e.g. because the
+ * data doesn't fit in sync storage, the partial copies are removed and the
+ * data stays where it was.
+ *
+ * @param {Object} changes - Storage area ("sync" or "local") keyed by category
+ * @returns {Promise<Object>} - The new storage policy
+ * @throws {Error} - If an area is unknown or the data couldn't be moved
+ */
+export async function setStoragePolicy(changes) {
+  const current = await getStoragePolicy();
+  const policy = { ...current, ...changes };
+
+  const categories = Object.keys(DEFAULT_STORAGE_POLICY);
+  if (
+    categories.some((c) => !Object.values(STORAGE_AREAS).includes(policy[c]))
+  ) {
+    throw new Error("Unknown storage area");
+  }
+
+  const moved = categories.filter((c) => policy[c] !== current[c]);
+  if (moved.length === 0) return policy;
+
+  // Settings saved by older versions still hold their API keys, which have
+  // to be split off before either category can move on its own
+  const globalSettings = await readGlobalSettings();
+  if (globalSettings) await saveGlobalSettings(globalSettings);
+
+  const copies = [];
+  try {
+    for (const category of moved) {
+      const from = chrome.storage[current[category]];
+      const to = chrome.storage[policy[category]];
+      const items = await from.get(await getCategoryKeys(category, from));
+
+      copies.push({ from, to, keys: Object.keys(items) });
+      await to.set(items);
+    }
+  } catch (error) {
+    console.error("Error moving data:", error);
+    await Promise.all(copies.map(({ to, keys }) => to.remove(keys)));
+    throw new Error(`Couldn't move your data: ${error.message}`);
+  }
+
+  await chrome.storage.local.set({ [POLICY_KEY]: policy });
+  await Promise.all(copies.map(({ from, keys }) => from.remove(keys)));
+  return policy;
+}
+
+/**
+ * Gets the cached model catalog
+ *
+ * The catalog can be large, so it lives in local storage rather than sync.
+ *
+ * @returns {Promise<Object>} - Catalog entries keyed by provider id
+ */
+export async function getModelCatalog() {
+  try {
+    const result = await chrome.storage.local.get("modelCatalog");
+    return result.modelCatalog || {};
+  } catch (error) {
+    console.error("Error getting model catalog:", error);
+    return {};
+  }
+}
+
+/**
+ * Saves the model catalog
+ *
+ * @param {Object} catalog - Catalog entries keyed by provider id
+ * @returns {Promise<void>}
+ */
+export async function saveModelCatalog(catalog) {
+  try {
+    await chrome.storage.local.set({ modelCatalog: catalog });
+    return true;
+  } catch (error) {
+    console.error("Error saving model catalog:", error);
+    throw error;
+  }
+}
+
+const BACKUP_INDEX_KEY = "backupIndex";
+const BACKUP_PREFIX = "backup:";
+
+/**
+ * Gets the stored backups
+ *
+ * Backups hold every conversation, so they live in local storage rather
+ * than sync.
+ *
+ * @returns {Promise<Array<Object>>} - Backups with id, filename, downloadId, createdAt, bytes, conversations, includesKeys and redactedSecrets, newest first
+ */
+export async function getBackups() {
+  const result = await chrome.storage.local.get(BACKUP_INDEX_KEY);
+  return result[BACKUP_INDEX_KEY] || [];
+}
+
+/**
+ * Gets the export file of a backup
+ *
+ * @param {string} id - The backup's ID
+ * @returns {Promise<string|null>} - The file's text, or null if the backup is gone
+ */
+export async function getBackupData(id) {
+  const key = BACKUP_PREFIX + id;
+  const result = await chrome.storage.local.get(key);
+  return result[key] || null;
+}
+
+/**
+ * Stores a new backup ahead of the others
+ *
+ * @param {Object} backup - The backup's index entry, from getBackups
+ * @param {string} json - The export file's text
+ * @returns {Promise<void>}
+ */
+export async function saveBackup(backup, json) {
+  const backups = await getBackups();
+  await chrome.storage.local.set({
+    [BACKUP_PREFIX + backup.id]: json,
+    [BACKUP_INDEX_KEY]: [backup, ...backups],
+  });
+}
+
+/**
+ * Deletes stored backups
+ *
+ * @param {Array<string>} ids - IDs of the backups
+ * @returns {Promise<Array<Object>>} - Index entries of the backups deleted
+ */
+export async function deleteBackups(ids) {
+  const backups = await getBackups();
+  const removed = backups.filter((backup) => ids.includes(backup.id));
+  if (removed.length === 0) return [];
+
+  await chrome.storage.local.set({
+    [BACKUP_INDEX_KEY]: backups.filter((backup) => !ids.includes(backup.id)),
+  });
+  await chrome.storage.local.remove(
+    removed.map((backup) => BACKUP_PREFIX + backup.id)
+  );
+  return removed;
+}
+
+/**
+ * Lists the local storage keys backups are stored under
+ *
+ * @returns {Promise<Array<string>>} - The index key and a key per backup
+ */
+export async function getBackupKeys() {
+  const backups = await getBackups();
+  return [
+    BACKUP_INDEX_KEY,
+    ...backups.map((backup) => BACKUP_PREFIX + backup.id),
+  ];
+}
+
+/**
+ * Gets the ID of the conversation the popup last showed
+ *
+ * @returns {Promise<string|null>} - The conversation ID or null if none
+ */
+export async function getActiveConversationId() {
+  try {
+    const result = await chrome.storage.local.get("activeConversationId");
+    return result.activeConversationId || null;
+  } catch (error) {
+    console.error("Error getting active conversation:", error);
+    return null;
+  }
+}
+
+/**
+ * Saves the ID of the conversation the popup shows
+ *
+ * @param {string|null} id - The conversation ID, or null for a new chat
+ * @returns {Promise<void>}
+ */
+export async function saveActiveConversationId(id) {
+  try {
+    await chrome.storage.local.set({ activeConversationId: id });
+    return true;
+  } catch (error) {
+    console.error("Error saving active conversation:", error);
+    throw error;
+  }
+}
+
+// A conversation the popup hands to the full page without saving it, for
+// when history saving is off. Session storage is cleared when the browser
+// closes.
+const HANDOFF_KEY = "handoffConversation";
+
+/**
+ * Keeps a conversation for the full page to pick up, without saving it
+ *
+ * @param {Object} conversation - The conversation
+ * @returns {Promise<void>}
+ */
+export async function saveHandoffConversation(conversation) {
+  await chrome.storage.session.set({ [HANDOFF_KEY]: conversation });
+}
+
+/**
+ * Takes the conversation kept by saveHandoffConversation
+ *
+ * It can only be taken once.
+ *
+ * @param {string} id - The ID of the conversation that was handed over
+ * @returns {Promise<Object|null>} - The conversation, or null if there is none with that ID
+ */
+export async function takeHandoffConversation(id) {
+  try {
+    const { [HANDOFF_KEY]: conversation } = await chrome.storage.session.get(
+      HANDOFF_KEY
+    );
+    if (!conversation) return null;
+
+    await chrome.storage.session.remove(HANDOFF_KEY);
+    return conversation.id === id ? conversation : null;
+  } catch (error) {
+    console.error("Error getting handed over conversation:", error);
+    return null;
+  }
+}
+
 /**
  * Clears all storage data
  *
+ * Conversations are moved to the trash instead of being deleted, and
+ * backups are kept so the data can be restored from them.
+ *
  * @returns {Promise<void>}
  */
 export async function clearAllData() {
   try {
-    await chrome.storage.sync.clear();
+    // Conversations go to the trash, where they can still be restored
+    const area = await getArea("conversations");
+    const {
+      [INDEX_KEY]: index = [],
+      [TRASH_KEY]: trash = [],
+      [ARCHIVE_KEY]: archive = [],
+    } = await area.get([INDEX_KEY, TRASH_KEY, ARCHIVE_KEY]);
+    const deletedAt = Date.now();
+    await area.set({
+      [INDEX_KEY]: [],
+      [ARCHIVE_KEY]: [],
+      [TRASH_KEY]: [
+        ...[...index, ...archive].map((entry) => {
+          const trashed = { ...entry, deletedAt };
+          delete trashed.archivedAt;
+          return trashed;
+        }),
+        ...trash,
+      ],
+    });
+
+    // Keep the trash, the area it's stored in and the backups, remove
+    // everything else
+    const kept = new Set([
+      POLICY_KEY,
+      ...(await getCategoryKeys("conversations", area)),
+      ...(await getBackupKeys()),
+    ]);
+    await Promise.all(
+      [chrome.storage.sync, chrome.storage.local].map(async (storageArea) => {
+        const items = await storageArea.get(null);
+        const keys = Object.keys(items).filter((key) => !kept.has(key));
+        if (keys.length > 0) await storageArea.remove(keys);
+      })
+    );
     return true;
   } catch (error) {
     console.error("Error clearing all data:", error);
@@ -243,8 +1118,15 @@ export async function clearAllData() {
 /**
  * Exports all settings and conversations to a JSON string
  *
+ * Unless API keys are included, every secret setting is replaced by a
+ * placeholder and the file lists the paths of the secrets left out in
+ * redactedSecrets.
+ *
  * @param {Object} options - Export options
- * @param {boolean} options.includeApiKeys - Whether to include API keys
+ * @param {boolean} options.includeApiKeys - Whether to include API keys and other secrets
+ * @param {Array<string>} [options.keepSecrets] - Secret settings to include anyway, by their path in SECRET_SETTINGS
+ * @param {Array<string>} [options.conversationIds] - Export only these conversations, which may be in the trash or the archive
+ * @param {boolean} [options.includeArchived] - Whether to export archived conversations after the listed ones
  * @returns {Promise<string>} - The exported data as a JSON string
  */
 export async function exportData(options = { includeApiKeys: false }) {
@@ -253,24 +1135,31 @@ export async function exportData(options = { includeApiKeys: false }) {
     const [globalSettings, chatSettings, conversations] = await Promise.all([
       getGlobalSettings(),
       getChatSettings(),
-      getConversations(),
+      options.conversationIds
+        ? getConversationsById(options.conversationIds)
+        : getConversations(),
     ]);
 
-    // Optionally remove API keys for security
-    if (!options.includeApiKeys) {
-      globalSettings.apiKeys = {
-        openai: globalSettings.apiKeys.openai ? "[API_KEY]" : "",
-        anthropic: globalSettings.apiKeys.anthropic ? "[API_KEY]" : "",
-        mistral: globalSettings.apiKeys.mistral ? "[API_KEY]" : "",
-      };
+    if (options.includeArchived && !options.conversationIds) {
+      const archive = await getArchive();
+      conversations.push(
+        ...(await getConversationsById(archive.map((entry) => entry.id)))
+      );
     }
 
+    // Optionally remove API keys and other secrets for security
+    const { settings, redacted } = options.includeApiKeys
+      ? { settings: globalSettings, redacted: null }
+      : redactSecrets(globalSettings, options.keepSecrets);
+
     // Create export data
     const exportData = {
-      globalSettings,
+      globalSettings: settings,
       chatSettings,
       conversations,
+      schemaVersion: SCHEMA_VERSION,
       exportDate: Date.now(),
+      ...(redacted && { redactedSecrets: redacted.map((s) => s.path) }),
     };
 
     return JSON.stringify(exportData, null, 2);
@@ -279,104 +1168,3 @@ export async function exportData(options = { includeApiKeys: false }) {
     throw error;
   }
 }
-
-/**
- * Imports data from a JSON string
- *
- * @param {string} jsonData - The JSON data to import
- * @param {Object} options - Import options
- * @param {boolean} options.overwrite - Whether to overwrite existing data
- * @param {boolean} options.importApiKeys - Whether to import API keys
- * @returns {Promise<Object>} - Result of the import
- */
-export async function importData(
-  jsonData,
-  options = { overwrite: false, importApiKeys: false }
-) {
-  try {
-    // Parse the JSON data
-    const data = JSON.parse(jsonData);
-
-    // Validate the data
-    if (!data.globalSettings || !data.chatSettings) {
-      throw new Error("Invalid import data format");
-    }
-
-    // Get current data if not overwriting
-    let currentGlobalSettings = {};
-    let currentChatSettings = {};
-    let currentConversations = [];
-
-    if (!options.overwrite) {
-      [currentGlobalSettings, currentChatSettings, currentConversations] =
-        await Promise.all([
-          getGlobalSettings(),
-          getChatSettings(),
-          getConversations(),
-        ]);
-    }
-
-    // Handle API keys separately based on importApiKeys option
-    let apiKeys = currentGlobalSettings.apiKeys || {};
-
-    if (options.importApiKeys) {
-      // Import API keys, but don't overwrite if they're placeholder values
-      apiKeys = {
-        ...apiKeys,
-        ...data.globalSettings.apiKeys,
-      };
-
-      // Don't import placeholder API keys
-      if (apiKeys.openai === "[API_KEY]")
-        apiKeys.openai = currentGlobalSettings.apiKeys?.openai || "";
-      if (apiKeys.anthropic === "[API_KEY]")
-        apiKeys.anthropic = currentGlobalSettings.apiKeys?.anthropic || "";
-      if (apiKeys.mistral === "[API_KEY]")
-        apiKeys.mistral = currentGlobalSettings.apiKeys?.mistral || "";
-    }
-
-    // Merge global settings
-    const mergedGlobalSettings = {
-      ...(options.overwrite ? {} : currentGlobalSettings),
-      ...data.globalSettings,
-      apiKeys,
-    };
-
-    // Merge chat settings
-    const mergedChatSettings = {
-      ...(options.overwrite ? {} : currentChatSettings),
-      ...data.chatSettings,
-    };
-
-    // Merge conversations
-    let mergedConversations;
-
-    if (options.overwrite) {
-      mergedConversations = data.conversations || [];
-    } else {
-      // Get unique conversations by ID
-      const existingIds = currentConversations.map((c) => c.id);
-      const newConversations = (data.conversations || []).filter(
-        (c) => !existingIds.includes(c.id)
-      );
-      mergedConversations = [...currentConversations, ...newConversations];
-    }
-
-    // Save the merged data
-    await Promise.all([
-      saveGlobalSettings(mergedGlobalSettings),
-      saveChatSettings(mergedChatSettings),
-      chrome.storage.sync.set({ conversations: mergedConversations }),
-    ]);
-
-    return {
-      success: true,
-      globalSettings: mergedGlobalSettings,
-      chatSettings: mergedChatSettings,
-      conversations: mergedConversations.length,
-    };
-  } catch (error) {
-    console.error("Error importing data:", error);
-    throw error;
-  }
-}
@@ -0,0 +1,215 @@
+/**
+ * Sololom Storage Usage Service
+ *
+ * Reports how much room each category of data takes and warns before saves
+ * start failing. Sync storage has fixed quotas. Local storage has none with
+ * the unlimitedStorage permission, so there only the browser's estimate for
+ * the extension, which includes IndexedDB, can run out.
+ */
+
+import * as StorageService from "./storage.js";
+import { getConversationSize } from "./retention.js";
+
+// Chrome's sync quotas, for browsers that don't expose them
+const SYNC_QUOTA_BYTES = 102400;
+const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+/**
+ * How full storage is
+ */
+export const USAGE_LEVELS = {
+  OK: "ok",
+  WARNING: "warning",
+  FULL: "full",
+};
+
+/**
+ * Share of a quota from which saves warn
+ */
+export const WARNING_RATIO = 0.8;
+
+/**
+ * Gets the quotas of a storage area
+ *
+ * @param {string} areaName - "sync" or "local"
+ * @returns {Object} - Total and per item quotas in bytes, null when unlimited
+ */
+function getQuotas(areaName) {
+  if (areaName !== StorageService.STORAGE_AREAS.SYNC) {
+    return { total: null, perItem: null };
+  }
+
+  return {
+    total: chrome.storage.sync.QUOTA_BYTES || SYNC_QUOTA_BYTES,
+    perItem:
+      chrome.storage.sync.QUOTA_BYTES_PER_ITEM || SYNC_QUOTA_BYTES_PER_ITEM,
+  };
+}
+
+/**
+ * Gets how full a quota is
+ *
+ * @param {number} bytes - Bytes in use
+ * @param {number|null} quota - The quota, null when unlimited
+ * @returns {string} - One of USAGE_LEVELS
+ */
+export function getUsageLevel(bytes, quota) {
+  if (!quota) return USAGE_LEVELS.OK;
+  if (bytes >= quota) return USAGE_LEVELS.FULL;
+  if (bytes >= quota * WARNING_RATIO) return USAGE_LEVELS.WARNING;
+  return USAGE_LEVELS.OK;
+}
+
+/**
+ * Gets the browser's estimate of the storage the extension uses
+ *
+ * @returns {Promise<Object|null>} - Object with usage, quota and level, or null if unavailable
+ */
+async function getOriginEstimate() {
+  if (!navigator.storage?.estimate) return null;
+
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota, level: getUsageLevel(usage, quota) };
+  } catch (error) {
+    console.error("Error estimating storage:", error);
+    return null;
+  }
+}
+
+/**
+ * Gets how much storage is used, by category and by area
+ *
+ * Backups aren't in the storage policy, they always stay local, but are
+ * reported as a category of their own since each holds every conversation.
+ *
+ * @returns {Promise<Object>} - Object with categories (area and bytes by category), areas (bytes, quota and level by area) and the browser's estimate
+ */
+export async function getStorageUsage() {
+  const policy = await StorageService.getStoragePolicy();
+
+  const categories = {};
+  for (const [category, areaName] of Object.entries(policy)) {
+    const area = chrome.storage[areaName];
+    const keys = await StorageService.getCategoryKeys(category, area);
+    categories[category] = {
+      area: areaName,
+      bytes: await area.getBytesInUse(keys),
+    };
+  }
+  categories.backups = {
+    area: StorageService.STORAGE_AREAS.LOCAL,
+    bytes: await chrome.storage.local.getBytesInUse(
+      await StorageService.getBackupKeys()
+    ),
+  };
+
+  const areas = {};
+  for (const areaName of Object.values(StorageService.STORAGE_AREAS)) {
+    const bytes = await chrome.storage[areaName].getBytesInUse(null);
+    const { total } = getQuotas(areaName);
+    areas[areaName] = {
+      bytes,
+      quota: total,
+      level: getUsageLevel(bytes, total),
+    };
+  }
+
+  return { categories, areas, estimate: await getOriginEstimate() };
+}
+
+/**
+ * Checks whether saving a conversation is about to fail
+ *
+ * @param {Object} [conversation] - The conversation about to be saved
+ * @returns {Promise<Object|null>} - Object with level and message, or null if there's room
+ */
+export async function getSaveWarning(conversation) {
+  try {
+    const { conversations: areaName } = await StorageService.getStoragePolicy();
+    const { total, perItem } = getQuotas(areaName);
+
+    if (
+      perItem &&
+      conversation &&
+      getConversationSize(conversation) > perItem
+    ) {
+      return {
+        level: USAGE_LEVELS.FULL,
+        message:
+          "This conversation is too long for synced storage and won't be saved. Keep conversations on this device only in Settings.",
+      };
+    }
+
+    let level;
+    let share;
+    if (total) {
+      const bytes = await chrome.storage[areaName].getBytesInUse(null);
+      level = getUsageLevel(bytes, total);
+      share = bytes / total;
+    } else {
+      const estimate = await getOriginEstimate();
+      if (!estimate) return null;
+      level = estimate.level;
+      share = estimate.usage / estimate.quota;
+    }
+
+    if (level === USAGE_LEVELS.FULL) {
+      return {
+        level,
+        message:
+          "Storage is full, so new messages won't be saved. Free up space in Settings.",
+      };
+    }
+    if (level === USAGE_LEVELS.WARNING) {
+      return {
+        level,
+        message: `Storage is ${Math.round(
+          share * 100
+        )}% full. Free up space in Settings to keep saving conversations.`,
+      };
+    }
+    return null;
+  } catch (error) {
+    console.error("Error checking storage usage:", error);
+    return null;
+  }
+}
+
+/**
+ * Finds the conversations that take the most room
+ *
+ * Conversations in the trash and the archive are included, since their
+ * messages are still stored.
+ *
+ * @param {number} [limit] - Maximum number of conversations
+ * @returns {Promise<Array<Object>>} - Objects with id, title, timestamp, bytes and location ("list", "archive" or "trash"), largest first
+ */
+export async function getLargestConversations(limit = 10) {
+  const [index, archive, trash] = await Promise.all([
+    StorageService.getConversationIndex(),
+    StorageService.getArchive(),
+    StorageService.getTrash(),
+  ]);
+
+  const located = [
+    ...index.map((entry) => ({ entry, location: "list" })),
+    ...archive.map((entry) => ({ entry, location: "archive" })),
+    ...trash.map((entry) => ({ entry, location: "trash" })),
+  ];
+
+  const sized = await Promise.all(
+    located.map(async ({ entry, location }) => {
+      const conversation = await StorageService.getConversationById(entry.id);
+      return {
+        id: entry.id,
+        title: entry.title,
+        timestamp: entry.timestamp,
+        location,
+        bytes: conversation ? getConversationSize(conversation) : 0,
+      };
+    })
+  );
+
+  return sized.sort((a, b) => b.bytes - a.bytes).slice(0, limit);
+}
@@ -0,0 +1,289 @@
+/**
+ * Sololom Usage Service
+ *
+ * Prices the token usage recorded on assistant messages and summarises it
+ * per day, provider and model
+ */
+
+import * as SettingsService from "./settings.js";
+import { createModelRef, parseModelRef } from "./providers/modelRef.js";
+
+/**
+ * Price per million tokens in USD, keyed by model reference
+ *
+ * Keys also match dated snapshots of a model by prefix, e.g. "openai:gpt-4o"
+ * prices "gpt-4o-2024-08-06". Users can override or extend the table in
+ * settings.
+ */
+export const DEFAULT_MODEL_PRICES = {
+  "openai:gpt-4o": { input: 2.5, output: 10 },
+  "openai:gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "openai:gpt-4-turbo": { input: 10, output: 30 },
+  "openai:gpt-4": { input: 30, output: 60 },
+  "openai:gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "anthropic:claude-3-5-sonnet": { input: 3, output: 15 },
+  "anthropic:claude-3-5-haiku": { input: 0.8, output: 4 },
+  "anthropic:claude-3-opus": { input: 15, output: 75 },
+  "mistral:mistral-small": { input: 0.2, output: 0.6 },
+  "mistral:mistral-medium": { input: 2.7, output: 8.1 },
+  "mistral:mistral-large": { input: 2, output: 6 },
+  "openrouter:meta-llama/llama-3-70b": { input: 0.59, output: 0.79 },
+  "openrouter:meta-llama/llama-3-8b-instruct": { input: 0.06, output: 0.06 },
+  "openrouter:google/gemini-pro": { input: 0.125, output: 0.375 },
+  "openrouter:google/gemini-1.5-pro": { input: 1.25, output: 5 },
+  "openrouter:anthropic/claude-3-opus": { input: 15, output: 75 },
+  "openrouter:anthropic/claude-3-sonnet": { input: 3, output: 15 },
+  "openrouter:anthropic/claude-3-haiku": { input: 0.25, output: 1.25 },
+  "openrouter:cohere/command-r": { input: 0.5, output: 1.5 },
+  "openrouter:mistral/mistral-large": { input: 2, output: 6 },
+  "openrouter:mistral/mistral-small": { input: 0.2, output: 0.6 },
+};
+
+/**
+ * Gets the price table, with the user's overrides applied
+ *
+ * @returns {Promise<Object>} - Prices keyed by model reference
+ */
+export async function getModelPrices() {
+  const overrides = await SettingsService.getGlobalSetting("modelPrices", {});
+  return { ...DEFAULT_MODEL_PRICES, ...overrides };
+}
+
+/**
+ * Formats a price table for editing, one "model input output" line per model
+ *
+ * @param {Object} prices - Prices keyed by model reference
+ * @returns {string} - Editable price table
+ */
+export function formatPriceTable(prices) {
+  return Object.entries(prices)
+    .map(([ref, price]) => `${ref} ${price.input} ${price.output}`)
+    .join("\n");
+}
+
+/**
+ * Parses an edited price table
+ *
+ * @param {string} text - Lines of "model input output", prices per million tokens
+ * @returns {Object} - Prices keyed by model reference
+ * @throws {Error} - If a line isn't a model followed by two prices
+ */
+export function parsePriceTable(text) {
+  const prices = {};
+
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const [ref, input, output, ...rest] = line.split(/\s+/);
+      const price = { input: Number(input), output: Number(output) };
+
+      if (
+        rest.length > 0 ||
+        !(price.input >= 0) ||
+        !(price.output >= 0) ||
+        !parseModelRef(ref).provider
+      ) {
+        throw new Error(`Invalid price line: "${line}"`);
+      }
+
+      prices[ref] = price;
+    });
+
+  return prices;
+}
+
+/**
+ * Gets the prices that differ from the defaults
+ *
+ * Only these are saved, so updated defaults still reach untouched models.
+ *
+ * @param {Object} prices - Prices keyed by model reference
+ * @returns {Object} - Prices that override or extend the defaults
+ */
+export function getPriceOverrides(prices) {
+  return Object.fromEntries(
+    Object.entries(prices).filter(([ref, price]) => {
+      const defaults = DEFAULT_MODEL_PRICES[ref];
+      return (
+        !defaults ||
+        defaults.input !== price.input ||
+        defaults.output !== price.output
+      );
+    })
+  );
+}
+
+/**
+ * Finds the price entry for a model reference
+ *
+ * An exact match wins, otherwise the longest key the reference starts with.
+ * Aliases such as "-latest" are matched through their base name.
+ *
+ * @param {string} ref - The model reference
+ * @param {Object} prices - Prices keyed by model reference
+ * @returns {Object|null} - Price with input and output, or null if unknown
+ */
+function findPrice(ref, prices) {
+  if (prices[ref]) return prices[ref];
+
+  const base = ref.replace(/-latest$/, "");
+  const key = Object.keys(prices)
+    .filter((candidate) => base.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return key ? prices[key] : null;
+}
+
+/**
+ * Gets the price of a model
+ *
+ * The model the provider actually ran is tried first, so a price for a
+ * specific snapshot takes precedence over the alias that was requested.
+ *
+ * @param {string} model - The requested model reference
+ * @param {string} [resolvedModel] - The model id the provider reported
+ * @param {Object} prices - Prices keyed by model reference
+ * @returns {Object|null} - Price with input and output, or null if unknown
+ */
+export function getModelPrice(model, resolvedModel, prices) {
+  if (!model) return null;
+
+  const { provider } = parseModelRef(model);
+  if (provider && resolvedModel) {
+    const price = findPrice(createModelRef(provider, resolvedModel), prices);
+    if (price) return price;
+  }
+
+  return findPrice(model, prices);
+}
+
+/**
+ * Calculates the cost of a request
+ *
+ * @param {Object} usage - Usage with promptTokens and completionTokens
+ * @param {Object} price - Price per million tokens with input and output
+ * @returns {number|null} - Cost in USD, or null if the price is unknown
+ */
+export function calculateCost(usage, price) {
+  if (!usage || !price) return null;
+
+  return (
+    ((usage.promptTokens || 0) * price.input +
+      (usage.completionTokens || 0) * price.output) /
+    1e6
+  );
+}
+
+/**
+ * Gets the assistant messages of a conversation that recorded usage
+ *
+ * @param {Object} conversation - The conversation
+ * @returns {Array<Object>} - Messages with usage
+ */
+function getUsageMessages(conversation) {
+  return (conversation?.messages || []).filter(
+    (message) => message.role === "assistant" && message.usage
+  );
+}
+
+/**
+ * Creates an empty usage total
+ *
+ * @returns {Object} - Total with zero requests, tokens and cost
+ */
+function createTotal() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+/**
+ * Adds a message's usage to a running total
+ *
+ * @param {Object} total - The total to update
+ * @param {Object} message - Assistant message with usage
+ * @param {Object} prices - Prices keyed by model reference
+ * @returns {Object} - The updated total
+ */
+function addToTotal(total, message, prices) {
+  const price = getModelPrice(message.model, message.resolvedModel, prices);
+
+  total.requests += 1;
+  total.promptTokens += message.usage.promptTokens || 0;
+  total.completionTokens += message.usage.completionTokens || 0;
+  total.cost += calculateCost(message.usage, price) || 0;
+
+  return total;
+}
+
+/**
+ * Totals the usage of a conversation
+ *
+ * @param {Object} conversation - The conversation
+ * @param {Object} prices - Prices keyed by model reference
+ * @returns {Object} - Total requests, prompt and completion tokens and cost
+ */
+export function getConversationUsage(conversation, prices) {
+  return getUsageMessages(conversation).reduce(
+    (total, message) => addToTotal(total, message, prices),
+    createTotal()
+  );
+}
+
+/**
+ * Summarises usage across conversations per day, provider and model
+ *
+ * Messages are dated by their timestamp, falling back to the conversation's.
+ *
+ * @param {Array<Object>} conversations - Stored conversations
+ * @param {Object} prices - Prices keyed by model reference
+ * @returns {Array<Object>} - Rows with date, provider, model and totals, newest day first
+ */
+export function summarizeUsage(conversations, prices) {
+  const rows = new Map();
+
+  (conversations || []).forEach((conversation) => {
+    getUsageMessages(conversation).forEach((message) => {
+      const model = message.model || conversation.model || "";
+      const timestamp = message.timestamp || conversation.timestamp;
+      const date = new Date(timestamp || 0).toISOString().slice(0, 10);
+      const provider = parseModelRef(model).provider || "unknown";
+      const key = `${date}|${model}`;
+
+      if (!rows.has(key)) {
+        rows.set(key, { date, provider, model, ...createTotal() });
+      }
+
+      addToTotal(rows.get(key), { ...message, model }, prices);
+    });
+  });
+
+  return [...rows.values()].sort(
+    (a, b) => b.date.localeCompare(a.date) || a.model.localeCompare(b.model)
+  );
+}
+
+/**
+ * Creates the assistant message stored in a conversation
+ *
+ * Copies the model, token usage and latency of the normalized response,
+ * when there is one, and flags answers cut off at the token limit.
+ *
+ * @param {string} content - The generated text
+ * @param {Object} [response] - The normalized response, e.g. the stream's done event
+ * @returns {Object} - The assistant message
+ */
+export function createAssistantMessage(content, response) {
+  const message = { role: "assistant", content };
+  if (!response?.usage) return message;
+
+  return {
+    ...message,
+    model: response.model,
+    resolvedModel: response.resolvedModel,
+    usage: response.usage,
+    latency: response.latency,
+    timestamp: Date.now(),
+    ...(response.truncated && { truncated: true }),
+  };
+}
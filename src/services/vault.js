@@ -0,0 +1,447 @@
+/**
+ * Sololom Key Vault Service
+ *
+ * Optionally keeps the provider API keys and custom endpoint keys and
+ * headers encrypted at rest. The secrets are encrypted with AES-GCM under a
+ * key derived from the user's passphrase with PBKDF2, and the encrypted
+ * vault is stored in the global settings in place of the plaintext ones.
+ * Unlocking caches the derived key in session storage, which the browser
+ * clears when it closes.
+ */
+
+import * as SettingsService from "./settings.js";
+import {
+  createVaultLockedError,
+  isVaultLockedError,
+} from "../utils/errorHandler.js";
+
+/**
+ * PBKDF2 iterations used for new vaults
+ */
+export const PBKDF2_ITERATIONS = 600000;
+
+// Session storage key holding the unlocked vault key
+const SESSION_KEY = "vaultKey";
+
+// Format of the stored vault. Version 1 vaults hold only the provider keys.
+const VAULT_VERSION = 2;
+
+/**
+ * Encodes bytes as base64
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - The bytes to encode
+ * @returns {string} - Base64 text
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * Decodes base64 text
+ *
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} - The decoded bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Derives the vault key from a passphrase
+ *
+ * @param {string} passphrase - The user's passphrase
+ * @param {Uint8Array} salt - Random salt stored with the vault
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} - AES-GCM key
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  // Extractable, so the unlocked key can be cached for the session
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypts API keys and custom endpoint secrets into a vault
+ *
+ * The ids of the providers that have a key and of the endpoints that have
+ * secrets are stored in the clear, so pages can tell which providers are
+ * configured while the vault is locked.
+ *
+ * @param {CryptoKey} key - The vault key
+ * @param {Object} vault - Key derivation parameters with salt and iterations
+ * @param {Object} apiKeys - API keys keyed by provider id
+ * @param {Object} [endpoints] - Custom endpoint secrets keyed by endpoint id, from takeEndpointSecrets
+ * @returns {Promise<Object>} - The vault to store
+ */
+async function encryptKeys(key, { salt, iterations }, apiKeys, endpoints = {}) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify({ apiKeys, endpoints }))
+  );
+
+  return {
+    version: VAULT_VERSION,
+    salt,
+    iterations,
+    iv: toBase64(iv),
+    data: toBase64(data),
+    providers: Object.keys(apiKeys).filter((id) => apiKeys[id]),
+    endpoints: Object.keys(endpoints),
+  };
+}
+
+/**
+ * Decrypts the secrets in a vault
+ *
+ * @param {CryptoKey} key - The vault key
+ * @param {Object} vault - The stored vault
+ * @returns {Promise<Object>} - Object with apiKeys keyed by provider id and endpoints keyed by endpoint id
+ * @throws {Error} - If the key doesn't match the vault
+ */
+async function decryptKeys(key, vault) {
+  const data = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: fromBase64(vault.iv) },
+    key,
+    fromBase64(vault.data)
+  );
+
+  const secrets = JSON.parse(new TextDecoder().decode(data));
+  return vault.version === 1 ? { apiKeys: secrets, endpoints: {} } : secrets;
+}
+
+/**
+ * Gets the vault key cached by unlocking
+ *
+ * @returns {Promise<CryptoKey|null>} - The key, or null if the vault is locked
+ */
+async function getSessionKey() {
+  const result = await chrome.storage.session.get(SESSION_KEY);
+  if (!result[SESSION_KEY]) return null;
+
+  return crypto.subtle.importKey(
+    "raw",
+    fromBase64(result[SESSION_KEY]),
+    "AES-GCM",
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Caches the vault key until the browser closes
+ *
+ * @param {CryptoKey} key - The vault key
+ * @returns {Promise<void>}
+ */
+async function cacheSessionKey(key) {
+  const raw = await crypto.subtle.exportKey("raw", key);
+  await chrome.storage.session.set({ [SESSION_KEY]: toBase64(raw) });
+}
+
+/**
+ * Decrypts a vault with the cached key
+ *
+ * @param {Object} vault - The stored vault
+ * @returns {Promise<Object>} - Object with apiKeys and endpoints, see decryptKeys
+ * @throws {Error} - A VaultLockedError if the vault is locked
+ */
+async function openVault(vault) {
+  const key = await getSessionKey();
+  if (!key) throw createVaultLockedError();
+
+  try {
+    return await decryptKeys(key, vault);
+  } catch (error) {
+    // The vault was replaced since it was unlocked, e.g. by an import
+    await lockVault();
+    throw createVaultLockedError();
+  }
+}
+
+/**
+ * Replaces every API key with an empty string
+ *
+ * @param {Object} apiKeys - API keys keyed by provider id
+ * @returns {Object} - Empty keys for the same providers
+ */
+function clearKeys(apiKeys) {
+  return Object.fromEntries(Object.keys(apiKeys).map((id) => [id, ""]));
+}
+
+/**
+ * Takes the keys and header values out of custom endpoints
+ *
+ * Header names stay with the endpoint, with empty values.
+ *
+ * @param {Array<Object>} [customEndpoints] - Endpoint definitions
+ * @returns {Object} - Object with the endpoints without secrets and the secrets (apiKey and headers) keyed by endpoint id
+ */
+export function takeEndpointSecrets(customEndpoints = []) {
+  const secrets = {};
+  const endpoints = customEndpoints.map((endpoint) => {
+    const headers = endpoint.headers || {};
+    if (!endpoint.apiKey && !Object.values(headers).some(Boolean)) {
+      return endpoint;
+    }
+
+    secrets[endpoint.id] = { apiKey: endpoint.apiKey || "", headers };
+    return { ...endpoint, apiKey: "", headers: clearKeys(headers) };
+  });
+
+  return { endpoints, secrets };
+}
+
+/**
+ * Puts the secrets from takeEndpointSecrets back into custom endpoints
+ *
+ * Only headers the endpoint still names get their value back.
+ *
+ * @param {Array<Object>} customEndpoints - Endpoint definitions without secrets
+ * @param {Object} secrets - Secrets keyed by endpoint id
+ * @returns {Array<Object>} - The endpoints with their secrets
+ */
+function putEndpointSecrets(customEndpoints, secrets) {
+  return customEndpoints.map((endpoint) => {
+    const sealed = secrets[endpoint.id];
+    if (!sealed) return endpoint;
+
+    const headers = Object.fromEntries(
+      Object.entries(endpoint.headers || {}).map(([name, value]) => [
+        name,
+        value || sealed.headers?.[name] || "",
+      ])
+    );
+    return { ...endpoint, apiKey: endpoint.apiKey || sealed.apiKey, headers };
+  });
+}
+
+/**
+ * Gets whether the vault is enabled and unlocked
+ *
+ * @returns {Promise<Object>} - Object with enabled and unlocked flags
+ */
+export async function getVaultStatus() {
+  const vault = await SettingsService.getGlobalSetting("apiKeyVault", null);
+  if (!vault) return { enabled: false, unlocked: false };
+
+  return { enabled: true, unlocked: Boolean(await getSessionKey()) };
+}
+
+/**
+ * Gets the providers that have an API key, without unlocking the vault
+ *
+ * @param {Object} settings - The global settings
+ * @returns {Array<string>} - Provider ids
+ */
+export function getConfiguredProviders(settings) {
+  if (settings?.apiKeyVault) {
+    return settings.apiKeyVault.providers || [];
+  }
+
+  const apiKeys = settings?.apiKeys || {};
+  return Object.keys(apiKeys).filter((id) => apiKeys[id]);
+}
+
+/**
+ * Encrypts the API keys and custom endpoint secrets under a new passphrase
+ *
+ * The plaintext secrets are removed from the settings and the vault is left
+ * unlocked. Calling this on an enabled vault changes its passphrase.
+ *
+ * @param {string} passphrase - The new passphrase
+ * @param {Object} apiKeys - API keys keyed by provider id
+ * @returns {Promise<Object>} - The stored vault
+ * @throws {Error} - A VaultLockedError if an enabled vault is locked
+ */
+export async function enableVault(passphrase, apiKeys) {
+  if (!passphrase) {
+    throw new Error("Please enter a passphrase");
+  }
+
+  const settings = await SettingsService.getGlobalSettings();
+  const { endpoints, secrets } = takeEndpointSecrets(settings.customEndpoints);
+  // Endpoint secrets already in the vault move to the new one
+  const sealed = settings.apiKeyVault
+    ? (await openVault(settings.apiKeyVault)).endpoints
+    : {};
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const apiKeyVault = await encryptKeys(
+    key,
+    { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS },
+    apiKeys,
+    { ...sealed, ...secrets }
+  );
+
+  await SettingsService.updateGlobalSettings({
+    apiKeys: clearKeys({ ...settings.apiKeys, ...apiKeys }),
+    apiKeyVault,
+    customEndpoints: endpoints,
+  });
+  await cacheSessionKey(key);
+
+  return apiKeyVault;
+}
+
+/**
+ * Unlocks the vault for the rest of the browser session
+ *
+ * @param {string} passphrase - The vault's passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} - If the passphrase is wrong or there is no vault
+ */
+export async function unlockVault(passphrase) {
+  const vault = await SettingsService.getGlobalSetting("apiKeyVault", null);
+  if (!vault) {
+    throw new Error("API keys aren't encrypted");
+  }
+
+  const key = await deriveKey(
+    passphrase,
+    fromBase64(vault.salt),
+    vault.iterations
+  );
+
+  try {
+    await decryptKeys(key, vault);
+  } catch (error) {
+    throw new Error("Incorrect passphrase");
+  }
+
+  await cacheSessionKey(key);
+}
+
+/**
+ * Locks the vault
+ *
+ * @returns {Promise<void>}
+ */
+export async function lockVault() {
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Decrypts the vault and stores the API keys and custom endpoint secrets as
+ * plaintext again
+ *
+ * @returns {Promise<Object>} - The API keys
+ * @throws {Error} - A VaultLockedError if the vault is locked
+ */
+export async function disableVault() {
+  const settings = await SettingsService.getGlobalSettings();
+  const { apiKeys, endpoints } = await openVault(settings.apiKeyVault);
+
+  await SettingsService.updateGlobalSettings({
+    apiKeys,
+    apiKeyVault: null,
+    customEndpoints: putEndpointSecrets(
+      settings.customEndpoints || [],
+      endpoints
+    ),
+  });
+  await lockVault();
+
+  return apiKeys;
+}
+
+/**
+ * Gets all API keys
+ *
+ * @returns {Promise<Object>} - API keys keyed by provider id
+ * @throws {Error} - A VaultLockedError if the vault is locked
+ */
+export async function getApiKeys() {
+  const settings = await SettingsService.getGlobalSettings();
+  if (!settings?.apiKeyVault) return settings?.apiKeys || {};
+
+  return (await openVault(settings.apiKeyVault)).apiKeys;
+}
+
+/**
+ * Gets the custom endpoints with their keys and headers
+ *
+ * Endpoints whose secrets are in the locked vault are returned without
+ * them and marked as locked, so they can be listed but not called.
+ *
+ * @returns {Promise<Array<Object>>} - Endpoint definitions
+ */
+export async function getCustomEndpoints() {
+  const settings = await SettingsService.getGlobalSettings();
+  const customEndpoints = settings?.customEndpoints || [];
+  const sealed = settings?.apiKeyVault?.endpoints || [];
+  if (sealed.length === 0) return customEndpoints;
+
+  try {
+    const { endpoints } = await openVault(settings.apiKeyVault);
+    return putEndpointSecrets(customEndpoints, endpoints);
+  } catch (error) {
+    if (!isVaultLockedError(error)) throw error;
+    return customEndpoints.map((endpoint) =>
+      sealed.includes(endpoint.id) ? { ...endpoint, locked: true } : endpoint
+    );
+  }
+}
+
+/**
+ * Gets the API key of a provider
+ *
+ * A provider without a key resolves to an empty string, even while the
+ * vault is locked.
+ *
+ * @param {string} providerId - The provider id
+ * @returns {Promise<string>} - The API key
+ * @throws {Error} - A VaultLockedError if the key is in the locked vault
+ */
+export async function getApiKey(providerId) {
+  // Plaintext keys are cleared when the vault is enabled
+  const apiKey = await SettingsService.getGlobalSetting(
+    `apiKeys.${providerId}`,
+    ""
+  );
+  if (apiKey) return apiKey;
+
+  const vault = await SettingsService.getGlobalSetting("apiKeyVault", null);
+  if (!(vault?.providers || []).includes(providerId)) return "";
+
+  const { apiKeys } = await openVault(vault);
+  return apiKeys[providerId] || "";
+}
+
+/**
+ * Encrypts new API keys and custom endpoint secrets into an unlocked vault
+ *
+ * The result isn't saved, so it can be stored along with other settings.
+ *
+ * @param {Object} vault - The stored vault
+ * @param {Object} apiKeys - API keys keyed by provider id
+ * @param {Object} [endpoints] - Custom endpoint secrets from takeEndpointSecrets, the sealed ones by default
+ * @returns {Promise<Object>} - The updated vault
+ * @throws {Error} - A VaultLockedError if the vault is locked
+ */
+export async function sealApiKeys(vault, apiKeys, endpoints) {
+  // Make sure the cached key still belongs to this vault
+  const sealed = await openVault(vault);
+
+  return encryptKeys(
+    await getSessionKey(),
+    vault,
+    apiKeys,
+    endpoints || sealed.endpoints
+  );
+}
@@ -3,35 +3,136 @@
  * Handles global extension settings
  */
 
+import { getProvider, getProviders } from "@/services/providers/index.js";
+import {
+  validateCustomEndpoint,
+  getEndpointOriginPattern,
+  registerCustomEndpoints,
+} from "@/services/providers/custom.js";
+import * as ModelCatalog from "@/services/modelCatalog.js";
+import * as KeyVault from "@/services/vault.js";
+import * as StorageService from "@/services/storage.js";
+import * as RetentionService from "@/services/retention.js";
+import * as StorageUsage from "@/services/storageUsage.js";
+import * as BackupService from "@/services/backup.js";
+import { prepareImport, saveImport } from "@/services/importers/index.js";
+import {
+  IMPORT_ACTIONS,
+  applyImport,
+  countAddedConversations,
+  previewImport,
+} from "@/services/dataImport.js";
+import {
+  createDefaultGlobalSettings,
+  validateGlobalSettings,
+} from "@/services/schema.js";
+import {
+  describeRedactedSecrets,
+  getRedactedSecrets,
+  redactSecrets,
+} from "@/services/secrets.js";
+import { DEFAULT_MODEL_REF } from "@/services/providers/modelRef.js";
+import {
+  DEFAULT_MODEL_PRICES,
+  formatPriceTable,
+  getPriceOverrides,
+  parsePriceTable,
+} from "@/services/usage.js";
+import {
+  generateUUID,
+  fillModelSelect,
+  formatBytes,
+  formatDate,
+  downloadAsFile,
+  truncateString,
+} from "@/utils/helpers.js";
+import { isVaultLockedError } from "@/utils/errorHandler.js";
+
 // DOM Elements
 const themeToggle = document.getElementById("themeToggle");
-const openaiApiKey = document.getElementById("openaiApiKey");
-const anthropicApiKey = document.getElementById("anthropicApiKey");
-const mistralApiKey = document.getElementById("mistralApiKey");
-const openrouterApiKey = document.getElementById("openrouterApiKey");
+const apiKeyInputs = document.getElementById("apiKeyInputs");
+const vaultStatus = document.getElementById("vaultStatus");
+const vaultPassphraseGroup = document.getElementById("vaultPassphraseGroup");
+const vaultPassphrase = document.getElementById("vaultPassphrase");
+const enableVaultBtn = document.getElementById("enableVaultBtn");
+const unlockVaultBtn = document.getElementById("unlockVaultBtn");
+const lockVaultBtn = document.getElementById("lockVaultBtn");
+const disableVaultBtn = document.getElementById("disableVaultBtn");
+const storageSelects = document.querySelectorAll("select[data-category]");
+const storageMeters = document.getElementById("storageMeters");
+const storageCategories = document.getElementById("storageCategories");
+const freeSpaceBtn = document.getElementById("freeSpaceBtn");
+const freeSpacePanel = document.getElementById("freeSpacePanel");
+const freeSpaceList = document.getElementById("freeSpaceList");
+const freeSpaceBackups = document.getElementById("freeSpaceBackups");
+const exportAndDeleteBtn = document.getElementById("exportAndDeleteBtn");
+const backupSchedule = document.getElementById("backupSchedule");
+const backupKeep = document.getElementById("backupKeep");
+const backupIncludeKeys = document.getElementById("backupIncludeKeys");
+const backupNowBtn = document.getElementById("backupNowBtn");
+const backupList = document.getElementById("backupList");
+const customEndpointList = document.getElementById("customEndpointList");
+const addEndpointBtn = document.getElementById("addEndpointBtn");
 const defaultModel = document.getElementById("defaultModel");
+const refreshModelsBtn = document.getElementById("refreshModelsBtn");
 const saveConversations = document.getElementById("saveConversations");
 const maxConversations = document.getElementById("maxConversations");
+const trashRetentionDays = document.getElementById("trashRetentionDays");
+const retentionDays = document.getElementById("retentionDays");
+const retentionAction = document.getElementById("retentionAction");
+const retentionMaxBytes = document.getElementById("retentionMaxBytes");
+const previewRetentionBtn = document.getElementById("previewRetentionBtn");
+const retentionPreview = document.getElementById("retentionPreview");
+const notifyOnCompletion = document.getElementById("notifyOnCompletion");
 const fontSize = document.getElementById("fontSize");
 const compactMode = document.getElementById("compactMode");
-const contextWindow = document.getElementById("contextWindow");
+const partialResponses = document.getElementById("partialResponses");
+const maxRetryAttempts = document.getElementById("maxRetryAttempts");
+const modelPrices = document.getElementById("modelPrices");
+const usageLink = document.getElementById("usageLink");
 const exportSettingsBtn = document.getElementById("exportSettingsBtn");
 const importSettingsBtn = document.getElementById("importSettingsBtn");
+const importPreview = document.getElementById("importPreview");
+const importWarnings = document.getElementById("importWarnings");
+const importSettingsChanges = document.getElementById("importSettingsChanges");
+const importConversationsList = document.getElementById("importConversations");
+const cancelImportBtn = document.getElementById("cancelImportBtn");
+const confirmImportBtn = document.getElementById("confirmImportBtn");
+const importHistoryBtn = document.getElementById("importHistoryBtn");
 const resetSettingsBtn = document.getElementById("resetSettingsBtn");
 const saveBtn = document.getElementById("saveBtn");
 const cancelBtn = document.getElementById("cancelBtn");
 const aboutLink = document.getElementById("aboutLink");
 const donateLink = document.getElementById("donateLink");
 const supportLink = document.getElementById("supportLink");
-const toggleVisibilityBtns = document.querySelectorAll(".toggle-visibility");
+
+// Render a key input for every registered provider
+renderApiKeyInputs();
 
 // State
 let globalSettings = {};
 let originalSettings = {};
+// Decrypted API keys while the vault is unlocked
+let vaultKeys = null;
+// Custom endpoints with their keys and headers from the vault, or marked
+// as locked while it is locked
+let vaultEndpoints = null;
+// Preview of the file being imported, until it is imported or canceled
+let pendingImport = null;
 
 // Initialize settings page
 document.addEventListener("DOMContentLoaded", async () => {
   await loadSettings();
+  await loadVaultKeys();
+  await loadStoragePolicy();
+  await renderStorageUsage();
+  await renderBackupList();
+
+  // Chat pages link here when storage runs out
+  if (location.hash === "#storage") {
+    document.getElementById("storage").scrollIntoView();
+    await renderFreeSpaceList();
+  }
 
   // Apply theme
   document.body.setAttribute("data-theme", globalSettings.theme || "light");
@@ -51,44 +152,398 @@ themeToggle.addEventListener("change", () => {
   globalSettings.theme = theme;
 });
 
-// Toggle password visibility
-toggleVisibilityBtns.forEach((btn) => {
-  btn.addEventListener("click", () => {
-    const inputId = btn.getAttribute("data-for");
-    const input = document.getElementById(inputId);
-    if (input.type === "password") {
-      input.type = "text";
-      btn.textContent = "🔒";
+// Notifications are an optional permission, ask while handling the click
+notifyOnCompletion.addEventListener("change", async () => {
+  if (!notifyOnCompletion.checked) return;
+
+  try {
+    notifyOnCompletion.checked = await chrome.permissions.request({
+      permissions: ["notifications"],
+    });
+  } catch (error) {
+    console.error("Error requesting notification permission:", error);
+    notifyOnCompletion.checked = false;
+  }
+
+  if (!notifyOnCompletion.checked) {
+    showToast("Notification permission was denied", "error");
+  }
+});
+
+// Show what the retention rules in the form would remove
+previewRetentionBtn.addEventListener("click", async () => {
+  const rules = RetentionService.getRetentionRules(readRetentionSettings());
+  if (!rules.maxAgeDays && !rules.maxBytes) {
+    retentionPreview.textContent = "No retention rules are set.";
+    return;
+  }
+
+  try {
+    const { trash, archive } = await RetentionService.previewRetention(rules);
+    retentionPreview.textContent = describeRetentionPreview(trash, archive);
+  } catch (error) {
+    console.error("Error previewing retention rules:", error);
+    showToast("Couldn't preview the retention rules", "error");
+  }
+});
+
+// Toggle password visibility (delegated, endpoint forms are added later)
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest(".toggle-visibility");
+  if (!btn) return;
+
+  const inputId = btn.getAttribute("data-for");
+  const input = document.getElementById(inputId);
+  if (input.type === "password") {
+    input.type = "text";
+    btn.textContent = "🔒";
+  } else {
+    input.type = "password";
+    btn.textContent = "👁️";
+  }
+});
+
+// Custom endpoints
+addEndpointBtn.addEventListener("click", () => {
+  const endpoint = {
+    id: generateUUID(),
+    name: "",
+    baseUrl: "http://localhost:11434/v1",
+    apiKey: "",
+    headers: {},
+    models: [],
+  };
+  customEndpointList.appendChild(createEndpointForm(endpoint));
+});
+
+customEndpointList.addEventListener("click", (e) => {
+  const removeBtn = e.target.closest(".remove-endpoint");
+  if (removeBtn) {
+    removeBtn.closest(".custom-endpoint").remove();
+    renderModelOptions(defaultModel.value);
+  }
+});
+
+// Keep the default model dropdown in sync with the endpoint model lists
+customEndpointList.addEventListener("change", () => {
+  renderModelOptions(defaultModel.value);
+});
+
+// Refetch the model lists of all configured providers
+refreshModelsBtn.addEventListener("click", async () => {
+  refreshModelsBtn.disabled = true;
+
+  try {
+    const { errors } = await ModelCatalog.refreshCatalog({ force: true });
+    await renderModelOptions(defaultModel.value);
+
+    const failed = Object.keys(errors).map(
+      (providerId) => getProvider(providerId)?.name || providerId
+    );
+    if (failed.length > 0) {
+      showToast(`Could not fetch models from ${failed.join(", ")}`, "error");
     } else {
-      input.type = "password";
-      btn.textContent = "👁️";
+      showToast("Model list updated", "success");
+    }
+  } catch (error) {
+    showToast("Error refreshing models: " + error.message, "error");
+  } finally {
+    refreshModelsBtn.disabled = false;
+  }
+});
+
+// Encrypt the API keys entered in the form
+enableVaultBtn.addEventListener("click", async () => {
+  try {
+    await KeyVault.enableVault(vaultPassphrase.value, readApiKeyInputs());
+    await reloadVaultSettings();
+    showToast("API keys encrypted", "success");
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+});
+
+unlockVaultBtn.addEventListener("click", async () => {
+  try {
+    await KeyVault.unlockVault(vaultPassphrase.value);
+    await loadVaultKeys();
+    populateApiKeyInputs();
+    populateEndpointForms();
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+});
+
+lockVaultBtn.addEventListener("click", async () => {
+  await KeyVault.lockVault();
+  await loadVaultKeys();
+  populateApiKeyInputs();
+  populateEndpointForms();
+});
+
+disableVaultBtn.addEventListener("click", async () => {
+  if (!confirm("Store your API keys without encryption again?")) return;
+
+  try {
+    await KeyVault.disableVault();
+    await reloadVaultSettings();
+    showToast("API keys are no longer encrypted", "success");
+  } catch (error) {
+    showToast(error.message, "error");
+  }
+});
+
+// Move a category of data as soon as its storage area is changed
+storageSelects.forEach((select) => {
+  select.addEventListener("change", async () => {
+    select.disabled = true;
+
+    try {
+      await StorageService.setStoragePolicy({
+        [select.dataset.category]: select.value,
+      });
+      showToast("Storage location updated", "success");
+    } catch (error) {
+      showToast(error.message, "error");
+    } finally {
+      // Shows the area the data is actually in, also after a failed move
+      await loadStoragePolicy();
+      await renderStorageUsage();
+      select.disabled = false;
     }
   });
 });
 
+// Suggest the largest conversations to export and delete
+freeSpaceBtn.addEventListener("click", renderFreeSpaceList);
+
+// Backups are downloaded, which needs the optional downloads permission
+backupSchedule.addEventListener("change", async () => {
+  if (backupSchedule.value === "off") return;
+
+  if (!(await requestDownloadsPermission())) {
+    backupSchedule.value = "off";
+    showToast("Permission to save downloads was denied", "error");
+  }
+});
+
+backupIncludeKeys.addEventListener("change", () => {
+  if (backupIncludeKeys.checked && !globalSettings.apiKeyVault) {
+    showToast(
+      "Only encrypted keys are backed up, protect your API keys with a passphrase first",
+      "info"
+    );
+  }
+});
+
+backupNowBtn.addEventListener("click", async () => {
+  if (!(await requestDownloadsPermission())) {
+    showToast("Permission to save downloads was denied", "error");
+    return;
+  }
+
+  backupNowBtn.disabled = true;
+  try {
+    const backup = await BackupService.createBackup({
+      ...globalSettings,
+      ...readBackupSettings(),
+    });
+    showToast(
+      withRedactedSecrets(
+        `Backup saved to ${backup.filename}`,
+        backup.redactedSecrets
+      ),
+      "success"
+    );
+  } catch (error) {
+    console.error("Error creating backup:", error);
+    showToast("Couldn't create the backup: " + error.message, "error");
+  } finally {
+    backupNowBtn.disabled = false;
+    await renderBackupList();
+    await renderStorageUsage();
+  }
+});
+
+// Restore a backup through the import preview
+backupList.addEventListener("click", async (e) => {
+  const button = e.target.closest("button[data-backup-id]");
+  if (!button) return;
+
+  const json = await StorageService.getBackupData(button.dataset.backupId);
+  if (!json) {
+    showToast("This backup is no longer stored", "error");
+    await renderBackupList();
+    return;
+  }
+  await openImportPreview(json);
+});
+
+exportAndDeleteBtn.addEventListener("click", async () => {
+  const ids = [
+    ...freeSpaceList.querySelectorAll("input[type='checkbox']:checked"),
+  ].map((checkbox) => checkbox.value);
+  if (ids.length === 0) {
+    showToast("Select the conversations to delete", "error");
+    return;
+  }
+
+  if (
+    !confirm(
+      `Download ${ids.length} conversation(s) and delete them from the extension?`
+    )
+  ) {
+    return;
+  }
+
+  exportAndDeleteBtn.disabled = true;
+  try {
+    // Download first, so nothing is deleted without a copy
+    const json = await StorageService.exportData({
+      includeApiKeys: false,
+      conversationIds: ids,
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadAsFile(
+      json,
+      `sololom-conversations-${date}.json`,
+      "application/json"
+    );
+
+    for (const id of ids) {
+      await StorageService.deleteConversation(id);
+    }
+    showToast(
+      withRedactedSecrets(
+        `Deleted ${ids.length} conversation(s)`,
+        getRedactedSecrets(JSON.parse(json))
+      ),
+      "success"
+    );
+  } catch (error) {
+    console.error("Error freeing up space:", error);
+    showToast("Couldn't free up space: " + error.message, "error");
+  } finally {
+    await renderStorageUsage();
+    await renderFreeSpaceList();
+  }
+});
+
+// Delete a stored backup, its downloaded file is kept
+freeSpaceBackups.addEventListener("click", async (e) => {
+  const button = e.target.closest("button[data-backup-id]");
+  if (!button) return;
+
+  if (
+    !confirm(
+      "Delete this backup from the extension? Its downloaded file is kept."
+    )
+  ) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    await StorageService.deleteBackups([button.dataset.backupId]);
+    showToast("Backup deleted", "success");
+  } catch (error) {
+    console.error("Error deleting backup:", error);
+    showToast("Couldn't delete the backup: " + error.message, "error");
+  } finally {
+    await renderStorageUsage();
+    await renderFreeSpaceList();
+    await renderBackupList();
+  }
+});
+
 // Save settings
 saveBtn.addEventListener("click", async () => {
-  // Collect settings from form
-  globalSettings.apiKeys = {
-    openai: openaiApiKey.value.trim(),
-    anthropic: anthropicApiKey.value.trim(),
-    mistral: mistralApiKey.value.trim(),
-    openrouter: openrouterApiKey.value.trim(),
-  };
+  const customEndpoints = readCustomEndpointForms();
+  const endpointError = customEndpoints
+    .map(validateCustomEndpoint)
+    .find(Boolean);
+  if (endpointError) {
+    showToast(endpointError, "error");
+    return;
+  }
+
+  let prices;
+  try {
+    prices = parsePriceTable(modelPrices.value);
+  } catch (error) {
+    showToast(error.message, "error");
+    return;
+  }
+
+  // Ask for host access first, permission requests need the user gesture
+  const granted = await requestEndpointPermissions(customEndpoints);
+  if (!granted) {
+    showToast("Host permission for a custom endpoint was denied", "error");
+    return;
+  }
+
+  // Collect settings from form, keeping encrypted keys and endpoint secrets
+  // encrypted. Locked ones can't be edited, so they are left as they are.
+  const apiKeys = readApiKeyInputs();
+  const { endpoints, secrets } = KeyVault.takeEndpointSecrets(customEndpoints);
+  if (!globalSettings.apiKeyVault) {
+    globalSettings.apiKeys = apiKeys;
+    globalSettings.customEndpoints = customEndpoints;
+  } else if (vaultKeys) {
+    try {
+      globalSettings.apiKeyVault = await KeyVault.sealApiKeys(
+        globalSettings.apiKeyVault,
+        apiKeys,
+        secrets
+      );
+      vaultKeys = apiKeys;
+      vaultEndpoints = customEndpoints;
+    } catch (error) {
+      showToast(error.message, "error");
+      return;
+    }
+    globalSettings.customEndpoints = endpoints;
+  } else if (Object.keys(secrets).length > 0) {
+    showToast(
+      "Unlock your API keys to save endpoint keys and headers",
+      "error"
+    );
+    return;
+  } else {
+    globalSettings.customEndpoints = endpoints;
+  }
 
   globalSettings.defaultModel = defaultModel.value;
   globalSettings.saveConversations = saveConversations.checked;
   globalSettings.maxConversations = parseInt(maxConversations.value);
+  globalSettings.trashRetentionDays = parseInt(trashRetentionDays.value);
+  Object.assign(globalSettings, readRetentionSettings());
+  globalSettings.notifyOnCompletion = notifyOnCompletion.checked;
   globalSettings.fontSize = fontSize.value;
   globalSettings.compactMode = compactMode.checked;
-  globalSettings.contextWindow = parseInt(contextWindow.value);
+  globalSettings.partialResponses = partialResponses.value;
+  globalSettings.maxRetryAttempts = parseInt(maxRetryAttempts.value);
+  globalSettings.modelPrices = getPriceOverrides(prices);
+  Object.assign(globalSettings, readBackupSettings());
 
   // Save to storage
-  await chrome.storage.sync.set({ globalSettings });
+  try {
+    await StorageService.saveGlobalSettings(globalSettings);
+    await BackupService.scheduleBackups(globalSettings);
+  } catch (error) {
+    console.error("Error saving settings:", error);
+    showToast("Error saving settings: " + error.message, "error");
+    return;
+  }
 
   // Show success toast
   showToast("Settings saved successfully", "success");
 
+  // Fetch model lists for newly added keys
+  ModelCatalog.refreshCatalog()
+    .then(() => renderModelOptions(defaultModel.value))
+    .catch((error) => console.error("Error refreshing models:", error));
+
   // Update original settings
   originalSettings = JSON.parse(JSON.stringify(globalSettings));
 });
@@ -103,27 +558,49 @@ cancelBtn.addEventListener("click", () => {
   showToast("Changes canceled", "info");
 });
 
+// Import conversations from another app's data export
+importHistoryBtn.addEventListener("click", () => {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json";
+
+  input.onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    importHistoryBtn.disabled = true;
+    try {
+      const prepared = await prepareImport(await file.text());
+      const count = prepared.conversations.length;
+      if ((await confirmConversationLimit(count)) === null) {
+        showToast("Import canceled", "info");
+        return;
+      }
+
+      const result = await saveImport(prepared);
+      showToast(formatHistoryImport(result), "success");
+      await renderStorageUsage();
+    } catch (error) {
+      console.error("Error importing history:", error);
+      showToast("Error importing history: " + error.message, "error");
+    } finally {
+      importHistoryBtn.disabled = false;
+    }
+  };
+
+  input.click();
+});
+
 // Reset settings
 resetSettingsBtn.addEventListener("click", async () => {
   if (
     confirm("Are you sure you want to reset all settings to default values?")
   ) {
-    // Set default global settings
-    globalSettings = {
-      theme: "light",
-      defaultModel: "gpt-3.5-turbo",
-      apiKeys: {
-        openai: "",
-        anthropic: "",
-        mistral: "",
-        openrouter: "", // Add this line
-      },
-      saveConversations: true,
-      maxConversations: 100,
-      fontSize: "medium",
-      compactMode: false,
-      contextWindow: 0,
-    };
+    // Set default global settings, which drops encrypted keys too
+    globalSettings = createDefaultGlobalSettings();
+    await KeyVault.lockVault();
+    vaultKeys = null;
+    vaultEndpoints = null;
 
     // Update form
     populateForm();
@@ -132,7 +609,7 @@ resetSettingsBtn.addEventListener("click", async () => {
     document.body.setAttribute("data-theme", globalSettings.theme);
 
     // Save to storage
-    await chrome.storage.sync.set({ globalSettings });
+    await StorageService.saveGlobalSettings(globalSettings);
 
     // Show toast
     showToast("Settings reset to defaults", "success");
@@ -144,16 +621,11 @@ resetSettingsBtn.addEventListener("click", async () => {
 
 // Export settings
 exportSettingsBtn.addEventListener("click", () => {
-  // Create a JSON file with settings (excluding API keys for security)
-  const exportSettings = JSON.parse(JSON.stringify(globalSettings));
-  exportSettings.apiKeys = {
-    openai: exportSettings.apiKeys.openai ? "[API_KEY]" : "",
-    anthropic: exportSettings.apiKeys.anthropic ? "[API_KEY]" : "",
-    mistral: exportSettings.apiKeys.mistral ? "[API_KEY]" : "",
-    openrouter: exportSettings.apiKeys.openrouter ? "[API_KEY]" : "",
-  };
+  // Create a JSON file with settings, leaving out API keys and other
+  // secrets for security
+  const { settings, redacted } = redactSecrets(globalSettings);
 
-  const dataStr = JSON.stringify(exportSettings, null, 2);
+  const dataStr = JSON.stringify(settings, null, 2);
   const dataUri =
     "data:application/json;charset=utf-8," + encodeURIComponent(dataStr);
 
@@ -163,63 +635,89 @@ exportSettingsBtn.addEventListener("click", () => {
   linkElement.setAttribute("href", dataUri);
   linkElement.setAttribute("download", exportFileDefaultName);
   linkElement.click();
+
+  if (redacted.length > 0) {
+    showToast(withRedactedSecrets("Settings exported", redacted), "info");
+  }
 });
 
-// Import settings
+// Import settings or a backup, once the user has chosen what to take
 importSettingsBtn.addEventListener("click", () => {
   const input = document.createElement("input");
   input.type = "file";
   input.accept = ".json";
 
-  input.onchange = (e) => {
+  input.onchange = async (e) => {
     const file = e.target.files[0];
+    if (!file) return;
 
-    if (!file) {
-      return;
-    }
-
-    const reader = new FileReader();
-
-    reader.onload = async (readerEvent) => {
-      try {
-        const content = readerEvent.target.result;
-        const importedSettings = JSON.parse(content);
+    await openImportPreview(await file.text());
+  };
 
-        // Validate imported settings
-        if (!importedSettings || typeof importedSettings !== "object") {
-          throw new Error("Invalid settings file");
-        }
+  input.click();
+});
 
-        // Keep current API keys for security
-        importedSettings.apiKeys = {
-          openai: openaiApiKey.value,
-          anthropic: anthropicApiKey.value,
-          mistral: mistralApiKey.value,
-        };
+cancelImportBtn.addEventListener("click", closeImportPreview);
 
-        // Update settings
-        globalSettings = { ...globalSettings, ...importedSettings };
+confirmImportBtn.addEventListener("click", async () => {
+  if (!pendingImport) return;
+  const choices = readImportChoices();
 
-        // Update form
-        populateForm();
+  // Ask for host access first, permission requests need the user gesture
+  const endpoints = pendingImport.settings.find(
+    (item) =>
+      item.key === "customEndpoints" &&
+      choices.settings[item.id] === IMPORT_ACTIONS.TAKE_THEIRS
+  );
+  if (endpoints && !(await requestEndpointPermissions(endpoints.incoming))) {
+    showToast("Host permission for a custom endpoint was denied", "error");
+    return;
+  }
 
-        // Apply theme
-        document.body.setAttribute("data-theme", globalSettings.theme);
+  confirmImportBtn.disabled = true;
+  try {
+    // The file's limit counts if its value is taken
+    const limitItem = pendingImport.settings.find(
+      (item) =>
+        item.key === "maxConversations" &&
+        choices.settings[item.id] === IMPORT_ACTIONS.TAKE_THEIRS
+    );
+    const limit = await confirmConversationLimit(
+      countAddedConversations(pendingImport, choices),
+      limitItem?.incoming
+    );
+    if (limit === null) return;
+    if (limitItem && limit !== limitItem.incoming) {
+      choices.settings[limitItem.id] = IMPORT_ACTIONS.KEEP_MINE;
+    }
 
-        // Show toast
-        showToast("Settings imported successfully", "success");
-      } catch (error) {
-        showToast("Error importing settings: " + error.message, "error");
-      }
-    };
+    const result = await applyImport(pendingImport, choices);
+    closeImportPreview();
 
-    reader.readAsText(file);
-  };
+    // The form shows what is stored now
+    await loadSettings();
+    await loadVaultKeys();
+    registerCustomEndpoints(globalSettings.customEndpoints);
+    document.body.setAttribute("data-theme", globalSettings.theme);
+    populateForm();
+    originalSettings = JSON.parse(JSON.stringify(globalSettings));
 
-  input.click();
+    showToast(formatImportResult(result), "success");
+    await renderStorageUsage();
+  } catch (error) {
+    console.error("Error importing data:", error);
+    showToast("Error importing: " + error.message, "error");
+  } finally {
+    confirmImportBtn.disabled = false;
+  }
 });
 
 // Navigation links
+usageLink.addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("src/usage/usage.html") });
+});
+
 aboutLink.addEventListener("click", (e) => {
   e.preventDefault();
   chrome.tabs.create({ url: chrome.runtime.getURL("src/about/about.html") });
@@ -236,26 +734,977 @@ donateLink.addEventListener("click", (e) => {
  * Loads settings from storage
  */
 async function loadSettings() {
-  const result = await chrome.storage.sync.get("globalSettings");
+  // Missing settings fall back to their defaults
+  globalSettings = validateGlobalSettings(
+    await StorageService.getGlobalSettings()
+  );
+}
 
-  if (result.globalSettings) {
-    globalSettings = result.globalSettings;
-  } else {
-    globalSettings = {
-      theme: "light",
-      defaultModel: "gpt-3.5-turbo",
-      apiKeys: {
-        openai: "",
-        anthropic: "",
-        mistral: "",
-      },
-      saveConversations: true,
-      maxConversations: 100,
-      fontSize: "medium",
-      compactMode: false,
-      contextWindow: 0,
+/**
+ * Shows where each category of data is stored
+ */
+async function loadStoragePolicy() {
+  const policy = await StorageService.getStoragePolicy();
+
+  storageSelects.forEach((select) => {
+    select.value = policy[select.dataset.category];
+  });
+}
+
+/**
+ * Adds the secrets an export left out to a message about it
+ *
+ * @param {string} message - The message
+ * @param {Array<Object>} [redacted] - Secrets from redactSecrets or getRedactedSecrets
+ * @returns {string} - The message, naming the secrets left out if there are any
+ */
+function withRedactedSecrets(message, redacted = []) {
+  if (redacted.length === 0) return message;
+  return `${message}. The file leaves out ${describeRedactedSecrets(redacted)}`;
+}
+
+/**
+ * Makes room for imported conversations under the saved conversation limit
+ *
+ * Saving the next chat moves the conversations past the limit to the
+ * trash, so an import that goes over it raises the limit, once the user
+ * agrees.
+ *
+ * @param {number} count - The number of conversations the import adds
+ * @param {number} [limit] - The limit after the import, the stored one by default
+ * @returns {Promise<number|null>} - The limit after the import, or null if the user canceled it
+ */
+async function confirmConversationLimit(
+  count,
+  limit = globalSettings.maxConversations || 100
+) {
+  const total = (await StorageService.getConversationIndex()).length + count;
+  if (count === 0 || total <= limit) return limit;
+
+  if (
+    !confirm(
+      `This import brings you to ${total} conversations, more than the ${limit} you keep. Raise Maximum Saved Conversations to ${total} and import them all?`
+    )
+  ) {
+    return null;
+  }
+
+  const stored = await StorageService.getGlobalSettings();
+  await StorageService.saveGlobalSettings({
+    ...stored,
+    maxConversations: total,
+  });
+  globalSettings.maxConversations = total;
+  originalSettings.maxConversations = total;
+  maxConversations.value = total;
+  return total;
+}
+
+/**
+ * Decrypts the API keys and endpoint secrets for the form while the vault
+ * is unlocked
+ */
+async function loadVaultKeys() {
+  vaultKeys = null;
+  vaultEndpoints = null;
+  if (!globalSettings.apiKeyVault) return;
+
+  try {
+    vaultEndpoints = await KeyVault.getCustomEndpoints();
+    vaultKeys = await KeyVault.getApiKeys();
+  } catch (error) {
+    if (!isVaultLockedError(error)) {
+      console.error("Error reading API keys:", error);
+    }
+  }
+}
+
+/**
+ * Picks up the API keys, endpoints and vault after the vault was enabled
+ * or disabled
+ *
+ * Vault changes are saved right away, so both the form and the settings
+ * Cancel restores follow them.
+ */
+async function reloadVaultSettings() {
+  const { apiKeys, apiKeyVault, customEndpoints } = validateGlobalSettings(
+    await StorageService.getGlobalSettings()
+  );
+
+  Object.assign(globalSettings, { apiKeys, apiKeyVault, customEndpoints });
+  Object.assign(originalSettings, {
+    apiKeys,
+    apiKeyVault,
+    customEndpoints: JSON.parse(JSON.stringify(customEndpoints)),
+  });
+
+  await loadVaultKeys();
+  populateApiKeyInputs();
+  populateEndpointForms();
+}
+
+/**
+ * Renders an API key input for each registered provider
+ */
+function renderApiKeyInputs() {
+  apiKeyInputs.innerHTML = "";
+
+  getProviders().forEach((provider) => {
+    const inputId = `${provider.id}ApiKey`;
+    const group = document.createElement("div");
+    group.className = "settings-group";
+
+    const label = document.createElement("label");
+    label.htmlFor = inputId;
+    label.textContent = `${provider.name} API Key`;
+
+    const inputWrapper = document.createElement("div");
+    inputWrapper.className = "api-key-input";
+
+    const input = document.createElement("input");
+    input.type = "password";
+    input.id = inputId;
+    input.placeholder = provider.keyHelp?.placeholder || "";
+
+    const toggleBtn = document.createElement("button");
+    toggleBtn.className = "toggle-visibility";
+    toggleBtn.setAttribute("data-for", inputId);
+    toggleBtn.textContent = "👁️";
+
+    inputWrapper.append(input, toggleBtn);
+    group.append(label, inputWrapper);
+
+    if (provider.keyHelp?.url) {
+      const source = document.createElement("p");
+      source.className = "api-source";
+
+      const link = document.createElement("a");
+      link.href = provider.keyHelp.url;
+      link.target = "_blank";
+      link.textContent = `${provider.name}'s website`;
+
+      source.append("Get your key from ", link);
+      group.appendChild(source);
+    }
+
+    apiKeyInputs.appendChild(group);
+  });
+}
+
+/**
+ * Gets the API key input for a provider
+ *
+ * @param {string} providerId - The provider id
+ * @returns {HTMLInputElement} - The input element
+ */
+function getApiKeyInput(providerId) {
+  return document.getElementById(`${providerId}ApiKey`);
+}
+
+/**
+ * Reads the API keys currently entered in the form
+ *
+ * @returns {Object} - Map of provider id to API key
+ */
+function readApiKeyInputs() {
+  return Object.fromEntries(
+    getProviders().map((provider) => [
+      provider.id,
+      getApiKeyInput(provider.id).value.trim(),
+    ])
+  );
+}
+
+/**
+ * Creates the form for a custom endpoint
+ *
+ * The key and headers of an endpoint in the locked vault can't be shown,
+ * so their inputs are disabled.
+ *
+ * @param {Object} endpoint - The endpoint definition
+ * @returns {HTMLElement} - The endpoint form element
+ */
+function createEndpointForm(endpoint) {
+  const form = document.createElement("div");
+  form.className = "custom-endpoint";
+  form.dataset.endpointId = endpoint.id;
+
+  const header = document.createElement("div");
+  header.className = "custom-endpoint-header";
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "danger-button remove-endpoint";
+  removeBtn.textContent = "Remove";
+  header.appendChild(removeBtn);
+  form.appendChild(header);
+
+  const addField = (label, field) => {
+    const group = document.createElement("div");
+    group.className = "settings-group";
+    field.id = `endpoint-${endpoint.id}-${field.dataset.field}`;
+
+    const labelEl = document.createElement("label");
+    labelEl.htmlFor = field.id;
+    labelEl.textContent = label;
+    group.appendChild(labelEl);
+
+    if (field.type === "password") {
+      const wrapper = document.createElement("div");
+      wrapper.className = "api-key-input";
+      const toggleBtn = document.createElement("button");
+      toggleBtn.className = "toggle-visibility";
+      toggleBtn.setAttribute("data-for", field.id);
+      toggleBtn.textContent = "👁️";
+      wrapper.append(field, toggleBtn);
+      group.appendChild(wrapper);
+    } else {
+      group.appendChild(field);
+    }
+
+    form.appendChild(group);
+  };
+
+  const createInput = (fieldName, type, value, placeholder) => {
+    const input = document.createElement(
+      type === "textarea" ? "textarea" : "input"
+    );
+    if (type !== "textarea") input.type = type;
+    input.dataset.field = fieldName;
+    input.value = value;
+    input.placeholder = placeholder;
+    return input;
+  };
+  const lockSecrets = (input) => {
+    input.disabled = endpoint.locked === true;
+    if (input.disabled) input.placeholder = "Locked";
+    return input;
+  };
+
+  addField(
+    "Name",
+    createInput("name", "text", endpoint.name || "", "Local Ollama")
+  );
+  addField(
+    "Base URL",
+    createInput(
+      "baseUrl",
+      "url",
+      endpoint.baseUrl || "",
+      "http://localhost:11434/v1"
+    )
+  );
+  addField(
+    "API Key (optional)",
+    lockSecrets(createInput("apiKey", "password", endpoint.apiKey || "", ""))
+  );
+  addField(
+    "Extra Headers (one per line)",
+    lockSecrets(
+      createInput(
+        "headers",
+        "textarea",
+        formatHeaderLines(endpoint.headers),
+        "X-Team: research"
+      )
+    )
+  );
+  addField(
+    'Models (one per line, optionally "id | Display name | context length")',
+    createInput(
+      "models",
+      "textarea",
+      formatModelLines(endpoint.models),
+      "llama3:8b | Llama 3 8B | 8192"
+    )
+  );
+
+  return form;
+}
+
+/**
+ * Reads the custom endpoints currently entered in the form
+ *
+ * @returns {Array<Object>} - Endpoint definitions
+ */
+function readCustomEndpointForms() {
+  return Array.from(
+    customEndpointList.querySelectorAll(".custom-endpoint")
+  ).map((form) => {
+    const value = (field) =>
+      form.querySelector(`[data-field="${field}"]`).value.trim();
+
+    return {
+      id: form.dataset.endpointId,
+      name: value("name"),
+      baseUrl: value("baseUrl"),
+      apiKey: value("apiKey"),
+      headers: parseHeaderLines(value("headers")),
+      models: parseModelLines(value("models")),
     };
+  });
+}
+
+/**
+ * Parses "Name: value" lines into a headers object
+ *
+ * @param {string} text - Header lines
+ * @returns {Object} - Headers object
+ */
+function parseHeaderLines(text) {
+  return text.split("\n").reduce((headers, line) => {
+    const separatorIndex = line.indexOf(":");
+    if (separatorIndex > 0) {
+      headers[line.slice(0, separatorIndex).trim()] = line
+        .slice(separatorIndex + 1)
+        .trim();
+    }
+    return headers;
+  }, {});
+}
+
+/**
+ * Formats a headers object as "Name: value" lines
+ *
+ * @param {Object} headers - Headers object
+ * @returns {string} - Header lines
+ */
+function formatHeaderLines(headers = {}) {
+  return Object.entries(headers)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\n");
+}
+
+/**
+ * Parses "id | Display name | context length" lines into model objects
+ *
+ * @param {string} text - Model lines
+ * @returns {Array<Object>} - Models with id and name, and contextLength if given
+ */
+function parseModelLines(text) {
+  return text
+    .split("\n")
+    .map((line) => line.split("|").map((part) => part.trim()))
+    .filter(([id]) => id)
+    .map(([id, name, length]) => {
+      const contextLength = parseInt(length, 10);
+      return {
+        id,
+        name: name || id,
+        ...(contextLength > 0 && { contextLength }),
+      };
+    });
+}
+
+/**
+ * Formats model objects as "id | Display name | context length" lines
+ *
+ * @param {Array<Object>} models - Models with id and name, and contextLength if known
+ * @returns {string} - Model lines
+ */
+function formatModelLines(models = []) {
+  return models
+    .map((model) => {
+      if (model.contextLength) {
+        return `${model.id} | ${model.name || model.id} | ${
+          model.contextLength
+        }`;
+      }
+      return model.name && model.name !== model.id
+        ? `${model.id} | ${model.name}`
+        : model.id;
+    })
+    .join("\n");
+}
+
+/**
+ * Fills the default model dropdown from the model catalog
+ *
+ * Custom endpoints are taken from the form so unsaved changes show up.
+ *
+ * @param {string} selectedModel - Model reference to select once the options exist
+ * @returns {Promise<void>}
+ */
+async function renderModelOptions(selectedModel) {
+  registerCustomEndpoints(readCustomEndpointForms());
+  const models = await ModelCatalog.getAllModels();
+
+  fillModelSelect(defaultModel, models, selectedModel);
+}
+
+/**
+ * Requests host permissions for the custom endpoints
+ *
+ * @param {Array<Object>} endpoints - Endpoint definitions
+ * @returns {Promise<boolean>} - True if access to every endpoint was granted
+ */
+async function requestEndpointPermissions(endpoints) {
+  const origins = [
+    ...new Set(
+      endpoints.map((endpoint) => getEndpointOriginPattern(endpoint.baseUrl))
+    ),
+  ];
+
+  if (origins.length === 0) return true;
+
+  try {
+    return await chrome.permissions.request({ origins });
+  } catch (error) {
+    console.error("Error requesting host permissions:", error);
+    return false;
+  }
+}
+
+/**
+ * Fills the API key inputs and shows the vault's state
+ *
+ * Locked keys can't be shown, so their inputs are disabled.
+ */
+function populateApiKeyInputs() {
+  const encrypted = Boolean(globalSettings.apiKeyVault);
+  const locked = encrypted && !vaultKeys;
+  const apiKeys = encrypted ? vaultKeys || {} : globalSettings.apiKeys;
+
+  getProviders().forEach((provider) => {
+    const input = getApiKeyInput(provider.id);
+    input.value = apiKeys?.[provider.id] || "";
+    input.disabled = locked;
+    input.placeholder = locked ? "Locked" : provider.keyHelp?.placeholder || "";
+  });
+
+  if (!encrypted) {
+    vaultStatus.textContent =
+      "Your keys, including custom endpoint keys and headers, are stored as plain text. Choose a passphrase to encrypt them; you'll enter it once per browser session.";
+  } else if (locked) {
+    vaultStatus.textContent =
+      "Your keys are encrypted and locked. Enter your passphrase to use or change them.";
+  } else {
+    vaultStatus.textContent =
+      "Your keys are encrypted and unlocked until the browser closes.";
+  }
+
+  vaultPassphrase.value = "";
+  vaultPassphraseGroup.style.display = encrypted && !locked ? "none" : "";
+  enableVaultBtn.style.display = encrypted ? "none" : "";
+  unlockVaultBtn.style.display = locked ? "" : "none";
+  lockVaultBtn.style.display = encrypted && !locked ? "" : "none";
+  disableVaultBtn.style.display = encrypted && !locked ? "" : "none";
+}
+
+/**
+ * Shows how much storage each area and category uses
+ */
+async function renderStorageUsage() {
+  const areaNames = { sync: "Synced", local: "This device" };
+  const categoryNames = {
+    settings: "Settings",
+    apiKeys: "API keys",
+    conversations: "Conversations",
+    promptLibrary: "Prompt library",
+    backups: "Backups",
+  };
+
+  try {
+    const { categories, areas, estimate } =
+      await StorageUsage.getStorageUsage();
+
+    storageMeters.innerHTML = "";
+    Object.entries(areas).forEach(([areaName, { bytes, quota, level }]) => {
+      const row = document.createElement("div");
+      row.className = `storage-meter ${level}`;
+
+      const label = document.createElement("span");
+      label.textContent = `${areaNames[areaName]}: ${formatBytes(bytes)}`;
+      if (quota) label.textContent += ` of ${formatBytes(quota)}`;
+      row.appendChild(label);
+
+      // Quota-less areas only show what they hold
+      if (quota) {
+        const meter = document.createElement("meter");
+        meter.max = quota;
+        meter.high = quota * StorageUsage.WARNING_RATIO;
+        meter.optimum = 0;
+        meter.value = bytes;
+        row.appendChild(meter);
+      }
+
+      storageMeters.appendChild(row);
+    });
+
+    if (estimate) {
+      const note = document.createElement("p");
+      note.className = "api-source";
+      note.textContent = `The browser estimates the extension uses ${formatBytes(
+        estimate.usage
+      )} of the ${formatBytes(estimate.quota)} available to it.`;
+      storageMeters.appendChild(note);
+    }
+
+    storageCategories.innerHTML = "";
+    Object.entries(categories).forEach(([category, { area, bytes }]) => {
+      const item = document.createElement("li");
+      item.textContent = `${categoryNames[category]}: ${formatBytes(
+        bytes
+      )} (${areaNames[area].toLowerCase()})`;
+      storageCategories.appendChild(item);
+    });
+  } catch (error) {
+    console.error("Error reading storage usage:", error);
+    storageMeters.textContent = "Storage usage isn't available";
+  }
+}
+
+/**
+ * Lists the largest conversations, to pick which ones to export and delete,
+ * and the stored backups
+ */
+async function renderFreeSpaceList() {
+  const locations = {
+    list: "",
+    archive: ", archived",
+    trash: ", in the trash",
+  };
+
+  const largest = await StorageUsage.getLargestConversations();
+  freeSpacePanel.hidden = false;
+  await renderFreeSpaceBackups();
+  freeSpaceList.innerHTML = "";
+  exportAndDeleteBtn.disabled = largest.length === 0;
+
+  if (largest.length === 0) {
+    freeSpaceList.innerHTML = "<li>There are no saved conversations</li>";
+    return;
+  }
+
+  largest.forEach(({ id, title, timestamp, bytes, location }) => {
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = id;
+
+    const label = document.createElement("label");
+    label.append(
+      checkbox,
+      ` ${title || "Untitled Conversation"}: ${formatBytes(
+        bytes
+      )}, ${formatDate(timestamp)}${locations[location]}`
+    );
+
+    const item = document.createElement("li");
+    item.appendChild(label);
+    freeSpaceList.appendChild(item);
+  });
+}
+
+/**
+ * Lists the stored backups, largest first, each with a button to delete it
+ */
+async function renderFreeSpaceBackups() {
+  const backups = await StorageService.getBackups();
+  freeSpaceBackups.innerHTML = "";
+
+  if (backups.length === 0) {
+    freeSpaceBackups.innerHTML = "<li>There are no stored backups</li>";
+    return;
+  }
+
+  [...backups]
+    .sort((a, b) => b.bytes - a.bytes)
+    .forEach((backup) => {
+      const description = document.createElement("span");
+      description.textContent = `Backup of ${formatDate(backup.createdAt, {
+        format: "datetime",
+      })}: ${formatBytes(backup.bytes)}`;
+
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "danger-button";
+      deleteButton.textContent = "Delete";
+      deleteButton.dataset.backupId = backup.id;
+
+      const item = document.createElement("li");
+      item.append(description, deleteButton);
+      freeSpaceBackups.appendChild(item);
+    });
+}
+
+/**
+ * Checks a file to import and shows the preview
+ *
+ * @param {string} jsonData - The file's text
+ */
+async function openImportPreview(jsonData) {
+  try {
+    const preview = await previewImport(jsonData);
+    const { settings, conversations } = preview;
+    if (
+      settings.length === 0 &&
+      conversations.added.length === 0 &&
+      conversations.conflicts.length === 0
+    ) {
+      closeImportPreview();
+      showToast("Everything in this file is already here", "info");
+      return;
+    }
+
+    pendingImport = preview;
+    renderImportPreview(preview);
+  } catch (error) {
+    closeImportPreview();
+    showToast("Can't import this file: " + error.message, "error");
+  }
+}
+
+/**
+ * Shows what an import would change, with a choice for each item
+ *
+ * @param {Object} preview - Preview from previewImport
+ */
+function renderImportPreview({ warnings, settings, conversations }) {
+  importWarnings.innerHTML = "";
+  warnings.forEach((warning) => {
+    const item = document.createElement("li");
+    item.textContent = warning;
+    importWarnings.appendChild(item);
+  });
+
+  const settingActions = [
+    [IMPORT_ACTIONS.TAKE_THEIRS, "Take theirs"],
+    [IMPORT_ACTIONS.KEEP_MINE, "Keep mine"],
+  ];
+  importSettingsChanges.innerHTML = "";
+  if (settings.length > 0) {
+    importSettingsChanges.append(
+      createImportHeading("Settings that would change"),
+      createImportTable(
+        ["Setting", "Current", "In the file", ""],
+        settings.map((item) => [
+          getSettingLabel(item),
+          formatImportValue(item.current),
+          formatImportValue(item.incoming),
+          createImportSelect("settings", item, settingActions),
+        ])
+      )
+    );
+  }
+
+  const { added, conflicts, unchanged } = conversations;
+  importConversationsList.innerHTML = "";
+  if (added.length > 0) {
+    importConversationsList.append(
+      createImportHeading(`New conversations (${added.length})`),
+      createImportTable(
+        ["Conversation", "Last updated", ""],
+        added.map((item) => [
+          item.incoming.title || "Untitled Conversation",
+          formatDate(item.incoming.timestamp),
+          createImportSelect("conversations", item, [
+            [IMPORT_ACTIONS.TAKE_THEIRS, "Add"],
+            [IMPORT_ACTIONS.KEEP_MINE, "Skip"],
+          ]),
+        ])
+      )
+    );
+  }
+  if (conflicts.length > 0) {
+    importConversationsList.append(
+      createImportHeading(`Conversations already here (${conflicts.length})`),
+      createImportTable(
+        ["Mine", "In the file", ""],
+        conflicts.map((item) => [
+          formatImportConversation(item.current),
+          formatImportConversation(item.incoming),
+          createImportSelect("conversations", item, [
+            [IMPORT_ACTIONS.KEEP_MINE, "Keep mine"],
+            [IMPORT_ACTIONS.TAKE_THEIRS, "Take theirs"],
+            [IMPORT_ACTIONS.KEEP_BOTH, "Keep both"],
+          ]),
+        ])
+      )
+    );
+  }
+  if (unchanged > 0) {
+    const note = document.createElement("p");
+    note.className = "api-source";
+    note.textContent = `${unchanged} conversation(s) in the file are already here unchanged`;
+    importConversationsList.appendChild(note);
+  }
+
+  importPreview.hidden = false;
+  importPreview.scrollIntoView();
+}
+
+/**
+ * Creates a heading for a part of the import preview
+ *
+ * @param {string} text - The heading
+ * @returns {HTMLElement} - The heading element
+ */
+function createImportHeading(text) {
+  const heading = document.createElement("h3");
+  heading.textContent = text;
+  return heading;
+}
+
+/**
+ * Creates a table of the import preview
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cells, as text or elements
+ * @returns {HTMLElement} - The table
+ */
+function createImportTable(headers, rows) {
+  const table = document.createElement("table");
+  table.className = "import-table";
+
+  const headerRow = table.createTHead().insertRow();
+  headers.forEach((header) => {
+    const cell = document.createElement("th");
+    cell.textContent = header;
+    headerRow.appendChild(cell);
+  });
+
+  const body = table.createTBody();
+  rows.forEach((cells) => {
+    const row = body.insertRow();
+    cells.forEach((content) => row.insertCell().append(content));
+  });
+  return table;
+}
+
+/**
+ * Creates the select choosing what to do with an item of an import
+ *
+ * @param {string} group - "settings" or "conversations"
+ * @param {Object} item - The item, with id and defaultAction
+ * @param {Array<Array<string>>} actions - Actions and their labels
+ * @returns {HTMLSelectElement} - The select
+ */
+function createImportSelect(group, item, actions) {
+  const select = document.createElement("select");
+  select.dataset.group = group;
+  select.dataset.id = item.id;
+
+  actions.forEach(([action, label]) => {
+    select.add(new Option(label, action));
+  });
+  select.value = item.defaultAction;
+  return select;
+}
+
+/**
+ * Reads the choices made in the import preview
+ *
+ * @returns {Object} - Actions by item ID, in settings and conversations maps
+ */
+function readImportChoices() {
+  const choices = { settings: {}, conversations: {} };
+  importPreview.querySelectorAll("select[data-group]").forEach((select) => {
+    choices[select.dataset.group][select.dataset.id] = select.value;
+  });
+  return choices;
+}
+
+/**
+ * Hides the import preview and forgets the file
+ */
+function closeImportPreview() {
+  pendingImport = null;
+  importPreview.hidden = true;
+  importWarnings.innerHTML = "";
+  importSettingsChanges.innerHTML = "";
+  importConversationsList.innerHTML = "";
+}
+
+/**
+ * Names a setting in the import preview
+ *
+ * Uses the setting's label on this page where it has one.
+ *
+ * @param {Object} item - Settings change with scope and key
+ * @returns {string} - The name
+ */
+function getSettingLabel({ scope, key }) {
+  if (scope === "chatSettings") return `New chats: ${key}`;
+  if (key === "apiKeys") return "API Keys";
+  return document.querySelector(`label[for="${key}"]`)?.textContent || key;
+}
+
+/**
+ * Formats a setting's value for the import preview
+ *
+ * @param {any} value - The value
+ * @returns {string} - Short text for the value
+ */
+function formatImportValue(value) {
+  if (value === undefined || value === null) return "Not set";
+  if (typeof value === "boolean") return value ? "On" : "Off";
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "None";
+    const names = value.map((entry) => entry?.name || entry?.id || entry);
+    return truncateString(names.join(", "), 60);
+  }
+  if (typeof value === "object") {
+    return `${Object.keys(value).length} entries`;
+  }
+  return String(value) === "" ? "Empty" : truncateString(String(value), 60);
+}
+
+/**
+ * Describes a conversation in the import preview
+ *
+ * @param {Object} conversation - Conversation or index entry
+ * @returns {string} - Title, date and number of messages
+ */
+function formatImportConversation(conversation) {
+  const count =
+    conversation.messageCount ??
+    conversation.messages.filter((m) => m.role !== "system").length;
+  return `${conversation.title || "Untitled Conversation"}, ${formatDate(
+    conversation.timestamp
+  )}, ${count} message(s)`;
+}
+
+/**
+ * Describes the outcome of an import
+ *
+ * @param {Object} result - Result of applyImport
+ * @returns {string} - A sentence for the toast
+ */
+function formatImportResult({ settings, added, replaced, copied, kept }) {
+  const parts = [];
+  if (settings > 0) parts.push(`${settings} setting(s) changed`);
+  if (added > 0) parts.push(`${added} conversation(s) added`);
+  if (replaced > 0) parts.push(`${replaced} replaced`);
+  if (copied > 0) parts.push(`${copied} kept as copies`);
+  if (kept > 0) parts.push(`${kept} left as they were`);
+  return parts.length > 0
+    ? `Imported: ${parts.join(", ")}`
+    : "Nothing was imported";
+}
+
+/**
+ * Describes the outcome of a history import
+ *
+ * @param {Object} result - Result of importConversations
+ * @returns {string} - A sentence for the toast
+ */
+function formatHistoryImport({ source, imported, duplicates, skipped }) {
+  const count = (n) => `${n} conversation${n === 1 ? "" : "s"}`;
+  const notes = [];
+  if (duplicates > 0) notes.push(`${duplicates} already imported`);
+  if (skipped > 0) notes.push(`${skipped} empty or unreadable`);
+
+  const summary = `Imported ${count(imported)} from ${source}`;
+  return notes.length > 0
+    ? `${summary}, skipped ${notes.join(" and ")}`
+    : summary;
+}
+
+/**
+ * Asks for the permission to save backups to the downloads folder
+ *
+ * @returns {Promise<boolean>} - True if it was granted
+ */
+async function requestDownloadsPermission() {
+  try {
+    return await chrome.permissions.request({ permissions: ["downloads"] });
+  } catch (error) {
+    console.error("Error requesting downloads permission:", error);
+    return false;
+  }
+}
+
+/**
+ * Lists the stored backups, each with a button to restore it
+ */
+async function renderBackupList() {
+  const backups = await StorageService.getBackups();
+  backupList.innerHTML = "";
+
+  if (backups.length === 0) {
+    backupList.innerHTML = "<li>There are no backups yet</li>";
+    return;
+  }
+
+  backups.forEach((backup) => {
+    const description = document.createElement("span");
+    description.textContent = `${formatDate(backup.createdAt, {
+      format: "datetime",
+    })}: ${backup.conversations} conversation(s), ${formatBytes(backup.bytes)}${
+      backup.includesKeys ? ", encrypted keys" : ""
+    }`;
+
+    const restoreButton = document.createElement("button");
+    restoreButton.className = "secondary-button";
+    restoreButton.textContent = "Restore";
+    restoreButton.dataset.backupId = backup.id;
+
+    const item = document.createElement("li");
+    item.append(description, restoreButton);
+    backupList.appendChild(item);
+  });
+}
+
+/**
+ * Reads the backup settings from the form
+ *
+ * @returns {Object} - Settings with backupSchedule, backupKeep and backupIncludeKeys
+ */
+function readBackupSettings() {
+  return {
+    backupSchedule: backupSchedule.value,
+    backupKeep: parseInt(backupKeep.value),
+    backupIncludeKeys: backupIncludeKeys.checked,
+  };
+}
+
+/**
+ * Reads the retention settings from the form
+ *
+ * @returns {Object} - Settings with retentionDays, retentionAction and retentionMaxBytes
+ */
+function readRetentionSettings() {
+  return {
+    retentionDays: parseInt(retentionDays.value),
+    retentionAction: retentionAction.value,
+    retentionMaxBytes: parseInt(retentionMaxBytes.value),
+  };
+}
+
+/**
+ * Describes what the retention rules would remove
+ *
+ * @param {Array<Object>} trash - Conversations that would go to the trash
+ * @param {Array<Object>} archive - Conversations that would be archived
+ * @returns {string} - A sentence for the preview
+ */
+function describeRetentionPreview(trash, archive) {
+  if (trash.length === 0 && archive.length === 0) {
+    return "The rules wouldn't remove any conversations right now.";
   }
+
+  const count = (list) =>
+    `${list.length} conversation${list.length === 1 ? "" : "s"}`;
+  const bytes = [...trash, ...archive].reduce(
+    (sum, c) => sum + RetentionService.getConversationSize(c),
+    0
+  );
+  const moves = [];
+  if (trash.length > 0) moves.push(`${count(trash)} to the trash`);
+  if (archive.length > 0) moves.push(`${count(archive)} to the archive`);
+
+  return `The rules would move ${moves.join(" and ")} (${formatBytes(bytes)}).`;
+}
+
+/**
+ * Fills the custom endpoint forms, with their secrets from the vault if it
+ * is in use
+ */
+function populateEndpointForms() {
+  // Without the vault, or if it couldn't be read, show what is stored
+  const endpoints = vaultEndpoints || globalSettings.customEndpoints || [];
+
+  customEndpointList.innerHTML = "";
+  endpoints.forEach((endpoint) => {
+    customEndpointList.appendChild(createEndpointForm(endpoint));
+  });
 }
 
 /**
@@ -263,15 +1712,27 @@ async function loadSettings() {
  */
 function populateForm() {
   // API keys
-  openaiApiKey.value = globalSettings.apiKeys?.openai || "";
-  anthropicApiKey.value = globalSettings.apiKeys?.anthropic || "";
-  mistralApiKey.value = globalSettings.apiKeys?.mistral || "";
-  openrouterApiKey.value = globalSettings.apiKeys?.openrouter || "";
+  populateApiKeyInputs();
+
+  // Custom endpoints
+  populateEndpointForms();
 
   // General settings
-  defaultModel.value = globalSettings.defaultModel || "gpt-3.5-turbo";
+  renderModelOptions(globalSettings.defaultModel || DEFAULT_MODEL_REF);
   saveConversations.checked = globalSettings.saveConversations !== false;
   maxConversations.value = globalSettings.maxConversations || 100;
+  trashRetentionDays.value = globalSettings.trashRetentionDays ?? 30;
+  retentionDays.value = globalSettings.retentionDays || 0;
+  retentionAction.value = globalSettings.retentionAction || "trash";
+  retentionMaxBytes.value = globalSettings.retentionMaxBytes || 0;
+  retentionPreview.textContent = "";
+  notifyOnCompletion.checked = globalSettings.notifyOnCompletion === true;
+
+  // Backups
+  const backupOptions = BackupService.getBackupOptions(globalSettings);
+  backupSchedule.value = backupOptions.schedule;
+  backupKeep.value = backupOptions.keep;
+  backupIncludeKeys.checked = backupOptions.includeKeys;
 
   // Appearance settings
   themeToggle.checked = globalSettings.theme === "dark";
@@ -279,7 +1740,12 @@ function populateForm() {
   compactMode.checked = globalSettings.compactMode === true;
 
   // Advanced settings
-  contextWindow.value = globalSettings.contextWindow || 0;
+  partialResponses.value = globalSettings.partialResponses || "keep";
+  maxRetryAttempts.value = globalSettings.maxRetryAttempts || 3;
+  modelPrices.value = formatPriceTable({
+    ...DEFAULT_MODEL_PRICES,
+    ...globalSettings.modelPrices,
+  });
 }
 
 /**
@@ -0,0 +1,115 @@
+/**
+ * Sololom - Usage Page Script
+ * Summarises token usage and cost per provider, model and day
+ */
+import * as StorageService from "@/services/storage.js";
+import { getModelPrices, summarizeUsage } from "@/services/usage.js";
+import {
+  formatCost,
+  formatTokenCount,
+  getModelDisplayName,
+} from "@/utils/helpers.js";
+import { getProvider } from "@/services/providers/index.js";
+
+// DOM Elements
+const totalCost = document.getElementById("totalCost");
+const totalTokens = document.getElementById("totalTokens");
+const totalRequests = document.getElementById("totalRequests");
+const modelRows = document.getElementById("modelRows");
+const dayRows = document.getElementById("dayRows");
+const emptyState = document.getElementById("emptyState");
+const settingsLink = document.getElementById("settingsLink");
+
+// Initialize page
+document.addEventListener("DOMContentLoaded", async () => {
+  // Load theme setting
+  const globalSettings = await StorageService.getGlobalSettings();
+  if (globalSettings.theme) {
+    document.body.setAttribute("data-theme", globalSettings.theme);
+  }
+
+  const [conversations, prices] = await Promise.all([
+    StorageService.getConversations(),
+    getModelPrices(),
+  ]);
+
+  renderUsage(summarizeUsage(conversations, prices));
+});
+
+settingsLink.addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+/**
+ * Renders the summary cards and tables
+ * @param {Array<Object>} rows - Usage rows per day, provider and model
+ */
+function renderUsage(rows) {
+  const byModel = new Map();
+
+  rows.forEach((row) => {
+    const total = byModel.get(row.model) || {
+      provider: row.provider,
+      model: row.model,
+      requests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      cost: 0,
+    };
+
+    total.requests += row.requests;
+    total.promptTokens += row.promptTokens;
+    total.completionTokens += row.completionTokens;
+    total.cost += row.cost;
+    byModel.set(row.model, total);
+  });
+
+  const models = [...byModel.values()].sort((a, b) => b.cost - a.cost);
+  const sum = (field) => models.reduce((total, row) => total + row[field], 0);
+
+  totalCost.textContent = formatCost(sum("cost"));
+  totalTokens.textContent = formatTokenCount(
+    sum("promptTokens") + sum("completionTokens")
+  );
+  totalRequests.textContent = String(sum("requests"));
+
+  modelRows.innerHTML = "";
+  models.forEach((row) => modelRows.appendChild(createRow(row)));
+
+  dayRows.innerHTML = "";
+  rows.forEach((row) => dayRows.appendChild(createRow(row, row.date)));
+
+  emptyState.style.display = rows.length === 0 ? "block" : "none";
+}
+
+/**
+ * Creates a table row for a usage total
+ * @param {Object} row - Usage total with provider, model, tokens and cost
+ * @param {string} [date] - Date shown in the first column
+ * @returns {HTMLElement} - The table row
+ */
+function createRow(row, date) {
+  const labels = [
+    getProvider(row.provider)?.name || row.provider,
+    getModelDisplayName(row.model),
+  ];
+  if (date) labels.unshift(date);
+
+  const numbers = [
+    String(row.requests),
+    formatTokenCount(row.promptTokens),
+    formatTokenCount(row.completionTokens),
+    formatCost(row.cost),
+  ];
+
+  const tr = document.createElement("tr");
+  [...labels, ...numbers].forEach((text, index) => {
+    const td = document.createElement("td");
+    td.textContent = text;
+    if (index >= labels.length) td.className = "number";
+    tr.appendChild(td);
+  });
+
+  return tr;
+}
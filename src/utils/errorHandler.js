@@ -4,6 +4,8 @@
  * Provides functions for handling and reporting errors
  */
 
+import { getProviders } from "../services/providers/index.js";
+
 /**
  * Handles API errors and returns user-friendly messages
  *
@@ -11,50 +13,22 @@
  * @returns {string} - User-friendly error message
  */
 export function handleApiError(error) {
+  // Generation was cancelled by the user
+  if (isAbortError(error)) {
+    return "Generation stopped.";
+  }
+
   // Check if it's an API-specific error
   if (error.message && error.message.includes("API Error")) {
-    // Extract specific API error details
-
-    // OpenAI specific errors
-    if (error.message.includes("OpenAI API Error")) {
-      if (error.message.includes("insufficient_quota")) {
-        return "Your OpenAI API key has insufficient quota. Please check your billing status.";
-      }
-      if (error.message.includes("invalid_api_key")) {
-        return "Invalid OpenAI API key. Please check your settings.";
-      }
-      if (error.message.includes("rate_limit_exceeded")) {
-        return "OpenAI rate limit exceeded. Please try again later.";
-      }
+    // Let the provider that produced the error translate known error codes
+    const provider = getProviders().find((p) =>
+      error.message.includes(`${p.name} API Error`)
+    );
+    const friendlyMessage = provider?.mapError(error.message);
+    if (friendlyMessage) {
+      return friendlyMessage;
     }
 
-    // Anthropic specific errors
-    if (error.message.includes("Anthropic API Error")) {
-      if (error.message.includes("invalid_api_key")) {
-        return "Invalid Anthropic API key. Please check your settings.";
-      }
-      if (error.message.includes("permission_error")) {
-        return "Your Anthropic API key does not have permission to use this model.";
-      }
-    }
-
-    // Mistral specific errors
-    if (error.message.includes("Mistral API Error")) {
-      if (error.message.includes("invalid_api_key")) {
-        return "Invalid Mistral API key. Please check your settings.";
-      }
-      if (error.message.includes("rate_limit_exceeded")) {
-        return "Mistral rate limit exceeded. Please try again later.";
-      }
-    }
-    if (error.message.includes("OpenRouter API Error")) {
-      if (error.message.includes("invalid_api_key")) {
-        return "Invalid OpenRouter API key. Please check your settings.";
-      }
-      if (error.message.includes("insufficient_quota")) {
-        return "Your OpenRouter account has insufficient quota. Please check your billing status.";
-      }
-    }
     // Return the original message if we can't provide a more specific message
     return error.message;
   }
@@ -68,6 +42,83 @@ export function handleApiError(error) {
   return error.message || "An unexpected error occurred.";
 }
 
+/**
+ * Checks whether an error was caused by an aborted request
+ *
+ * @param {Error} error - The error object
+ * @returns {boolean} - True if the request was cancelled
+ */
+export function isAbortError(error) {
+  return Boolean(error && error.name === "AbortError");
+}
+
+/**
+ * Creates an error representing a cancelled request
+ *
+ * @param {string} message - Error message
+ * @returns {Error} - Error with name "AbortError"
+ */
+export function createAbortError(message = "The request was cancelled") {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Checks whether an error was caused by locked API keys
+ *
+ * @param {Error} error - The error object
+ * @returns {boolean} - True if the key vault has to be unlocked first
+ */
+export function isVaultLockedError(error) {
+  return Boolean(error && error.name === "VaultLockedError");
+}
+
+/**
+ * Creates an error telling the user to unlock their API keys
+ *
+ * @param {string} message - Error message
+ * @returns {Error} - Error with name "VaultLockedError"
+ */
+export function createVaultLockedError(
+  message = "Your API keys are locked. Enter your passphrase to unlock them."
+) {
+  const error = new Error(message);
+  error.name = "VaultLockedError";
+  return error;
+}
+
+/**
+ * Checks whether an error was caused by running out of storage
+ *
+ * Covers the quota errors chrome.storage throws as well as the errors made
+ * by createStorageQuotaError.
+ *
+ * @param {Error} error - The error object
+ * @returns {boolean} - True if the data didn't fit in storage
+ */
+export function isStorageQuotaError(error) {
+  if (!error) return false;
+  return (
+    error.name === "StorageQuotaError" ||
+    /QUOTA_BYTES|quota exceeded/i.test(error.message || "")
+  );
+}
+
+/**
+ * Creates an error telling the user to free up storage
+ *
+ * @param {string} message - Error message
+ * @returns {Error} - Error with name "StorageQuotaError"
+ */
+export function createStorageQuotaError(
+  message = "Storage is full, so the conversation couldn't be saved. Free up space in Settings."
+) {
+  const error = new Error(message);
+  error.name = "StorageQuotaError";
+  return error;
+}
+
 /**
  * Logs errors to console with additional context
  *
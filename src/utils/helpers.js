@@ -4,6 +4,13 @@
  * Collection of utility functions used throughout the extension
  */
 
+import { getProvider, getProviders } from "../services/providers/index.js";
+import {
+  createModelRef,
+  parseModelRef,
+  toModelRef,
+} from "../services/providers/modelRef.js";
+
 /**
  * Generates a UUID v4
  * @returns {string} - A random UUID
@@ -129,13 +136,202 @@ export function slugify(str) {
     .replace(/\-\-+/g, "-");
 }
 
+/**
+ * Formats the status shown while a request waits to be retried
+ *
+ * @param {Object} retry - Retry event
+ * @param {number} retry.attempt - The upcoming attempt, starting at 1
+ * @param {number} retry.maxAttempts - The maximum number of attempts
+ * @param {number} retry.delay - Delay before the attempt in milliseconds
+ * @returns {string} - Status text, e.g. "Retrying in 4s (attempt 2/3)…"
+ */
+export function formatRetryStatus({ attempt, maxAttempts, delay }) {
+  const seconds = Math.max(1, Math.ceil(delay / 1000));
+  return `Retrying in ${seconds}s (attempt ${attempt}/${maxAttempts})…`;
+}
+
+/**
+ * Formats the warning shown when older messages didn't fit the context window
+ *
+ * @param {number} dropped - Number of messages left out of the request
+ * @returns {string} - Warning text
+ */
+export function formatContextWarning(dropped) {
+  const messages =
+    dropped === 1 ? "1 older message was" : `${dropped} older messages were`;
+  return `${messages} left out to fit the model's context window.`;
+}
+
+// Content of send buttons switched to Stop, restored when the generation ends
+const idleButtonContent = new WeakMap();
+
+/**
+ * Switches a send button between its Send and Stop states
+ *
+ * @param {HTMLElement} button - The send button
+ * @param {boolean} active - Whether a generation is in progress
+ */
+export function setStopMode(button, active) {
+  if (active) {
+    if (!button.classList.contains("stop-button")) {
+      idleButtonContent.set(button, {
+        html: button.innerHTML,
+        title: button.title,
+      });
+    }
+    button.innerHTML = "⏹";
+    button.title = "Stop generating";
+    button.classList.add("stop-button");
+    return;
+  }
+
+  const idle = idleButtonContent.get(button);
+  if (idle) {
+    button.innerHTML = idle.html;
+    button.title = idle.title;
+    idleButtonContent.delete(button);
+  }
+  button.classList.remove("stop-button");
+}
+
+/**
+ * Keeps or discards a partial answer after the user stopped generation
+ *
+ * @param {string} content - The text received before stopping
+ * @param {MessageBubble|null} bubble - The bubble showing the partial text
+ * @param {string} partialResponses - The partialResponses global setting
+ * @returns {Object|null} - The assistant message to keep, flagged as stopped, or null if discarded
+ */
+export function handleStoppedResponse(content, bubble, partialResponses) {
+  if (!content || partialResponses === "discard") {
+    if (bubble) {
+      bubble.remove();
+    }
+    return null;
+  }
+
+  bubble.markStopped();
+  return { role: "assistant", content, stopped: true };
+}
+
+/**
+ * Shows a warning that older messages were left out of the request
+ *
+ * Only the warning for the latest request is kept.
+ *
+ * @param {HTMLElement} container - The chat's message list
+ * @param {number} dropped - Number of messages left out
+ */
+export function showContextWarning(container, dropped) {
+  container.querySelector(".context-warning")?.remove();
+
+  const warning = document.createElement("div");
+  warning.className = "context-warning";
+  warning.textContent = formatContextWarning(dropped);
+
+  // Keep the typing indicator last
+  const indicator = document.getElementById("typingIndicator");
+  container.insertBefore(warning, indicator);
+  container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Shows the retry status next to the typing indicator
+ *
+ * @param {HTMLElement} container - The chat's message list
+ * @param {Object} retry - Retry event with attempt, maxAttempts and delay
+ */
+export function showRetryStatus(container, retry) {
+  const indicator = document.getElementById("typingIndicator");
+  if (!indicator) return;
+
+  let status = indicator.querySelector(".typing-status");
+  if (!status) {
+    status = document.createElement("small");
+    status.className = "typing-status";
+    indicator.appendChild(status);
+  }
+
+  status.textContent = formatRetryStatus(retry);
+  container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Formats a cost in US dollars
+ *
+ * Small amounts keep enough decimals to stay visible.
+ *
+ * @param {number} cost - Cost in USD
+ * @returns {string} - Formatted cost
+ */
+export function formatCost(cost) {
+  if (!cost) return "$0.00";
+  if (cost < 0.01) return `$${cost.toFixed(4)}`;
+  return `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Formats a token count compactly
+ *
+ * @param {number} tokens - Number of tokens
+ * @returns {string} - Formatted count, e.g. "950" or "12.3k"
+ */
+export function formatTokenCount(tokens) {
+  if (tokens < 1000) return String(tokens);
+  if (tokens < 1e6) return `${(tokens / 1000).toFixed(1)}k`;
+  return `${(tokens / 1e6).toFixed(1)}M`;
+}
+
+/**
+ * Formats a size in bytes
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Formatted size, e.g. "512 B" or "1.5 MB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Creates the URL hash that hands a conversation over to the full-page chat
+ *
+ * @param {Object} handoff - What to open
+ * @param {string} [handoff.conversationId] - ID of the conversation to select
+ * @param {string} [handoff.draft] - Unsent text for the message box
+ * @returns {string} - Hash without the leading "#", empty if there's nothing to hand over
+ */
+export function createHandoffHash({ conversationId, draft } = {}) {
+  const params = new URLSearchParams();
+  if (conversationId) params.set("conversation", conversationId);
+  if (draft) params.set("draft", draft);
+  return params.toString();
+}
+
+/**
+ * Reads a hash created by createHandoffHash
+ *
+ * @param {string} hash - The URL hash, with or without the leading "#"
+ * @returns {Object} - The conversationId and draft, null when missing
+ */
+export function parseHandoffHash(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  return {
+    conversationId: params.get("conversation"),
+    draft: params.get("draft"),
+  };
+}
+
 /**
  * Gets a display name for the model
  *
- * @param {string} model - Model ID
+ * @param {string} model - Model reference or legacy model ID
  * @returns {string} - Display name
  */
 export function getModelDisplayName(model) {
+  const { provider: providerId, modelId } = parseModelRef(toModelRef(model));
+
   const modelMap = {
     "gpt-3.5-turbo": "GPT-3.5 Turbo",
     "gpt-4": "GPT-4",
@@ -146,44 +342,66 @@ export function getModelDisplayName(model) {
     "mistral-small": "Mistral Small",
     "mistral-medium": "Mistral Medium",
     "mistral-large": "Mistral Large",
-
-    // OpenRouter models
-    "openrouter/meta-llama/llama-3-70b": "Meta Llama 3 70B",
-    // "openrouter/meta-llama/llama-3-8b-instruct": "Meta Llama 3 8B",
-    "meta-llama/llama-3-8b-instruct": "Meta Llama 3 8B",
-    "openrouter/google/gemini-pro": "Google Gemini Pro",
-    "openrouter/google/gemini-1.5-pro": "Google Gemini 1.5 Pro",
-    "openrouter/anthropic/claude-3-opus": "Claude 3 Opus (OpenRouter)",
-    "openrouter/anthropic/claude-3-sonnet": "Claude 3 Sonnet (OpenRouter)",
-    "openrouter/anthropic/claude-3-haiku": "Claude 3 Haiku (OpenRouter)",
-    "openrouter/cohere/command-r": "Cohere Command R",
-    "openrouter/mistral/mistral-large": "Mistral Large (OpenRouter)",
-    "openrouter/mistral/mistral-small": "Mistral Small (OpenRouter)",
   };
 
-  return modelMap[model] || model;
+  if (modelMap[modelId]) return modelMap[modelId];
+
+  // Fall back to the name declared by the provider serving the model
+  const provider = providerId && getProvider(providerId);
+  return provider?.models.find((m) => m.id === modelId)?.name || modelId;
 }
 
 /**
- * Gets the provider from the model name
+ * Gets the provider from a model reference
+ *
+ * Legacy model IDs without a provider are resolved the way they were
+ * before being migrated.
  *
- * @param {string} model - Model name
- * @returns {string} - Provider name (openai, anthropic, mistral)
+ * @param {string} model - Model reference or legacy model ID
+ * @returns {string} - Provider id, or "unknown" if no provider serves it
  */
 export function getProviderFromModel(model) {
-  if (model.startsWith("gpt")) return "openai";
-  if (model.startsWith("claude")) return "anthropic";
-  if (model.startsWith("mistral")) return "mistral";
+  return parseModelRef(toModelRef(model)).provider || "unknown";
+}
+
+/**
+ * Fills a select element with models grouped by provider
+ *
+ * Option values are model references. The selection is kept only if the
+ * model is still offered.
+ *
+ * @param {HTMLSelectElement} select - The select element to fill
+ * @param {Array<Object>} models - Models with id, name and provider
+ * @param {string} selectedModel - Model reference (or legacy model ID) to select
+ */
+export function fillModelSelect(select, models, selectedModel) {
+  const selectedRef = toModelRef(selectedModel);
+  select.innerHTML = "";
+
+  getProviders().forEach((provider) => {
+    const providerModels = models.filter(
+      (model) => model.provider === provider.id
+    );
+    if (providerModels.length === 0) return;
+
+    const group = document.createElement("optgroup");
+    group.label = provider.name;
+
+    providerModels.forEach((model) => {
+      const option = document.createElement("option");
+      option.value = createModelRef(provider.id, model.id);
+      option.textContent = model.name;
+      group.appendChild(option);
+    });
+
+    select.appendChild(group);
+  });
+
   if (
-    model.startsWith("openrouter/") ||
-    model.includes("llama") ||
-    model.includes("gemini") ||
-    model.includes("meta") ||
-    model.includes("cohere") ||
-    model.includes("palm")
-  )
-    return "openrouter";
-  return "unknown";
+    Array.from(select.options).some((option) => option.value === selectedRef)
+  ) {
+    select.value = selectedRef;
+  }
 }
 
 /**
@@ -262,8 +480,11 @@ export function downloadAsFile(content, filename, contentType) {
  * @param {string} message - The message to show
  * @param {string} type - The type of toast (success, error, info)
  * @param {number} duration - How long to show the toast in milliseconds
+ * @param {Object} [action] - Button shown after the message, e.g. Undo
+ * @param {string} action.label - The button text
+ * @param {Function} action.onClick - Called when the button is clicked
  */
-export function showToast(message, type = "info", duration = 3000) {
+export function showToast(message, type = "info", duration = 3000, action) {
   // Look for an existing toast element
   let toast = document.getElementById("toast");
 
@@ -300,6 +521,15 @@ export function showToast(message, type = "info", duration = 3000) {
         #toast.success { background-color: #4caf50; }
         #toast.error { background-color: #e53935; }
         #toast.warning { background-color: #ff9800; }
+        #toast .toast-action {
+          margin-left: 12px;
+          background: none;
+          border: none;
+          color: inherit;
+          font-weight: bold;
+          text-decoration: underline;
+          cursor: pointer;
+        }
       `;
       document.head.appendChild(style);
     }
@@ -310,13 +540,25 @@ export function showToast(message, type = "info", duration = 3000) {
   toast.className = "toast";
   toast.classList.add(type);
 
+  if (action) {
+    const button = document.createElement("button");
+    button.className = "toast-action";
+    button.textContent = action.label;
+    button.addEventListener("click", () => {
+      toast.classList.remove("show");
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+
   // Show the toast
   setTimeout(() => {
     toast.classList.add("show");
   }, 10);
 
-  // Hide the toast after the specified duration
-  setTimeout(() => {
+  // Hide the toast after the specified duration, a newer toast restarts it
+  clearTimeout(toast.hideTimer);
+  toast.hideTimer = setTimeout(() => {
     toast.classList.remove("show");
   }, duration);
 }
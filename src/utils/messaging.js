@@ -4,6 +4,8 @@
  * Provides utilities for communication between different parts of the extension
  */
 
+import { createAbortError } from "./errorHandler.js";
+
 /**
  * Sends a message to the background script and returns a promise with the response
  *
@@ -100,3 +102,86 @@ export function setupMessageListener(handlers) {
     chrome.runtime.onMessage.removeListener(listener);
   };
 }
+
+/**
+ * Opens a port to the background script and yields the events it streams back
+ *
+ * The background is expected to post `{ type: "delta" }` events followed by a
+ * single `{ type: "done" }` event carrying the normalized response, or
+ * `{ type: "error", error, name }` on failure, rethrown with the original
+ * error's name so pages can tell e.g. locked API keys apart. `{ type: "stopped" }` ends a
+ * generation job that was cancelled and rejects with an AbortError.
+ * `{ type: "retry" }` events may arrive before the first delta while a
+ * rate-limited request waits to be retried.
+ *
+ * Aborting `options.signal` disconnects the port, which tells the background
+ * to cancel the underlying request, and rejects with an AbortError.
+ *
+ * @param {Object} message - The message that starts the stream
+ * @param {Object} options - Stream options
+ * @param {string} options.portName - The name of the port to open
+ * @param {AbortSignal} options.signal - Signal used to cancel the stream
+ * @returns {AsyncGenerator<Object>} - Yields events posted by the background
+ */
+export async function* streamFromBackground(message, options = {}) {
+  const { portName = "llmStream", signal } = options;
+
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
+  const port = chrome.runtime.connect({ name: portName });
+  const queue = [];
+  let wake = null;
+
+  const push = (item) => {
+    queue.push(item);
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  const handleAbort = () => push({ type: "abort" });
+
+  port.onMessage.addListener((event) => push(event));
+  port.onDisconnect.addListener(() => push({ type: "disconnect" }));
+  signal?.addEventListener("abort", handleAbort);
+  port.postMessage(message);
+
+  try {
+    while (true) {
+      if (queue.length === 0) {
+        await new Promise((resolve) => {
+          wake = resolve;
+        });
+      }
+
+      const event = queue.shift();
+
+      if (event.type === "abort" || event.type === "stopped") {
+        throw createAbortError();
+      }
+
+      if (event.type === "error") {
+        const error = new Error(event.error);
+        if (event.name) error.name = event.name;
+        throw error;
+      }
+
+      if (event.type === "disconnect") {
+        throw new Error(
+          chrome.runtime.lastError?.message ||
+            "Connection to the background script was lost"
+        );
+      }
+
+      yield event;
+
+      if (event.type === "done") return;
+    }
+  } finally {
+    signal?.removeEventListener("abort", handleAbort);
+    port.disconnect();
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Sololom Server-Sent Events Utility
+ *
+ * Parses `text/event-stream` response bodies returned by streaming LLM APIs
+ */
+
+/**
+ * Parses a single SSE block into an event object
+ *
+ * @param {string} block - Raw event block (lines between blank lines)
+ * @returns {Object|null} - Object with event and data, or null if empty
+ */
+export function parseEventBlock(block) {
+  let event = "message";
+  const dataLines = [];
+
+  block.split(/\r?\n/).forEach((line) => {
+    // Lines starting with a colon are comments (used as keep-alives)
+    if (!line || line.startsWith(":")) return;
+
+    const separatorIndex = line.indexOf(":");
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    let value = separatorIndex === -1 ? "" : line.slice(separatorIndex + 1);
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+
+    if (field === "event") {
+      event = value;
+    } else if (field === "data") {
+      dataLines.push(value);
+    }
+  });
+
+  if (dataLines.length === 0) return null;
+
+  return { event, data: dataLines.join("\n") };
+}
+
+/**
+ * Reads a streaming fetch response and yields its server-sent events
+ *
+ * @param {Response} response - Fetch response with a readable body
+ * @returns {AsyncGenerator<Object>} - Yields { event, data } objects
+ */
+export async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const parsed = parseEventBlock(block);
+        if (parsed) yield parsed;
+      }
+    }
+
+    // Flush whatever is left once the stream closes
+    buffer += decoder.decode();
+    const parsed = parseEventBlock(buffer);
+    if (parsed) yield parsed;
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Sololom Token Utility
+ *
+ * Estimates token counts locally and trims conversations to fit a model's
+ * context window. The estimates approximate each model family's tokenizer
+ * closely enough to budget a request, they are not exact counts.
+ */
+
+/**
+ * Context length assumed for models without metadata
+ */
+export const DEFAULT_CONTEXT_LENGTH = 8192;
+
+// Average characters per token of each tokenizer family on English text
+const CHARS_PER_TOKEN = {
+  openai: 4,
+  anthropic: 3.5,
+  mistral: 3.5,
+  llama: 3.8,
+  default: 3.5,
+};
+
+// Tokens the chat format adds around every message and before the reply
+const MESSAGE_OVERHEAD = 4;
+const REPLY_OVERHEAD = 3;
+
+// CJK and other wide scripts take about one token per character
+const WIDE_CHAR_PATTERN = /[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/**
+ * Gets the tokenizer family of a model from its id
+ *
+ * Works on provider model ids, including OpenRouter's "vendor/model" form.
+ *
+ * @param {string} modelId - The model id
+ * @returns {string} - Tokenizer family
+ */
+export function getTokenizerFamily(modelId = "") {
+  const id = modelId.toLowerCase();
+
+  if (id.includes("claude")) return "anthropic";
+  if (/mistral|mixtral|codestral|ministral|pixtral/.test(id)) return "mistral";
+  if (id.includes("llama")) return "llama";
+  if (/(^|\/)(gpt|chatgpt|o\d)/.test(id)) return "openai";
+  return "default";
+}
+
+/**
+ * Estimates the number of tokens in a text
+ *
+ * @param {string} text - The text to measure
+ * @param {string} modelId - The model id, used to pick the tokenizer family
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text, modelId) {
+  if (!text) return 0;
+
+  const wideChars = (text.match(WIDE_CHAR_PATTERN) || []).length;
+  const otherChars = text.length - wideChars;
+  const charsPerToken = CHARS_PER_TOKEN[getTokenizerFamily(modelId)];
+
+  return wideChars + Math.ceil(otherChars / charsPerToken);
+}
+
+/**
+ * Estimates the number of tokens a list of chat messages uses
+ *
+ * @param {Array<Object>} messages - Messages with role and content
+ * @param {string} modelId - The model id
+ * @returns {number} - Estimated token count, including chat formatting
+ */
+export function estimateMessagesTokens(messages, modelId) {
+  return messages.reduce(
+    (total, message) =>
+      total + MESSAGE_OVERHEAD + estimateTokens(message.content, modelId),
+    REPLY_OVERHEAD
+  );
+}
+
+/**
+ * Drops the oldest messages until a conversation fits the context window
+ *
+ * System messages and the newest message are always kept. Older messages
+ * are added back newest first while they fit next to the tokens reserved
+ * for the reply.
+ *
+ * @param {Array<Object>} messages - Messages with role and content
+ * @param {Object} options - Fitting options
+ * @param {string} options.modelId - The model id
+ * @param {number} options.contextLength - The model's context length in tokens
+ * @param {number} options.maxTokens - Tokens reserved for the reply
+ * @returns {Object} - Object with the kept messages and the number dropped
+ */
+export function fitMessagesToContext(messages, options) {
+  const {
+    modelId,
+    contextLength = DEFAULT_CONTEXT_LENGTH,
+    maxTokens = 0,
+  } = options;
+
+  const budget = contextLength - maxTokens;
+  if (
+    messages.length === 0 ||
+    estimateMessagesTokens(messages, modelId) <= budget
+  ) {
+    return { messages, dropped: 0 };
+  }
+
+  const lastIndex = messages.length - 1;
+  const keep = new Set(
+    messages
+      .map((message, index) => (message.role === "system" ? index : -1))
+      .filter((index) => index !== -1)
+  );
+  keep.add(lastIndex);
+
+  let used = estimateMessagesTokens(
+    messages.filter((message, index) => keep.has(index)),
+    modelId
+  );
+
+  for (let index = lastIndex - 1; index >= 0; index--) {
+    if (keep.has(index)) continue;
+
+    const tokens =
+      MESSAGE_OVERHEAD + estimateTokens(messages[index].content, modelId);
+    if (used + tokens > budget) break;
+
+    keep.add(index);
+    used += tokens;
+  }
+
+  const kept = messages.filter((message, index) => keep.has(index));
+  return { messages: kept, dropped: messages.length - kept.length };
+}
@@ -39,7 +39,6 @@ describe("Chat Component", () => {
   // Default settings
   const defaultGlobalSettings = {
     theme: "light",
-    contextWindow: 0,
     saveConversations: true,
   };
 
@@ -161,13 +160,12 @@ describe("Chat Component", () => {
       chat = new Chat(defaultOptions);
       await new Promise((resolve) => setTimeout(resolve, 0));
 
-      // Mock ApiService.getLLMResponse to return a successful response
-      ApiService.getLLMResponse.mockResolvedValue({
-        choices: [{ message: { content: "Test response" } }],
+      // Mock ApiService.streamLLMResponse to stream a successful response
+      ApiService.streamLLMResponse.mockImplementation(async function* () {
+        yield { type: "delta", content: "Test " };
+        yield { type: "delta", content: "response" };
+        yield { type: "done", content: "Test response" };
       });
-
-      // Mock ApiService.extractContentFromResponse
-      ApiService.extractContentFromResponse.mockReturnValue("Test response");
     });
 
     it("should send a message and receive a response", async () => {
@@ -176,7 +174,7 @@ describe("Chat Component", () => {
       await chat.sendMessage();
 
       // Check that ApiService was called correctly
-      expect(ApiService.getLLMResponse).toHaveBeenCalledWith({
+      expect(ApiService.streamLLMResponse).toHaveBeenCalledWith({
         model: "gpt-3.5-turbo",
         messages: [
           { role: "system", content: "You are a helpful assistant." },
@@ -184,6 +182,7 @@ describe("Chat Component", () => {
         ],
         temperature: 0.7,
         maxTokens: 2048,
+        signal: expect.any(AbortSignal),
       });
 
       // Check that messages are added to conversation
@@ -203,13 +202,104 @@ describe("Chat Component", () => {
         expect.any(Object)
       );
 
-      // Check that conversation was saved
-      expect(StorageService.saveConversation).toHaveBeenCalled();
+      // Check that conversation was saved once
+      expect(StorageService.saveConversation).toHaveBeenCalledTimes(1);
+    });
+
+    it("should store the reported usage with the assistant message", async () => {
+      ApiService.streamLLMResponse.mockImplementationOnce(async function* () {
+        yield { type: "delta", content: "Test response" };
+        yield {
+          type: "done",
+          content: "Test response",
+          provider: "openai",
+          model: "openai:gpt-4o",
+          resolvedModel: "gpt-4o-2024-08-06",
+          usage: { promptTokens: 20, completionTokens: 3 },
+          latency: 640,
+        };
+      });
+
+      inputElement.value = "Hello";
+      await chat.sendMessage();
+
+      expect(chat.conversation[1]).toEqual({
+        role: "assistant",
+        content: "Test response",
+        model: "openai:gpt-4o",
+        resolvedModel: "gpt-4o-2024-08-06",
+        usage: { promptTokens: 20, completionTokens: 3 },
+        latency: 640,
+        timestamp: expect.any(Number),
+      });
+    });
+
+    it("should render partial text into a single assistant bubble", async () => {
+      const snapshots = [];
+
+      ApiService.streamLLMResponse.mockImplementationOnce(async function* () {
+        yield { type: "delta", content: "Partial" };
+        snapshots.push(messagesContainer.innerHTML);
+        yield { type: "delta", content: " answer" };
+        yield { type: "done", content: "Partial answer" };
+      });
+
+      inputElement.value = "Hello";
+      await chat.sendMessage();
+
+      // The partial text should be visible before the stream completes
+      expect(snapshots[0]).toContain("Partial");
+      expect(StorageService.saveConversation).toHaveBeenCalledTimes(1);
+
+      // Only one assistant bubble should have been rendered
+      expect(
+        messagesContainer.querySelectorAll(".message-assistant")
+      ).toHaveLength(1);
+      expect(messagesContainer.innerHTML).toContain("Partial answer");
+      expect(messagesContainer.querySelector("#typingIndicator")).toBeNull();
+    });
+
+    it("should show the retry status in the typing indicator", async () => {
+      const snapshots = [];
+
+      ApiService.streamLLMResponse.mockImplementationOnce(async function* () {
+        yield { type: "retry", attempt: 2, maxAttempts: 3, delay: 4000 };
+        snapshots.push(
+          messagesContainer.querySelector("#typingIndicator").textContent
+        );
+        yield { type: "delta", content: "Done" };
+        yield { type: "done", content: "Done" };
+      });
+
+      inputElement.value = "Hello";
+      await chat.sendMessage();
+
+      expect(snapshots[0]).toBe("Retrying in 4s (attempt 2/3)…");
+      expect(messagesContainer.querySelector("#typingIndicator")).toBeNull();
+    });
+
+    it("should warn when older messages were left out", async () => {
+      ApiService.streamLLMResponse.mockImplementationOnce(async function* () {
+        yield { type: "context", dropped: 3 };
+        yield { type: "delta", content: "Done" };
+        yield { type: "done", content: "Done" };
+      });
+
+      inputElement.value = "Hello";
+      await chat.sendMessage();
+
+      const warnings = messagesContainer.querySelectorAll(".context-warning");
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0].textContent).toBe(
+        "3 older messages were left out to fit the model's context window."
+      );
     });
 
     it("should handle API errors gracefully", async () => {
       // Make API service throw an error
-      ApiService.getLLMResponse.mockRejectedValueOnce(new Error("API error"));
+      ApiService.streamLLMResponse.mockImplementationOnce(async function* () {
+        throw new Error("API error");
+      });
 
       // Set input value and send
       inputElement.value = "Hello";
@@ -223,31 +313,21 @@ describe("Chat Component", () => {
       expect(chat.conversation).toEqual([{ role: "user", content: "Hello" }]);
     });
 
-    it("should respect context window limit when sending messages", async () => {
-      // Set up a conversation with multiple messages
+    it("should send the whole conversation for the API service to fit", async () => {
       chat.conversation = [
         { role: "user", content: "Message 1" },
         { role: "assistant", content: "Response 1" },
-        { role: "user", content: "Message 2" },
-        { role: "assistant", content: "Response 2" },
-        { role: "user", content: "Message 3" },
-        { role: "assistant", content: "Response 3" },
       ];
 
-      // Set context window limit to 2 messages (1 user + 1 assistant)
-      chat.globalSettings.contextWindow = 2;
-
-      // Set input value and send
       inputElement.value = "Hello";
       await chat.sendMessage();
 
-      // Check that only the most recent messages were sent to API
-      expect(ApiService.getLLMResponse).toHaveBeenCalledWith(
+      expect(ApiService.streamLLMResponse).toHaveBeenCalledWith(
         expect.objectContaining({
           messages: [
             { role: "system", content: "You are a helpful assistant." },
-            { role: "user", content: "Message 3" },
-            { role: "assistant", content: "Response 3" },
+            { role: "user", content: "Message 1" },
+            { role: "assistant", content: "Response 1" },
             { role: "user", content: "Hello" },
           ],
         })
@@ -255,6 +335,79 @@ describe("Chat Component", () => {
     });
   });
 
+  describe("Stopping Generation", () => {
+    let chat;
+
+    beforeEach(async () => {
+      chat = new Chat(defaultOptions);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      // Stream one delta, then wait until the request is aborted
+      ApiService.streamLLMResponse.mockImplementation(async function* ({
+        signal,
+      }) {
+        yield { type: "delta", content: "Partial answer" };
+        await new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () => {
+            const error = new Error("Aborted");
+            error.name = "AbortError";
+            reject(error);
+          });
+        });
+      });
+    });
+
+    it("should turn the send button into a Stop button while processing", async () => {
+      inputElement.value = "Hello";
+      const sending = chat.sendMessage();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(sendButton.classList.contains("stop-button")).toBe(true);
+      expect(sendButton.title).toBe("Stop generating");
+
+      sendButton.click();
+      await sending;
+
+      expect(sendButton.classList.contains("stop-button")).toBe(false);
+      expect(chat.isProcessing).toBe(false);
+    });
+
+    it("should keep the partial answer marked as stopped by default", async () => {
+      inputElement.value = "Hello";
+      const sending = chat.sendMessage();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      chat.stopGeneration();
+      await sending;
+
+      expect(chat.conversation).toEqual([
+        { role: "user", content: "Hello" },
+        { role: "assistant", content: "Partial answer", stopped: true },
+      ]);
+      expect(
+        messagesContainer.querySelector(".message-stopped")
+      ).not.toBeNull();
+      expect(messagesContainer.innerHTML).not.toContain("Error:");
+      expect(mockOnError).not.toHaveBeenCalled();
+      expect(StorageService.saveConversation).toHaveBeenCalledTimes(1);
+    });
+
+    it("should discard the partial answer when configured to", async () => {
+      chat.globalSettings.partialResponses = "discard";
+
+      inputElement.value = "Hello";
+      const sending = chat.sendMessage();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      chat.stopGeneration();
+      await sending;
+
+      expect(chat.conversation).toEqual([{ role: "user", content: "Hello" }]);
+      expect(messagesContainer.innerHTML).not.toContain("Partial answer");
+      expect(StorageService.saveConversation).not.toHaveBeenCalled();
+    });
+  });
+
   describe("UI Interactions", () => {
     let chat;
 
@@ -0,0 +1,178 @@
+/**
+ * Tests for the ConversationList component
+ */
+
+import ConversationList from "@/components/ConversationList";
+import * as StorageService from "@/services/storage";
+
+// Mock the storage service
+jest.mock("@/services/storage");
+
+describe("ConversationList Component", () => {
+  const index = [
+    {
+      id: "1",
+      title: "Trip planning",
+      model: "openai:gpt-4o",
+      timestamp: 2000,
+      messageCount: 4,
+      snippet: "Plan a weekend in Lisbon",
+    },
+    {
+      id: "2",
+      title: "Recipes",
+      model: "openai:gpt-4o",
+      timestamp: 1000,
+      messageCount: 2,
+      snippet: "Something with lentils",
+    },
+  ];
+
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    container.id = "conversationList";
+    document.body.appendChild(container);
+
+    StorageService.getConversationIndex.mockResolvedValue(
+      index.map((entry) => ({ ...entry }))
+    );
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  /**
+   * Creates a list and waits for the first render
+   */
+  async function createList(options = {}) {
+    const list = new ConversationList({
+      containerId: "conversationList",
+      ...options,
+    });
+    await list.init();
+    return list;
+  }
+
+  it("should render titles and snippets from the index", async () => {
+    await createList();
+
+    const items = container.querySelectorAll(".conversation-item");
+    expect(items).toHaveLength(2);
+    expect(items[0].textContent).toContain("Trip planning");
+    expect(items[0].textContent).toContain("Plan a weekend in Lisbon");
+    expect(StorageService.getConversations).not.toHaveBeenCalled();
+  });
+
+  it("should show titles as text", async () => {
+    StorageService.getConversationIndex.mockResolvedValue([
+      { ...index[0], title: '<img src="x" onerror="alert(1)">' },
+    ]);
+
+    await createList();
+
+    const title = container.querySelector(".conversation-title");
+    expect(title.textContent).toBe('<img src="x" onerror="alert(1)">');
+    expect(container.querySelector("img")).toBeNull();
+  });
+
+  it("should search titles and snippets", async () => {
+    const list = await createList();
+
+    list.handleSearch({ target: { value: "lentils" } });
+
+    const items = container.querySelectorAll(".conversation-item");
+    expect(items).toHaveLength(1);
+    expect(items[0].dataset.id).toBe("2");
+  });
+
+  it("should search messages without loading the matches of the index", async () => {
+    const list = await createList();
+    StorageService.getConversationById.mockImplementation(async (id) => ({
+      id,
+      messages: [{ role: "assistant", content: "Try the Alfama district" }],
+    }));
+
+    await list.handleSearch({ target: { value: "alfama" } });
+
+    const items = container.querySelectorAll(".conversation-item");
+    expect(items).toHaveLength(2);
+    expect(StorageService.getConversationById).toHaveBeenCalledTimes(2);
+
+    // Trip planning matches its snippet, so only Recipes is read
+    await list.handleSearch({ target: { value: "lisbon" } });
+
+    expect(StorageService.getConversationById).toHaveBeenLastCalledWith("2");
+    expect(container.querySelectorAll(".conversation-item")).toHaveLength(1);
+  });
+
+  it("should load the messages of a selected conversation", async () => {
+    const conversation = {
+      ...index[1],
+      messages: [{ role: "user", content: "Something with lentils" }],
+    };
+    StorageService.getConversationById.mockResolvedValue(conversation);
+    const onSelect = jest.fn();
+    const list = await createList({ onSelect });
+
+    await list.handleSelect("2");
+
+    expect(StorageService.getConversationById).toHaveBeenCalledWith("2");
+    expect(onSelect).toHaveBeenCalledWith(conversation);
+    expect(
+      container.querySelector(".conversation-item.active").dataset.id
+    ).toBe("2");
+  });
+
+  it("should drop a selection that was replaced while loading", async () => {
+    StorageService.getConversationById.mockResolvedValue({ id: "1" });
+    const onSelect = jest.fn();
+    const list = await createList({ onSelect });
+
+    const pending = list.handleSelect("1");
+    list.setActiveConversation("2");
+    await pending;
+
+    expect(onSelect).not.toHaveBeenCalled();
+  });
+
+  it("should move deleted conversations to the trash with an undo", async () => {
+    const onDelete = jest.fn();
+    const list = await createList({ onDelete });
+
+    await list.handleDelete("1");
+
+    expect(StorageService.trashConversation).toHaveBeenCalledWith("1");
+    expect(StorageService.deleteConversation).not.toHaveBeenCalled();
+    expect(container.querySelectorAll(".conversation-item")).toHaveLength(1);
+    expect(onDelete).toHaveBeenCalledWith("1");
+
+    document.querySelector("#toast .toast-action").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(StorageService.restoreConversation).toHaveBeenCalledWith("1");
+    expect(container.querySelectorAll(".conversation-item")).toHaveLength(2);
+  });
+
+  it("should list the trash with restore and delete actions", async () => {
+    StorageService.getTrash.mockResolvedValue([
+      { ...index[0], deletedAt: Date.now() },
+    ]);
+    const list = await createList();
+
+    await list.showTrash();
+
+    expect(StorageService.purgeTrash).toHaveBeenCalled();
+    const items = container.querySelectorAll(".conversation-item.trashed");
+    expect(items).toHaveLength(1);
+    expect(items[0].textContent).toContain("Trip planning");
+
+    items[0].querySelector(".delete-btn").click();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(StorageService.deleteConversation).toHaveBeenCalledWith("1");
+    expect(container.textContent).toContain("The trash is empty");
+  });
+});
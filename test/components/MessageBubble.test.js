@@ -402,6 +402,57 @@ describe("MessageBubble Component", () => {
     });
   });
 
+  describe("Stopped state", () => {
+    it("should render a stopped label when created as stopped", () => {
+      const messageBubble = new MessageBubble({
+        role: "assistant",
+        content: "Partial",
+        stopped: true,
+      });
+      const element = messageBubble.getElement();
+
+      expect(element.classList.contains("message-stopped")).toBe(true);
+      expect(element.querySelector(".message-status").textContent).toBe(
+        "Stopped"
+      );
+    });
+
+    it("should mark an existing message as stopped only once", () => {
+      const messageBubble = new MessageBubble({
+        role: "assistant",
+        content: "Partial",
+      });
+      const element = messageBubble.getElement();
+
+      expect(element.querySelector(".message-status")).toBeNull();
+
+      messageBubble.markStopped();
+      messageBubble.markStopped();
+
+      expect(element.classList.contains("message-stopped")).toBe(true);
+      expect(element.querySelectorAll(".message-status")).toHaveLength(1);
+    });
+  });
+
+  describe("Truncated state", () => {
+    it("should flag answers cut off at the token limit", () => {
+      const messageBubble = new MessageBubble({
+        role: "assistant",
+        content: "Long answer",
+      });
+      const element = messageBubble.getElement();
+
+      messageBubble.markTruncated();
+      messageBubble.markTruncated();
+
+      expect(element.classList.contains("message-truncated")).toBe(true);
+      expect(element.querySelectorAll(".message-status")).toHaveLength(1);
+      expect(element.querySelector(".message-status").textContent).toBe(
+        "Cut off at the token limit"
+      );
+    });
+  });
+
   describe("Removal", () => {
     it("should remove the message from the DOM", () => {
       const options = {
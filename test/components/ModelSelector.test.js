@@ -21,7 +21,7 @@ describe("ModelSelector Component", () => {
   const defaultOptions = {
     containerId: "model-selector",
     onChange: mockOnChange,
-    initialModel: "gpt-3.5-turbo",
+    initialModel: "openai:gpt-3.5-turbo",
     showProviderIcons: true,
     groupByProvider: true,
   };
@@ -83,19 +83,19 @@ describe("ModelSelector Component", () => {
       expect(options.length).toBe(sampleModels.length);
 
       // Initial model should be selected
-      const selectedOption = container.querySelector("option[selected]");
-      expect(selectedOption).not.toBeNull();
-      expect(selectedOption.value).toBe("gpt-3.5-turbo");
+      const selectedOption = select.selectedOptions[0];
+      expect(selectedOption).toBeDefined();
+      expect(selectedOption.value).toBe("openai:gpt-3.5-turbo");
     });
 
     it("should render models as a flat list when groupByProvider is false", async () => {
       // Create model selector with groupByProvider: false
-      const options = {
+      const flatOptions = {
         ...defaultOptions,
         groupByProvider: false,
       };
 
-      const modelSelector = new ModelSelector(options);
+      const modelSelector = new ModelSelector(flatOptions);
 
       // Wait for initialization to complete
       await new Promise((resolve) => setTimeout(resolve, 0));
@@ -128,7 +128,7 @@ describe("ModelSelector Component", () => {
       // Find Mistral option
       const mistralOption = Array.from(
         container.querySelectorAll("option")
-      ).find((option) => option.value === "mistral-medium");
+      ).find((option) => option.value === "mistral:mistral-medium");
 
       // Check that it's disabled
       expect(mistralOption.disabled).toBe(true);
@@ -148,17 +148,17 @@ describe("ModelSelector Component", () => {
       const select = container.querySelector("select");
 
       // Change selection to another model
-      select.value = "gpt-4";
+      select.value = "openai:gpt-4";
 
       // Trigger change event
       const event = new Event("change");
       select.dispatchEvent(event);
 
       // Check that onChange callback was called with the new model
-      expect(mockOnChange).toHaveBeenCalledWith("gpt-4");
+      expect(mockOnChange).toHaveBeenCalledWith("openai:gpt-4");
 
       // Check that selectedModel property was updated
-      expect(modelSelector.getSelectedModel()).toBe("gpt-4");
+      expect(modelSelector.getSelectedModel()).toBe("openai:gpt-4");
     });
   });
 
@@ -171,17 +171,21 @@ describe("ModelSelector Component", () => {
       await new Promise((resolve) => setTimeout(resolve, 0));
 
       // Check initial selection
-      expect(modelSelector.getSelectedModel()).toBe("gpt-3.5-turbo");
+      expect(modelSelector.getSelectedModel()).toBe("openai:gpt-3.5-turbo");
 
       // Change selection
-      modelSelector.setSelectedModel("claude-3-opus");
+      modelSelector.setSelectedModel("anthropic:claude-3-opus");
 
       // Check updated selection
-      expect(modelSelector.getSelectedModel()).toBe("claude-3-opus");
+      expect(modelSelector.getSelectedModel()).toBe("anthropic:claude-3-opus");
 
       // Check that select element was updated
       const select = container.querySelector("select");
-      expect(select.value).toBe("claude-3-opus");
+      expect(select.value).toBe("anthropic:claude-3-opus");
+
+      // Legacy model ids are qualified with their provider
+      modelSelector.setSelectedModel("gpt-4");
+      expect(modelSelector.getSelectedModel()).toBe("openai:gpt-4");
     });
 
     it("should update models list when updateModels is called", async () => {
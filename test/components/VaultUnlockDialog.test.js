@@ -0,0 +1,90 @@
+/**
+ * Tests for the VaultUnlockDialog component
+ */
+
+import VaultUnlockDialog from "@/components/VaultUnlockDialog";
+import * as KeyVault from "@/services/vault";
+
+// Mock the key vault service
+jest.mock("@/services/vault");
+
+describe("VaultUnlockDialog Component", () => {
+  let modal;
+  let dialog;
+
+  beforeEach(() => {
+    modal = document.createElement("div");
+    modal.id = "unlockVaultModal";
+    modal.innerHTML = `
+      <span class="close-btn">&times;</span>
+      <input type="password" id="vaultPassphraseInput">
+      <p class="vault-error"></p>
+      <button class="cancel-btn">Cancel</button>
+      <button class="unlock-btn">Unlock</button>
+    `;
+    document.body.appendChild(modal);
+
+    dialog = new VaultUnlockDialog({ modalId: "unlockVaultModal" });
+  });
+
+  afterEach(() => {
+    modal.remove();
+  });
+
+  /**
+   * Enters a passphrase and clicks Unlock
+   */
+  async function submit(passphrase) {
+    modal.querySelector("input").value = passphrase;
+    await dialog.handleUnlock();
+  }
+
+  it("should not prompt when the keys aren't locked", async () => {
+    KeyVault.getVaultStatus.mockResolvedValue({
+      enabled: true,
+      unlocked: true,
+    });
+
+    await expect(dialog.ensureUnlocked()).resolves.toBe(true);
+    expect(modal.style.display).not.toBe("block");
+  });
+
+  it("should resolve once the vault is unlocked", async () => {
+    KeyVault.getVaultStatus.mockResolvedValue({
+      enabled: true,
+      unlocked: false,
+    });
+    KeyVault.unlockVault.mockResolvedValue();
+
+    const unlocked = dialog.ensureUnlocked();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(modal.style.display).toBe("block");
+
+    await submit("correct horse");
+
+    await expect(unlocked).resolves.toBe(true);
+    expect(KeyVault.unlockVault).toHaveBeenCalledWith("correct horse");
+    expect(modal.style.display).toBe("none");
+  });
+
+  it("should stay open and show the error for a wrong passphrase", async () => {
+    KeyVault.unlockVault.mockRejectedValue(new Error("Incorrect passphrase"));
+
+    dialog.prompt();
+    await submit("wrong");
+
+    expect(modal.style.display).toBe("block");
+    expect(modal.querySelector(".vault-error").textContent).toBe(
+      "Incorrect passphrase"
+    );
+  });
+
+  it("should resolve to false when cancelled", async () => {
+    const unlocked = dialog.prompt();
+
+    modal.querySelector(".cancel-btn").click();
+
+    await expect(unlocked).resolves.toBe(false);
+    expect(modal.style.display).toBe("none");
+  });
+});
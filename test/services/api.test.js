@@ -2,8 +2,52 @@
  * Tests for the API service
  */
 
+import { TextDecoder, TextEncoder } from "util";
 import * as ApiService from "@/services/api";
 import * as SettingsService from "@/services/settings";
+import { isVaultLockedError } from "@/utils/errorHandler";
+
+global.TextDecoder = TextDecoder;
+
+/**
+ * Creates a fake streaming fetch response from SSE chunks
+ *
+ * @param {Array<string>} chunks - Raw text chunks
+ * @returns {Object} - Response-like object
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map((chunk) => encoder.encode(chunk));
+
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: () =>
+          Promise.resolve(
+            queue.length > 0
+              ? { done: false, value: queue.shift() }
+              : { done: true, value: undefined }
+          ),
+        releaseLock: () => {},
+      }),
+    },
+  };
+}
+
+/**
+ * Collects all events from an async iterable
+ *
+ * @param {AsyncIterable} stream - The stream to drain
+ * @returns {Promise<Array>} - The collected events
+ */
+async function collect(stream) {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+}
 
 // Mock the settings service
 jest.mock("@/services/settings");
@@ -78,9 +122,14 @@ describe("API Service", () => {
         })
       );
 
-      expect(openAIResponse).toEqual({
-        choices: [{ message: { content: "OpenAI response" } }],
-      });
+      expect(openAIResponse).toEqual(
+        expect.objectContaining({
+          text: "OpenAI response",
+          provider: "openai",
+          model: "gpt-3.5-turbo",
+          raw: { choices: [{ message: { content: "OpenAI response" } }] },
+        })
+      );
 
       // Reset fetch mock
       global.fetch.mockClear();
@@ -111,9 +160,13 @@ describe("API Service", () => {
         })
       );
 
-      expect(anthropicResponse).toEqual({
-        content: [{ text: "Anthropic response" }],
-      });
+      expect(anthropicResponse).toEqual(
+        expect.objectContaining({
+          text: "Anthropic response",
+          provider: "anthropic",
+          raw: { content: [{ text: "Anthropic response" }] },
+        })
+      );
 
       // Reset fetch mock
       global.fetch.mockClear();
@@ -138,9 +191,12 @@ describe("API Service", () => {
         })
       );
 
-      expect(mistralResponse).toEqual({
-        choices: [{ message: { content: "Mistral response" } }],
-      });
+      expect(mistralResponse).toEqual(
+        expect.objectContaining({
+          text: "Mistral response",
+          provider: "mistral",
+        })
+      );
     });
 
     it("should throw an error if API key is not configured", async () => {
@@ -187,6 +243,24 @@ describe("API Service", () => {
       );
     });
 
+    it("should rethrow abort errors unchanged", async () => {
+      const controller = new AbortController();
+      const abortError = new DOMException("Aborted", "AbortError");
+      global.fetch.mockRejectedValueOnce(abortError);
+
+      const params = {
+        model: "gpt-3.5-turbo",
+        messages: [{ role: "user", content: "Hello" }],
+        signal: controller.signal,
+      };
+
+      await expect(ApiService.getLLMResponse(params)).rejects.toBe(abortError);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "https://api.openai.com/v1/chat/completions",
+        expect.objectContaining({ signal: controller.signal })
+      );
+    });
+
     it("should handle network errors", async () => {
       // Mock a network error
       global.fetch.mockRejectedValueOnce(new Error("Network error"));
@@ -200,6 +274,398 @@ describe("API Service", () => {
         "Failed to call OpenAI API: Network error"
       );
     });
+
+    it("should call custom endpoints saved in settings without an API key", async () => {
+      SettingsService.getGlobalSettings.mockResolvedValue({
+        customEndpoints: [
+          {
+            id: "ollama",
+            name: "Local Ollama",
+            baseUrl: "http://localhost:11434/v1",
+            models: [{ id: "llama3:8b", name: "Llama 3 8B" }],
+          },
+        ],
+      });
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          choices: [{ message: { content: "Local response" } }],
+        }),
+      });
+
+      await ApiService.getLLMResponse({
+        model: "custom-ollama:llama3:8b",
+        messages: [{ role: "user", content: "Hello" }],
+      });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("http://localhost:11434/v1/chat/completions");
+      expect(options.headers).not.toHaveProperty("Authorization");
+    });
+
+    it("should not call custom endpoints whose secrets are locked", async () => {
+      SettingsService.getGlobalSettings.mockResolvedValue({
+        apiKeyVault: { version: 2, providers: [], endpoints: ["gateway"] },
+        customEndpoints: [
+          {
+            id: "gateway",
+            name: "Gateway",
+            baseUrl: "https://llm.example.com/v1",
+            apiKey: "",
+            headers: { Authorization: "" },
+            models: [{ id: "llama3", name: "llama3" }],
+          },
+        ],
+      });
+      chrome.storage.session.get.mockResolvedValue({});
+
+      const error = await ApiService.getLLMResponse({
+        model: "custom-gateway:llama3",
+        messages: [{ role: "user", content: "Hello" }],
+      }).catch((e) => e);
+
+      expect(isVaultLockedError(error)).toBe(true);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it("should route model references to the named provider", async () => {
+      SettingsService.getGlobalSetting.mockResolvedValue("test-api-key");
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          choices: [{ message: { content: "Routed response" } }],
+        }),
+      });
+
+      await ApiService.getLLMResponse({
+        model: "openrouter:openai/gpt-4o",
+        messages: [{ role: "user", content: "Hello" }],
+      });
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("https://openrouter.ai/api/v1/chat/completions");
+      expect(JSON.parse(options.body).model).toBe("openai/gpt-4o");
+    });
+  });
+
+  describe("normalized responses", () => {
+    it("should normalize an OpenAI-compatible response", async () => {
+      const payload = {
+        model: "gpt-4o-2024-08-06",
+        choices: [
+          {
+            message: {
+              content: "Checking",
+              tool_calls: [
+                {
+                  id: "call_1",
+                  type: "function",
+                  function: { name: "search", arguments: '{"q":"x"}' },
+                },
+              ],
+            },
+            finish_reason: "length",
+          },
+        ],
+        usage: { prompt_tokens: 9, completion_tokens: 40 },
+      };
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue(payload),
+      });
+
+      const response = await ApiService.getLLMResponse({
+        model: "openai:gpt-4o",
+        messages: [{ role: "user", content: "Hello" }],
+      });
+
+      expect(response).toEqual({
+        text: "Checking",
+        finishReason: "length",
+        truncated: true,
+        usage: { promptTokens: 9, completionTokens: 40 },
+        provider: "openai",
+        model: "openai:gpt-4o",
+        resolvedModel: "gpt-4o-2024-08-06",
+        toolCalls: [{ id: "call_1", name: "search", arguments: '{"q":"x"}' }],
+        raw: payload,
+        latency: expect.any(Number),
+      });
+    });
+
+    it("should join every Anthropic text block and map the stop reason", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          model: "claude-3-opus-20240229",
+          content: [
+            { type: "text", text: "Let me look. " },
+            { type: "tool_use", id: "tu_1", name: "search", input: { q: "x" } },
+            { type: "text", text: "Done." },
+          ],
+          stop_reason: "tool_use",
+          usage: { input_tokens: 20, output_tokens: 12 },
+        }),
+      });
+
+      const response = await ApiService.getLLMResponse({
+        model: "anthropic:claude-3-opus-latest",
+        messages: [{ role: "user", content: "Hello" }],
+      });
+
+      expect(response.text).toBe("Let me look. Done.");
+      expect(response.finishReason).toBe("tool_calls");
+      expect(response.truncated).toBe(false);
+      expect(response.toolCalls).toEqual([
+        { id: "tu_1", name: "search", arguments: '{"q":"x"}' },
+      ]);
+      expect(response.usage).toEqual({
+        promptTokens: 20,
+        completionTokens: 12,
+      });
+    });
+
+    it("should estimate usage when the API doesn't report it", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          choices: [{ message: { content: "Hi" } }],
+        }),
+      });
+
+      const response = await ApiService.getLLMResponse({
+        model: "mistral:mistral-small-latest",
+        messages: [{ role: "user", content: "Hello" }],
+      });
+
+      expect(response.finishReason).toBeNull();
+      expect(response.usage).toEqual({
+        promptTokens: expect.any(Number),
+        completionTokens: expect.any(Number),
+        estimated: true,
+      });
+    });
+  });
+
+  describe("streamLLMResponse", () => {
+    it("should stream deltas from an OpenAI-compatible API", async () => {
+      global.fetch.mockResolvedValueOnce(
+        createStreamResponse([
+          'data: {"model":"gpt-4-0613","choices":[{"delta":{"role":"assistant"}}]}\n\n',
+          'data: {"model":"gpt-4-0613","choices":[{"delta":{"content":"Hel"}}]}\n\n',
+          'data: {"model":"gpt-4-0613","choices":[{"delta":{"content":"lo"},"finish_reason":"stop"}]}\n\n',
+          'data: {"model":"gpt-4-0613","choices":[],"usage":{"prompt_tokens":8,"completion_tokens":2}}\n\ndata: [DONE]\n\n',
+        ])
+      );
+
+      const events = await collect(
+        ApiService.streamLLMResponse({
+          model: "gpt-4",
+          messages: [{ role: "user", content: "Hi" }],
+        })
+      );
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe("https://api.openai.com/v1/chat/completions");
+      expect(JSON.parse(options.body)).toEqual(
+        expect.objectContaining({
+          model: "gpt-4",
+          stream: true,
+          stream_options: { include_usage: true },
+        })
+      );
+
+      expect(events).toEqual([
+        { type: "delta", content: "Hel" },
+        { type: "delta", content: "lo" },
+        {
+          type: "done",
+          text: "Hello",
+          finishReason: "stop",
+          truncated: false,
+          provider: "openai",
+          model: "gpt-4",
+          resolvedModel: "gpt-4-0613",
+          usage: { promptTokens: 8, completionTokens: 2 },
+          toolCalls: [],
+          raw: null,
+          latency: expect.any(Number),
+        },
+      ]);
+    });
+
+    it("should retry rate-limited requests before streaming", async () => {
+      global.fetch
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 429,
+          headers: new Map([["retry-after", "0"]]),
+          json: jest.fn().mockResolvedValue({}),
+        })
+        .mockResolvedValueOnce(
+          createStreamResponse([
+            'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\ndata: [DONE]\n\n',
+          ])
+        );
+
+      const events = await collect(
+        ApiService.streamLLMResponse({
+          model: "openai:gpt-4",
+          messages: [{ role: "user", content: "Hi" }],
+        })
+      );
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(events[0]).toEqual({
+        type: "retry",
+        attempt: 2,
+        maxAttempts: 3,
+        delay: 0,
+      });
+      expect(events[1]).toEqual({ type: "delta", content: "Hi" });
+    });
+
+    it("should leave out old messages that exceed the context window", async () => {
+      global.fetch.mockResolvedValueOnce(
+        createStreamResponse([
+          'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\ndata: [DONE]\n\n',
+        ])
+      );
+
+      const events = await collect(
+        ApiService.streamLLMResponse({
+          model: "openai:gpt-4",
+          messages: [
+            { role: "system", content: "You are a helpful assistant." },
+            { role: "user", content: "x".repeat(40000) },
+            { role: "assistant", content: "Long answer" },
+            { role: "user", content: "Hi" },
+          ],
+          maxTokens: 2048,
+        })
+      );
+
+      const [, options] = global.fetch.mock.calls[0];
+      expect(JSON.parse(options.body).messages).toEqual([
+        { role: "system", content: "You are a helpful assistant." },
+        { role: "assistant", content: "Long answer" },
+        { role: "user", content: "Hi" },
+      ]);
+      expect(events[0]).toEqual({ type: "context", dropped: 1 });
+    });
+
+    it("should not retry authentication errors", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 401,
+        headers: new Map(),
+        json: jest.fn().mockResolvedValue({
+          error: { message: "Incorrect API key provided" },
+        }),
+      });
+
+      await expect(
+        collect(
+          ApiService.streamLLMResponse({
+            model: "openai:gpt-4",
+            messages: [{ role: "user", content: "Hi" }],
+          })
+        )
+      ).rejects.toThrow("OpenAI API Error: Incorrect API key provided");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should stream deltas from the Anthropic API", async () => {
+      global.fetch.mockResolvedValueOnce(
+        createStreamResponse([
+          'event: message_start\ndata: {"type":"message_start","message":{"model":"claude-3-opus-20240229","usage":{"input_tokens":12,"output_tokens":1}}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi "}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"there"}}\n\n',
+          'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"max_tokens"},"usage":{"output_tokens":5}}\n\n',
+          'event: message_stop\ndata: {"type":"message_stop"}\n\n',
+        ])
+      );
+
+      const events = await collect(
+        ApiService.streamLLMResponse({
+          model: "claude-3-opus",
+          messages: [
+            { role: "system", content: "Be brief" },
+            { role: "user", content: "Hi" },
+          ],
+        })
+      );
+
+      const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+      expect(body.system).toBe("Be brief");
+      expect(body.messages).toEqual([{ role: "user", content: "Hi" }]);
+      expect(body.stream).toBe(true);
+
+      expect(events.pop()).toEqual(
+        expect.objectContaining({
+          type: "done",
+          text: "Hi there",
+          finishReason: "length",
+          truncated: true,
+          resolvedModel: "claude-3-opus-20240229",
+          usage: { promptTokens: 12, completionTokens: 5 },
+        })
+      );
+      expect(events).toHaveLength(2);
+    });
+
+    it("should throw an API error when the request fails", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        json: jest.fn().mockResolvedValue({
+          error: { message: "Invalid API key" },
+        }),
+      });
+
+      await expect(
+        collect(
+          ApiService.streamLLMResponse({
+            model: "gpt-4",
+            messages: [{ role: "user", content: "Hi" }],
+          })
+        )
+      ).rejects.toThrow("OpenAI API Error: Invalid API key");
+    });
+
+    it("should pass the abort signal to fetch and rethrow abort errors", async () => {
+      const controller = new AbortController();
+      const abortError = new DOMException("Aborted", "AbortError");
+      global.fetch.mockRejectedValueOnce(abortError);
+
+      await expect(
+        collect(
+          ApiService.streamLLMResponse({
+            model: "gpt-4",
+            messages: [{ role: "user", content: "Hi" }],
+            signal: controller.signal,
+          })
+        )
+      ).rejects.toBe(abortError);
+
+      expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    });
+
+    it("should throw when the stream reports an error event", async () => {
+      global.fetch.mockResolvedValueOnce(
+        createStreamResponse([
+          'event: error\ndata: {"type":"error","error":{"message":"Overloaded"}}\n\n',
+        ])
+      );
+
+      await expect(
+        collect(
+          ApiService.streamLLMResponse({
+            model: "claude-3-opus",
+            messages: [{ role: "user", content: "Hi" }],
+          })
+        )
+      ).rejects.toThrow("Anthropic API Error: Overloaded");
+    });
   });
 
   describe("extractContentFromResponse", () => {
@@ -275,8 +741,8 @@ describe("API Service", () => {
   });
 
   describe("getAllAvailableModels", () => {
-    it("should return models for all providers with provider information", () => {
-      const allModels = ApiService.getAllAvailableModels();
+    it("should return models for all providers with provider information", async () => {
+      const allModels = await ApiService.getAllAvailableModels();
 
       expect(allModels).toBeInstanceOf(Array);
       expect(allModels.length).toBeGreaterThan(0);
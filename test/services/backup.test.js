@@ -0,0 +1,239 @@
+/**
+ * Tests for the backup service
+ */
+
+import * as BackupService from "@/services/backup";
+import * as StorageService from "@/services/storage";
+
+// Mock the storage service
+jest.mock("@/services/storage");
+
+describe("Backup Service", () => {
+  const exported = {
+    globalSettings: { apiKeyVault: null },
+    conversations: [{ id: "1" }, { id: "2" }],
+    exportDate: Date.UTC(2026, 9, 19, 8, 30),
+  };
+
+  beforeEach(() => {
+    global.chrome.downloads = {
+      download: jest.fn().mockResolvedValue(42),
+      removeFile: jest.fn().mockResolvedValue(),
+      erase: jest.fn().mockResolvedValue([]),
+      search: jest.fn().mockResolvedValue([{ id: 42, state: "complete" }]),
+      onChanged: { addListener: jest.fn(), removeListener: jest.fn() },
+    };
+    URL.createObjectURL = jest.fn(() => "blob:backup");
+    URL.revokeObjectURL = jest.fn();
+    StorageService.exportData.mockResolvedValue(JSON.stringify(exported));
+    StorageService.getBackups.mockResolvedValue([]);
+    StorageService.deleteBackups.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    delete global.chrome.downloads;
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  describe("getBackupOptions", () => {
+    it("should turn backups off by default", () => {
+      expect(BackupService.getBackupOptions({})).toEqual({
+        schedule: "off",
+        keep: 5,
+        includeKeys: false,
+      });
+      expect(
+        BackupService.getBackupOptions({ backupSchedule: "hourly" }).schedule
+      ).toBe("off");
+    });
+  });
+
+  describe("createBackup", () => {
+    it("should download the export and keep a copy", async () => {
+      const backup = await BackupService.createBackup({
+        backupSchedule: "daily",
+      });
+
+      expect(StorageService.exportData).toHaveBeenCalledWith({
+        includeApiKeys: false,
+        includeArchived: true,
+        keepSecrets: [],
+      });
+      expect(chrome.downloads.download).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: "blob:backup",
+          filename: "Sololom Backups/sololom-backup-2026-10-19T08-30-00.json",
+          saveAs: false,
+        })
+      );
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:backup");
+      expect(backup).toMatchObject({
+        downloadId: 42,
+        createdAt: exported.exportDate,
+        conversations: 2,
+        includesKeys: false,
+        redactedSecrets: [],
+      });
+      expect(StorageService.saveBackup).toHaveBeenCalledWith(
+        backup,
+        JSON.stringify(exported)
+      );
+    });
+
+    it("should free the file's URL once the download is over", async () => {
+      chrome.downloads.search.mockResolvedValue([
+        { id: 42, state: "in_progress" },
+      ]);
+      chrome.downloads.onChanged.addListener.mockImplementation((listener) => {
+        setTimeout(() => listener({ id: 42, state: { current: "complete" } }));
+      });
+
+      const backup = await BackupService.createBackup({});
+
+      expect(backup.downloadId).toBe(42);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:backup");
+      expect(chrome.downloads.onChanged.removeListener).toHaveBeenCalled();
+    });
+
+    it("should have an offscreen document create the URL in the background worker", async () => {
+      delete URL.createObjectURL;
+      chrome.runtime.getContexts = jest.fn().mockResolvedValue([]);
+      chrome.runtime.sendMessage.mockResolvedValue({ url: "blob:offscreen" });
+      global.chrome.offscreen = {
+        createDocument: jest.fn().mockResolvedValue(),
+        closeDocument: jest.fn().mockResolvedValue(),
+      };
+
+      try {
+        await BackupService.createBackup({});
+
+        expect(chrome.offscreen.createDocument).toHaveBeenCalledWith(
+          expect.objectContaining({ reasons: ["BLOBS"] })
+        );
+        expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+          expect.objectContaining({
+            target: "offscreen",
+            action: "createObjectUrl",
+            content: JSON.stringify(exported),
+          })
+        );
+        expect(chrome.downloads.download).toHaveBeenCalledWith(
+          expect.objectContaining({ url: "blob:offscreen" })
+        );
+        expect(chrome.offscreen.closeDocument).toHaveBeenCalled();
+      } finally {
+        delete chrome.runtime.getContexts;
+        delete global.chrome.offscreen;
+      }
+    });
+
+    it("should not record a download that was interrupted", async () => {
+      chrome.downloads.search.mockResolvedValue([
+        { id: 42, state: "interrupted" },
+      ]);
+
+      const backup = await BackupService.createBackup({});
+
+      expect(backup.downloadId).toBeNull();
+      expect(URL.revokeObjectURL).toHaveBeenCalled();
+    });
+
+    it("should keep encrypted keys when asked to", async () => {
+      await BackupService.createBackup({ backupIncludeKeys: true });
+
+      expect(StorageService.exportData).toHaveBeenCalledWith(
+        expect.objectContaining({ keepSecrets: ["apiKeyVault"] })
+      );
+    });
+
+    it("should keep backups in the extension without the downloads permission", async () => {
+      delete global.chrome.downloads;
+
+      const backup = await BackupService.createBackup({});
+
+      expect(backup.downloadId).toBeNull();
+      expect(StorageService.saveBackup).toHaveBeenCalledWith(
+        backup,
+        expect.any(String)
+      );
+    });
+
+    it("should remove the oldest backups and their files", async () => {
+      const older = { id: "older", downloadId: 1 };
+      StorageService.getBackups.mockResolvedValue([
+        { id: "new", downloadId: 3 },
+        { id: "newer", downloadId: 2 },
+        older,
+      ]);
+      StorageService.deleteBackups.mockResolvedValue([older]);
+      chrome.downloads.removeFile.mockRejectedValue(new Error("File missing"));
+
+      await BackupService.createBackup({ backupKeep: 2 });
+
+      expect(StorageService.deleteBackups).toHaveBeenCalledWith(["older"]);
+      expect(chrome.downloads.removeFile).toHaveBeenCalledWith(1);
+      expect(chrome.downloads.erase).toHaveBeenCalledWith({ id: 1 });
+    });
+
+    it("should keep removing files after one fails", async () => {
+      const older = [
+        { id: "older", downloadId: 2 },
+        { id: "oldest", downloadId: 1 },
+      ];
+      StorageService.getBackups.mockResolvedValue([{ id: "new" }, ...older]);
+      StorageService.deleteBackups.mockResolvedValue(older);
+      chrome.downloads.erase.mockRejectedValueOnce(new Error("Erase failed"));
+      jest.spyOn(console, "error").mockImplementation(() => {});
+
+      await BackupService.createBackup({ backupKeep: 1 });
+
+      expect(chrome.downloads.erase).toHaveBeenCalledWith({ id: 2 });
+      expect(chrome.downloads.erase).toHaveBeenCalledWith({ id: 1 });
+      expect(console.error).toHaveBeenCalledWith(
+        "Error removing backup file:",
+        expect.any(Error)
+      );
+    });
+  });
+
+  describe("scheduleBackups", () => {
+    beforeEach(() => {
+      global.chrome.alarms = {
+        get: jest.fn(),
+        create: jest.fn(),
+        clear: jest.fn(),
+      };
+    });
+
+    afterEach(() => {
+      delete global.chrome.alarms;
+    });
+
+    it("should schedule the chosen period", async () => {
+      await BackupService.scheduleBackups({ backupSchedule: "weekly" });
+
+      expect(chrome.alarms.create).toHaveBeenCalledWith(
+        BackupService.BACKUP_ALARM,
+        { delayInMinutes: 7 * 24 * 60, periodInMinutes: 7 * 24 * 60 }
+      );
+    });
+
+    it("should keep an alarm already on the schedule", async () => {
+      chrome.alarms.get.mockResolvedValue({ periodInMinutes: 24 * 60 });
+
+      await BackupService.scheduleBackups({ backupSchedule: "daily" });
+
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    it("should clear the alarm when backups are off", async () => {
+      await BackupService.scheduleBackups({ backupSchedule: "off" });
+
+      expect(chrome.alarms.clear).toHaveBeenCalledWith(
+        BackupService.BACKUP_ALARM
+      );
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Tests for the data import service
+ */
+
+import {
+  IMPORT_ACTIONS,
+  applyImport,
+  countAddedConversations,
+  previewImport,
+} from "@/services/dataImport.js";
+import * as StorageService from "@/services/storage";
+
+// Mock the storage service
+jest.mock("@/services/storage");
+
+const message = { role: "user", content: "Hi" };
+const stored = {
+  id: "1",
+  title: "Mine",
+  timestamp: 100,
+  messages: [message],
+};
+
+describe("Data Import Service", () => {
+  beforeEach(() => {
+    StorageService.getGlobalSettings.mockResolvedValue({
+      theme: "light",
+      apiKeys: { openai: "sk-mine" },
+      customEndpoints: [
+        {
+          id: "local",
+          name: "Local",
+          baseUrl: "http://localhost:1234",
+          apiKey: "secret",
+        },
+      ],
+    });
+    StorageService.getChatSettings.mockResolvedValue({});
+    StorageService.getConversationIds.mockResolvedValue(new Set(["1", "2"]));
+    StorageService.getConversationById.mockImplementation(async (id) =>
+      id === "1" ? stored : { ...stored, id: "2" }
+    );
+    StorageService.createIndexEntry.mockImplementation((c) => ({
+      id: c.id,
+      title: c.title,
+    }));
+  });
+
+  describe("previewImport", () => {
+    it("should reject files it can't import", async () => {
+      await expect(previewImport("not json")).rejects.toThrow("valid JSON");
+      await expect(
+        previewImport(JSON.stringify([{ uuid: "c", chat_messages: [] }]))
+      ).rejects.toThrow("This is a Claude export");
+      await expect(
+        previewImport(JSON.stringify({ conversations: {} }))
+      ).rejects.toThrow("aren't a list");
+      await expect(previewImport(JSON.stringify(42))).rejects.toThrow(
+        "doesn't contain Sololom data"
+      );
+    });
+
+    it("should list the settings a settings file changes", async () => {
+      const preview = await previewImport(
+        JSON.stringify({
+          theme: "dark",
+          fontSize: 12,
+          apiKeys: { openai: "[API_KEY]" },
+          customEndpoints: [
+            {
+              id: "local",
+              name: "Local",
+              baseUrl: "http://localhost:1234",
+              apiKey: "[API_KEY]",
+            },
+          ],
+        })
+      );
+
+      expect(preview.warnings).toEqual([
+        'Setting "fontSize" has an invalid value and is skipped',
+      ]);
+      // Placeholders aren't offered as keys and endpoints keep their keys
+      expect(preview.settings).toEqual([
+        expect.objectContaining({
+          id: "globalSettings.theme",
+          current: "light",
+          incoming: "dark",
+          defaultAction: IMPORT_ACTIONS.TAKE_THEIRS,
+        }),
+      ]);
+    });
+
+    it("should describe API keys instead of showing them", async () => {
+      const { settings } = await previewImport(
+        JSON.stringify({
+          globalSettings: { apiKeys: { mistral: "sk-theirs" } },
+        })
+      );
+
+      expect(settings).toEqual([
+        expect.objectContaining({
+          key: "apiKeys",
+          current: "1 key(s)",
+          incoming: "1 key(s)",
+          defaultAction: IMPORT_ACTIONS.KEEP_MINE,
+        }),
+      ]);
+    });
+
+    it("should sort conversations into new, colliding and unchanged", async () => {
+      const { conversations } = await previewImport(
+        JSON.stringify({
+          conversations: [
+            stored,
+            { ...stored, id: 2, title: "Theirs" },
+            { id: "3", title: "New", messages: [message] },
+            { id: "3", title: "Repeat", messages: [message] },
+          ],
+        })
+      );
+
+      expect(conversations.unchanged).toBe(1);
+      expect(conversations.added).toEqual([
+        expect.objectContaining({
+          id: "3",
+          incoming: expect.objectContaining({ title: "New" }),
+        }),
+      ]);
+      expect(conversations.conflicts).toEqual([
+        expect.objectContaining({
+          id: "2",
+          current: { id: "2", title: "Mine" },
+          defaultAction: IMPORT_ACTIONS.KEEP_MINE,
+        }),
+      ]);
+    });
+  });
+
+  describe("countAddedConversations", () => {
+    it("should count new conversations and copies", async () => {
+      const preview = await previewImport(
+        JSON.stringify({
+          conversations: [
+            { ...stored, id: "2", title: "Theirs" },
+            { id: "3", title: "New", messages: [message] },
+            { id: "4", title: "Also new", messages: [message] },
+          ],
+        })
+      );
+
+      expect(countAddedConversations(preview)).toBe(2);
+      expect(
+        countAddedConversations(preview, {
+          conversations: {
+            2: IMPORT_ACTIONS.KEEP_BOTH,
+            4: IMPORT_ACTIONS.KEEP_MINE,
+          },
+        })
+      ).toBe(2);
+    });
+  });
+
+  describe("applyImport", () => {
+    it("should write only what was chosen", async () => {
+      const preview = await previewImport(
+        JSON.stringify({
+          globalSettings: {
+            theme: "dark",
+            maxConversations: 50,
+            apiKeys: { mistral: "sk-theirs", openai: "[API_KEY]" },
+          },
+          conversations: [
+            { ...stored, id: "1", title: "Theirs" },
+            { ...stored, id: "2", title: "Copy" },
+            { id: "3", title: "New", messages: [message] },
+            { id: "4", title: "Skipped", messages: [message] },
+          ],
+        })
+      );
+
+      const result = await applyImport(preview, {
+        settings: {
+          "globalSettings.maxConversations": IMPORT_ACTIONS.KEEP_MINE,
+          "globalSettings.apiKeys": IMPORT_ACTIONS.TAKE_THEIRS,
+        },
+        conversations: {
+          1: IMPORT_ACTIONS.TAKE_THEIRS,
+          2: IMPORT_ACTIONS.KEEP_BOTH,
+          4: IMPORT_ACTIONS.KEEP_MINE,
+        },
+      });
+
+      expect(result).toEqual({
+        settings: 2,
+        added: 1,
+        replaced: 1,
+        copied: 1,
+        kept: 0,
+      });
+
+      const saved = StorageService.saveGlobalSettings.mock.calls[0][0];
+      expect(saved).toMatchObject({ theme: "dark", maxConversations: 100 });
+      expect(saved.apiKeys).toMatchObject({
+        openai: "sk-mine",
+        mistral: "sk-theirs",
+      });
+      expect(StorageService.saveChatSettings).not.toHaveBeenCalled();
+
+      const [added] = StorageService.addConversations.mock.calls[0];
+      expect(added).toEqual([
+        expect.objectContaining({ id: "3" }),
+        expect.objectContaining({ title: "Copy (imported)" }),
+      ]);
+      expect(added[1].id).not.toBe("2");
+      expect(StorageService.saveConversation).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "1", title: "Theirs" })
+      );
+    });
+
+    it("should keep the stored secrets the file left out", async () => {
+      const preview = await previewImport(
+        JSON.stringify({
+          apiKeys: { openai: "[API_KEY]", mistral: "sk-theirs" },
+          customEndpoints: [
+            {
+              id: "local",
+              name: "Renamed",
+              baseUrl: "http://localhost:1234",
+              apiKey: "[API_KEY]",
+            },
+          ],
+        })
+      );
+
+      await applyImport(preview, {
+        settings: { "globalSettings.apiKeys": IMPORT_ACTIONS.TAKE_THEIRS },
+      });
+
+      const saved = StorageService.saveGlobalSettings.mock.calls[0][0];
+      expect(saved.customEndpoints).toEqual([
+        {
+          id: "local",
+          name: "Renamed",
+          baseUrl: "http://localhost:1234",
+          apiKey: "secret",
+        },
+      ]);
+      expect(saved.apiKeys).toMatchObject({
+        openai: "sk-mine",
+        mistral: "sk-theirs",
+      });
+    });
+
+    it("should import data without overwriting existing data by default", async () => {
+      const preview = await previewImport(
+        JSON.stringify({
+          globalSettings: { theme: "dark", defaultModel: "gpt-3.5-turbo" },
+          chatSettings: { model: "claude-3-opus" },
+          conversations: [{ id: "3", title: "Imported", messages: [message] }],
+        })
+      );
+
+      await applyImport(preview);
+
+      expect(StorageService.saveGlobalSettings).toHaveBeenCalledWith(
+        expect.objectContaining({
+          theme: "dark",
+          defaultModel: "openai:gpt-3.5-turbo",
+          apiKeys: expect.objectContaining({ openai: "sk-mine" }),
+        })
+      );
+      expect(StorageService.saveChatSettings).toHaveBeenCalledWith(
+        expect.objectContaining({ model: "anthropic:claude-3-opus" })
+      );
+      expect(StorageService.addConversations).toHaveBeenCalledWith([
+        expect.objectContaining({ id: "3", title: "Imported" }),
+      ]);
+      expect(StorageService.saveConversation).not.toHaveBeenCalled();
+    });
+
+    it("should not import placeholder API keys", async () => {
+      const preview = await previewImport(
+        JSON.stringify({
+          globalSettings: {
+            apiKeys: {
+              openai: "[API_KEY]",
+              anthropic: "new-key",
+              mistral: "[API_KEY]",
+            },
+          },
+        })
+      );
+
+      await applyImport(preview, {
+        settings: { "globalSettings.apiKeys": IMPORT_ACTIONS.TAKE_THEIRS },
+      });
+
+      expect(StorageService.saveGlobalSettings).toHaveBeenCalledWith(
+        expect.objectContaining({
+          apiKeys: expect.objectContaining({
+            openai: "sk-mine", // Kept existing
+            anthropic: "new-key", // Imported
+            mistral: "", // Kept existing
+          }),
+        })
+      );
+    });
+
+    it("should replace the current keys with imported encrypted keys", async () => {
+      const apiKeyVault = { iv: "iv", data: "data", providers: ["openai"] };
+      const preview = await previewImport(
+        JSON.stringify({
+          globalSettings: { apiKeys: { openai: "" }, apiKeyVault },
+        })
+      );
+
+      await applyImport(preview, {
+        settings: { "globalSettings.apiKeys": IMPORT_ACTIONS.TAKE_THEIRS },
+      });
+
+      const saved = StorageService.saveGlobalSettings.mock.calls[0][0];
+      expect(saved.apiKeyVault).toEqual(apiKeyVault);
+      expect(saved.apiKeys).toMatchObject({ openai: "", anthropic: "" });
+    });
+
+    it("should keep stored conversations and keys by default", async () => {
+      const preview = await previewImport(
+        JSON.stringify({
+          globalSettings: { apiKeys: { openai: "sk-theirs" } },
+          conversations: [{ ...stored, title: "Theirs" }],
+        })
+      );
+
+      await expect(applyImport(preview)).resolves.toMatchObject({
+        settings: 0,
+        kept: 1,
+      });
+      expect(StorageService.saveGlobalSettings).not.toHaveBeenCalled();
+      expect(StorageService.addConversations).not.toHaveBeenCalled();
+      expect(StorageService.saveConversation).not.toHaveBeenCalled();
+    });
+  });
+});
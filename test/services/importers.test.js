@@ -0,0 +1,264 @@
+/**
+ * Tests for the conversation importers
+ */
+
+import {
+  detectImporter,
+  parseExport,
+  importConversations,
+  prepareImport,
+  saveImport,
+} from "@/services/importers/index.js";
+import {
+  getCurrentBranch,
+  getModelForSlug,
+} from "@/services/importers/chatgpt.js";
+import * as StorageService from "@/services/storage";
+
+// Mock the storage service
+jest.mock("@/services/storage");
+
+/**
+ * Creates a ChatGPT message node
+ */
+function node(id, parent, role, text, extra = {}) {
+  return {
+    id,
+    parent,
+    children: [],
+    message: role && {
+      author: { role },
+      content: { content_type: "text", parts: [text] },
+      create_time: 1700000000,
+      ...extra,
+    },
+  };
+}
+
+// A ChatGPT conversation whose first answer was regenerated
+const chatgptExport = [
+  {
+    conversation_id: "abc",
+    title: "Regenerated",
+    create_time: 1700000000,
+    update_time: 1700000100.5,
+    current_node: "answer-2",
+    mapping: {
+      root: node("root", null),
+      system: node("system", "root", "system", "", {
+        metadata: { is_visually_hidden_from_conversation: true },
+      }),
+      question: node("question", "system", "user", "Hi?"),
+      "answer-1": node("answer-1", "question", "assistant", "First", {
+        metadata: { model_slug: "gpt-4" },
+      }),
+      "answer-2": node("answer-2", "question", "assistant", "Second", {
+        metadata: { model_slug: "gpt-4o" },
+      }),
+    },
+  },
+  {
+    conversation_id: "empty",
+    title: "Nothing said",
+    current_node: "root",
+    mapping: { root: node("root", null) },
+  },
+];
+
+const claudeExport = [
+  {
+    uuid: "c-1",
+    name: "",
+    created_at: "2024-05-01T10:00:00Z",
+    updated_at: "2024-05-01T10:05:00Z",
+    chat_messages: [
+      {
+        sender: "human",
+        text: "Explain tides",
+        created_at: "2024-05-01T10:00:00Z",
+      },
+      {
+        sender: "assistant",
+        text: "",
+        content: [
+          { type: "text", text: "The moon pulls" },
+          { type: "tool_use", name: "search" },
+          { type: "text", text: "the oceans." },
+        ],
+        created_at: "2024-05-01T10:05:00Z",
+      },
+    ],
+  },
+];
+
+describe("Conversation Importers", () => {
+  describe("detectImporter", () => {
+    it("should recognise ChatGPT and Claude exports", () => {
+      expect(detectImporter(chatgptExport).id).toBe("chatgpt");
+      expect(detectImporter(claudeExport).id).toBe("claude");
+    });
+
+    it("should not recognise other files", () => {
+      expect(detectImporter({ globalSettings: {} })).toBeNull();
+      expect(detectImporter([])).toBeNull();
+    });
+  });
+
+  describe("ChatGPT", () => {
+    it("should follow the branch ending at the current node", () => {
+      const { mapping } = chatgptExport[0];
+
+      expect(getCurrentBranch(mapping, "answer-2").map((n) => n.id)).toEqual([
+        "root",
+        "system",
+        "question",
+        "answer-2",
+      ]);
+    });
+
+    it("should map ChatGPT model slugs to models the API serves", () => {
+      expect(getModelForSlug("text-davinci-002-render-sha")).toBe(
+        "openai:gpt-3.5-turbo"
+      );
+      expect(getModelForSlug("gpt-4o-canmore")).toBe("openai:gpt-4o");
+      expect(getModelForSlug("gpt-4o-mini")).toBe("openai:gpt-4o-mini");
+      expect(getModelForSlug("gpt-4-browsing")).toBe("openai:gpt-4");
+      expect(getModelForSlug("gpt-4-5")).toBeNull();
+      expect(getModelForSlug("auto")).toBeNull();
+    });
+
+    it("should fall back to the default model for unknown slugs", () => {
+      const [conversation] = parseExport(
+        JSON.stringify([
+          {
+            ...chatgptExport[0],
+            default_model_slug: "auto",
+            mapping: {
+              ...chatgptExport[0].mapping,
+              "answer-2": node("answer-2", "question", "assistant", "Second", {
+                metadata: { model_slug: "auto" },
+              }),
+            },
+          },
+        ])
+      ).conversations;
+
+      expect(conversation.model).toBe("openai:gpt-4o");
+      expect(conversation.messages[1]).not.toHaveProperty("model");
+    });
+
+    it("should map the current branch to a conversation", () => {
+      const { conversations, skipped } = parseExport(
+        JSON.stringify(chatgptExport)
+      );
+
+      expect(conversations).toEqual([
+        expect.objectContaining({
+          id: "chatgpt-abc",
+          title: "Regenerated",
+          model: "openai:gpt-4o",
+          timestamp: 1700000100500,
+          source: { app: "chatgpt", id: "abc" },
+          messages: [
+            { role: "user", content: "Hi?", timestamp: 1700000000000 },
+            {
+              role: "assistant",
+              content: "Second",
+              model: "openai:gpt-4o",
+              timestamp: 1700000000000,
+            },
+          ],
+        }),
+      ]);
+      expect(skipped).toBe(1);
+    });
+  });
+
+  describe("Claude", () => {
+    it("should map messages and name untitled conversations", () => {
+      const [conversation] = parseExport(
+        JSON.stringify(claudeExport)
+      ).conversations;
+
+      expect(conversation).toMatchObject({
+        id: "claude-c-1",
+        title: "Explain tides",
+        model: "anthropic:claude-3-5-sonnet-latest",
+        timestamp: Date.parse("2024-05-01T10:05:00Z"),
+      });
+      expect(conversation.messages).toEqual([
+        expect.objectContaining({ role: "user", content: "Explain tides" }),
+        expect.objectContaining({
+          role: "assistant",
+          content: "The moon pulls\nthe oceans.",
+        }),
+      ]);
+    });
+  });
+
+  describe("parseExport", () => {
+    it("should reject files it can't read", () => {
+      expect(() => parseExport("not json")).toThrow("valid JSON");
+      expect(() => parseExport('{"conversations": []}')).toThrow(
+        "isn't a ChatGPT or Claude export"
+      );
+    });
+  });
+
+  describe("prepareImport", () => {
+    it("should find the new conversations without storing them", async () => {
+      StorageService.getConversationIds.mockResolvedValue(new Set());
+
+      const prepared = await prepareImport(JSON.stringify(claudeExport));
+
+      expect(prepared).toMatchObject({ source: "Claude", duplicates: 0 });
+      expect(prepared.conversations).toEqual([
+        expect.objectContaining({ id: "claude-c-1" }),
+      ]);
+      expect(StorageService.addConversations).not.toHaveBeenCalled();
+
+      await expect(saveImport(prepared)).resolves.toMatchObject({
+        imported: 1,
+      });
+      expect(StorageService.addConversations).toHaveBeenCalledWith(
+        prepared.conversations
+      );
+    });
+  });
+
+  describe("importConversations", () => {
+    it("should add new conversations and skip ones imported before", async () => {
+      StorageService.getConversationIds.mockResolvedValue(
+        new Set(["chatgpt-abc"])
+      );
+
+      const result = await importConversations(
+        JSON.stringify([
+          ...chatgptExport,
+          { ...chatgptExport[0], conversation_id: "def" },
+        ])
+      );
+
+      expect(result).toEqual({
+        source: "ChatGPT",
+        imported: 1,
+        duplicates: 1,
+        skipped: 1,
+      });
+      expect(StorageService.addConversations).toHaveBeenCalledWith([
+        expect.objectContaining({ id: "chatgpt-def" }),
+      ]);
+    });
+
+    it("should not write anything when everything was imported before", async () => {
+      StorageService.getConversationIds.mockResolvedValue(
+        new Set(["claude-c-1"])
+      );
+
+      await expect(
+        importConversations(JSON.stringify(claudeExport))
+      ).resolves.toMatchObject({ imported: 0, duplicates: 1 });
+      expect(StorageService.addConversations).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Tests for the generation jobs service
+ */
+
+import * as JobsService from "@/services/jobs";
+import * as ApiService from "@/services/api";
+import * as StorageService from "@/services/storage";
+import * as SettingsService from "@/services/settings";
+
+// Mock the services a job talks to
+jest.mock("@/services/api");
+jest.mock("@/services/storage");
+jest.mock("@/services/settings");
+
+describe("Jobs Service", () => {
+  let stored;
+
+  const conversation = {
+    id: "conv-1",
+    model: "openai:gpt-4o",
+    messages: [{ role: "user", content: "Hello" }],
+  };
+
+  const request = {
+    model: "openai:gpt-4o",
+    messages: conversation.messages,
+  };
+
+  /**
+   * Creates a stream yielding the given events, then optionally failing
+   */
+  const streamOf = (events, error) =>
+    async function* stream() {
+      for (const event of events) {
+        yield event;
+      }
+      if (error) throw error;
+    };
+
+  const consume = async (generator) => {
+    const events = [];
+    for await (const event of generator) {
+      events.push(event);
+    }
+    return events;
+  };
+
+  beforeEach(() => {
+    stored = {};
+    chrome.storage.local.get.mockImplementation(async (key) => ({
+      [key]: stored[key],
+    }));
+    chrome.storage.local.set.mockImplementation(async (items) => {
+      Object.assign(stored, items);
+    });
+  });
+
+  describe("createJob", () => {
+    it("should store a running job and save the question", async () => {
+      const job = await JobsService.createJob({
+        conversation,
+        request,
+        saveHistory: true,
+      });
+
+      expect(job).toMatchObject({
+        conversationId: "conv-1",
+        status: JobsService.JOB_STATUS.RUNNING,
+        content: "",
+        seen: false,
+      });
+      expect(await JobsService.getJob(job.id)).toEqual(job);
+      expect(StorageService.saveConversation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: "conv-1",
+          messages: conversation.messages,
+        })
+      );
+    });
+
+    it("should keep the fields of an already stored conversation", async () => {
+      StorageService.getConversationById.mockResolvedValue({
+        id: "conv-1",
+        title: "Greetings",
+        systemPrompt: "Be brief.",
+        messages: [],
+      });
+
+      await JobsService.createJob({ conversation, request, saveHistory: true });
+
+      expect(StorageService.saveConversation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          id: "conv-1",
+          title: "Greetings",
+          systemPrompt: "Be brief.",
+          messages: conversation.messages,
+        })
+      );
+    });
+
+    it("should not save the conversation when history is off", async () => {
+      await JobsService.createJob({
+        conversation,
+        request,
+        saveHistory: false,
+      });
+
+      expect(StorageService.saveConversation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateJob", () => {
+    it("should merge changes into the stored job", async () => {
+      const job = await JobsService.createJob({ conversation, request });
+
+      const updated = await JobsService.updateJob(job.id, { seen: true });
+
+      expect(updated.seen).toBe(true);
+      expect((await JobsService.getJob(job.id)).seen).toBe(true);
+    });
+
+    it("should return null for unknown jobs", async () => {
+      expect(await JobsService.updateJob("missing", { seen: true })).toBeNull();
+    });
+
+    it("should keep concurrent changes to other jobs", async () => {
+      const [first, second] = await Promise.all([
+        JobsService.createJob({ conversation, request }),
+        JobsService.createJob({ conversation, request }),
+      ]);
+
+      await Promise.all([
+        JobsService.updateJob(first.id, { content: "First" }),
+        JobsService.updateJob(second.id, { content: "Second" }),
+      ]);
+
+      expect((await JobsService.getJob(first.id)).content).toBe("First");
+      expect((await JobsService.getJob(second.id)).content).toBe("Second");
+    });
+  });
+
+  describe("getLatestUnseenJob", () => {
+    it("should return the newest job that hasn't been shown", async () => {
+      stored.generationJobs = {
+        a: { id: "a", seen: false, createdAt: 1 },
+        b: { id: "b", seen: false, createdAt: 3 },
+        c: { id: "c", seen: true, createdAt: 5 },
+      };
+
+      expect((await JobsService.getLatestUnseenJob()).id).toBe("b");
+    });
+  });
+
+  describe("interruptRunningJobs", () => {
+    it("should mark jobs left running as failed", async () => {
+      stored.generationJobs = {
+        a: { id: "a", status: "running" },
+        b: { id: "b", status: "done" },
+      };
+
+      expect(await JobsService.interruptRunningJobs()).toBe(1);
+      expect(stored.generationJobs.a.status).toBe("error");
+      expect(stored.generationJobs.a.error).toMatch(/interrupted/);
+      expect(stored.generationJobs.b.status).toBe("done");
+    });
+  });
+
+  describe("pruneJobs", () => {
+    it("should delete finished jobs past the retention period", async () => {
+      const now = JobsService.JOB_RETENTION * 2;
+      stored.generationJobs = {
+        old: { id: "old", status: "done", updatedAt: 0 },
+        recent: { id: "recent", status: "done", updatedAt: now },
+        running: { id: "running", status: "running", updatedAt: 0 },
+      };
+
+      expect(await JobsService.pruneJobs(now)).toBe(1);
+      expect(Object.keys(stored.generationJobs)).toEqual(["recent", "running"]);
+    });
+  });
+
+  describe("runJob", () => {
+    it("should store the answer and add it to the conversation", async () => {
+      const done = {
+        type: "done",
+        text: "Hi there",
+        model: "openai:gpt-4o",
+        usage: { promptTokens: 3, completionTokens: 2 },
+      };
+      ApiService.streamLLMResponse.mockImplementation(
+        streamOf([
+          { type: "delta", content: "Hi " },
+          { type: "delta", content: "there" },
+          done,
+        ])
+      );
+      StorageService.getConversationById.mockResolvedValue(conversation);
+
+      const job = await JobsService.createJob({
+        conversation,
+        request,
+        saveHistory: true,
+      });
+      const events = await consume(JobsService.runJob(job, null));
+
+      expect(events).toHaveLength(3);
+      expect(await JobsService.getJob(job.id)).toMatchObject({
+        status: "done",
+        content: "Hi there",
+        response: done,
+      });
+      expect(StorageService.saveConversation).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messages: [
+            ...conversation.messages,
+            expect.objectContaining({ role: "assistant", content: "Hi there" }),
+          ],
+        })
+      );
+    });
+
+    it("should keep the partial answer of a stopped job", async () => {
+      const abortError = new Error("Aborted");
+      abortError.name = "AbortError";
+      ApiService.streamLLMResponse.mockImplementation(
+        streamOf([{ type: "delta", content: "Part" }], abortError)
+      );
+      SettingsService.getGlobalSetting.mockResolvedValue("keep");
+      StorageService.getConversationById.mockResolvedValue(null);
+
+      const job = await JobsService.createJob({
+        conversation,
+        request,
+        saveHistory: true,
+      });
+
+      await expect(consume(JobsService.runJob(job, null))).rejects.toBe(
+        abortError
+      );
+      expect((await JobsService.getJob(job.id)).status).toBe("stopped");
+      expect(StorageService.saveConversation).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          messages: [
+            ...conversation.messages,
+            { role: "assistant", content: "Part", stopped: true },
+          ],
+        })
+      );
+    });
+
+    it("should record errors without saving an answer", async () => {
+      ApiService.streamLLMResponse.mockImplementation(
+        streamOf([], new Error("Rate limited"))
+      );
+
+      const job = await JobsService.createJob({
+        conversation,
+        request,
+        saveHistory: true,
+      });
+
+      await expect(consume(JobsService.runJob(job, null))).rejects.toThrow(
+        "Rate limited"
+      );
+      expect(await JobsService.getJob(job.id)).toMatchObject({
+        status: "error",
+        error: "Rate limited",
+      });
+      expect(StorageService.saveConversation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for the migrations service
+ */
+
+import { moveConversationsToLocal, runMigrations } from "@/services/migrations";
+import { SCHEMA_VERSION } from "@/services/schema";
+import * as StorageService from "@/services/storage";
+
+// Mock the storage service
+jest.mock("@/services/storage");
+
+describe("Migrations Service", () => {
+  /**
+   * Makes the storage service resolve to the given data
+   *
+   * @param {Object} data - Stored data
+   */
+  function mockStoredData({ conversations, ...settings }) {
+    chrome.storage.sync.get.mockResolvedValue({});
+    chrome.storage.local.get.mockResolvedValue({});
+    StorageService.getStoredSettings.mockResolvedValue(settings);
+    StorageService.getConversations.mockResolvedValue(conversations || []);
+  }
+
+  /**
+   * Gets the settings written by the last migration
+   *
+   * @returns {Object} - Values passed to the storage service
+   */
+  function getWrittenSettings() {
+    return {
+      globalSettings: StorageService.saveGlobalSettings.mock.calls[0][0],
+      chatSettings: StorageService.saveChatSettings.mock.calls[0][0],
+      schemaVersion: StorageService.saveSchemaVersion.mock.calls[0][0],
+    };
+  }
+
+  describe("runMigrations", () => {
+    it("should qualify stored model ids with their provider", async () => {
+      mockStoredData({
+        globalSettings: { theme: "dark", defaultModel: "claude-3-opus" },
+        chatSettings: { model: "openrouter/google/gemini-pro" },
+        conversations: [
+          { id: "1", model: "mistral-medium" },
+          { id: "2", model: "meta-llama/llama-3-8b-instruct" },
+          { id: "3" },
+        ],
+      });
+
+      await expect(runMigrations()).resolves.toBe(true);
+
+      expect(getWrittenSettings()).toEqual({
+        globalSettings: expect.objectContaining({
+          theme: "dark",
+          defaultModel: "anthropic:claude-3-opus",
+        }),
+        chatSettings: expect.objectContaining({
+          model: "openrouter:google/gemini-pro",
+        }),
+        schemaVersion: SCHEMA_VERSION,
+      });
+      expect(StorageService.saveConversations).toHaveBeenCalledWith([
+        { id: "1", model: "mistral:mistral-medium" },
+        { id: "2", model: "openrouter:meta-llama/llama-3-8b-instruct" },
+        { id: "3" },
+      ]);
+    });
+
+    it("should qualify Mistral's older model families", async () => {
+      mockStoredData({
+        globalSettings: { defaultModel: "open-mixtral-8x7b" },
+        chatSettings: { model: "codestral-latest" },
+      });
+
+      await runMigrations();
+
+      const { globalSettings, chatSettings } = getWrittenSettings();
+      expect(globalSettings.defaultModel).toBe("mistral:open-mixtral-8x7b");
+      expect(chatSettings.model).toBe("mistral:codestral-latest");
+    });
+
+    it("should map custom endpoint models to their endpoint", async () => {
+      mockStoredData({
+        globalSettings: {
+          defaultModel: "llama3:8b",
+          customEndpoints: [
+            {
+              id: "local",
+              name: "Ollama",
+              baseUrl: "http://localhost:11434/v1",
+              models: [{ id: "llama3:8b", name: "Llama 3 8B" }],
+            },
+          ],
+        },
+      });
+
+      await runMigrations();
+
+      expect(getWrittenSettings().globalSettings.defaultModel).toBe(
+        "custom-local:llama3:8b"
+      );
+    });
+
+    it("should move the popup's history options to the global settings", async () => {
+      mockStoredData({
+        globalSettings: { theme: "dark" },
+        chatSettings: { model: "openai:gpt-4o", saveHistory: false },
+      });
+
+      await runMigrations();
+
+      const { globalSettings, chatSettings } = getWrittenSettings();
+      expect(globalSettings.saveConversations).toBe(false);
+      expect(chatSettings).not.toHaveProperty("saveHistory");
+    });
+
+    it("should fill missing and invalid settings with their defaults", async () => {
+      mockStoredData({
+        globalSettings: {
+          theme: "dark",
+          maxConversations: "lots",
+          apiKeys: { openai: "sk-test" },
+        },
+      });
+
+      await runMigrations();
+
+      const { globalSettings, chatSettings } = getWrittenSettings();
+      expect(globalSettings).toMatchObject({
+        theme: "dark",
+        maxConversations: 100,
+        partialResponses: "keep",
+        apiKeys: { openai: "sk-test", openrouter: "" },
+      });
+      expect(chatSettings.systemPrompt).toBe("You are a helpful assistant.");
+      expect(StorageService.saveConversations).not.toHaveBeenCalled();
+    });
+
+    it("should leave data at the current version untouched", async () => {
+      mockStoredData({
+        schemaVersion: SCHEMA_VERSION,
+        globalSettings: { defaultModel: "gpt-4o" },
+      });
+
+      await expect(runMigrations()).resolves.toBe(false);
+      expect(StorageService.saveGlobalSettings).not.toHaveBeenCalled();
+      expect(StorageService.saveSchemaVersion).not.toHaveBeenCalled();
+      expect(StorageService.saveConversations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("moveConversationsToLocal", () => {
+    beforeEach(() => {
+      chrome.storage.sync.remove.mockResolvedValue();
+      chrome.storage.local.remove.mockResolvedValue();
+      StorageService.saveConversations.mockResolvedValue(true);
+    });
+
+    it("should move conversation arrays into records", async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        conversations: [
+          { id: "1", title: "Sync copy" },
+          { id: "2", title: "Only in sync" },
+        ],
+      });
+      chrome.storage.local.get.mockResolvedValue({
+        conversations: [{ id: "3", title: "Only in local" }],
+      });
+      StorageService.getConversations.mockResolvedValue([
+        { id: "1", title: "Record" },
+      ]);
+
+      await expect(moveConversationsToLocal()).resolves.toBe(true);
+
+      expect(StorageService.saveConversations).toHaveBeenCalledWith([
+        { id: "1", title: "Record" },
+        { id: "3", title: "Only in local" },
+        { id: "2", title: "Only in sync" },
+      ]);
+      expect(chrome.storage.sync.remove).toHaveBeenCalledWith("conversations");
+      expect(chrome.storage.local.remove).toHaveBeenCalledWith("conversations");
+    });
+
+    it("should do nothing once the conversations have moved", async () => {
+      chrome.storage.sync.get.mockResolvedValue({});
+      chrome.storage.local.get.mockResolvedValue({});
+
+      await expect(moveConversationsToLocal()).resolves.toBe(false);
+
+      expect(StorageService.saveConversations).not.toHaveBeenCalled();
+      expect(chrome.storage.sync.remove).not.toHaveBeenCalled();
+    });
+
+    it("should keep the old copies if writing the records fails", async () => {
+      chrome.storage.sync.get.mockResolvedValue({
+        conversations: [{ id: "1" }],
+      });
+      chrome.storage.local.get.mockResolvedValue({});
+      StorageService.getConversations.mockResolvedValue([]);
+      StorageService.saveConversations.mockRejectedValue(
+        new Error("Quota exceeded")
+      );
+
+      await expect(moveConversationsToLocal()).rejects.toThrow(
+        "Quota exceeded"
+      );
+      expect(chrome.storage.sync.remove).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Tests for the model catalog service
+ */
+
+import * as ModelCatalog from "@/services/modelCatalog";
+import * as StorageService from "@/services/storage";
+import * as SettingsService from "@/services/settings";
+import { registerCustomEndpoints } from "@/services/providers/custom.js";
+
+// Mock the services
+jest.mock("@/services/storage");
+jest.mock("@/services/settings");
+
+describe("Model Catalog Service", () => {
+  const now = Date.now();
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    StorageService.getModelCatalog.mockResolvedValue({});
+    StorageService.saveModelCatalog.mockResolvedValue(true);
+    SettingsService.getGlobalSettings.mockResolvedValue({
+      apiKeys: { openai: "test-openai-key", anthropic: "", mistral: "" },
+    });
+  });
+
+  describe("isCatalogEntryFresh", () => {
+    it("should compare the entry age with the TTL", () => {
+      expect(
+        ModelCatalog.isCatalogEntryFresh({ models: [], fetchedAt: now }, now)
+      ).toBe(true);
+      expect(
+        ModelCatalog.isCatalogEntryFresh(
+          { models: [], fetchedAt: now - ModelCatalog.MODEL_CATALOG_TTL },
+          now
+        )
+      ).toBe(false);
+      expect(ModelCatalog.isCatalogEntryFresh(undefined, now)).toBe(false);
+    });
+  });
+
+  describe("mergeModels", () => {
+    const curated = [
+      { id: "gpt-4o", name: "GPT-4o" },
+      { id: "gpt-4", name: "GPT-4" },
+    ];
+
+    it("should fall back to the curated list without fetched models", () => {
+      expect(ModelCatalog.mergeModels(curated, undefined)).toEqual(curated);
+      expect(ModelCatalog.mergeModels(curated, [])).toEqual(curated);
+    });
+
+    it("should keep curated names and drop models the API no longer offers", () => {
+      const fetched = [
+        { id: "o1-mini", name: "o1-mini" },
+        { id: "gpt-4o", name: "gpt-4o" },
+        { id: "gpt-4.1", name: "gpt-4.1" },
+      ];
+
+      expect(ModelCatalog.mergeModels(curated, fetched)).toEqual([
+        { id: "gpt-4o", name: "GPT-4o" },
+        { id: "gpt-4.1", name: "gpt-4.1" },
+        { id: "o1-mini", name: "o1-mini" },
+      ]);
+    });
+  });
+
+  describe("refreshCatalog", () => {
+    it("should fetch the model list of providers with an API key", async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({
+          data: [
+            { id: "gpt-4o" },
+            { id: "text-embedding-3-small" },
+            { id: "gpt-4o-realtime-preview" },
+          ],
+        }),
+      });
+
+      const { catalog, errors } = await ModelCatalog.refreshCatalog();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "https://api.openai.com/v1/models",
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            Authorization: "Bearer test-openai-key",
+          }),
+        })
+      );
+      expect(catalog.openai.models).toEqual([{ id: "gpt-4o", name: "gpt-4o" }]);
+      expect(errors).toEqual({});
+      expect(StorageService.saveModelCatalog).toHaveBeenCalledWith(catalog);
+    });
+
+    it("should skip fresh entries unless forced", async () => {
+      StorageService.getModelCatalog.mockResolvedValue({
+        openai: { models: [{ id: "gpt-4o", name: "gpt-4o" }], fetchedAt: now },
+      });
+
+      await ModelCatalog.refreshCatalog();
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: jest.fn().mockResolvedValue({ data: [] }),
+      });
+      await ModelCatalog.refreshCatalog({ force: true });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep the previous entry when a provider fails", async () => {
+      const previous = {
+        models: [{ id: "gpt-4o", name: "gpt-4o" }],
+        fetchedAt: now - ModelCatalog.MODEL_CATALOG_TTL,
+      };
+      StorageService.getModelCatalog.mockResolvedValue({ openai: previous });
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        statusText: "Unauthorized",
+      });
+
+      const { catalog, errors } = await ModelCatalog.refreshCatalog();
+
+      expect(catalog.openai).toEqual(previous);
+      expect(errors.openai).toBe("OpenAI API Error: Unauthorized");
+    });
+  });
+
+  describe("getAllModels", () => {
+    it("should merge cached models with the curated lists", async () => {
+      StorageService.getModelCatalog.mockResolvedValue({
+        openai: {
+          models: [{ id: "gpt-4.1", name: "gpt-4.1" }],
+          fetchedAt: now,
+        },
+      });
+
+      const models = await ModelCatalog.getAllModels();
+
+      const openaiModels = models.filter((m) => m.provider === "openai");
+      expect(openaiModels).toEqual([
+        { id: "gpt-4.1", name: "gpt-4.1", provider: "openai" },
+      ]);
+      expect(models.some((m) => m.provider === "anthropic")).toBe(true);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getContextLength", () => {
+    it("should read curated metadata, then cached models", async () => {
+      StorageService.getModelCatalog.mockResolvedValue({
+        openrouter: {
+          models: [
+            { id: "openai/gpt-4o", name: "GPT-4o", contextLength: 128000 },
+          ],
+          fetchedAt: now,
+        },
+      });
+
+      await expect(
+        ModelCatalog.getContextLength("openai", "gpt-4")
+      ).resolves.toBe(8192);
+      await expect(
+        ModelCatalog.getContextLength("openrouter", "openai/gpt-4o")
+      ).resolves.toBe(128000);
+      await expect(
+        ModelCatalog.getContextLength("custom-local", "llama3:8b")
+      ).resolves.toBe(8192);
+    });
+
+    it("should fall back to the curated family, then the provider", async () => {
+      await expect(
+        ModelCatalog.getContextLength("openai", "gpt-4o-2024-08-06")
+      ).resolves.toBe(128000);
+      await expect(
+        ModelCatalog.getContextLength("openai", "gpt-4.1")
+      ).resolves.toBe(ModelCatalog.PROVIDER_CONTEXT_LENGTH);
+    });
+
+    it("should use the length entered for custom endpoint models", async () => {
+      registerCustomEndpoints([
+        {
+          id: "local",
+          name: "Ollama",
+          baseUrl: "http://localhost:11434/v1",
+          models: [
+            { id: "llama3:8b", contextLength: 4096 },
+            { id: "qwen2:7b" },
+          ],
+        },
+      ]);
+
+      await expect(
+        ModelCatalog.getContextLength("custom-local", "llama3:8b")
+      ).resolves.toBe(4096);
+      await expect(
+        ModelCatalog.getContextLength("custom-local", "qwen2:7b")
+      ).resolves.toBe(8192);
+
+      registerCustomEndpoints([]);
+    });
+  });
+});
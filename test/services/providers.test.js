@@ -0,0 +1,310 @@
+/**
+ * Tests for the provider registry
+ */
+
+import {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getProviders,
+  findProviderForModel,
+  createDefaultApiKeys,
+} from "@/services/providers/index.js";
+import { createAuthHeaders } from "@/services/providers/utils.js";
+import {
+  registerCustomEndpoints,
+  validateCustomEndpoint,
+  getEndpointOriginPattern,
+} from "@/services/providers/custom.js";
+import {
+  createModelRef,
+  parseModelRef,
+  toModelRef,
+} from "@/services/providers/modelRef.js";
+
+/**
+ * Creates a minimal provider module for tests
+ *
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Provider module
+ */
+function createTestProvider(overrides = {}) {
+  return {
+    id: "internal",
+    name: "Internal",
+    auth: { type: "bearer" },
+    models: [{ id: "internal-chat", name: "Internal Chat" }],
+    matchesModel: (model) => model.startsWith("internal-"),
+    buildRequest: jest.fn(),
+    parseResponse: jest.fn(),
+    parseStreamEvent: jest.fn(),
+    mapError: jest.fn(),
+    testKey: jest.fn(),
+    ...overrides,
+  };
+}
+
+describe("Provider Registry", () => {
+  afterEach(() => {
+    unregisterProvider("internal");
+  });
+
+  describe("built-in providers", () => {
+    it("should register the built-in providers in order", () => {
+      expect(getProviders().map((provider) => provider.id)).toEqual([
+        "openai",
+        "anthropic",
+        "mistral",
+        "openrouter",
+      ]);
+    });
+
+    it("should build an OpenAI-compatible request", () => {
+      const request = getProvider("openrouter").buildRequest(
+        {
+          model: "google/gemini-pro",
+          messages: [{ role: "user", content: "Hi" }],
+        },
+        "test-key",
+        { stream: true }
+      );
+
+      expect(request.url).toBe("https://openrouter.ai/api/v1/chat/completions");
+      expect(request.options.headers).toEqual(
+        expect.objectContaining({
+          Authorization: "Bearer test-key",
+          "X-Title": "Sololom Extension",
+        })
+      );
+      expect(JSON.parse(request.options.body)).toEqual({
+        model: "google/gemini-pro",
+        messages: [{ role: "user", content: "Hi" }],
+        temperature: 0.7,
+        max_tokens: 2048,
+        stream: true,
+        usage: { include: true },
+      });
+    });
+
+    it("should read token usage and the resolved model from responses", () => {
+      const openai = getProvider("openai");
+      const anthropic = getProvider("anthropic");
+
+      expect(
+        openai.parseUsage({
+          model: "gpt-4o-2024-08-06",
+          usage: { prompt_tokens: 10, completion_tokens: 4 },
+        })
+      ).toEqual({ promptTokens: 10, completionTokens: 4 });
+      expect(openai.parseUsage({ choices: [] })).toBeNull();
+      expect(openai.parseModel({ model: "gpt-4o-2024-08-06" })).toBe(
+        "gpt-4o-2024-08-06"
+      );
+
+      expect(
+        anthropic.parseUsage({
+          type: "message_start",
+          message: { usage: { input_tokens: 12, output_tokens: 1 } },
+        })
+      ).toEqual({ promptTokens: 12, completionTokens: 1 });
+      expect(
+        anthropic.parseUsage({
+          type: "message_delta",
+          usage: { output_tokens: 30 },
+        })
+      ).toEqual({ completionTokens: 30 });
+    });
+
+    it("should move the system prompt out of Anthropic messages", () => {
+      const request = getProvider("anthropic").buildRequest(
+        {
+          model: "claude-3-opus",
+          messages: [
+            { role: "system", content: "Be brief" },
+            { role: "user", content: "Hi" },
+          ],
+        },
+        "test-key"
+      );
+
+      const body = JSON.parse(request.options.body);
+      expect(request.options.headers["x-api-key"]).toBe("test-key");
+      expect(body.system).toBe("Be brief");
+      expect(body.messages).toEqual([{ role: "user", content: "Hi" }]);
+      expect(body.stream).toBeUndefined();
+    });
+
+    it("should map known error codes to friendly messages", () => {
+      expect(
+        getProvider("openai").mapError("OpenAI API Error: invalid_api_key")
+      ).toBe("Invalid OpenAI API key. Please check your settings.");
+      expect(getProvider("openai").mapError("OpenAI API Error: boom")).toBe(
+        null
+      );
+    });
+  });
+
+  describe("registerProvider", () => {
+    it("should make a new provider available to every lookup", () => {
+      registerProvider(createTestProvider());
+
+      expect(getProvider("internal").name).toBe("Internal");
+      expect(findProviderForModel("internal-chat").id).toBe("internal");
+      expect(createDefaultApiKeys()).toEqual(
+        expect.objectContaining({ internal: "" })
+      );
+    });
+
+    it("should reject providers with missing fields", () => {
+      expect(() =>
+        registerProvider(createTestProvider({ buildRequest: undefined }))
+      ).toThrow("Invalid provider: missing buildRequest");
+    });
+  });
+
+  describe("findProviderForModel", () => {
+    it("should prefer providers that list the model explicitly", () => {
+      expect(findProviderForModel("anthropic/claude-3-opus").id).toBe(
+        "openrouter"
+      );
+      expect(findProviderForModel("claude-3-haiku").id).toBe("anthropic");
+    });
+
+    it("should return null for unknown models", () => {
+      expect(findProviderForModel("unknown-model")).toBeNull();
+    });
+  });
+
+  describe("createAuthHeaders", () => {
+    it("should create headers for each auth scheme", () => {
+      expect(createAuthHeaders({ type: "bearer" }, "key")).toEqual({
+        Authorization: "Bearer key",
+      });
+      expect(
+        createAuthHeaders({ type: "header", header: "x-api-key" }, "key")
+      ).toEqual({ "x-api-key": "key" });
+    });
+  });
+
+  describe("custom endpoints", () => {
+    const endpoint = {
+      id: "ollama",
+      name: "Local Ollama",
+      baseUrl: "http://localhost:11434/v1/",
+      apiKey: "",
+      headers: { "X-Team": "research" },
+      models: [{ id: "llama3:8b", name: "Llama 3 8B" }],
+    };
+
+    afterEach(() => {
+      registerCustomEndpoints([]);
+    });
+
+    it("should register an OpenAI-compatible provider per endpoint", () => {
+      registerCustomEndpoints([endpoint]);
+
+      const provider = findProviderForModel("llama3:8b");
+      expect(provider.id).toBe("custom-ollama");
+      expect(provider.requiresApiKey).toBe(false);
+
+      const request = provider.buildRequest(
+        { model: "llama3:8b", messages: [] },
+        ""
+      );
+      expect(request.url).toBe("http://localhost:11434/v1/chat/completions");
+      expect(request.options.headers).toEqual({
+        "Content-Type": "application/json",
+        "X-Team": "research",
+      });
+    });
+
+    it("should replace previously registered endpoints", () => {
+      registerCustomEndpoints([endpoint]);
+      registerCustomEndpoints([{ ...endpoint, id: "lmstudio" }]);
+
+      expect(getProvider("custom-ollama")).toBeNull();
+      expect(getProvider("custom-lmstudio")).not.toBeNull();
+    });
+
+    it("should skip invalid endpoints", () => {
+      jest.spyOn(console, "warn").mockImplementation(() => {});
+
+      const registered = registerCustomEndpoints([
+        endpoint,
+        { ...endpoint, id: "broken", baseUrl: "not a url" },
+      ]);
+
+      expect(registered.map((provider) => provider.id)).toEqual([
+        "custom-ollama",
+      ]);
+    });
+
+    it("should validate endpoint definitions", () => {
+      expect(validateCustomEndpoint(endpoint)).toBeNull();
+      expect(validateCustomEndpoint({ ...endpoint, name: " " })).toBe(
+        "Endpoint name is required"
+      );
+      expect(
+        validateCustomEndpoint({ ...endpoint, baseUrl: "ftp://host/v1" })
+      ).toBe("Base URL for Local Ollama must use http or https");
+      expect(validateCustomEndpoint({ ...endpoint, models: [] })).toBe(
+        "Add at least one model to Local Ollama"
+      );
+    });
+
+    it("should build a host permission pattern from the base URL", () => {
+      expect(getEndpointOriginPattern("http://localhost:11434/v1")).toBe(
+        "http://localhost/*"
+      );
+      expect(getEndpointOriginPattern("https://llm.internal.example/v1")).toBe(
+        "https://llm.internal.example/*"
+      );
+    });
+  });
+
+  describe("model references", () => {
+    afterEach(() => {
+      registerCustomEndpoints([]);
+    });
+
+    it("should split references on the first colon", () => {
+      expect(parseModelRef("openrouter:openai/gpt-4o")).toEqual({
+        provider: "openrouter",
+        modelId: "openai/gpt-4o",
+      });
+      expect(parseModelRef("custom-local:llama3:8b")).toEqual({
+        provider: "custom-local",
+        modelId: "llama3:8b",
+      });
+      expect(parseModelRef("llama3:8b")).toEqual({
+        provider: null,
+        modelId: "llama3:8b",
+      });
+      expect(createModelRef("mistral", "open-mixtral-8x7b")).toBe(
+        "mistral:open-mixtral-8x7b"
+      );
+    });
+
+    it("should convert legacy model ids to references", () => {
+      expect(toModelRef("gpt-4o")).toBe("openai:gpt-4o");
+      expect(toModelRef("claude-3-opus")).toBe("anthropic:claude-3-opus");
+      expect(toModelRef("openrouter/google/gemini-pro")).toBe(
+        "openrouter:google/gemini-pro"
+      );
+      expect(toModelRef("anthropic:claude-3-opus")).toBe(
+        "anthropic:claude-3-opus"
+      );
+      expect(toModelRef("unknown-model")).toBe("unknown-model");
+
+      registerCustomEndpoints([
+        {
+          id: "local",
+          name: "Ollama",
+          baseUrl: "http://localhost:11434/v1",
+          models: [{ id: "llama3:8b", name: "Llama 3 8B" }],
+        },
+      ]);
+      expect(toModelRef("llama3:8b")).toBe("custom-local:llama3:8b");
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for the retention service
+ */
+
+import * as RetentionService from "@/services/retention";
+import * as StorageService from "@/services/storage";
+import * as SettingsService from "@/services/settings";
+
+// Mock the services the rules read and change
+jest.mock("@/services/storage");
+jest.mock("@/services/settings");
+
+describe("Retention Service", () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = 100 * day;
+
+  /**
+   * Creates a conversation last used the given number of days ago
+   */
+  const conversationFrom = (id, daysAgo, extra = {}) => ({
+    id,
+    timestamp: now - daysAgo * day,
+    messages: [{ role: "user", content: "x".repeat(100) }],
+    ...extra,
+  });
+
+  const ids = (list) => list.map((c) => c.id);
+
+  describe("getRetentionRules", () => {
+    it("should read the rules from the settings", () => {
+      expect(
+        RetentionService.getRetentionRules({
+          retentionDays: 30,
+          retentionAction: "archive",
+          retentionMaxBytes: 1024,
+        })
+      ).toEqual({ maxAgeDays: 30, action: "archive", maxBytes: 1024 });
+    });
+
+    it("should turn the rules off by default", () => {
+      expect(RetentionService.getRetentionRules({})).toEqual({
+        maxAgeDays: 0,
+        action: "trash",
+        maxBytes: 0,
+      });
+    });
+  });
+
+  describe("selectExpired", () => {
+    const conversations = [
+      conversationFrom("new", 1),
+      conversationFrom("old", 40),
+      conversationFrom("pinned", 90, { pinned: true }),
+      conversationFrom("older", 60),
+    ];
+
+    // Room for the newest and the pinned conversation only
+    const keptSize =
+      RetentionService.getConversationSize(conversations[0]) +
+      RetentionService.getConversationSize(conversations[2]);
+
+    it("should pick conversations older than the age limit", () => {
+      const selected = RetentionService.selectExpired(
+        { maxAgeDays: 30, action: "archive", maxBytes: 0 },
+        conversations,
+        now
+      );
+
+      expect(ids(selected.archive)).toEqual(["older", "old"]);
+      expect(selected.trash).toEqual([]);
+    });
+
+    it("should trash the oldest conversations past the size cap", () => {
+      const selected = RetentionService.selectExpired(
+        { maxAgeDays: 0, action: "trash", maxBytes: keptSize },
+        conversations,
+        now
+      );
+
+      // The pinned conversation still counts towards the cap
+      expect(ids(selected.trash)).toEqual(["older", "old"]);
+    });
+
+    it("should not trash conversations the age rule already removes", () => {
+      const selected = RetentionService.selectExpired(
+        { maxAgeDays: 50, action: "archive", maxBytes: keptSize },
+        conversations,
+        now
+      );
+
+      expect(ids(selected.archive)).toEqual(["older"]);
+      expect(ids(selected.trash)).toEqual(["old"]);
+    });
+
+    it("should keep everything when no rule is set", () => {
+      expect(
+        RetentionService.selectExpired(
+          { maxAgeDays: 0, action: "trash", maxBytes: 0 },
+          conversations,
+          now
+        )
+      ).toEqual({ trash: [], archive: [] });
+    });
+  });
+
+  describe("applyRetention", () => {
+    beforeEach(() => {
+      StorageService.getConversations.mockResolvedValue([
+        { id: "recent", timestamp: Date.now(), messages: [] },
+        { id: "stale", timestamp: Date.now() - 400 * day, messages: [] },
+      ]);
+    });
+
+    it("should apply the rules from the settings", async () => {
+      SettingsService.getGlobalSettings.mockResolvedValue({
+        retentionDays: 365,
+        retentionAction: "archive",
+      });
+
+      await expect(RetentionService.applyRetention()).resolves.toEqual({
+        trashed: 0,
+        archived: 1,
+      });
+      expect(StorageService.archiveConversations).toHaveBeenCalledWith([
+        "stale",
+      ]);
+      expect(StorageService.trashConversations).not.toHaveBeenCalled();
+    });
+
+    it("should do nothing without rules", async () => {
+      SettingsService.getGlobalSettings.mockResolvedValue({});
+
+      await expect(RetentionService.applyRetention()).resolves.toEqual({
+        trashed: 0,
+        archived: 0,
+      });
+      expect(StorageService.getConversations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("scheduleRetention", () => {
+    beforeEach(() => {
+      global.chrome.alarms = { get: jest.fn(), create: jest.fn() };
+    });
+
+    afterEach(() => {
+      delete global.chrome.alarms;
+    });
+
+    it("should create a daily alarm", async () => {
+      chrome.alarms.get.mockResolvedValue(undefined);
+
+      await RetentionService.scheduleRetention();
+
+      expect(chrome.alarms.create).toHaveBeenCalledWith(
+        RetentionService.RETENTION_ALARM,
+        expect.objectContaining({ periodInMinutes: 24 * 60 })
+      );
+    });
+
+    it("should keep an alarm that is already scheduled", async () => {
+      chrome.alarms.get.mockResolvedValue({
+        name: RetentionService.RETENTION_ALARM,
+      });
+
+      await RetentionService.scheduleRetention();
+
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+  });
+});
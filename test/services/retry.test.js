@@ -0,0 +1,166 @@
+/**
+ * Tests for the retry service
+ */
+
+import {
+  DEFAULT_RETRY_POLICY,
+  isRetryableStatus,
+  parseRetryAfter,
+  parseRateLimitReset,
+  getRequestedDelay,
+  getBackoffDelay,
+  fetchWithRetry,
+} from "@/services/retry";
+
+/**
+ * Creates a fake fetch response
+ *
+ * @param {number} status - HTTP status code
+ * @param {Object} headers - Response headers
+ * @returns {Object} - Response-like object
+ */
+function createResponse(status, headers = {}) {
+  return {
+    ok: status < 400,
+    status,
+    headers: new Map(Object.entries(headers)),
+  };
+}
+
+describe("Retry Service", () => {
+  const now = Date.parse("2025-03-01T12:00:00Z");
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  describe("isRetryableStatus", () => {
+    it("should retry rate limits and transient server errors only", () => {
+      expect(isRetryableStatus(429)).toBe(true);
+      expect(isRetryableStatus(503)).toBe(true);
+      expect(isRetryableStatus(529)).toBe(true);
+      expect(isRetryableStatus(400)).toBe(false);
+      expect(isRetryableStatus(401)).toBe(false);
+      expect(isRetryableStatus(403)).toBe(false);
+    });
+  });
+
+  describe("parseRetryAfter", () => {
+    it("should parse seconds and HTTP dates", () => {
+      expect(parseRetryAfter("4", now)).toBe(4000);
+      expect(parseRetryAfter("Sat, 01 Mar 2025 12:00:10 GMT", now)).toBe(10000);
+      expect(parseRetryAfter("soon", now)).toBeNull();
+      expect(parseRetryAfter(null, now)).toBeNull();
+    });
+  });
+
+  describe("parseRateLimitReset", () => {
+    it("should parse durations, seconds and epoch timestamps", () => {
+      expect(parseRateLimitReset("1m30s", now)).toBe(90000);
+      expect(parseRateLimitReset("250ms", now)).toBe(250);
+      expect(parseRateLimitReset("2", now)).toBe(2000);
+      expect(parseRateLimitReset(String(now / 1000 + 5), now)).toBe(5000);
+      expect(parseRateLimitReset(String(now + 3000), now)).toBe(3000);
+    });
+  });
+
+  describe("getRequestedDelay", () => {
+    it("should prefer Retry-After over rate-limit reset headers", () => {
+      expect(
+        getRequestedDelay(
+          createResponse(429, {
+            "retry-after": "2",
+            "x-ratelimit-reset-requests": "20s",
+          }),
+          now
+        )
+      ).toBe(2000);
+      expect(
+        getRequestedDelay(
+          createResponse(429, {
+            "x-ratelimit-reset-requests": "1s",
+            "x-ratelimit-reset-tokens": "6s",
+          }),
+          now
+        )
+      ).toBe(6000);
+      expect(getRequestedDelay(createResponse(429), now)).toBeNull();
+    });
+  });
+
+  describe("getBackoffDelay", () => {
+    it("should grow exponentially with jitter up to the maximum delay", () => {
+      const policy = DEFAULT_RETRY_POLICY;
+
+      expect(getBackoffDelay(1, policy, () => 0)).toBe(500);
+      expect(getBackoffDelay(1, policy, () => 1)).toBe(1000);
+      expect(getBackoffDelay(3, policy, () => 1)).toBe(4000);
+      expect(getBackoffDelay(10, policy, () => 1)).toBe(policy.maxDelay);
+    });
+  });
+
+  describe("fetchWithRetry", () => {
+    it("should retry until the request succeeds", async () => {
+      const onRetry = jest.fn();
+      global.fetch
+        .mockResolvedValueOnce(createResponse(503, { "retry-after": "0" }))
+        .mockResolvedValueOnce(createResponse(200));
+
+      const response = await fetchWithRetry(
+        "https://api.test",
+        {},
+        { onRetry }
+      );
+
+      expect(response.status).toBe(200);
+      expect(onRetry).toHaveBeenCalledWith({
+        type: "retry",
+        attempt: 2,
+        maxAttempts: 3,
+        delay: 0,
+      });
+    });
+
+    it("should return the last response once attempts run out", async () => {
+      global.fetch.mockResolvedValue(
+        createResponse(429, { "retry-after": "0" })
+      );
+
+      const response = await fetchWithRetry(
+        "https://api.test",
+        {},
+        { policy: { maxAttempts: 2 } }
+      );
+
+      expect(response.status).toBe(429);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not wait longer than the maximum delay", async () => {
+      global.fetch.mockResolvedValue(
+        createResponse(429, { "retry-after": "120" })
+      );
+
+      const response = await fetchWithRetry("https://api.test");
+
+      expect(response.status).toBe(429);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should stop waiting when the request is cancelled", async () => {
+      const controller = new AbortController();
+      global.fetch.mockResolvedValue(
+        createResponse(503, { "retry-after": "10" })
+      );
+
+      const request = fetchWithRetry(
+        "https://api.test",
+        { signal: controller.signal },
+        { onRetry: () => controller.abort() }
+      );
+
+      await expect(request).rejects.toMatchObject({ name: "AbortError" });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Tests for the storage schema
+ */
+
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  createDefaultGlobalSettings,
+  migrateData,
+  validateChatSettings,
+  validateGlobalSettings,
+  validateImportData,
+} from "@/services/schema";
+
+describe("Storage Schema", () => {
+  describe("createDefaultGlobalSettings", () => {
+    it("should return a fresh object each time", () => {
+      const settings = createDefaultGlobalSettings();
+      settings.apiKeys.openai = "sk-test";
+
+      expect(createDefaultGlobalSettings().apiKeys.openai).toBe("");
+    });
+
+    it("should include an API key for every provider", () => {
+      expect(Object.keys(createDefaultGlobalSettings().apiKeys)).toEqual(
+        expect.arrayContaining(["openai", "anthropic", "mistral", "openrouter"])
+      );
+    });
+  });
+
+  describe("validateGlobalSettings", () => {
+    it("should keep valid settings and fill in the rest", () => {
+      const settings = validateGlobalSettings({
+        theme: "dark",
+        apiKeys: { anthropic: "key" },
+        futureOption: true,
+      });
+
+      expect(settings).toMatchObject({
+        theme: "dark",
+        maxConversations: 100,
+        futureOption: true,
+      });
+      expect(settings.apiKeys).toMatchObject({ anthropic: "key", openai: "" });
+    });
+
+    it("should replace values of the wrong type", () => {
+      const settings = validateGlobalSettings({
+        maxConversations: "100",
+        customEndpoints: {},
+        modelPrices: null,
+        compactMode: "yes",
+      });
+
+      expect(settings).toMatchObject({
+        maxConversations: 100,
+        customEndpoints: [],
+        modelPrices: {},
+        compactMode: false,
+      });
+    });
+
+    it("should return the defaults for missing settings", () => {
+      expect(validateGlobalSettings(undefined)).toEqual(
+        createDefaultGlobalSettings()
+      );
+    });
+  });
+
+  describe("validateChatSettings", () => {
+    it("should fill in missing chat settings", () => {
+      expect(validateChatSettings({ temperature: 0.2 })).toEqual({
+        model: "openai:gpt-3.5-turbo",
+        temperature: 0.2,
+        maxTokens: 2048,
+        systemPrompt: "You are a helpful assistant.",
+        title: "New Conversation",
+      });
+    });
+  });
+
+  describe("validateImportData", () => {
+    it("should reject files without Sololom data", () => {
+      expect(validateImportData([]).errors).toEqual([
+        "The file doesn't contain Sololom data",
+      ]);
+      expect(validateImportData({ exportDate: 1 }).errors).toEqual([
+        "The file doesn't contain settings or conversations",
+      ]);
+      expect(
+        validateImportData({ globalSettings: "dark", conversations: {} }).errors
+      ).toEqual([
+        "The global settings in the file aren't readable",
+        "The conversations in the file aren't a list",
+      ]);
+    });
+
+    it("should skip invalid settings and conversations with a warning", () => {
+      const { data, errors, warnings } = validateImportData({
+        globalSettings: { theme: "dark", maxConversations: "many", extra: 1 },
+        conversations: [
+          { id: "1", messages: [{ role: "user", content: "Hi" }] },
+          { id: "2", messages: [{ role: "user" }] },
+          { messages: [] },
+        ],
+      });
+
+      expect(errors).toEqual([]);
+      expect(data.globalSettings).toEqual({ theme: "dark", extra: 1 });
+      expect(data.conversations.map((c) => c.id)).toEqual(["1"]);
+      expect(warnings).toEqual([
+        'Setting "maxConversations" has an invalid value and is skipped',
+        "2 conversation(s) without an ID or readable messages are skipped",
+      ]);
+    });
+
+    it("should accept settings left at a null default", () => {
+      expect(
+        validateImportData({ globalSettings: { apiKeyVault: null } }).warnings
+      ).toEqual([]);
+    });
+  });
+
+  describe("migrateData", () => {
+    it("should number the steps up to the schema version", () => {
+      expect(MIGRATIONS.map((step) => step.version)).toEqual(
+        Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1)
+      );
+    });
+
+    it("should run every step on data of unknown version", () => {
+      const data = migrateData({
+        globalSettings: { defaultModel: "gpt-4" },
+        chatSettings: { model: "claude-3-opus", maxHistoryItems: 20 },
+        conversations: [{ id: "1", model: "mistral-small" }],
+      });
+
+      expect(data).toEqual({
+        globalSettings: { defaultModel: "openai:gpt-4", maxConversations: 20 },
+        chatSettings: { model: "anthropic:claude-3-opus" },
+        conversations: [{ id: "1", model: "mistral:mistral-small" }],
+      });
+    });
+
+    it("should only run the steps newer than the data", () => {
+      const data = {
+        chatSettings: { model: "claude-3-opus", saveHistory: false },
+      };
+
+      expect(migrateData(data, 1).chatSettings).toEqual({
+        model: "claude-3-opus",
+      });
+      expect(migrateData(data, SCHEMA_VERSION)).toBe(data);
+    });
+
+    it("should drop the message-count context window", () => {
+      const data = migrateData(
+        { globalSettings: { theme: "dark", contextWindow: 20 } },
+        2
+      );
+
+      expect(data.globalSettings).toEqual({ theme: "dark" });
+    });
+
+    it("should keep global history settings over the popup's", () => {
+      const data = migrateData({
+        globalSettings: { saveConversations: true, maxConversations: 50 },
+        chatSettings: { saveHistory: false, maxHistoryItems: 10 },
+      });
+
+      expect(data.globalSettings).toEqual({
+        saveConversations: true,
+        maxConversations: 50,
+      });
+    });
+
+    it("should accept settings without conversations", () => {
+      const data = migrateData({ globalSettings: { defaultModel: "gpt-4" } });
+
+      expect(data.globalSettings.defaultModel).toBe("openai:gpt-4");
+    });
+  });
+});
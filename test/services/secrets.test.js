@@ -0,0 +1,187 @@
+/**
+ * Tests for the secrets service
+ */
+
+import {
+  SECRET_PLACEHOLDER,
+  describeRedactedSecrets,
+  getRedactedSecrets,
+  joinSecrets,
+  redactSecrets,
+  restoreSecrets,
+  splitSecrets,
+} from "@/services/secrets";
+
+const settings = {
+  theme: "dark",
+  apiKeys: { openai: "sk-openai", openrouter: "sk-router", mistral: "" },
+  apiKeyVault: { iv: "iv", data: "data" },
+  customEndpoints: [
+    {
+      id: "local",
+      name: "Local",
+      apiKey: "local-key",
+      headers: { Authorization: "Bearer token" },
+    },
+  ],
+};
+
+describe("Secrets Service", () => {
+  describe("redactSecrets", () => {
+    it("should replace every secret and list what it left out", () => {
+      const { settings: redacted, redacted: list } = redactSecrets(settings);
+
+      expect(redacted).toEqual({
+        theme: "dark",
+        apiKeys: {
+          openai: SECRET_PLACEHOLDER,
+          openrouter: SECRET_PLACEHOLDER,
+          mistral: "",
+        },
+        apiKeyVault: null,
+        customEndpoints: [
+          {
+            id: "local",
+            name: "Local",
+            apiKey: SECRET_PLACEHOLDER,
+            headers: { Authorization: SECRET_PLACEHOLDER },
+          },
+        ],
+      });
+      expect(list.map((secret) => secret.path)).toEqual([
+        "apiKeys.openai",
+        "apiKeys.openrouter",
+        "apiKeyVault",
+        "customEndpoints.local.apiKey",
+        "customEndpoints.local.headers.Authorization",
+      ]);
+    });
+
+    it("should leave the settings it was given alone", () => {
+      redactSecrets(settings);
+
+      expect(settings.apiKeys.openai).toBe("sk-openai");
+    });
+  });
+
+  describe("restoreSecrets", () => {
+    it("should put stored secrets in place of placeholders", () => {
+      const imported = {
+        apiKeys: {
+          openai: SECRET_PLACEHOLDER,
+          openrouter: "sk-new",
+          anthropic: SECRET_PLACEHOLDER,
+        },
+        customEndpoints: [
+          {
+            id: "remote",
+            apiKey: SECRET_PLACEHOLDER,
+            headers: { "X-Key": SECRET_PLACEHOLDER },
+          },
+          {
+            id: "local",
+            apiKey: SECRET_PLACEHOLDER,
+            headers: { Authorization: SECRET_PLACEHOLDER },
+          },
+        ],
+      };
+
+      expect(restoreSecrets(imported, settings)).toEqual({
+        apiKeys: { openai: "sk-openai", openrouter: "sk-new", anthropic: "" },
+        customEndpoints: [
+          { id: "remote", apiKey: "", headers: { "X-Key": "" } },
+          {
+            id: "local",
+            apiKey: "local-key",
+            headers: { Authorization: "Bearer token" },
+          },
+        ],
+      });
+    });
+  });
+
+  describe("splitSecrets", () => {
+    it("should blank every secret and key them by path", () => {
+      const { settings: rest, secrets } = splitSecrets(settings);
+
+      expect(rest).toEqual({
+        theme: "dark",
+        apiKeys: { openai: "", openrouter: "", mistral: "" },
+        apiKeyVault: null,
+        customEndpoints: [
+          {
+            id: "local",
+            name: "Local",
+            apiKey: "",
+            headers: { Authorization: "" },
+          },
+        ],
+      });
+      expect(secrets).toEqual({
+        "apiKeys.openai": "sk-openai",
+        "apiKeys.openrouter": "sk-router",
+        apiKeyVault: { iv: "iv", data: "data" },
+        "customEndpoints.local.apiKey": "local-key",
+        "customEndpoints.local.headers.Authorization": "Bearer token",
+      });
+    });
+
+    it("should be undone by joinSecrets", () => {
+      const { settings: rest, secrets } = splitSecrets(settings);
+
+      expect(joinSecrets(rest, secrets)).toEqual(settings);
+    });
+
+    it("should match endpoints by ID when joining", () => {
+      const { secrets } = splitSecrets(settings);
+
+      expect(
+        joinSecrets(
+          {
+            customEndpoints: [
+              { id: "new", apiKey: "" },
+              { id: "local", apiKey: "", headers: { Authorization: "" } },
+            ],
+          },
+          secrets
+        ).customEndpoints
+      ).toEqual([
+        { id: "new", apiKey: "" },
+        {
+          id: "local",
+          apiKey: "local-key",
+          headers: { Authorization: "Bearer token" },
+        },
+      ]);
+    });
+  });
+
+  describe("getRedactedSecrets", () => {
+    it("should name the secrets an export file left out", () => {
+      const { settings: redacted } = redactSecrets(settings, ["apiKeyVault"]);
+
+      expect(
+        getRedactedSecrets({
+          globalSettings: redacted,
+          redactedSecrets: ["apiKeys.openai", "customEndpoints.local.apiKey"],
+        })
+      ).toEqual([
+        { path: "apiKeys.openai", label: "provider API key" },
+        {
+          path: "customEndpoints.local.apiKey",
+          label: "custom endpoint API key",
+        },
+      ]);
+      expect(getRedactedSecrets({ globalSettings: settings })).toEqual([]);
+    });
+  });
+
+  describe("describeRedactedSecrets", () => {
+    it("should count the secrets by kind", () => {
+      expect(describeRedactedSecrets(redactSecrets(settings).redacted)).toBe(
+        "2 provider API keys, 1 encrypted key store, 1 custom endpoint API key and 1 custom endpoint header"
+      );
+      expect(describeRedactedSecrets([])).toBe("");
+    });
+  });
+});
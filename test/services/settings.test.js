@@ -218,17 +218,30 @@ describe("Settings Service", () => {
     it("should reset global settings to defaults", async () => {
       const defaultSettings = {
         theme: "light",
-        defaultModel: "gpt-3.5-turbo",
+        defaultModel: "openai:gpt-3.5-turbo",
         apiKeys: {
           openai: "",
           anthropic: "",
           mistral: "",
+          openrouter: "",
         },
+        apiKeyVault: null,
         saveConversations: true,
         maxConversations: 100,
+        trashRetentionDays: 30,
+        retentionDays: 0,
+        retentionAction: "trash",
+        retentionMaxBytes: 0,
+        backupSchedule: "off",
+        backupKeep: 5,
+        backupIncludeKeys: false,
+        notifyOnCompletion: false,
         fontSize: "medium",
         compactMode: false,
-        contextWindow: 0,
+        partialResponses: "keep",
+        maxRetryAttempts: 3,
+        modelPrices: {},
+        customEndpoints: [],
       };
 
       const resetSettings = await SettingsService.resetGlobalSettings();
@@ -243,7 +256,7 @@ describe("Settings Service", () => {
   describe("resetChatSettings", () => {
     it("should reset chat settings to defaults", async () => {
       const defaultSettings = {
-        model: "gpt-3.5-turbo",
+        model: "openai:gpt-3.5-turbo",
         temperature: 0.7,
         maxTokens: 2048,
         systemPrompt: "You are a helpful assistant.",
@@ -3,13 +3,43 @@
  */
 
 import * as StorageService from "@/services/storage";
+import { SCHEMA_VERSION } from "@/services/schema";
 
 describe("Storage Service", () => {
+  /**
+   * Backs a storage area mock with an object
+   *
+   * @param {string} name - "sync" or "local"
+   * @param {Object} stored - The stored items, changed by set and remove
+   */
+  function mockArea(name, stored) {
+    const area = chrome.storage[name];
+    area.get.mockImplementation(async (keys) => {
+      if (keys === null) return { ...stored };
+
+      const result = {};
+      [].concat(keys).forEach((key) => {
+        if (key in stored) result[key] = stored[key];
+      });
+      return result;
+    });
+    area.set.mockImplementation(async (items) => {
+      Object.assign(stored, items);
+    });
+    area.remove.mockImplementation(async (keys) => {
+      [].concat(keys).forEach((key) => delete stored[key]);
+    });
+  }
+
   beforeEach(() => {
     // Reset all mock implementations
     chrome.storage.sync.get.mockReset();
     chrome.storage.sync.set.mockReset();
     chrome.storage.sync.clear.mockReset();
+    chrome.storage.local.get.mockReset();
+    chrome.storage.local.set.mockReset();
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.local.set.mockResolvedValue();
 
     // Default mock implementation for chrome.storage.sync.get
     chrome.storage.sync.get.mockImplementation((keys, callback) => {
@@ -36,7 +66,7 @@ describe("Storage Service", () => {
       expect(chrome.storage.sync.get).toHaveBeenCalledWith("globalSettings");
       expect(settings).toEqual({
         theme: "light",
-        defaultModel: "gpt-3.5-turbo",
+        defaultModel: "openai:gpt-3.5-turbo",
         apiKeys: {
           openai: "",
           anthropic: "",
@@ -46,7 +76,6 @@ describe("Storage Service", () => {
         maxConversations: 100,
         fontSize: "medium",
         compactMode: false,
-        contextWindow: 0,
       });
     });
 
@@ -86,7 +115,7 @@ describe("Storage Service", () => {
       // Should return default settings on error
       expect(settings).toEqual({
         theme: "light",
-        defaultModel: "gpt-3.5-turbo",
+        defaultModel: "openai:gpt-3.5-turbo",
         apiKeys: {
           openai: "",
           anthropic: "",
@@ -96,7 +125,6 @@ describe("Storage Service", () => {
         maxConversations: 100,
         fontSize: "medium",
         compactMode: false,
-        contextWindow: 0,
       });
 
       // Should log the error
@@ -143,7 +171,7 @@ describe("Storage Service", () => {
       expect(chrome.storage.sync.set).toHaveBeenCalledWith({
         globalSettings: expect.objectContaining({
           theme: "dark",
-          defaultModel: "gpt-3.5-turbo",
+          defaultModel: "openai:gpt-3.5-turbo",
           apiKeys: {
             openai: "",
             anthropic: "",
@@ -172,7 +200,7 @@ describe("Storage Service", () => {
 
       expect(chrome.storage.sync.get).toHaveBeenCalledWith("chatSettings");
       expect(settings).toEqual({
-        model: "gpt-3.5-turbo",
+        model: "openai:gpt-3.5-turbo",
         temperature: 0.7,
         maxTokens: 2048,
         systemPrompt: "You are a helpful assistant.",
@@ -201,226 +229,744 @@ describe("Storage Service", () => {
     });
   });
 
-  describe("getConversations", () => {
-    it("should return an empty array if no conversations exist in storage", async () => {
-      const conversations = await StorageService.getConversations();
+  describe("conversations", () => {
+    let local;
+
+    /**
+     * Stores conversations the way saveConversation does
+     *
+     * @param {Array<Object>} conversations - Conversations in list order
+     */
+    function storeConversations(conversations) {
+      local.conversationIndex = conversations.map(
+        StorageService.createIndexEntry
+      );
+      conversations.forEach((c) => {
+        local[`conversation:${c.id}`] = c;
+      });
+    }
+
+    beforeEach(() => {
+      local = {};
 
-      expect(chrome.storage.sync.get).toHaveBeenCalledWith("conversations");
-      expect(conversations).toEqual([]);
+      chrome.storage.local.get.mockImplementation(async (keys) => {
+        const result = {};
+        [].concat(keys).forEach((key) => {
+          if (key in local) result[key] = local[key];
+        });
+        return result;
+      });
+      chrome.storage.local.set.mockImplementation(async (items) => {
+        Object.assign(local, items);
+      });
+      chrome.storage.local.remove.mockImplementation(async (keys) => {
+        [].concat(keys).forEach((key) => delete local[key]);
+      });
     });
 
-    it("should return stored conversations if they exist", async () => {
-      const storedConversations = [
-        { id: "1", title: "Conversation 1" },
-        { id: "2", title: "Conversation 2" },
-      ];
+    describe("getConversations", () => {
+      it("should return an empty array if no conversations exist in storage", async () => {
+        const conversations = await StorageService.getConversations();
 
-      chrome.storage.sync.get.mockImplementationOnce((keys, callback) => {
-        const result = { conversations: storedConversations };
-        if (callback) {
-          callback(result);
-        }
-        return Promise.resolve(result);
+        expect(conversations).toEqual([]);
       });
 
-      const conversations = await StorageService.getConversations();
+      it("should return stored conversations in index order", async () => {
+        const storedConversations = [
+          { id: "1", title: "Conversation 1", messages: [] },
+          { id: "2", title: "Conversation 2", messages: [] },
+        ];
+        storeConversations(storedConversations);
 
-      expect(conversations).toEqual(storedConversations);
-    });
-  });
+        const conversations = await StorageService.getConversations();
 
-  describe("saveConversation", () => {
-    it("should add a new conversation with ID and timestamp if not provided", async () => {
-      // Mock Date.now to return a fixed value
-      const originalDateNow = Date.now;
-      Date.now = jest.fn(() => 1234567890);
+        expect(conversations).toEqual(storedConversations);
+      });
+    });
 
-      const conversation = {
-        title: "Test Conversation",
-        messages: [],
-      };
+    describe("getConversationIndex", () => {
+      it("should list conversations without their messages", async () => {
+        storeConversations([
+          {
+            id: "1",
+            title: "Greetings",
+            model: "openai:gpt-4o",
+            timestamp: 1000,
+            messages: [
+              { role: "system", content: "Be brief." },
+              { role: "user", content: "Hello there" },
+              { role: "assistant", content: "Hi!" },
+            ],
+          },
+        ]);
 
-      await StorageService.saveConversation(conversation);
+        const index = await StorageService.getConversationIndex();
 
-      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
-        conversations: [
+        expect(index).toEqual([
           {
-            id: "1234567890",
-            timestamp: 1234567890,
-            title: "Test Conversation",
+            id: "1",
+            title: "Greetings",
+            model: "openai:gpt-4o",
+            timestamp: 1000,
+            messageCount: 2,
+            snippet: "Hello there",
+            pinned: false,
+          },
+        ]);
+        expect(chrome.storage.local.get).toHaveBeenCalledWith(
+          "conversationIndex"
+        );
+      });
+    });
+
+    describe("saveConversation", () => {
+      it("should add a new conversation with ID and timestamp if not provided", async () => {
+        // Mock Date.now to return a fixed value
+        const originalDateNow = Date.now;
+        Date.now = jest.fn(() => 1234567890);
+
+        const conversation = {
+          title: "Test Conversation",
+          messages: [],
+        };
+
+        await StorageService.saveConversation(conversation);
+
+        expect(local["conversation:1234567890"]).toEqual({
+          id: "1234567890",
+          timestamp: 1234567890,
+          title: "Test Conversation",
+          messages: [],
+        });
+        expect(local.conversationIndex).toEqual([
+          expect.objectContaining({ id: "1234567890", messageCount: 0 }),
+        ]);
+
+        // Restore Date.now
+        Date.now = originalDateNow;
+      });
+
+      it("should only write the updated conversation and the index", async () => {
+        const existingConversations = [
+          { id: "1", title: "Conversation 1", messages: [] },
+          { id: "2", title: "Conversation 2", messages: [] },
+        ];
+        storeConversations(existingConversations);
+
+        const updatedConversation = {
+          id: "1",
+          title: "Updated Conversation",
+          messages: [{ role: "user", content: "Hello" }],
+          timestamp: 1234567890,
+        };
+
+        await StorageService.saveConversation(updatedConversation);
+
+        expect(chrome.storage.local.set).toHaveBeenCalledWith({
+          "conversation:1": updatedConversation,
+          conversationIndex: [
+            StorageService.createIndexEntry(updatedConversation),
+            StorageService.createIndexEntry(existingConversations[1]),
+          ],
+        });
+      });
+
+      it("should limit the number of conversations based on global settings", async () => {
+        storeConversations(
+          Array.from({ length: 5 }, (_, i) => ({
+            id: `${i}`,
+            title: `Conversation ${i}`,
             messages: [],
+          }))
+        );
+
+        chrome.storage.sync.get.mockResolvedValue({
+          globalSettings: {
+            maxConversations: 3,
           },
-        ],
+        });
+
+        await StorageService.saveConversation({
+          id: "new",
+          title: "New Conversation",
+          messages: [],
+          timestamp: 1234567890,
+        });
+
+        // Should save the new conversation and limit to 3 total
+        expect(local.conversationIndex.map((c) => c.id)).toEqual([
+          "new",
+          "0",
+          "1",
+        ]);
+
+        // The oldest ones go to the trash
+        expect(local.conversationTrash.map((c) => c.id)).toEqual([
+          "2",
+          "3",
+          "4",
+        ]);
+        expect(local["conversation:2"]).toBeDefined();
+      });
+
+      it("should keep pinned conversations past the limit", async () => {
+        storeConversations([
+          { id: "1", messages: [] },
+          { id: "2", messages: [], pinned: true },
+        ]);
+        chrome.storage.sync.get.mockResolvedValue({
+          globalSettings: { maxConversations: 2 },
+        });
+
+        await StorageService.saveConversation({ id: "new", messages: [] });
+
+        expect(local.conversationIndex.map((c) => c.id)).toEqual(["new", "2"]);
+        expect(local.conversationTrash.map((c) => c.id)).toEqual(["1"]);
       });
 
-      // Restore Date.now
-      Date.now = originalDateNow;
+      it("should explain quota errors", async () => {
+        chrome.storage.local.set.mockRejectedValue(
+          new Error("QUOTA_BYTES quota exceeded")
+        );
+
+        const error = await StorageService.saveConversation({
+          id: "1",
+          messages: [],
+        }).catch((e) => e);
+
+        expect(error.name).toBe("StorageQuotaError");
+        expect(error.message).toContain("Free up space");
+      });
     });
 
-    it("should update an existing conversation", async () => {
-      const existingConversations = [
-        { id: "1", title: "Conversation 1", messages: [] },
-        { id: "2", title: "Conversation 2", messages: [] },
-      ];
+    describe("saveConversations", () => {
+      it("should replace all stored conversations", async () => {
+        storeConversations([
+          { id: "1", messages: [] },
+          { id: "2", messages: [] },
+        ]);
 
-      chrome.storage.sync.get.mockImplementationOnce((keys, callback) => {
-        const result = { conversations: existingConversations };
-        if (callback) {
-          callback(result);
-        }
-        return Promise.resolve(result);
+        await StorageService.saveConversations([
+          { id: "2", title: "Kept", messages: [] },
+          { id: "3", title: "Added", messages: [] },
+        ]);
+
+        expect(await StorageService.getConversations()).toEqual([
+          { id: "2", title: "Kept", messages: [] },
+          { id: "3", title: "Added", messages: [] },
+        ]);
+        expect(local["conversation:1"]).toBeUndefined();
       });
+    });
 
-      const updatedConversation = {
-        id: "1",
-        title: "Updated Conversation",
-        messages: [{ role: "user", content: "Hello" }],
-        timestamp: 1234567890,
-      };
+    describe("addConversations", () => {
+      it("should insert conversations by timestamp", async () => {
+        storeConversations([
+          { id: "new", timestamp: 3000, messages: [] },
+          { id: "old", timestamp: 1000, messages: [] },
+        ]);
 
-      await StorageService.saveConversation(updatedConversation);
+        await StorageService.addConversations([
+          { id: "middle", timestamp: 2000, messages: [] },
+          { id: "oldest", timestamp: 500, messages: [] },
+        ]);
 
-      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
-        conversations: [updatedConversation, existingConversations[1]],
+        expect(local.conversationIndex.map((e) => e.id)).toEqual([
+          "new",
+          "middle",
+          "old",
+          "oldest",
+        ]);
+        expect(local["conversation:middle"]).toBeDefined();
       });
     });
 
-    it("should limit the number of conversations based on global settings", async () => {
-      // Set up mock conversations
-      const existingConversations = Array.from({ length: 5 }, (_, i) => ({
-        id: `${i}`,
-        title: `Conversation ${i}`,
-        messages: [],
-      }));
+    describe("getConversationIds", () => {
+      it("should include conversations in the trash and the archive", async () => {
+        storeConversations([
+          { id: "1", messages: [] },
+          { id: "2", messages: [] },
+          { id: "3", messages: [] },
+        ]);
+        await StorageService.trashConversation("2");
+        await StorageService.archiveConversations(["3"]);
 
-      chrome.storage.sync.get.mockImplementation((keys, callback) => {
-        let result = {};
+        await expect(StorageService.getConversationIds()).resolves.toEqual(
+          new Set(["1", "2", "3"])
+        );
+      });
+    });
 
-        if (keys === "conversations") {
-          result = { conversations: existingConversations };
-        } else if (keys === "globalSettings") {
-          result = {
-            globalSettings: {
-              maxConversations: 3,
-            },
-          };
-        }
+    describe("deleteConversation", () => {
+      it("should delete a conversation by ID", async () => {
+        const existingConversations = [
+          { id: "1", title: "Conversation 1", messages: [] },
+          { id: "2", title: "Conversation 2", messages: [] },
+        ];
+        storeConversations(existingConversations);
 
-        if (callback) {
-          callback(result);
-        }
-        return Promise.resolve(result);
+        const result = await StorageService.deleteConversation("1");
+
+        expect(result).toBe(true);
+        expect(await StorageService.getConversations()).toEqual([
+          existingConversations[1],
+        ]);
+        expect(local["conversation:1"]).toBeUndefined();
       });
 
-      const newConversation = {
-        title: "New Conversation",
-        messages: [],
-        timestamp: 1234567890,
-      };
+      it("should return false if the conversation does not exist", async () => {
+        storeConversations([{ id: "1", title: "Conversation 1" }]);
 
-      await StorageService.saveConversation(newConversation);
+        const result = await StorageService.deleteConversation("2");
 
-      // Should save the new conversation and limit to 3 total
-      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
-        conversations: expect.arrayContaining([
-          expect.objectContaining({ title: "New Conversation" }),
-        ]),
+        expect(result).toBe(false);
+        expect(chrome.storage.local.set).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("trash", () => {
+      beforeEach(() => {
+        storeConversations([
+          { id: "1", title: "Newest", timestamp: 3000, messages: [] },
+          { id: "2", title: "Middle", timestamp: 2000, messages: [] },
+          { id: "3", title: "Oldest", timestamp: 1000, messages: [] },
+        ]);
+      });
+
+      it("should move a conversation to the trash and keep its messages", async () => {
+        const entry = await StorageService.trashConversation("2");
+
+        expect(entry).toMatchObject({ id: "2", deletedAt: expect.any(Number) });
+        expect(local.conversationIndex.map((e) => e.id)).toEqual(["1", "3"]);
+        await expect(StorageService.getTrash()).resolves.toEqual([entry]);
+        expect(local["conversation:2"]).toBeDefined();
+      });
+
+      it("should restore a conversation to its place in the list", async () => {
+        await StorageService.trashConversation("2");
+
+        await expect(StorageService.restoreConversation("2")).resolves.toBe(
+          true
+        );
+
+        expect(local.conversationIndex.map((e) => e.id)).toEqual([
+          "1",
+          "2",
+          "3",
+        ]);
+        expect(local.conversationIndex[1]).not.toHaveProperty("deletedAt");
+        await expect(StorageService.getTrash()).resolves.toEqual([]);
       });
 
-      // Check that only 3 conversations were saved
-      const savedConversations =
-        chrome.storage.sync.set.mock.calls[0][0].conversations;
-      expect(savedConversations.length).toBe(3);
+      it("should delete conversations in the trash for good", async () => {
+        await StorageService.trashConversation("2");
+
+        await expect(StorageService.deleteConversation("2")).resolves.toBe(
+          true
+        );
+
+        await expect(StorageService.getTrash()).resolves.toEqual([]);
+        expect(local).not.toHaveProperty("conversation:2");
+      });
+
+      it("should purge conversations older than the retention period", async () => {
+        const day = 24 * 60 * 60 * 1000;
+        local.conversationTrash = [
+          { id: "4", deletedAt: Date.now() - 2 * day },
+          { id: "5", deletedAt: Date.now() - 10 * day },
+        ];
+        local["conversation:4"] = { id: "4" };
+        local["conversation:5"] = { id: "5" };
+
+        await expect(StorageService.purgeTrash(7)).resolves.toBe(1);
+
+        expect(local.conversationTrash.map((e) => e.id)).toEqual(["4"]);
+        expect(local).not.toHaveProperty("conversation:5");
+        await expect(StorageService.purgeTrash(0)).resolves.toBe(0);
+      });
+
+      it("should keep a conversation saved after it was deleted in the trash", async () => {
+        await StorageService.trashConversation("2");
+
+        const answered = {
+          id: "2",
+          title: "Middle",
+          timestamp: 4000,
+          messages: [{ role: "assistant", content: "Done" }],
+        };
+        await StorageService.saveConversation(answered);
+
+        expect(local["conversation:2"]).toEqual(answered);
+        expect(local.conversationIndex.map((e) => e.id)).toEqual(["1", "3"]);
+        const [entry] = await StorageService.getTrash();
+        expect(entry).toMatchObject({ id: "2", messageCount: 1 });
+      });
+    });
+
+    describe("archive", () => {
+      beforeEach(() => {
+        storeConversations([
+          { id: "1", title: "Newest", timestamp: 3000, messages: [] },
+          { id: "2", title: "Oldest", timestamp: 1000, messages: [] },
+        ]);
+      });
+
+      it("should archive conversations and bring them back", async () => {
+        const [entry] = await StorageService.archiveConversations(["2"]);
+
+        expect(entry).toMatchObject({
+          id: "2",
+          archivedAt: expect.any(Number),
+        });
+        expect(local.conversationIndex.map((e) => e.id)).toEqual(["1"]);
+        await expect(StorageService.getArchive()).resolves.toEqual([entry]);
+        await expect(StorageService.getTrash()).resolves.toEqual([]);
+
+        await expect(StorageService.unarchiveConversation("2")).resolves.toBe(
+          true
+        );
+        expect(local.conversationIndex.map((e) => e.id)).toEqual(["1", "2"]);
+        await expect(StorageService.getArchive()).resolves.toEqual([]);
+      });
+
+      it("should delete archived conversations for good", async () => {
+        await StorageService.archiveConversations(["2"]);
+
+        await expect(StorageService.deleteConversation("2")).resolves.toBe(
+          true
+        );
+        expect(local).not.toHaveProperty("conversation:2");
+      });
+    });
+
+    describe("getConversationById", () => {
+      it("should read only the requested conversation", async () => {
+        const existingConversations = [
+          { id: "1", title: "Conversation 1" },
+          { id: "2", title: "Conversation 2" },
+        ];
+        storeConversations(existingConversations);
+
+        const conversation = await StorageService.getConversationById("2");
+
+        expect(conversation).toEqual(existingConversations[1]);
+        expect(chrome.storage.local.get).toHaveBeenCalledWith("conversation:2");
+      });
+
+      it("should return null if the conversation does not exist", async () => {
+        storeConversations([{ id: "1", title: "Conversation 1" }]);
+
+        const conversation = await StorageService.getConversationById("2");
+
+        expect(conversation).toBeNull();
+      });
     });
   });
 
-  describe("deleteConversation", () => {
-    it("should delete a conversation by ID", async () => {
-      const existingConversations = [
-        { id: "1", title: "Conversation 1" },
-        { id: "2", title: "Conversation 2" },
+  describe("storage policy", () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = { sync: {}, local: {} };
+      mockArea("sync", stored.sync);
+      mockArea("local", stored.local);
+    });
+
+    it("should default to synced settings and local conversations", async () => {
+      await expect(StorageService.getStoragePolicy()).resolves.toEqual({
+        settings: "sync",
+        apiKeys: "sync",
+        conversations: "local",
+        promptLibrary: "sync",
+      });
+    });
+
+    it("should keep the API keys apart from the other settings", async () => {
+      stored.local.storagePolicy = { apiKeys: "local" };
+
+      await StorageService.saveGlobalSettings({
+        theme: "dark",
+        apiKeys: { openai: "sk-test" },
+      });
+
+      expect(stored.sync.globalSettings.theme).toBe("dark");
+      expect(stored.sync.globalSettings.apiKeys.openai).toBe("");
+      expect(stored.local.credentials.secrets["apiKeys.openai"]).toBe(
+        "sk-test"
+      );
+
+      const settings = await StorageService.getGlobalSettings();
+      expect(settings).toMatchObject({
+        theme: "dark",
+        apiKeys: { openai: "sk-test" },
+      });
+    });
+
+    it("should keep custom endpoint secrets with the API keys", async () => {
+      stored.local.storagePolicy = { apiKeys: "local" };
+      const customEndpoints = [
+        {
+          id: "local",
+          name: "Local",
+          baseUrl: "http://localhost:1234",
+          apiKey: "sk-endpoint",
+          headers: { Authorization: "Bearer token" },
+        },
       ];
 
-      chrome.storage.sync.get.mockImplementationOnce((keys, callback) => {
-        const result = { conversations: existingConversations };
-        if (callback) {
-          callback(result);
-        }
-        return Promise.resolve(result);
+      await StorageService.saveGlobalSettings({ customEndpoints });
+
+      expect(JSON.stringify(stored.sync)).not.toContain("sk-endpoint");
+      expect(JSON.stringify(stored.sync)).not.toContain("Bearer token");
+      expect(stored.sync.globalSettings.customEndpoints[0]).toMatchObject({
+        name: "Local",
+        apiKey: "",
+        headers: { Authorization: "" },
+      });
+      expect(stored.local.credentials.secrets).toEqual({
+        "customEndpoints.local.apiKey": "sk-endpoint",
+        "customEndpoints.local.headers.Authorization": "Bearer token",
       });
 
-      const result = await StorageService.deleteConversation("1");
+      const settings = await StorageService.getGlobalSettings();
+      expect(settings.customEndpoints).toEqual(customEndpoints);
+    });
 
-      expect(result).toBe(true);
-      expect(chrome.storage.sync.set).toHaveBeenCalledWith({
-        conversations: [existingConversations[1]],
+    it("should read the API keys stored by older versions", async () => {
+      stored.sync.globalSettings = { theme: "dark" };
+      stored.sync.credentials = {
+        apiKeys: { openai: "sk-old" },
+        apiKeyVault: null,
+      };
+
+      await expect(StorageService.getGlobalSettings()).resolves.toMatchObject({
+        theme: "dark",
+        apiKeys: { openai: "sk-old" },
       });
     });
 
-    it("should return false if the conversation does not exist", async () => {
-      const existingConversations = [{ id: "1", title: "Conversation 1" }];
+    it("should read and write each category in the area it's kept in", async () => {
+      stored.local.storagePolicy = { settings: "local", conversations: "sync" };
+      stored.local.chatSettings = { model: "openai:gpt-4o" };
 
-      chrome.storage.sync.get.mockImplementationOnce((keys, callback) => {
-        const result = { conversations: existingConversations };
-        if (callback) {
-          callback(result);
-        }
-        return Promise.resolve(result);
+      await expect(StorageService.getChatSettings()).resolves.toEqual({
+        model: "openai:gpt-4o",
       });
 
-      const result = await StorageService.deleteConversation("2");
+      await StorageService.saveConversation({ id: "1", messages: [] });
+      expect(stored.sync["conversation:1"]).toBeDefined();
+      expect(stored.local).not.toHaveProperty("conversation:1");
+    });
+
+    it("should keep the prompt library in its chosen area", async () => {
+      stored.local.storagePolicy = { promptLibrary: "local" };
+      const prompts = [{ id: "1", title: "Summarise", content: "Summarise:" }];
+
+      await StorageService.savePromptLibrary(prompts);
+
+      expect(stored.local.promptLibrary).toEqual(prompts);
+      expect(stored.sync).not.toHaveProperty("promptLibrary");
+      await expect(StorageService.getPromptLibrary()).resolves.toEqual(prompts);
 
-      expect(result).toBe(false);
-      expect(chrome.storage.sync.set).not.toHaveBeenCalled();
+      await StorageService.setStoragePolicy({ promptLibrary: "sync" });
+      expect(stored.sync.promptLibrary).toEqual(prompts);
+      expect(stored.local).not.toHaveProperty("promptLibrary");
+    });
+
+    it("should move the stored data when the policy changes", async () => {
+      stored.sync.globalSettings = { theme: "dark", apiKeys: { openai: "sk" } };
+      stored.local.conversationIndex = [{ id: "1" }];
+      stored.local["conversation:1"] = { id: "1", messages: [] };
+
+      const policy = await StorageService.setStoragePolicy({
+        apiKeys: "local",
+        conversations: "sync",
+      });
+
+      expect(policy).toEqual({
+        settings: "sync",
+        apiKeys: "local",
+        conversations: "sync",
+        promptLibrary: "sync",
+      });
+      expect(stored.local.storagePolicy).toEqual(policy);
+
+      // Settings saved by older versions have their keys split off
+      expect(stored.sync.globalSettings.apiKeys.openai).toBe("");
+      expect(stored.sync).not.toHaveProperty("credentials");
+      expect(stored.local.credentials.secrets["apiKeys.openai"]).toBe("sk");
+
+      expect(stored.sync["conversation:1"]).toEqual({ id: "1", messages: [] });
+      expect(stored.sync.conversationIndex).toEqual([{ id: "1" }]);
+      expect(stored.local).not.toHaveProperty("conversation:1");
+      expect(stored.local).not.toHaveProperty("conversationIndex");
+    });
+
+    it("should leave the data in place when it can't be moved", async () => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      stored.local.conversationIndex = [{ id: "1" }];
+      stored.local["conversation:1"] = { id: "1", messages: [] };
+      chrome.storage.sync.set.mockImplementation(async (items) => {
+        Object.assign(stored.sync, items);
+        throw new Error("QUOTA_BYTES quota exceeded");
+      });
+
+      await expect(
+        StorageService.setStoragePolicy({ conversations: "sync" })
+      ).rejects.toThrow("Couldn't move your data");
+
+      expect(stored.sync).toEqual({});
+      expect(stored.local["conversation:1"]).toBeDefined();
+      await expect(StorageService.getStoragePolicy()).resolves.toMatchObject({
+        conversations: "local",
+      });
+
+      console.error.mockRestore();
+    });
+
+    it("should reject unknown storage areas", async () => {
+      await expect(
+        StorageService.setStoragePolicy({ settings: "cloud" })
+      ).rejects.toThrow("Unknown storage area");
     });
   });
 
-  describe("getConversationById", () => {
-    it("should return a conversation by ID", async () => {
-      const existingConversations = [
-        { id: "1", title: "Conversation 1" },
-        { id: "2", title: "Conversation 2" },
-      ];
+  describe("active conversation", () => {
+    it("should store the active conversation ID in local storage", async () => {
+      await StorageService.saveActiveConversationId("2");
 
-      chrome.storage.sync.get.mockImplementationOnce((keys, callback) => {
-        const result = { conversations: existingConversations };
-        if (callback) {
-          callback(result);
-        }
-        return Promise.resolve(result);
+      expect(chrome.storage.local.set).toHaveBeenCalledWith({
+        activeConversationId: "2",
       });
+    });
 
-      const conversation = await StorageService.getConversationById("2");
+    it("should read the active conversation ID", async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        activeConversationId: "2",
+      });
 
-      expect(conversation).toEqual(existingConversations[1]);
+      expect(await StorageService.getActiveConversationId()).toBe("2");
     });
 
-    it("should return null if the conversation does not exist", async () => {
-      const existingConversations = [{ id: "1", title: "Conversation 1" }];
+    it("should return null when no conversation is active", async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({});
 
-      chrome.storage.sync.get.mockImplementationOnce((keys, callback) => {
-        const result = { conversations: existingConversations };
-        if (callback) {
-          callback(result);
-        }
-        return Promise.resolve(result);
+      expect(await StorageService.getActiveConversationId()).toBeNull();
+    });
+  });
+
+  describe("handed over conversation", () => {
+    const conversation = {
+      id: "2",
+      messages: [{ role: "user", content: "Hi" }],
+    };
+
+    it("should keep it in session storage", async () => {
+      await StorageService.saveHandoffConversation(conversation);
+
+      expect(chrome.storage.session.set).toHaveBeenCalledWith({
+        handoffConversation: conversation,
       });
+      expect(chrome.storage.local.set).not.toHaveBeenCalled();
+    });
 
-      const conversation = await StorageService.getConversationById("2");
+    it("should hand it over once, to the page that asks for its ID", async () => {
+      chrome.storage.session.get.mockResolvedValue({
+        handoffConversation: conversation,
+      });
 
-      expect(conversation).toBeNull();
+      await expect(StorageService.takeHandoffConversation("2")).resolves.toBe(
+        conversation
+      );
+      expect(chrome.storage.session.remove).toHaveBeenCalledWith(
+        "handoffConversation"
+      );
+      await expect(
+        StorageService.takeHandoffConversation("3")
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe("backups", () => {
+    let local;
+
+    beforeEach(() => {
+      local = {
+        backupIndex: [{ id: "newer" }, { id: "older" }],
+        "backup:newer": "{}",
+        "backup:older": "{}",
+      };
+      mockArea("local", local);
+    });
+
+    it("should store new backups ahead of the others", async () => {
+      await StorageService.saveBackup({ id: "new" }, '{"new":true}');
+
+      expect(await StorageService.getBackups()).toEqual([
+        { id: "new" },
+        { id: "newer" },
+        { id: "older" },
+      ]);
+      expect(await StorageService.getBackupData("new")).toBe('{"new":true}');
+    });
+
+    it("should delete backups with their index entries", async () => {
+      const removed = await StorageService.deleteBackups(["older", "gone"]);
+
+      expect(removed).toEqual([{ id: "older" }]);
+      expect(local).toEqual({
+        backupIndex: [{ id: "newer" }],
+        "backup:newer": "{}",
+      });
+      expect(await StorageService.getBackupData("older")).toBeNull();
+    });
+
+    it("should list the keys backups are stored under", async () => {
+      expect(await StorageService.getBackupKeys()).toEqual([
+        "backupIndex",
+        "backup:newer",
+        "backup:older",
+      ]);
     });
   });
 
   describe("clearAllData", () => {
-    it("should clear all data in storage", async () => {
+    let sync;
+    let local;
+
+    beforeEach(() => {
+      sync = { globalSettings: { theme: "dark" }, schemaVersion: 2 };
+      local = {
+        conversationIndex: [{ id: "1", timestamp: 1000 }],
+        "conversation:1": { id: "1", messages: [] },
+        activeConversationId: "1",
+        storagePolicy: { settings: "sync" },
+        backupIndex: [{ id: "b" }],
+        "backup:b": "{}",
+      };
+      mockArea("sync", sync);
+      mockArea("local", local);
+    });
+
+    it("should move conversations to the trash and clear everything but backups", async () => {
       await StorageService.clearAllData();
 
-      expect(chrome.storage.sync.clear).toHaveBeenCalled();
+      expect(sync).toEqual({});
+      expect(local).toEqual({
+        conversationIndex: [],
+        conversationArchive: [],
+        conversationTrash: [
+          { id: "1", timestamp: 1000, deletedAt: expect.any(Number) },
+        ],
+        "conversation:1": { id: "1", messages: [] },
+        storagePolicy: { settings: "sync" },
+        backupIndex: [{ id: "b" }],
+        "backup:b": "{}",
+      });
     });
 
     it("should handle errors when clearing data", async () => {
-      chrome.storage.sync.clear.mockImplementationOnce(() => {
+      chrome.storage.sync.remove.mockImplementationOnce(() => {
         throw new Error("Test error");
       });
 
@@ -428,7 +974,7 @@ describe("Storage Service", () => {
     });
   });
 
-  describe("exportData and importData", () => {
+  describe("exportData", () => {
     beforeEach(() => {
       // Mock the storage data
       chrome.storage.sync.get.mockImplementation((keys, callback) => {
@@ -446,16 +992,12 @@ describe("Storage Service", () => {
           temperature: 0.8,
         };
 
-        const conversations = [{ id: "1", title: "Conversation 1" }];
-
         let result = {};
 
         if (keys === "globalSettings") {
           result = { globalSettings };
         } else if (keys === "chatSettings") {
           result = { chatSettings };
-        } else if (keys === "conversations") {
-          result = { conversations };
         }
 
         if (callback) {
@@ -463,160 +1005,108 @@ describe("Storage Service", () => {
         }
         return Promise.resolve(result);
       });
+
+      chrome.storage.local.get.mockImplementation(async (keys) =>
+        keys === "conversationIndex"
+          ? { conversationIndex: [{ id: "1", title: "Conversation 1" }] }
+          : { "conversation:1": { id: "1", title: "Conversation 1" } }
+      );
+      chrome.storage.local.remove.mockResolvedValue();
     });
 
-    describe("exportData", () => {
-      it("should export data as JSON string with API keys replaced by placeholders", async () => {
-        const jsonData = await StorageService.exportData();
-        const data = JSON.parse(jsonData);
+    it("should export data as JSON string with API keys replaced by placeholders", async () => {
+      const jsonData = await StorageService.exportData();
+      const data = JSON.parse(jsonData);
 
-        expect(data).toEqual({
-          globalSettings: {
-            theme: "dark",
-            apiKeys: {
-              openai: "[API_KEY]",
-              anthropic: "[API_KEY]",
-              mistral: "",
-            },
-          },
-          chatSettings: {
-            model: "gpt-4",
-            temperature: 0.8,
+      expect(data).toEqual({
+        globalSettings: {
+          theme: "dark",
+          apiKeys: {
+            openai: "[API_KEY]",
+            anthropic: "[API_KEY]",
+            mistral: "",
           },
-          conversations: [{ id: "1", title: "Conversation 1" }],
-          exportDate: expect.any(Number),
-        });
-      });
-
-      it("should include real API keys if includeApiKeys option is true", async () => {
-        const jsonData = await StorageService.exportData({
-          includeApiKeys: true,
-        });
-        const data = JSON.parse(jsonData);
-
-        expect(data.globalSettings.apiKeys).toEqual({
-          openai: "test-key",
-          anthropic: "test-key-2",
-          mistral: "",
-        });
+        },
+        chatSettings: {
+          model: "gpt-4",
+          temperature: 0.8,
+        },
+        conversations: [{ id: "1", title: "Conversation 1" }],
+        schemaVersion: SCHEMA_VERSION,
+        exportDate: expect.any(Number),
+        redactedSecrets: ["apiKeys.openai", "apiKeys.anthropic"],
       });
     });
 
-    describe("importData", () => {
-      it("should import data without overwriting existing data by default", async () => {
-        const importData = {
-          globalSettings: {
-            theme: "light",
-            defaultModel: "gpt-3.5-turbo",
-          },
-          chatSettings: {
-            model: "claude-3-opus",
-          },
-          conversations: [{ id: "2", title: "Imported Conversation" }],
-        };
-
-        // Spy on the save methods
-        jest.spyOn(StorageService, "saveGlobalSettings");
-
-        await StorageService.importData(JSON.stringify(importData));
-
-        // Check that the global settings were merged correctly
-        expect(StorageService.saveGlobalSettings).toHaveBeenCalledWith(
-          expect.objectContaining({
-            theme: "light",
-            defaultModel: "gpt-3.5-turbo",
-            apiKeys: {
-              openai: "test-key",
-              anthropic: "test-key-2",
-              mistral: "",
-            },
-          })
-        );
+    it("should leave out every secret setting", async () => {
+      chrome.storage.sync.get.mockImplementation(async () => ({
+        globalSettings: {
+          apiKeys: { openrouter: "sk-router" },
+          apiKeyVault: { iv: "iv", data: "data" },
+          customEndpoints: [
+            { id: "local", apiKey: "key", headers: { "X-Token": "token" } },
+          ],
+        },
+      }));
 
-        // Check that the conversations were merged
-        const setCall = chrome.storage.sync.set.mock.calls.find(
-          (call) => call[0].conversations
-        );
-        expect(setCall[0].conversations).toEqual([
-          { id: "1", title: "Conversation 1" },
-          { id: "2", title: "Imported Conversation" },
-        ]);
+      const { globalSettings, redactedSecrets } = JSON.parse(
+        await StorageService.exportData()
+      );
 
-        // Restore the spy
-        StorageService.saveGlobalSettings.mockRestore();
+      expect(globalSettings).toMatchObject({
+        apiKeys: { openrouter: "[API_KEY]" },
+        apiKeyVault: null,
+        customEndpoints: [
+          { apiKey: "[API_KEY]", headers: { "X-Token": "[API_KEY]" } },
+        ],
       });
+      expect(redactedSecrets).toHaveLength(4);
+    });
 
-      it("should overwrite existing data if overwrite option is true", async () => {
-        const importData = {
-          globalSettings: {
-            theme: "light",
-          },
-          chatSettings: {
-            model: "claude-3-opus",
-          },
-          conversations: [{ id: "2", title: "Imported Conversation" }],
-        };
-
-        await StorageService.importData(JSON.stringify(importData), {
-          overwrite: true,
-        });
-
-        // Check that the conversations were completely replaced
-        const setCall = chrome.storage.sync.set.mock.calls.find(
-          (call) => call[0].conversations
-        );
-        expect(setCall[0].conversations).toEqual([
-          { id: "2", title: "Imported Conversation" },
-        ]);
+    it("should include real API keys if includeApiKeys option is true", async () => {
+      const jsonData = await StorageService.exportData({
+        includeApiKeys: true,
       });
+      const data = JSON.parse(jsonData);
 
-      it("should not import placeholder API keys", async () => {
-        const importData = {
-          globalSettings: {
-            theme: "light",
-            apiKeys: {
-              openai: "[API_KEY]",
-              anthropic: "new-key",
-              mistral: "[API_KEY]",
-            },
-          },
-        };
-
-        // Spy on the save method
-        jest.spyOn(StorageService, "saveGlobalSettings");
-
-        await StorageService.importData(JSON.stringify(importData), {
-          importApiKeys: true,
-        });
-
-        // Check that placeholder API keys were not imported
-        expect(StorageService.saveGlobalSettings).toHaveBeenCalledWith(
-          expect.objectContaining({
-            apiKeys: {
-              openai: "test-key", // Kept existing
-              anthropic: "new-key", // Imported
-              mistral: "", // Kept existing
-            },
-          })
-        );
-
-        // Restore the spy
-        StorageService.saveGlobalSettings.mockRestore();
+      expect(data.globalSettings.apiKeys).toEqual({
+        openai: "test-key",
+        anthropic: "test-key-2",
+        mistral: "",
       });
+    });
 
-      it("should reject with an error if the JSON data is invalid", async () => {
-        const invalidJson = "{ invalid: json }";
+    it("should add archived conversations and keep chosen secrets", async () => {
+      const records = {
+        conversationIndex: [{ id: "1" }],
+        conversationArchive: [{ id: "2", archivedAt: 1 }],
+        "conversation:1": { id: "1" },
+        "conversation:2": { id: "2" },
+      };
+      chrome.storage.local.get.mockImplementation(async (keys) =>
+        Object.fromEntries([keys].flat().map((key) => [key, records[key]]))
+      );
 
-        await expect(StorageService.importData(invalidJson)).rejects.toThrow();
-      });
+      const data = JSON.parse(
+        await StorageService.exportData({
+          includeArchived: true,
+          keepSecrets: ["apiKeys.*"],
+        })
+      );
 
-      it("should reject with an error if the imported data format is invalid", async () => {
-        const invalidData = JSON.stringify({ invalidFormat: true });
+      expect(data.conversations).toEqual([{ id: "1" }, { id: "2" }]);
+      expect(data.globalSettings.apiKeys.openai).toBe("test-key");
+    });
 
-        await expect(StorageService.importData(invalidData)).rejects.toThrow(
-          "Invalid import data format"
-        );
+    it("should export only the chosen conversations", async () => {
+      const jsonData = await StorageService.exportData({
+        conversationIds: ["1", "missing"],
       });
+
+      expect(JSON.parse(jsonData).conversations).toEqual([
+        { id: "1", title: "Conversation 1" },
+      ]);
+      expect(chrome.storage.local.get).toHaveBeenCalledWith("conversation:1");
     });
   });
 });
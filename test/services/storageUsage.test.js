@@ -0,0 +1,142 @@
+/**
+ * Tests for the storage usage service
+ */
+
+import * as StorageUsage from "@/services/storageUsage";
+import * as StorageService from "@/services/storage";
+
+// Mock the storage service, apart from its constants
+jest.mock("@/services/storage", () => ({
+  ...jest.requireActual("@/services/storage"),
+  getStoragePolicy: jest.fn(),
+  getCategoryKeys: jest.fn(),
+  getConversationIndex: jest.fn(),
+  getArchive: jest.fn(),
+  getTrash: jest.fn(),
+  getConversationById: jest.fn(),
+  getBackupKeys: jest.fn(),
+}));
+
+describe("Storage Usage Service", () => {
+  const policy = {
+    settings: "sync",
+    apiKeys: "sync",
+    conversations: "local",
+  };
+
+  beforeEach(() => {
+    StorageService.getStoragePolicy.mockResolvedValue(policy);
+    chrome.storage.sync.getBytesInUse = jest.fn().mockResolvedValue(1000);
+    chrome.storage.local.getBytesInUse = jest.fn().mockResolvedValue(5000);
+  });
+
+  afterEach(() => {
+    delete chrome.storage.sync.getBytesInUse;
+    delete chrome.storage.local.getBytesInUse;
+  });
+
+  describe("getUsageLevel", () => {
+    it("should warn near the quota", () => {
+      expect(StorageUsage.getUsageLevel(50, 100)).toBe("ok");
+      expect(StorageUsage.getUsageLevel(85, 100)).toBe("warning");
+      expect(StorageUsage.getUsageLevel(100, 100)).toBe("full");
+    });
+
+    it("should never warn without a quota", () => {
+      expect(StorageUsage.getUsageLevel(1e9, null)).toBe("ok");
+    });
+  });
+
+  describe("getStorageUsage", () => {
+    it("should report the bytes of each category and area", async () => {
+      StorageService.getCategoryKeys.mockImplementation(async (category) => [
+        category,
+      ]);
+      StorageService.getBackupKeys.mockResolvedValue(["backupIndex"]);
+
+      const usage = await StorageUsage.getStorageUsage();
+
+      expect(usage.categories).toEqual({
+        settings: { area: "sync", bytes: 1000 },
+        apiKeys: { area: "sync", bytes: 1000 },
+        conversations: { area: "local", bytes: 5000 },
+        backups: { area: "local", bytes: 5000 },
+      });
+      expect(chrome.storage.local.getBytesInUse).toHaveBeenCalledWith([
+        "conversations",
+      ]);
+      expect(chrome.storage.local.getBytesInUse).toHaveBeenCalledWith([
+        "backupIndex",
+      ]);
+      expect(usage.areas.sync).toEqual({
+        bytes: 1000,
+        quota: 102400,
+        level: "ok",
+      });
+      expect(usage.areas.local.quota).toBeNull();
+    });
+  });
+
+  describe("getSaveWarning", () => {
+    beforeEach(() => {
+      StorageService.getStoragePolicy.mockResolvedValue({
+        ...policy,
+        conversations: "sync",
+      });
+    });
+
+    it("should not warn while there is room", async () => {
+      await expect(
+        StorageUsage.getSaveWarning({ id: "1", messages: [] })
+      ).resolves.toBeNull();
+    });
+
+    it("should warn when synced storage is almost full", async () => {
+      chrome.storage.sync.getBytesInUse.mockResolvedValue(90000);
+
+      const warning = await StorageUsage.getSaveWarning({
+        id: "1",
+        messages: [],
+      });
+
+      expect(warning.level).toBe("warning");
+      expect(warning.message).toContain("88% full");
+    });
+
+    it("should warn when a conversation is too long to sync", async () => {
+      const warning = await StorageUsage.getSaveWarning({
+        id: "1",
+        messages: [{ role: "user", content: "x".repeat(9000) }],
+      });
+
+      expect(warning.level).toBe("full");
+      expect(warning.message).toContain("too long");
+    });
+  });
+
+  describe("getLargestConversations", () => {
+    it("should list conversations by size, wherever they are", async () => {
+      StorageService.getConversationIndex.mockResolvedValue([
+        { id: "small", title: "Small" },
+      ]);
+      StorageService.getArchive.mockResolvedValue([]);
+      StorageService.getTrash.mockResolvedValue([
+        { id: "big", title: "Big", deletedAt: 1 },
+      ]);
+      StorageService.getConversationById.mockImplementation(async (id) => ({
+        id,
+        messages: [
+          { role: "user", content: "x".repeat(id === "big" ? 1000 : 10) },
+        ],
+      }));
+
+      const largest = await StorageUsage.getLargestConversations();
+
+      expect(largest.map((c) => [c.id, c.location])).toEqual([
+        ["big", "trash"],
+        ["small", "list"],
+      ]);
+      expect(largest[0].bytes).toBeGreaterThan(largest[1].bytes);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Tests for the usage service
+ */
+
+import * as UsageService from "@/services/usage";
+import * as SettingsService from "@/services/settings";
+
+// Mock the settings service
+jest.mock("@/services/settings");
+
+describe("Usage Service", () => {
+  const prices = {
+    "openai:gpt-4o": { input: 2.5, output: 10 },
+    "openai:gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "anthropic:claude-3-5-sonnet": { input: 3, output: 15 },
+  };
+
+  describe("getModelPrices", () => {
+    it("should apply the user's overrides to the defaults", async () => {
+      SettingsService.getGlobalSetting.mockResolvedValue({
+        "openai:gpt-4o": { input: 1, output: 2 },
+      });
+
+      const result = await UsageService.getModelPrices();
+
+      expect(SettingsService.getGlobalSetting).toHaveBeenCalledWith(
+        "modelPrices",
+        {}
+      );
+      expect(result["openai:gpt-4o"]).toEqual({ input: 1, output: 2 });
+      expect(result["openai:gpt-4o-mini"]).toEqual(
+        UsageService.DEFAULT_MODEL_PRICES["openai:gpt-4o-mini"]
+      );
+    });
+  });
+
+  describe("getModelPrice", () => {
+    it("should match model snapshots and aliases by prefix", () => {
+      expect(
+        UsageService.getModelPrice("openai:gpt-4o-mini", null, prices)
+      ).toEqual({ input: 0.15, output: 0.6 });
+      expect(
+        UsageService.getModelPrice("openai:gpt-4o", "gpt-4o-2024-08-06", prices)
+      ).toEqual({ input: 2.5, output: 10 });
+      expect(
+        UsageService.getModelPrice(
+          "anthropic:claude-3-5-sonnet-latest",
+          null,
+          prices
+        )
+      ).toEqual({ input: 3, output: 15 });
+    });
+
+    it("should return null for unpriced models", () => {
+      expect(
+        UsageService.getModelPrice("mistral:mistral-tiny", null, prices)
+      ).toBeNull();
+    });
+  });
+
+  describe("calculateCost", () => {
+    it("should price prompt and completion tokens per million", () => {
+      expect(
+        UsageService.calculateCost(
+          { promptTokens: 1000000, completionTokens: 500000 },
+          { input: 2.5, output: 10 }
+        )
+      ).toBeCloseTo(7.5);
+      expect(UsageService.calculateCost({ promptTokens: 10 }, null)).toBeNull();
+    });
+  });
+
+  describe("price table", () => {
+    it("should round-trip the editable price table", () => {
+      const text = UsageService.formatPriceTable(prices);
+
+      expect(text.split("\n")[0]).toBe("openai:gpt-4o 2.5 10");
+      expect(UsageService.parsePriceTable(text)).toEqual(prices);
+    });
+
+    it("should reject malformed lines", () => {
+      expect(() => UsageService.parsePriceTable("openai:gpt-4o 2.5")).toThrow(
+        'Invalid price line: "openai:gpt-4o 2.5"'
+      );
+      expect(() => UsageService.parsePriceTable("gpt-4o 2.5 10")).toThrow(
+        "Invalid price line"
+      );
+    });
+
+    it("should keep only prices that differ from the defaults", () => {
+      const overrides = UsageService.getPriceOverrides({
+        ...UsageService.DEFAULT_MODEL_PRICES,
+        "openai:gpt-4o": { input: 1, output: 2 },
+        "openrouter:x-ai/grok-2": { input: 2, output: 10 },
+      });
+
+      expect(overrides).toEqual({
+        "openai:gpt-4o": { input: 1, output: 2 },
+        "openrouter:x-ai/grok-2": { input: 2, output: 10 },
+      });
+    });
+  });
+
+  describe("usage totals", () => {
+    const day1 = Date.UTC(2024, 4, 1, 12);
+    const day2 = Date.UTC(2024, 4, 2, 12);
+
+    const conversations = [
+      {
+        id: "1",
+        model: "openai:gpt-4o",
+        timestamp: day1,
+        messages: [
+          { role: "user", content: "Hi" },
+          {
+            role: "assistant",
+            content: "Hello",
+            model: "openai:gpt-4o",
+            usage: { promptTokens: 1000, completionTokens: 100 },
+            timestamp: day1,
+          },
+          { role: "user", content: "More" },
+          {
+            role: "assistant",
+            content: "Sure",
+            model: "anthropic:claude-3-5-sonnet-latest",
+            usage: { promptTokens: 2000, completionTokens: 200 },
+            timestamp: day2,
+          },
+          // Answers saved before usage tracking are skipped
+          { role: "assistant", content: "Old answer" },
+        ],
+      },
+      {
+        id: "2",
+        model: "openai:gpt-4o",
+        timestamp: day2,
+        messages: [
+          {
+            role: "assistant",
+            content: "Again",
+            usage: { promptTokens: 1000, completionTokens: 100 },
+          },
+        ],
+      },
+    ];
+
+    it("should total the usage of a conversation", () => {
+      const total = UsageService.getConversationUsage(conversations[0], prices);
+
+      expect(total).toEqual({
+        requests: 2,
+        promptTokens: 3000,
+        completionTokens: 300,
+        cost: expect.any(Number),
+      });
+      expect(total.cost).toBeCloseTo(0.0035 + 0.009);
+    });
+
+    it("should summarise usage per day, provider and model", () => {
+      const rows = UsageService.summarizeUsage(conversations, prices);
+
+      expect(rows).toEqual([
+        {
+          date: "2024-05-02",
+          provider: "anthropic",
+          model: "anthropic:claude-3-5-sonnet-latest",
+          requests: 1,
+          promptTokens: 2000,
+          completionTokens: 200,
+          cost: expect.any(Number),
+        },
+        {
+          date: "2024-05-02",
+          provider: "openai",
+          model: "openai:gpt-4o",
+          requests: 1,
+          promptTokens: 1000,
+          completionTokens: 100,
+          cost: expect.any(Number),
+        },
+        {
+          date: "2024-05-01",
+          provider: "openai",
+          model: "openai:gpt-4o",
+          requests: 1,
+          promptTokens: 1000,
+          completionTokens: 100,
+          cost: expect.any(Number),
+        },
+      ]);
+      expect(rows[2].cost).toBeCloseTo(0.0035);
+    });
+  });
+
+  describe("createAssistantMessage", () => {
+    it("should copy usage details from the stream's final event", () => {
+      const message = UsageService.createAssistantMessage("Hello", {
+        type: "done",
+        content: "Hello",
+        provider: "openai",
+        model: "openai:gpt-4o",
+        resolvedModel: "gpt-4o-2024-08-06",
+        usage: { promptTokens: 5, completionTokens: 1 },
+        latency: 820,
+      });
+
+      expect(message).toEqual({
+        role: "assistant",
+        content: "Hello",
+        model: "openai:gpt-4o",
+        resolvedModel: "gpt-4o-2024-08-06",
+        usage: { promptTokens: 5, completionTokens: 1 },
+        latency: 820,
+        timestamp: expect.any(Number),
+      });
+    });
+
+    it("should flag answers cut off at the token limit", () => {
+      const message = UsageService.createAssistantMessage("Long", {
+        model: "openai:gpt-4o",
+        usage: { promptTokens: 5, completionTokens: 2048 },
+        truncated: true,
+      });
+
+      expect(message.truncated).toBe(true);
+    });
+
+    it("should store only the text when no usage was reported", () => {
+      expect(UsageService.createAssistantMessage("Hi", null)).toEqual({
+        role: "assistant",
+        content: "Hi",
+      });
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Tests for the key vault service
+ */
+
+import { webcrypto } from "crypto";
+import { TextDecoder, TextEncoder } from "util";
+import * as KeyVault from "@/services/vault";
+import { joinSecrets } from "@/services/secrets";
+import { isVaultLockedError } from "@/utils/errorHandler";
+
+// jsdom doesn't implement SubtleCrypto, use Node's implementation
+Object.defineProperty(globalThis, "crypto", {
+  value: webcrypto,
+  configurable: true,
+});
+Object.assign(globalThis, { TextEncoder, TextDecoder });
+
+describe("Key Vault Service", () => {
+  let synced;
+  let session;
+
+  const apiKeys = { openai: "sk-openai", anthropic: "", mistral: "mis-key" };
+
+  /**
+   * Gets the stored global settings, with the API keys stored apart
+   */
+  const getStoredSettings = () =>
+    synced.credentials
+      ? joinSecrets(synced.globalSettings, synced.credentials.secrets)
+      : synced.globalSettings;
+
+  beforeEach(() => {
+    synced = { globalSettings: { theme: "dark", apiKeys: { ...apiKeys } } };
+    session = {};
+
+    chrome.storage.local.get.mockResolvedValue({});
+    chrome.storage.sync.get.mockImplementation(async (key) => ({
+      [key]: synced[key],
+    }));
+    chrome.storage.sync.set.mockImplementation(async (items) => {
+      Object.assign(synced, items);
+    });
+    chrome.storage.session.get.mockImplementation(async (key) => ({
+      [key]: session[key],
+    }));
+    chrome.storage.session.set.mockImplementation(async (items) => {
+      Object.assign(session, items);
+    });
+    chrome.storage.session.remove.mockImplementation(async (key) => {
+      delete session[key];
+    });
+  });
+
+  describe("without a vault", () => {
+    it("should read the plaintext keys", async () => {
+      await expect(KeyVault.getApiKey("openai")).resolves.toBe("sk-openai");
+      await expect(KeyVault.getApiKeys()).resolves.toMatchObject(apiKeys);
+      await expect(KeyVault.getVaultStatus()).resolves.toEqual({
+        enabled: false,
+        unlocked: false,
+      });
+    });
+
+    it("should list the providers with a key", () => {
+      expect(KeyVault.getConfiguredProviders(getStoredSettings())).toEqual([
+        "openai",
+        "mistral",
+      ]);
+    });
+  });
+
+  describe("enableVault", () => {
+    it("should replace the plaintext keys with an unlocked vault", async () => {
+      await KeyVault.enableVault("correct horse", apiKeys);
+
+      const settings = getStoredSettings();
+      expect(settings.theme).toBe("dark");
+      expect(Object.values(settings.apiKeys).every((key) => key === "")).toBe(
+        true
+      );
+      expect(JSON.stringify(settings.apiKeyVault)).not.toContain("sk-openai");
+      expect(KeyVault.getConfiguredProviders(settings)).toEqual([
+        "openai",
+        "mistral",
+      ]);
+
+      await expect(KeyVault.getVaultStatus()).resolves.toEqual({
+        enabled: true,
+        unlocked: true,
+      });
+      await expect(KeyVault.getApiKey("openai")).resolves.toBe("sk-openai");
+    });
+
+    it("should require a passphrase", async () => {
+      await expect(KeyVault.enableVault("", apiKeys)).rejects.toThrow(
+        "passphrase"
+      );
+      expect(getStoredSettings().apiKeyVault).toBeUndefined();
+    });
+  });
+
+  describe("locking", () => {
+    beforeEach(async () => {
+      await KeyVault.enableVault("correct horse", apiKeys);
+      await KeyVault.lockVault();
+    });
+
+    it("should refuse to read locked keys", async () => {
+      const error = await KeyVault.getApiKey("openai").catch((e) => e);
+
+      expect(isVaultLockedError(error)).toBe(true);
+      await expect(KeyVault.getVaultStatus()).resolves.toEqual({
+        enabled: true,
+        unlocked: false,
+      });
+    });
+
+    it("should not need the vault for providers without a key", async () => {
+      await expect(KeyVault.getApiKey("anthropic")).resolves.toBe("");
+    });
+
+    it("should unlock with the right passphrase only", async () => {
+      await expect(KeyVault.unlockVault("wrong")).rejects.toThrow(
+        "Incorrect passphrase"
+      );
+      expect(session).toEqual({});
+
+      await KeyVault.unlockVault("correct horse");
+      await expect(KeyVault.getApiKeys()).resolves.toEqual(apiKeys);
+    });
+
+    it("should need to be unlocked to change the passphrase", async () => {
+      const error = await KeyVault.enableVault(
+        "other passphrase",
+        apiKeys
+      ).catch((e) => e);
+
+      expect(isVaultLockedError(error)).toBe(true);
+    });
+
+    it("should lock itself when the vault was replaced", async () => {
+      const vault = getStoredSettings().apiKeyVault;
+
+      // Unlocked with the key of another vault, then the first one is
+      // restored, e.g. from a backup
+      await KeyVault.unlockVault("correct horse");
+      await KeyVault.enableVault("other passphrase", { openai: "sk-other" });
+      synced.credentials.secrets.apiKeyVault = vault;
+
+      const error = await KeyVault.getApiKeys().catch((e) => e);
+      expect(isVaultLockedError(error)).toBe(true);
+      expect(session).toEqual({});
+    });
+  });
+
+  describe("sealApiKeys", () => {
+    it("should encrypt new keys into the unlocked vault", async () => {
+      const vault = await KeyVault.enableVault("correct horse", apiKeys);
+      const updated = await KeyVault.sealApiKeys(vault, {
+        ...apiKeys,
+        anthropic: "sk-ant",
+      });
+
+      expect(updated).toMatchObject({
+        salt: vault.salt,
+        iterations: vault.iterations,
+        providers: ["openai", "anthropic", "mistral"],
+      });
+
+      synced.credentials.secrets.apiKeyVault = updated;
+      await expect(KeyVault.getApiKey("anthropic")).resolves.toBe("sk-ant");
+    });
+
+    it("should refuse to change locked keys", async () => {
+      const vault = await KeyVault.enableVault("correct horse", apiKeys);
+      await KeyVault.lockVault();
+
+      const error = await KeyVault.sealApiKeys(vault, apiKeys).catch((e) => e);
+      expect(isVaultLockedError(error)).toBe(true);
+    });
+  });
+
+  describe("custom endpoints", () => {
+    const endpoint = {
+      id: "gateway",
+      name: "Gateway",
+      baseUrl: "https://llm.example.com/v1",
+      apiKey: "gw-key",
+      headers: { Authorization: "Bearer gw-token", "X-Team": "research" },
+      models: [{ id: "llama3", name: "llama3" }],
+    };
+
+    beforeEach(() => {
+      synced.globalSettings.customEndpoints = [endpoint];
+    });
+
+    it("should seal the endpoint key and headers", async () => {
+      await KeyVault.enableVault("correct horse", apiKeys);
+
+      const settings = getStoredSettings();
+      expect(settings.customEndpoints[0]).toMatchObject({
+        apiKey: "",
+        headers: { Authorization: "", "X-Team": "" },
+      });
+      expect(settings.apiKeyVault.endpoints).toEqual(["gateway"]);
+      expect(JSON.stringify(settings)).not.toContain("gw-token");
+      await expect(KeyVault.getCustomEndpoints()).resolves.toEqual([endpoint]);
+    });
+
+    it("should mark sealed endpoints as locked while the vault is locked", async () => {
+      await KeyVault.enableVault("correct horse", apiKeys);
+      await KeyVault.lockVault();
+
+      const [locked] = await KeyVault.getCustomEndpoints();
+      expect(locked).toMatchObject({ id: "gateway", apiKey: "", locked: true });
+    });
+
+    it("should keep sealed secrets when only the API keys change", async () => {
+      const vault = await KeyVault.enableVault("correct horse", apiKeys);
+      synced.credentials.secrets.apiKeyVault = await KeyVault.sealApiKeys(
+        vault,
+        apiKeys
+      );
+
+      await expect(KeyVault.getCustomEndpoints()).resolves.toEqual([endpoint]);
+    });
+
+    it("should drop the secrets of headers that were removed", async () => {
+      const vault = await KeyVault.enableVault("correct horse", apiKeys);
+      const { endpoints, secrets } = KeyVault.takeEndpointSecrets([
+        { ...endpoint, headers: { "X-Team": "research" } },
+      ]);
+      synced.credentials.secrets.apiKeyVault = await KeyVault.sealApiKeys(
+        vault,
+        apiKeys,
+        secrets
+      );
+      synced.globalSettings.customEndpoints = endpoints;
+
+      const [unsealed] = await KeyVault.getCustomEndpoints();
+      expect(unsealed.headers).toEqual({ "X-Team": "research" });
+    });
+
+    it("should store the endpoint secrets as plaintext when disabled", async () => {
+      await KeyVault.enableVault("correct horse", apiKeys);
+      await KeyVault.disableVault();
+
+      expect(getStoredSettings().customEndpoints).toEqual([endpoint]);
+    });
+
+    it("should read the endpoints of vaults made before they were sealed", async () => {
+      await KeyVault.enableVault("correct horse", apiKeys);
+      const settings = getStoredSettings();
+      // Version 1 vaults hold only the API keys and have no endpoint list
+      const { endpoints, ...vault } = settings.apiKeyVault;
+      synced.credentials.secrets.apiKeyVault = { ...vault, version: 1 };
+
+      await expect(KeyVault.getCustomEndpoints()).resolves.toEqual(
+        settings.customEndpoints
+      );
+      expect(endpoints).toEqual(["gateway"]);
+    });
+  });
+
+  describe("disableVault", () => {
+    it("should store the decrypted keys as plaintext again", async () => {
+      await KeyVault.enableVault("correct horse", apiKeys);
+
+      await expect(KeyVault.disableVault()).resolves.toEqual(apiKeys);
+
+      expect(getStoredSettings().apiKeyVault).toBeNull();
+      expect(getStoredSettings().apiKeys).toMatchObject(apiKeys);
+      expect(session).toEqual({});
+    });
+  });
+});
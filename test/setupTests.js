@@ -15,6 +15,7 @@ global.chrome = {
       addListener: jest.fn(),
       removeListener: jest.fn(),
     },
+    connect: jest.fn(),
     getURL: jest.fn((path) => `chrome-extension://mockextensionid/${path}`),
     lastError: null,
     openOptionsPage: jest.fn(),
@@ -40,6 +41,12 @@ global.chrome = {
         }
         return Promise.resolve();
       }),
+      remove: jest.fn().mockImplementation((keys, callback) => {
+        if (callback) {
+          callback();
+        }
+        return Promise.resolve();
+      }),
     },
     local: {
       get: jest.fn().mockImplementation((keys, callback) => {
@@ -61,6 +68,17 @@ global.chrome = {
         }
         return Promise.resolve();
       }),
+      remove: jest.fn().mockImplementation((keys, callback) => {
+        if (callback) {
+          callback();
+        }
+        return Promise.resolve();
+      }),
+    },
+    session: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue(),
     },
   },
   tabs: {
@@ -77,6 +77,65 @@ describe("errorHandler utility functions", () => {
         "An unexpected error occurred."
       );
     });
+
+    it("should handle cancelled requests", () => {
+      const abortError = errorHandler.createAbortError();
+      expect(errorHandler.handleApiError(abortError)).toBe(
+        "Generation stopped."
+      );
+    });
+  });
+
+  describe("isAbortError", () => {
+    it("should detect abort errors", () => {
+      expect(errorHandler.isAbortError(errorHandler.createAbortError())).toBe(
+        true
+      );
+      expect(
+        errorHandler.isAbortError(
+          new DOMException("The user aborted a request.", "AbortError")
+        )
+      ).toBe(true);
+    });
+
+    it("should return false for other errors", () => {
+      expect(errorHandler.isAbortError(new Error("Network error"))).toBe(false);
+      expect(errorHandler.isAbortError(null)).toBe(false);
+    });
+  });
+
+  describe("isVaultLockedError", () => {
+    it("should detect locked vault errors", () => {
+      const error = errorHandler.createVaultLockedError();
+
+      expect(errorHandler.isVaultLockedError(error)).toBe(true);
+      expect(error.message).toContain("passphrase");
+    });
+
+    it("should return false for other errors", () => {
+      expect(errorHandler.isVaultLockedError(new Error("Locked"))).toBe(false);
+      expect(errorHandler.isVaultLockedError(undefined)).toBe(false);
+    });
+  });
+
+  describe("isStorageQuotaError", () => {
+    it("should detect quota errors from chrome.storage", () => {
+      expect(
+        errorHandler.isStorageQuotaError(
+          new Error("QUOTA_BYTES_PER_ITEM quota exceeded")
+        )
+      ).toBe(true);
+      expect(
+        errorHandler.isStorageQuotaError(errorHandler.createStorageQuotaError())
+      ).toBe(true);
+    });
+
+    it("should return false for other errors", () => {
+      expect(errorHandler.isStorageQuotaError(new Error("Offline"))).toBe(
+        false
+      );
+      expect(errorHandler.isStorageQuotaError(null)).toBe(false);
+    });
   });
 
   describe("logError", () => {
@@ -173,6 +173,131 @@ describe("helpers utility functions", () => {
     });
   });
 
+  describe("setStopMode", () => {
+    it("should switch the button to Stop and back", () => {
+      const button = document.createElement("button");
+      button.innerHTML = "Send";
+      button.title = "Send Message";
+
+      helpers.setStopMode(button, true);
+      helpers.setStopMode(button, true);
+      expect(button.innerHTML).toBe("⏹");
+      expect(button.classList.contains("stop-button")).toBe(true);
+
+      helpers.setStopMode(button, false);
+      expect(button.innerHTML).toBe("Send");
+      expect(button.title).toBe("Send Message");
+      expect(button.classList.contains("stop-button")).toBe(false);
+    });
+  });
+
+  describe("handleStoppedResponse", () => {
+    const createBubble = () => ({
+      remove: jest.fn(),
+      markStopped: jest.fn(),
+    });
+
+    it("should keep the partial answer flagged as stopped", () => {
+      const bubble = createBubble();
+
+      expect(helpers.handleStoppedResponse("Partial", bubble, "keep")).toEqual({
+        role: "assistant",
+        content: "Partial",
+        stopped: true,
+      });
+      expect(bubble.markStopped).toHaveBeenCalled();
+    });
+
+    it("should remove the bubble when partial answers are discarded", () => {
+      const bubble = createBubble();
+
+      expect(
+        helpers.handleStoppedResponse("Partial", bubble, "discard")
+      ).toBeNull();
+      expect(bubble.remove).toHaveBeenCalled();
+      expect(helpers.handleStoppedResponse("", null, "keep")).toBeNull();
+    });
+  });
+
+  describe("showContextWarning and showRetryStatus", () => {
+    it("should show the latest status before the typing indicator", () => {
+      const container = document.createElement("div");
+      const indicator = document.createElement("div");
+      indicator.id = "typingIndicator";
+      container.appendChild(indicator);
+      document.body.appendChild(container);
+
+      helpers.showContextWarning(container, 3);
+      helpers.showContextWarning(container, 1);
+      helpers.showRetryStatus(container, {
+        attempt: 2,
+        maxAttempts: 3,
+        delay: 4000,
+      });
+
+      const warnings = container.querySelectorAll(".context-warning");
+      expect(warnings.length).toBe(1);
+      expect(warnings[0].textContent).toBe(
+        "1 older message was left out to fit the model's context window."
+      );
+      expect(container.lastChild).toBe(indicator);
+      expect(indicator.querySelector(".typing-status").textContent).toBe(
+        "Retrying in 4s (attempt 2/3)…"
+      );
+
+      container.remove();
+    });
+  });
+
+  describe("formatCost", () => {
+    it("should format costs in dollars", () => {
+      expect(helpers.formatCost(0)).toBe("$0.00");
+      expect(helpers.formatCost(1.234)).toBe("$1.23");
+    });
+
+    it("should keep small costs visible", () => {
+      expect(helpers.formatCost(0.00042)).toBe("$0.0004");
+    });
+  });
+
+  describe("formatTokenCount", () => {
+    it("should format token counts compactly", () => {
+      expect(helpers.formatTokenCount(950)).toBe("950");
+      expect(helpers.formatTokenCount(12345)).toBe("12.3k");
+      expect(helpers.formatTokenCount(2500000)).toBe("2.5M");
+    });
+  });
+
+  describe("formatBytes", () => {
+    it("should format sizes with a unit", () => {
+      expect(helpers.formatBytes(512)).toBe("512 B");
+      expect(helpers.formatBytes(1536)).toBe("1.5 KB");
+      expect(helpers.formatBytes(5 * 1024 * 1024)).toBe("5.0 MB");
+    });
+  });
+
+  describe("createHandoffHash and parseHandoffHash", () => {
+    it("should round-trip the conversation ID and draft", () => {
+      const hash = helpers.createHandoffHash({
+        conversationId: "abc-123",
+        draft: "What about #2 & 3?",
+      });
+
+      expect(helpers.parseHandoffHash(`#${hash}`)).toEqual({
+        conversationId: "abc-123",
+        draft: "What about #2 & 3?",
+      });
+    });
+
+    it("should leave out what isn't handed over", () => {
+      expect(helpers.createHandoffHash({})).toBe("");
+      expect(helpers.parseHandoffHash("")).toEqual({
+        conversationId: null,
+        draft: null,
+      });
+    });
+  });
+
   describe("getModelDisplayName", () => {
     it("should return a display name for known models", () => {
       expect(helpers.getModelDisplayName("gpt-3.5-turbo")).toBe(
@@ -181,6 +306,9 @@ describe("helpers utility functions", () => {
       expect(helpers.getModelDisplayName("claude-3-opus")).toBe(
         "Claude 3 Opus"
       );
+      expect(
+        helpers.getModelDisplayName("openrouter:anthropic/claude-3-haiku")
+      ).toBe("Claude 3 Haiku (via OpenRouter)");
     });
 
     it("should return the original model ID for unknown models", () => {
@@ -198,6 +326,15 @@ describe("helpers utility functions", () => {
       expect(helpers.getProviderFromModel("mistral-small")).toBe("mistral");
     });
 
+    it("should read the provider from model references", () => {
+      expect(helpers.getProviderFromModel("openrouter:openai/gpt-4o")).toBe(
+        "openrouter"
+      );
+      expect(helpers.getProviderFromModel("mistral:open-mixtral-8x7b")).toBe(
+        "mistral"
+      );
+    });
+
     it('should return "unknown" for unrecognized models', () => {
       expect(helpers.getProviderFromModel("unknown-model")).toBe("unknown");
     });
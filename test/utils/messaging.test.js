@@ -305,4 +305,163 @@ describe("messaging utility functions", () => {
       );
     });
   });
+
+  describe("streamFromBackground", () => {
+    let port;
+    let messageListeners;
+    let disconnectListeners;
+
+    beforeEach(() => {
+      messageListeners = [];
+      disconnectListeners = [];
+
+      port = {
+        postMessage: jest.fn(),
+        disconnect: jest.fn(),
+        onMessage: {
+          addListener: jest.fn((fn) => messageListeners.push(fn)),
+        },
+        onDisconnect: {
+          addListener: jest.fn((fn) => disconnectListeners.push(fn)),
+        },
+      };
+
+      chrome.runtime.connect.mockReturnValue(port);
+    });
+
+    const emit = (event) => messageListeners.forEach((fn) => fn(event));
+
+    it("should yield streamed events until the done event", async () => {
+      port.postMessage.mockImplementation(() => {
+        setTimeout(() => {
+          emit({ type: "delta", content: "Hel" });
+          emit({ type: "delta", content: "lo" });
+          emit({ type: "done", content: "Hello" });
+        }, 0);
+      });
+
+      const message = { action: "streamLLMResponse", data: {} };
+      const events = [];
+
+      for await (const event of messaging.streamFromBackground(message)) {
+        events.push(event);
+      }
+
+      expect(chrome.runtime.connect).toHaveBeenCalledWith({
+        name: "llmStream",
+      });
+      expect(port.postMessage).toHaveBeenCalledWith(message);
+      expect(events).toEqual([
+        { type: "delta", content: "Hel" },
+        { type: "delta", content: "lo" },
+        { type: "done", content: "Hello" },
+      ]);
+      expect(port.disconnect).toHaveBeenCalled();
+    });
+
+    it("should throw when the background reports an error", async () => {
+      port.postMessage.mockImplementation(() => {
+        setTimeout(() => emit({ type: "error", error: "Stream failed" }), 0);
+      });
+
+      const consume = async () => {
+        const events = [];
+        for await (const event of messaging.streamFromBackground({})) {
+          events.push(event);
+        }
+        return events;
+      };
+
+      await expect(consume()).rejects.toThrow("Stream failed");
+      expect(port.disconnect).toHaveBeenCalled();
+    });
+
+    it("should keep the name of the background's error", async () => {
+      port.postMessage.mockImplementation(() => {
+        setTimeout(
+          () =>
+            emit({
+              type: "error",
+              error: "Your API keys are locked",
+              name: "VaultLockedError",
+            }),
+          0
+        );
+      });
+
+      const consume = async () => {
+        const events = [];
+        for await (const event of messaging.streamFromBackground({})) {
+          events.push(event);
+        }
+        return events;
+      };
+
+      await expect(consume()).rejects.toMatchObject({
+        name: "VaultLockedError",
+        message: "Your API keys are locked",
+      });
+    });
+
+    it("should disconnect and throw an AbortError when aborted", async () => {
+      const controller = new AbortController();
+
+      port.postMessage.mockImplementation(() => {
+        setTimeout(() => {
+          emit({ type: "delta", content: "Partial" });
+          controller.abort();
+        }, 0);
+      });
+
+      const events = [];
+      const consume = async () => {
+        const stream = messaging.streamFromBackground(
+          { action: "streamLLMResponse" },
+          { signal: controller.signal }
+        );
+        for await (const event of stream) {
+          events.push(event);
+        }
+      };
+
+      await expect(consume()).rejects.toMatchObject({ name: "AbortError" });
+      expect(events).toEqual([{ type: "delta", content: "Partial" }]);
+      expect(port.disconnect).toHaveBeenCalled();
+    });
+
+    it("should throw an AbortError when the background stops the job", async () => {
+      port.postMessage.mockImplementation(() => {
+        setTimeout(() => emit({ type: "stopped" }), 0);
+      });
+
+      const consume = async () => {
+        const events = [];
+        for await (const event of messaging.streamFromBackground({})) {
+          events.push(event);
+        }
+        return events;
+      };
+
+      await expect(consume()).rejects.toMatchObject({ name: "AbortError" });
+      expect(port.disconnect).toHaveBeenCalled();
+    });
+
+    it("should throw when the port disconnects before completion", async () => {
+      port.postMessage.mockImplementation(() => {
+        setTimeout(() => disconnectListeners.forEach((fn) => fn()), 0);
+      });
+
+      const consume = async () => {
+        const events = [];
+        for await (const event of messaging.streamFromBackground({})) {
+          events.push(event);
+        }
+        return events;
+      };
+
+      await expect(consume()).rejects.toThrow(
+        "Connection to the background script was lost"
+      );
+    });
+  });
 });
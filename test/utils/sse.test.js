@@ -0,0 +1,111 @@
+/**
+ * Tests for the server-sent events utility
+ */
+
+import { TextDecoder, TextEncoder } from "util";
+import * as sse from "@/utils/sse";
+
+global.TextDecoder = TextDecoder;
+
+/**
+ * Creates a fake fetch response whose body yields the given chunks
+ *
+ * @param {Array<string>} chunks - Raw text chunks
+ * @returns {Object} - Response-like object
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map((chunk) => encoder.encode(chunk));
+
+  return {
+    body: {
+      getReader: () => ({
+        read: jest.fn(() =>
+          Promise.resolve(
+            queue.length > 0
+              ? { done: false, value: queue.shift() }
+              : { done: true, value: undefined }
+          )
+        ),
+        releaseLock: jest.fn(),
+      }),
+    },
+  };
+}
+
+describe("sse utility functions", () => {
+  describe("parseEventBlock", () => {
+    it("should parse event name and data", () => {
+      const block = 'event: content_block_delta\ndata: {"a":1}';
+      expect(sse.parseEventBlock(block)).toEqual({
+        event: "content_block_delta",
+        data: '{"a":1}',
+      });
+    });
+
+    it("should default the event name to message", () => {
+      expect(sse.parseEventBlock("data: hello")).toEqual({
+        event: "message",
+        data: "hello",
+      });
+    });
+
+    it("should join multi-line data fields", () => {
+      expect(sse.parseEventBlock("data: line 1\ndata: line 2").data).toBe(
+        "line 1\nline 2"
+      );
+    });
+
+    it("should ignore comments and blocks without data", () => {
+      expect(sse.parseEventBlock(": keep-alive")).toBeNull();
+      expect(sse.parseEventBlock("")).toBeNull();
+    });
+  });
+
+  describe("readEventStream", () => {
+    it("should yield events split across chunks", async () => {
+      const response = createStreamResponse([
+        'data: {"text":"Hel',
+        'lo"}\n\ndata: [DO',
+        "NE]\n\n",
+      ]);
+
+      const events = [];
+      for await (const event of sse.readEventStream(response)) {
+        events.push(event);
+      }
+
+      expect(events).toEqual([
+        { event: "message", data: '{"text":"Hello"}' },
+        { event: "message", data: "[DONE]" },
+      ]);
+    });
+
+    it("should flush a trailing event without a blank line", async () => {
+      const response = createStreamResponse(["data: first\n\ndata: last"]);
+
+      const events = [];
+      for await (const event of sse.readEventStream(response)) {
+        events.push(event.data);
+      }
+
+      expect(events).toEqual(["first", "last"]);
+    });
+
+    it("should handle CRLF line endings", async () => {
+      const response = createStreamResponse([
+        "event: ping\r\ndata: 1\r\n\r\ndata: 2\r\n\r\n",
+      ]);
+
+      const events = [];
+      for await (const event of sse.readEventStream(response)) {
+        events.push(event);
+      }
+
+      expect(events).toEqual([
+        { event: "ping", data: "1" },
+        { event: "message", data: "2" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for the token utility
+ */
+
+import {
+  DEFAULT_CONTEXT_LENGTH,
+  getTokenizerFamily,
+  estimateTokens,
+  estimateMessagesTokens,
+  fitMessagesToContext,
+} from "@/utils/tokens";
+
+describe("Token Utility", () => {
+  describe("getTokenizerFamily", () => {
+    it("should detect the family from provider model ids", () => {
+      expect(getTokenizerFamily("gpt-4o")).toBe("openai");
+      expect(getTokenizerFamily("o1-mini")).toBe("openai");
+      expect(getTokenizerFamily("openai/gpt-4o")).toBe("openai");
+      expect(getTokenizerFamily("claude-3-opus-latest")).toBe("anthropic");
+      expect(getTokenizerFamily("anthropic/claude-3-haiku")).toBe("anthropic");
+      expect(getTokenizerFamily("open-mixtral-8x7b")).toBe("mistral");
+      expect(getTokenizerFamily("meta-llama/llama-3-8b-instruct")).toBe(
+        "llama"
+      );
+      expect(getTokenizerFamily("qwen2:7b")).toBe("default");
+    });
+  });
+
+  describe("estimateTokens", () => {
+    it("should scale with the text length of the tokenizer family", () => {
+      const text = "a".repeat(400);
+
+      expect(estimateTokens("", "gpt-4o")).toBe(0);
+      expect(estimateTokens(text, "gpt-4o")).toBe(100);
+      expect(estimateTokens(text, "claude-3-opus")).toBe(115);
+    });
+
+    it("should count wide characters as one token each", () => {
+      expect(estimateTokens("你好世界", "gpt-4o")).toBe(4);
+    });
+  });
+
+  describe("estimateMessagesTokens", () => {
+    it("should add the chat formatting overhead", () => {
+      const messages = [
+        { role: "system", content: "a".repeat(40) },
+        { role: "user", content: "a".repeat(40) },
+      ];
+
+      expect(estimateMessagesTokens(messages, "gpt-4o")).toBe(3 + 2 * 14);
+    });
+  });
+
+  describe("fitMessagesToContext", () => {
+    const system = { role: "system", content: "Be brief." };
+    const history = [
+      { role: "user", content: "a".repeat(4000) },
+      { role: "assistant", content: "b".repeat(4000) },
+      { role: "user", content: "c".repeat(400) },
+      { role: "assistant", content: "d".repeat(400) },
+    ];
+    const latest = { role: "user", content: "Next question" };
+
+    it("should keep conversations that fit", () => {
+      const messages = [system, ...history, latest];
+
+      expect(
+        fitMessagesToContext(messages, {
+          modelId: "gpt-4o",
+          contextLength: 128000,
+          maxTokens: 2048,
+        })
+      ).toEqual({ messages, dropped: 0 });
+    });
+
+    it("should drop the oldest messages first", () => {
+      const result = fitMessagesToContext([system, ...history, latest], {
+        modelId: "gpt-4o",
+        contextLength: 2048 + 500,
+        maxTokens: 2048,
+      });
+
+      expect(result.dropped).toBe(2);
+      expect(result.messages).toEqual([system, history[2], history[3], latest]);
+    });
+
+    it("should always keep the system prompt and the newest message", () => {
+      const result = fitMessagesToContext([system, ...history, latest], {
+        modelId: "gpt-4o",
+        contextLength: 2048,
+        maxTokens: 2048,
+      });
+
+      expect(result.messages).toEqual([system, latest]);
+      expect(result.dropped).toBe(4);
+    });
+
+    it("should use the default context length when none is given", () => {
+      const longHistory = Array.from({ length: 20 }, (_, i) => ({
+        role: i % 2 ? "assistant" : "user",
+        content: "x".repeat(4000),
+      }));
+
+      const { messages } = fitMessagesToContext([...longHistory, latest], {
+        modelId: "gpt-4o",
+      });
+
+      expect(estimateMessagesTokens(messages, "gpt-4o")).toBeLessThanOrEqual(
+        DEFAULT_CONTEXT_LENGTH
+      );
+      expect(messages[messages.length - 1]).toBe(latest);
+    });
+  });
+});
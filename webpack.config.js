@@ -12,6 +12,8 @@ module.exports = {
     fullpage: "./src/fullpage/fullpage.js",
     settings: "./src/settings/settings.js",
     about: "./src/about/about.js",
+    usage: "./src/usage/usage.js",
+    offscreen: "./src/offscreen/offscreen.js",
   },
   output: {
     path: path.resolve(__dirname, "dist"),
@@ -73,6 +75,16 @@ module.exports = {
       filename: "about.html",
       chunks: ["about"],
     }),
+    new HtmlWebpackPlugin({
+      template: "./src/usage/usage.html",
+      filename: "usage.html",
+      chunks: ["usage"],
+    }),
+    new HtmlWebpackPlugin({
+      template: "./src/offscreen/offscreen.html",
+      filename: "offscreen.html",
+      chunks: ["offscreen"],
+    }),
   ],
   optimization: {
     splitChunks: {